@@ -0,0 +1,423 @@
+/**
+ * 桥接服务核心 - 在同一进程中运行任意组合的消息平台（飞书、Discord）
+ * 所有平台共享路由器、去重器、监控池和当前会话；监控通知同时发送到每个平台
+ * Author: CodePothunter
+ * Version: 1.0.0
+ * License: MIT
+ */
+
+import { config, validateConfig, validateDiscordConfig, getConfigSummary, ConfigError } from './config/index.js';
+import { MultiMessenger } from './messenger/multi.js';
+import { TmuxCommander } from './tmux/commander.js';
+import { StateDetector } from './monitor/detector.js';
+import { MessageRouter } from './handlers/router.js';
+import { SessionManager } from './session-manager.js';
+import { MessageDeduplicator } from './utils/deduplicator.js';
+import { MonitorPool } from './monitor-pool.js';
+import { ProcessManager } from './utils/process-manager.js';
+import { stopRunningCommands } from './utils/shell-runner.js';
+import { isAuthEnabled } from './utils/access-control.js';
+import Logger from './utils/logger.js';
+
+/**
+ * 支持的平台：配置验证 + 按需加载平台模块
+ * 平台模块动态导入，未启用的平台不会加载其 SDK
+ */
+const PLATFORMS = {
+  feishu: {
+    validate: validateConfig,
+    load: async () => (await import('./platforms/feishu.js')).FeishuPlatform,
+  },
+  discord: {
+    validate: validateDiscordConfig,
+    load: async () => {
+      // 代理需在 discord.js 加载前配置（未设置代理环境变量时不做任何事）
+      await import('./discord-proxy-bootstrap.mjs');
+      return (await import('./platforms/discord.js')).DiscordPlatform;
+    },
+  },
+};
+
+// 全局变量
+let platforms = [];
+let messenger = null;
+let commander = null;
+let detector = null;
+let router = null;
+let sessionManager = null;
+let deduplicator = null;
+let monitorPool = null;
+let monitorTimeout = null;
+let processManager = null;
+
+/**
+ * 解析要启用的平台
+ * @param {string[]} defaultPlatforms - 未配置 BRIDGE_PLATFORMS 时使用的平台
+ * @returns {string[]}
+ */
+function resolvePlatformNames(defaultPlatforms) {
+  const names = [...new Set(config.bridge.platforms.length > 0 ? config.bridge.platforms : defaultPlatforms)];
+
+  const unknown = names.filter(name => !PLATFORMS[name]);
+  if (unknown.length > 0) {
+    throw new ConfigError(
+      `不支持的平台: ${unknown.join(', ')}\n` +
+      `BRIDGE_PLATFORMS 可选值: ${Object.keys(PLATFORMS).join(', ')}`
+    );
+  }
+
+  return names;
+}
+
+/**
+ * 是否有平台处于连接状态
+ * @returns {boolean}
+ */
+function isAnyPlatformConnected() {
+  return platforms.some(platform => platform.isConnected());
+}
+
+/**
+ * 打印启动信息
+ */
+function printStartupInfo() {
+  const summary = getConfigSummary();
+
+  Logger.blank();
+  Logger.info('╔════════════════════════════════════════════════════════════╗');
+  Logger.info('║       Claude Code 桥接服务 (飞书 / Discord)               ║');
+  Logger.info('╚════════════════════════════════════════════════════════════╝');
+  Logger.blank();
+  Logger.info(`🔌 启用平台: ${platforms.map(platform => platform.name).join(', ')}`);
+  for (const platform of platforms) {
+    platform.printStartupInfo();
+  }
+  Logger.info(`🖥️  当前会话: ${sessionManager.getCurrentSession()}`);
+  Logger.info(`⏱️  轮询间隔: ${summary.pollInterval}ms`);
+  Logger.info(`📝 Session 文件: ${summary.sessionFile}`);
+  if (isAuthEnabled()) {
+    const { admins, operators, viewers, defaultRole } = config.auth;
+    Logger.info(`🔐 用户授权: 管理员 ${admins.length} · 操作员 ${operators.length} · 只读 ${viewers.length} · 其他用户 ${defaultRole}`);
+  } else {
+    Logger.warn('🔓 未配置 AUTH_ADMINS / AUTH_OPERATORS / AUTH_VIEWERS，频道内所有人都可以执行 ! 命令和管理会话');
+  }
+  Logger.blank();
+  Logger.info('📖 使用帮助:');
+  Logger.info('   普通文本    → 发送给 Claude Code');
+  Logger.info('   yes/no      → 确认/取消操作');
+  Logger.info('   !命令       → 执行命令并返回结果');
+  Logger.info('   /switch     → 切换 tmux 会话');
+  Logger.info('   @会话 消息  → 发送到指定会话（不切换）');
+  Logger.info('   /help       → 显示帮助信息');
+  Logger.blank();
+}
+
+/**
+ * 启动监控轮询
+ */
+function startMonitorPolling() {
+  const sessionName = sessionManager.getCurrentSession();
+  Logger.monitor(`启动监控轮询 (会话: ${sessionName})`);
+
+  function scheduleNextPoll() {
+    // 所有平台都断开时暂停轮询
+    if (!isAnyPlatformConnected()) {
+      Logger.debug('没有已连接的平台，跳过监控轮询');
+      return;
+    }
+
+    const currentSession = sessionManager.getCurrentSession();
+
+    // 启动临时进程捕获内容
+    const refreshMonitor = processManager.spawn('tmux', ['capture-pane', '-p', '-t', currentSession, '-S', '-500'], {
+      timeout: 10000, // 10秒超时
+      onExit: (code, signal) => {
+        if (code !== 0 && signal !== null) {
+          Logger.debug(`capture-pane 进程异常退出 (code: ${code}, signal: ${signal})`);
+        }
+      },
+      onError: (err) => {
+        Logger.error(`tmux capture-pane 错误: ${err.message}`);
+      },
+    });
+
+    let newBuffer = '';
+
+    refreshMonitor.stdout.on('data', (data) => {
+      newBuffer += data.toString();
+    });
+
+    refreshMonitor.on('close', () => {
+      if (newBuffer) {
+        sessionManager.buffer.update(newBuffer);
+
+        // 执行状态检测
+        detector.detect(newBuffer).then(stateResult => {
+          if (stateResult) {
+            handleStateChange(stateResult);
+          }
+
+          // 更新路由器的监控状态
+          if (router) {
+            router.setMonitorState(detector.getCurrentState());
+          }
+        }).catch(error => {
+          Logger.error(`状态检测失败: ${error.message}`);
+        });
+      }
+
+      // 仍有平台连接时才调度下次轮询
+      if (isAnyPlatformConnected()) {
+        const nextInterval = detector.getPollInterval();
+        monitorTimeout = setTimeout(scheduleNextPoll, nextInterval);
+      }
+    });
+
+    refreshMonitor.on('error', (err) => {
+      Logger.error(`tmux capture-pane 错误: ${err.message}`);
+      // 即使出错也继续调度下次轮询
+      const nextInterval = detector.getPollInterval();
+      monitorTimeout = setTimeout(scheduleNextPoll, nextInterval);
+    });
+  }
+
+  // 启动第一次轮询
+  monitorTimeout = setTimeout(scheduleNextPoll, config.monitor.pollInterval);
+}
+
+/**
+ * 处理状态变化
+ * 注意：tab_selection、asking_question、confirmation 等交互状态现在由
+ * transcript-monitor.js 的 InteractionParser 处理，不再通过 tmux 检测
+ * @param {Object} stateResult - 状态检测结果
+ */
+async function handleStateChange(stateResult) {
+  Logger.debug(`状态变化: ${stateResult.type}`);
+
+  try {
+    // 清理内容（移除横线等无用字符）
+    const cleanContent = (content) => {
+      if (!content || typeof content !== 'string') return content;
+      return sessionManager.buffer.cleanForNotification(content, 30);
+    };
+
+    switch (stateResult.type) {
+      // 以下状态已移除，改由 transcript-monitor 的 InteractionParser 处理：
+      // - tab_selection (由 AskUserQuestion 处理)
+      // - exit_plan_mode (由 AskUserQuestion 处理)
+      // - asking_question (由 AskUserQuestion 处理)
+      // - confirmation (由 AskUserQuestion 处理)
+      // 回合结束通知由 transcript-monitor 的 TurnTracker 处理（completed 状态不再由 tmux 检测）
+
+      case 'error':
+        // 错误通知已禁用
+        break;
+
+      case 'plan_mode':
+      case 'testing':
+      case 'git_operation':
+      case 'warning':
+      case 'idle_input':
+        // 这些状态通知已禁用，只在日志中记录
+        Logger.debug(`[${stateResult.type}] 状态已检测，不发送通知`);
+        break;
+
+      case 'input_prompt':
+        await messenger.sendText(`[${sessionManager.getCurrentSession()}] 🔔 Claude Code 正在等待输入\n\n当前提示：${cleanContent(stateResult.content)}`);
+        break;
+
+      case 'completed':
+        await messenger.sendText(`[${sessionManager.getCurrentSession()}] ✅ **Claude Code 任务已完成**\n\n正在等待新的输入...`);
+        break;
+
+      default:
+        // 其他状态也不发送默认通知
+        Logger.debug(`[未处理状态: ${stateResult.type}]`);
+        break;
+    }
+  } catch (error) {
+    Logger.error(`处理状态变化失败: ${error.message}`);
+  }
+}
+
+/**
+ * 优雅关闭
+ */
+async function shutdown() {
+  Logger.blank();
+  Logger.info('🛑 正在关闭服务...');
+
+  try {
+    // 停止监控轮询
+    if (monitorTimeout) {
+      clearTimeout(monitorTimeout);
+      Logger.debug('监控轮询已停止');
+    }
+
+    // 终止运行中的 ! 命令及其进程组
+    await stopRunningCommands();
+
+    // 停止所有管理的进程
+    if (processManager) {
+      await processManager.stop();
+      Logger.debug('进程管理器已停止');
+    }
+
+    // 销毁去重器（清理定时器和保存数据）
+    if (deduplicator) {
+      deduplicator.destroy();
+      Logger.info('✅ 去重器已销毁');
+    }
+
+    // 停止所有会话的 transcript 监控
+    if (monitorPool) {
+      monitorPool.stop();
+    }
+
+    // 关闭各平台连接
+    for (const platform of platforms) {
+      try {
+        await platform.stop();
+      } catch (error) {
+        Logger.error(`关闭 ${platform.name} 时出错: ${error.message}`);
+      }
+    }
+  } catch (error) {
+    Logger.error(`关闭时出错: ${error.message}`);
+  }
+
+  Logger.success('服务已优雅关闭');
+  process.exit(0);
+}
+
+/**
+ * 启动桥接服务
+ * @param {Object} options - 启动选项
+ * @param {string[]} options.defaultPlatforms - 未配置 BRIDGE_PLATFORMS 时启用的平台
+ */
+export async function startBridge(options = {}) {
+  try {
+    const platformNames = resolvePlatformNames(options.defaultPlatforms || ['feishu']);
+
+    // 验证已启用平台的配置
+    for (const name of platformNames) {
+      PLATFORMS[name].validate();
+    }
+
+    // 初始化进程管理器
+    processManager = new ProcessManager();
+    processManager.start();
+
+    // 初始化会话管理器
+    sessionManager = new SessionManager();
+
+    // 初始化去重器（所有平台共享，事件 ID 按平台区分前缀）
+    deduplicator = new MessageDeduplicator({
+      ttl: config.deduplication.ttl,
+      maxSize: config.deduplication.maxSize,
+      cleanupInterval: config.deduplication.cleanupInterval,
+      storageFile: config.deduplication.storageFile,
+    });
+
+    // 初始化各平台（每个平台创建自己的消息适配器）
+    for (const name of platformNames) {
+      const Platform = await PLATFORMS[name].load();
+      platforms.push(new Platform({ deduplicator }));
+    }
+
+    // 初始化多平台消息适配器：监控通知发送到所有平台
+    messenger = new MultiMessenger(
+      Object.fromEntries(platforms.map(platform => [platform.name, platform.messenger]))
+    );
+
+    // 初始化监控池（每个 tmux 会话一个 transcript 监控器）
+    monitorPool = new MonitorPool({
+      messenger: messenger,
+      checkInterval: 500
+    });
+
+    // 初始化命令执行器
+    commander = new TmuxCommander(sessionManager.getCurrentSession());
+
+    // 初始化状态检测器
+    detector = new StateDetector();
+
+    // 初始化消息路由器（所有平台共享，指令回复发回消息来源平台）
+    const context = {
+      messenger,
+      commander,
+      currentSession: sessionManager.getSessionRef(),
+      sessionManager,
+      monitorState: 'idle',
+      sendText: (text, options) => messenger.sendText(text, options),
+      deduplicator,
+      monitorPool,  // 多会话监控，用于 @会话 寻址和 reset 时重置监控
+    };
+    router = new MessageRouter(context);
+
+    // 打印启动信息
+    printStartupInfo();
+
+    // 自动检测并使用第一个可用会话
+    await sessionManager.autoSelectSession();
+
+    // 如果有可用会话，更新 commander
+    if (sessionManager.getCurrentSession()) {
+      commander.setSession(sessionManager.getCurrentSession());
+    } else {
+      Logger.warn('⚠️  没有可用会话，监控未启动，请使用 /new 命令创建会话');
+    }
+
+    // 连接各平台（监控通知需要平台可用，监控在连接后启动）
+    for (const platform of platforms) {
+      await platform.start(router);
+    }
+
+    // 启动监控池：监控所有 tmux 会话的 transcript 和 Plan Mode
+    await monitorPool.start();
+    Logger.info(`📝 Transcript 监控将跟踪 tmux 会话: ${monitorPool.getSessions().join(', ') || '无'}`);
+
+    // 启动当前会话的状态轮询
+    if (sessionManager.getCurrentSession()) {
+      startMonitorPolling();
+    }
+
+    Logger.success(`服务已启动，等待消息 (${platformNames.join(', ')})...`);
+
+    // 注册信号处理器
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+
+    // 处理未捕获的异常
+    process.on('uncaughtException', async (error) => {
+      Logger.error(`未捕获的异常: ${error.message}`);
+      Logger.error(error.stack);
+      // uncaughtException 通常意味着应用处于不确定状态，应该退出
+      await shutdown();
+      process.exit(1);
+    });
+
+    // 改进的 unhandledRejection 处理
+    process.on('unhandledRejection', async (reason, promise) => {
+      Logger.error(`未处理的 Promise 拒绝: ${reason}`);
+
+      // 生产环境：记录详细信息并退出
+      const isProduction = process.env.NODE_ENV === 'production';
+
+      if (isProduction) {
+        Logger.error('生产环境中未处理的 Promise 拒绝，将退出服务');
+        await shutdown();
+        process.exit(1);
+      } else {
+        Logger.warn('开发环境：继续运行，但这可能是代码问题');
+      }
+    });
+
+  } catch (error) {
+    Logger.error(`服务启动失败: ${error.message || error}`);
+    if (error.stack && !(error instanceof ConfigError)) Logger.error(error.stack);
+    process.exit(1);
+  }
+}
+
+export default startBridge;
@@ -15,6 +15,7 @@ export const DEFAULTS = {
   DEDUPLICATION_TTL: 300000,
   DEDUPLICATION_MAX_SIZE: 1000,
   DEDUPLICATION_CLEANUP_INTERVAL: 60000,
+  PLAN_PAGE_SIZE: 1500,
 };
 
 // 容错配置
@@ -69,6 +70,15 @@ export const CONFIRMATION_WORDS = {
   NO: ['no', 'n', 'cancel', '取消', 'skip', '跳过'],
 };
 
+// AskUserQuestion 多问题界面按键（按 `题号:选项` 回复时使用）
+export const QUESTION_KEYS = {
+  NEXT_OPTION: 'Down',     // 移动到下一个选项
+  SELECT: 'Enter',         // 单选：选中并进入下一题；其他：提交输入的文本
+  TOGGLE: 'Space',         // 多选：勾选/取消当前选项
+  NEXT_QUESTION: 'Tab',    // 多选：进入下一题
+  SUBMIT: 'Enter',         // 多个问题回答完后确认提交
+};
+
 // 会话名称验证规则
 export const SESSION_NAME_PATTERN = /^[a-zA-Z0-9_.-]+$/;
 
@@ -87,6 +97,15 @@ export const DISCORD = {
   SPLIT_THRESHOLD: 1800,
 };
 
+// 模型价格（美元 / 百万 token），键为模型名子串，可用 USAGE_PRICING_FILE 覆盖
+export const USAGE_PRICING = {
+  'opus-4-5': { input: 5, output: 25, cacheWrite: 6.25, cacheRead: 0.5 },
+  'opus': { input: 15, output: 75, cacheWrite: 18.75, cacheRead: 1.5 },
+  'sonnet': { input: 3, output: 15, cacheWrite: 3.75, cacheRead: 0.3 },
+  'haiku-4-5': { input: 1, output: 5, cacheWrite: 1.25, cacheRead: 0.1 },
+  'haiku': { input: 0.8, output: 4, cacheWrite: 1, cacheRead: 0.08 },
+};
+
 // 去重配置
 export const DEDUPLICATION = {
   TTL: 300000,           // 5分钟
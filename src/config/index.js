@@ -50,6 +50,11 @@ export const feishu = {
   appId: process.env.FEISHU_APP_ID || '',
   appSecret: process.env.FEISHU_APP_SECRET || '',
   userChatId: process.env.USER_CHAT_ID || '',
+  // 超时提醒时 @提及的用户 open_id，逗号分隔（all 表示所有人）
+  mentionUserIds: (process.env.FEISHU_MENTION_USER_IDS || '')
+    .split(',')
+    .map(id => id.trim())
+    .filter(Boolean),
 };
 
 /**
@@ -58,6 +63,8 @@ export const feishu = {
 export const session = {
   file: process.env.SESSION_FILE || DEFAULTS.SESSION_FILE,
   defaultName: process.env.DEFAULT_SESSION_NAME || DEFAULTS.SESSION_NAME,
+  // 每个 tmux 会话使用独立线程（飞书话题 / Discord 子区）
+  threads: process.env.SESSION_THREADS === 'true',
 };
 
 /**
@@ -84,6 +91,214 @@ export const logger = {
 export const discord = {
   botToken: process.env.DISCORD_BOT_TOKEN || '',
   channelId: process.env.DISCORD_CHANNEL_ID || '',
+  // 超时提醒时提及的角色 ID
+  mentionRoleId: process.env.DISCORD_MENTION_ROLE_ID || '',
+};
+
+/**
+ * 计划确认配置
+ */
+export const plan = {
+  // 计划分页大小（字符），默认值兼顾 Discord 单条消息 2000 字符限制
+  pageSize: parseInt(process.env.PLAN_PAGE_SIZE || String(DEFAULTS.PLAN_PAGE_SIZE)),
+  // 计划确认时同时发送 .md 附件
+  attachFile: process.env.PLAN_ATTACH_FILE === 'true',
+  // 修改计划后选择的继续选项编号，0 表示自动选择第一个 "Yes" 选项
+  continueOption: parseInt(process.env.PLAN_CONTINUE_OPTION || '0'),
+};
+
+/**
+ * 工具权限策略配置
+ */
+export const policy = {
+  // 全局策略文件（JSON），为空时只使用项目策略
+  file: process.env.PERMISSION_POLICY_FILE || '',
+  // 项目目录下的策略文件名（相对于 tmux 会话工作目录）
+  projectFile: process.env.PERMISSION_POLICY_PROJECT_FILE || '.claude-bridge-policy.json',
+  // 是否启用策略（false 时所有权限请求都转发到聊天）
+  enabled: process.env.PERMISSION_POLICY !== 'false',
+};
+
+/**
+ * 未回复交互的超时升级配置
+ */
+export const escalation = {
+  // 未回复多少分钟后再次提醒并 @提及，0 表示不提醒
+  remindMinutes: parseFloat(process.env.ESCALATION_REMIND_MINUTES || '10'),
+  // 未回复多少分钟后自动处理，0 表示不自动处理
+  finalMinutes: parseFloat(process.env.ESCALATION_FINAL_MINUTES || '0'),
+  // 自动处理方式：answer（选择默认答案）| escape（发送 Escape）
+  finalAction: process.env.ESCALATION_FINAL_ACTION || 'escape',
+  // 自动处理时选择的选项编号（finalAction=answer 时必填）
+  defaultAnswer: process.env.ESCALATION_DEFAULT_ANSWER || '',
+  // 按交互类型和会话覆盖的 JSON 配置文件
+  file: process.env.ESCALATION_FILE || '',
+};
+
+/**
+ * 工具活动摘要配置
+ */
+export const activity = {
+  // 默认详细程度：off | summary | detail（/verbose 可按会话切换）
+  level: process.env.ACTIVITY_LEVEL || 'off',
+  // 批量发送间隔（秒），回合结束时立即发送
+  flushSeconds: parseInt(process.env.ACTIVITY_FLUSH_SECONDS || '30'),
+};
+
+/**
+ * 附件收件箱配置（聊天中发送的图片和文件）
+ */
+export const inbox = {
+  // 收件箱目录（相对 tmux 会话工作目录），按会话分子目录
+  dir: process.env.INBOX_DIR || '.claude-inbox',
+  // 单个附件大小上限（MB）
+  maxBytes: parseFloat(process.env.INBOX_MAX_MB || '20') * 1024 * 1024,
+  // 允许的扩展名，逗号分隔（* 为不限制）
+  extensions: (process.env.INBOX_EXTENSIONS ||
+    'png,jpg,jpeg,gif,webp,pdf,txt,log,md,json,csv,yaml,yml,xml,html,diff,patch,zip')
+    .split(',')
+    .map(ext => ext.trim().replace(/^\./, '').toLowerCase())
+    .filter(Boolean),
+};
+
+/**
+ * 文件上传配置（/get 和自动附加图片）
+ */
+export const upload = {
+  // 单个文件或目录打包前的总大小上限（MB）
+  maxBytes: parseFloat(process.env.UPLOAD_MAX_MB || '20') * 1024 * 1024,
+  // 打包目录时跳过的文件或目录名
+  zipExclude: (process.env.UPLOAD_ZIP_EXCLUDE || 'node_modules,.git')
+    .split(',')
+    .map(name => name.trim())
+    .filter(Boolean),
+  // 自动发送 Claude 写入的图片（Write 工具或 Bash 命令生成的图表等），/get auto 可按会话切换
+  autoAttachImages: process.env.AUTO_ATTACH_IMAGES === 'true',
+};
+
+/**
+ * Subagent 消息配置
+ */
+export const subagent = {
+  // 默认转发模式：full（带标签转发全部文本）| collapsed（只发送完成摘要）| off（不转发）
+  mode: process.env.SUBAGENT_MODE || 'full',
+};
+
+/**
+ * 回合结束通知配置
+ */
+export const turn = {
+  // 是否在 Claude 结束一轮回复时发送汇总
+  notify: process.env.TURN_NOTIFY !== 'false',
+  // 最后一条消息后静默多少秒才判定为结束
+  idleSeconds: parseInt(process.env.TURN_IDLE_SECONDS || '5'),
+  // 用时少于多少秒的回合不通知（0 为全部通知）
+  minSeconds: parseInt(process.env.TURN_MIN_SECONDS || '0'),
+};
+
+/**
+ * /watch 实时输出配置
+ */
+export const watch = {
+  // 检查终端变化的间隔（秒），内容无变化时不更新消息；平台限流，最小 2 秒
+  intervalSeconds: Math.max(2, parseInt(process.env.WATCH_INTERVAL_SECONDS || '3')),
+  // 默认跟随时长（秒），/watch <秒数> 可指定
+  timeoutSeconds: parseInt(process.env.WATCH_TIMEOUT_SECONDS || '600'),
+  // 显示终端最后多少行
+  lines: parseInt(process.env.WATCH_LINES || '30'),
+};
+
+/**
+ * 流式回复配置
+ */
+export const stream = {
+  // 先发送占位消息，Claude 的回复随 transcript 写入逐步编辑到同一条消息（超过分片阈值时续写到新消息）
+  enabled: process.env.STREAM_REPLIES === 'true',
+  // 两次编辑的最小间隔（秒），避免平台限流
+  editSeconds: Math.max(1, parseFloat(process.env.STREAM_EDIT_SECONDS || '2')),
+};
+
+/**
+ * Token 用量统计配置
+ */
+export const usage = {
+  // 自定义价格表（JSON，美元 / 百万 token），覆盖内置价格
+  pricingFile: process.env.USAGE_PRICING_FILE || '',
+  // 每日汇总推送时间（HH:MM），为空时不推送
+  summaryTime: process.env.USAGE_SUMMARY_TIME ?? '23:55',
+};
+
+/**
+ * 桥接平台配置
+ */
+export const bridge = {
+  // 同一进程内启用的平台，逗号分隔（如 feishu,discord）；为空时使用入口的默认平台
+  platforms: (process.env.BRIDGE_PLATFORMS || '')
+    .split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(Boolean),
+};
+
+// 解析逗号分隔的列表
+const parseList = value => (value || '').split(',').map(item => item.trim()).filter(Boolean);
+
+/**
+ * 用户授权配置
+ * ID 为飞书 open_id（ou_ 开头）、Discord 用户 ID 或 Discord 角色 ID，逗号分隔
+ */
+
+export const auth = {
+  admins: parseList(process.env.AUTH_ADMINS),
+  operators: parseList(process.env.AUTH_OPERATORS),
+  viewers: parseList(process.env.AUTH_VIEWERS),
+  // 不在名单中的用户的角色：none（拒绝）| viewer | operator | admin
+  // 三个名单都为空时不启用授权，所有人都是 admin（兼容旧配置）
+  defaultRole: (process.env.AUTH_DEFAULT_ROLE || 'none').toLowerCase(),
+};
+
+/**
+ * 危险操作确认配置（/kill、/reset、危险的 ! 命令需要 /confirm <确认码> 或点击按钮后才执行）
+ */
+export const confirm = {
+  // 确认码有效期（秒）
+  timeoutSeconds: parseInt(process.env.CONFIRM_TIMEOUT_SECONDS || '120'),
+};
+
+/**
+ * ! 命令配置（在会话工作目录的独立子进程中执行）
+ */
+export const shell = {
+  // 超时（秒），超时后终止命令及其子进程
+  timeoutSeconds: parseInt(process.env.SHELL_TIMEOUT_SECONDS || '60'),
+  // 保留的输出上限（字符），超过时只保留最后的部分
+  maxOutput: parseInt(process.env.SHELL_MAX_OUTPUT || '20000'),
+  // 允许的命令（逗号分隔，可带子命令，如 git status），为空时不限制
+  allow: parseList(process.env.SHELL_ALLOW),
+  // 禁止的命令（逗号分隔，可带子命令，如 sudo,git push），优先于允许列表
+  deny: parseList(process.env.SHELL_DENY),
+};
+
+/**
+ * 审计日志配置（JSONL，记录入站消息、处理器、按键、! 命令和确认）
+ */
+export const audit = {
+  enabled: process.env.AUDIT_LOG !== 'false',
+  // 日志文件路径，为空时与 SESSION_FILE 同目录
+  file: process.env.AUDIT_LOG_FILE || '',
+  // 单个文件超过多少 MB 时轮转
+  maxSizeMB: parseFloat(process.env.AUDIT_MAX_SIZE_MB || '10'),
+  // 保留的轮转文件数（audit.jsonl.1 … audit.jsonl.N）
+  maxFiles: parseInt(process.env.AUDIT_MAX_FILES || '5'),
+};
+
+/**
+ * 命令历史配置（按会话持久化发送给 Claude 的提示词和 ! 命令）
+ */
+export const history = {
+  // 历史文件路径，为空时与 SESSION_FILE 同目录
+  file: process.env.HISTORY_FILE || '',
+  // 每个会话最多保留的记录数
+  maxEntries: parseInt(process.env.HISTORY_MAX_ENTRIES || '200'),
 };
 
 /**
@@ -140,6 +355,23 @@ export function validateDiscordConfig() {
 export const config = {
   feishu,
   discord,
+  bridge,
+  auth,
+  confirm,
+  shell,
+  audit,
+  history,
+  plan,
+  policy,
+  escalation,
+  activity,
+  inbox,
+  upload,
+  subagent,
+  turn,
+  watch,
+  stream,
+  usage,
   session,
   monitor,
   logger,
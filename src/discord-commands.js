@@ -28,7 +28,10 @@ const commands = [
 
   new SlashCommandBuilder()
     .setName('show')
-    .setDescription('显示当前 tmux 会话输出'),
+    .setDescription('显示当前 tmux 会话输出')
+    .addBooleanOption(option =>
+      option.setName('image').setDescription('渲染为带颜色的终端图片（SVG）').setRequired(false)
+    ),
 
   new SlashCommandBuilder()
     .setName('new')
@@ -47,7 +50,17 @@ const commands = [
 
   new SlashCommandBuilder()
     .setName('history')
-    .setDescription('查看命令历史'),
+    .setDescription('查看当前会话的命令历史')
+    .addStringOption(option =>
+      option.setName('args').setDescription('prompts、shell 或 search <关键词>').setRequired(false)
+    ),
+
+  new SlashCommandBuilder()
+    .setName('redo')
+    .setDescription('重新发送历史中的提示词')
+    .addIntegerOption(option =>
+      option.setName('number').setDescription('历史编号（见 /history）').setRequired(true).setMinValue(1)
+    ),
 
   new SlashCommandBuilder()
     .setName('status')
@@ -59,7 +72,14 @@ const commands = [
 
   new SlashCommandBuilder()
     .setName('watch')
-    .setDescription('实时跟随输出'),
+    .setDescription('实时跟随输出（原地更新同一条消息）')
+    .addIntegerOption(option =>
+      option.setName('seconds').setDescription('最长跟随秒数（默认 WATCH_TIMEOUT_SECONDS）').setMinValue(10).setMaxValue(3600).setRequired(false)
+    ),
+
+  new SlashCommandBuilder()
+    .setName('unwatch')
+    .setDescription('停止实时跟随'),
 
   new SlashCommandBuilder()
     .setName('clear')
@@ -72,6 +92,78 @@ const commands = [
   new SlashCommandBuilder()
     .setName('reset')
     .setDescription('清除 Claude Code context'),
+
+  new SlashCommandBuilder()
+    .setName('audit')
+    .setDescription('查看审计日志（谁向哪个会话发送了什么）')
+    .addIntegerOption(option =>
+      option.setName('count').setDescription('条数（默认 20）').setRequired(false).setMinValue(1).setMaxValue(100)
+    )
+    .addStringOption(option =>
+      option.setName('session').setDescription('只看该会话的记录').setRequired(false)
+    ),
+
+  new SlashCommandBuilder()
+    .setName('confirm')
+    .setDescription('确认执行待确认的危险操作（/kill、/reset、危险的 ! 命令）')
+    .addStringOption(option =>
+      option.setName('nonce').setDescription('确认消息中的确认码').setRequired(true)
+    ),
+
+  new SlashCommandBuilder()
+    .setName('cancel')
+    .setDescription('取消待确认的危险操作')
+    .addStringOption(option =>
+      option.setName('nonce').setDescription('确认消息中的确认码').setRequired(true)
+    ),
+
+  new SlashCommandBuilder()
+    .setName('plan')
+    .setDescription('查看计划（分页 / .md 附件）和修订历史')
+    .addStringOption(option =>
+      option.setName('args').setDescription('页码、file、history 或 history <编号>').setRequired(false)
+    ),
+
+  new SlashCommandBuilder()
+    .setName('pending')
+    .setDescription('列出所有会话等待回复的交互'),
+
+  new SlashCommandBuilder()
+    .setName('usage')
+    .setDescription('查看 token 用量和估算费用')
+    .addStringOption(option =>
+      option.setName('session').setDescription('会话名称（默认全部会话）').setRequired(false)
+    )
+    .addStringOption(option =>
+      option.setName('range').setDescription('统计范围').setRequired(false)
+        .addChoices({ name: '今天', value: 'today' }, { name: '最近 7 天', value: 'week' })
+    ),
+
+  new SlashCommandBuilder()
+    .setName('verbose')
+    .setDescription('设置当前会话的工具活动摘要')
+    .addStringOption(option =>
+      option.setName('level').setDescription('详细程度（默认查看当前设置）').setRequired(false)
+        .addChoices(
+          { name: '关闭', value: 'off' },
+          { name: '汇总', value: 'summary' },
+          { name: '详细', value: 'detail' }
+        )
+    ),
+
+  new SlashCommandBuilder()
+    .setName('agents')
+    .setDescription('查看子代理，静音或折叠子代理消息')
+    .addStringOption(option =>
+      option.setName('args').setDescription('mute <编号|all>、unmute <编号|all> 或 mode full|collapsed|off').setRequired(false)
+    ),
+
+  new SlashCommandBuilder()
+    .setName('get')
+    .setDescription('发送会话工作目录内的文件（目录打包为 ZIP）')
+    .addStringOption(option =>
+      option.setName('path').setDescription('文件或目录路径，或 auto on|off').setRequired(true)
+    ),
 ];
 
 /**
@@ -4,8 +4,22 @@
  * Version: 1.0.0
  */
 
+import path from 'path';
 import TmuxSession from '../tmux/session.js';
-import { validateTabArgs, isConfirmationWord, isCancellationWord, getConfirmationKeyType } from '../utils/validator.js';
+import { TmuxCommander } from '../tmux/commander.js';
+import { validateTabArgs, isConfirmationWord, isCancellationWord, getConfirmationKeyType, parseQuestionAnswers } from '../utils/validator.js';
+import { QUESTION_KEYS } from '../config/constants.js';
+import { config } from '../config/index.js';
+import { readPlanFile, writePlanFile, paginatePlan, replacePlanSection, appendPlanRevision, parseRevision } from '../utils/plan-file.js';
+import { PromptType, PromptLabels } from '../monitor/escalation.js';
+import { ActivityLevel } from '../monitor/activity-feed.js';
+import { SubagentMode } from '../monitor/subagents.js';
+import { LiveWatch, WatchStopReason } from '../monitor/live-watch.js';
+import { checkAttachment, detectImageExtension, saveToInbox, formatSize } from '../utils/inbox.js';
+import { resolveProjectPath, prepareUpload } from '../utils/upload.js';
+import { renderAnsiToSvg, renderAnsiToPng } from '../utils/ansi-render.js';
+import { getAuditLog, formatAuditRecord } from '../utils/audit-log.js';
+import { HistoryType } from '../utils/command-history.js';
 import Logger from '../utils/logger.js';
 
 /**
@@ -24,6 +38,15 @@ class CommandContext {
   }
 }
 
+/**
+ * 获取当前会话的 transcript 监控器（每个 tmux 会话由 MonitorPool 独立监控）
+ * @param {Object} ctx - 命令上下文
+ * @returns {Object|null}
+ */
+function getTranscriptMonitor(ctx) {
+  return ctx.monitorPool?.get(ctx.currentSession.value) || null;
+}
+
 /**
  * /switch 命令 - 列出所有 tmux 会话
  */
@@ -44,20 +67,21 @@ export async function handleSwitchList(ctx) {
     }
 
     let message = `📋 **tmux 会话列表** (${sessions.length}个)\n\n`;
-    message += `📍 当前监控: **${ctx.currentSession.value}**\n\n`;
+    message += `📍 当前会话: **${ctx.currentSession.value}**\n\n`;
 
     for (let i = 0; i < sessions.length; i++) {
       const session = sessions[i];
       const isCurrent = session === ctx.currentSession.value;
       const workingDir = await TmuxSession.getWorkingDir(session);
       const dirDisplay = workingDir ? workingDir.replace(/^\/home\/ubuntu\//, '~/') : 'unknown';
-      const status = isCurrent ? '🟢 当前' : '';
+      const isMonitored = ctx.monitorPool?.has(session);
+      const status = [isCurrent ? '🟢 当前' : '', isMonitored ? '👁️ 监控中' : ''].filter(Boolean).join(' ');
 
       message += `**${session}** ${status}\n`;
       message += `└─ 📁 \`${dirDisplay}\`\n\n`;
     }
 
-    message += `💡 使用 \`/switch <名字>\` 切换监控目标`;
+    message += `💡 使用 \`/switch <名字>\` 切换当前会话，或用 \`@<名字> <消息>\` 直接回复其他会话`;
 
     await ctx.sendText(message);
   } catch (error) {
@@ -97,24 +121,20 @@ export async function handleSwitchTo(ctx, sessionName) {
     ctx.commander.setSession(sessionName);
     await ctx.sessionManager.save(sessionName);
 
-    // 获取新 session 的工作目录，用于更新 transcript 监控路径
-    const workingDir = await TmuxSession.getWorkingDir(sessionName);
-    if (ctx.transcriptMonitor) {
-      // 更新 tmux session 名称
-      ctx.transcriptMonitor.setTmuxSession(sessionName);
-      // 更新 transcript 监控器的项目路径
-      if (workingDir) {
-        ctx.transcriptMonitor.updateProjectPath(workingDir);
-        Logger.transcript(`Transcript 监控路径更新为: ${workingDir}`);
-      }
+    // 所有会话都由监控池独立监控，切换只改变默认回复目标
+    // 刚创建的会话可能还未被同步到监控池
+    if (ctx.monitorPool && !ctx.monitorPool.has(sessionName)) {
+      await ctx.monitorPool.sync();
     }
 
+    const workingDir = await TmuxSession.getWorkingDir(sessionName);
+
     await ctx.sendText(
-      `✅ 已切换监控目标\n\n` +
+      `✅ 已切换当前会话\n\n` +
       `从: ${oldSession}\n` +
       `到: **${sessionName}**${workingDir ? `\n\n📁 工作目录: ${workingDir}` : ''}`
     );
-    Logger.tmux(`切换监控: ${oldSession} -> ${sessionName}`);
+    Logger.tmux(`切换当前会话: ${oldSession} -> ${sessionName}`);
   } catch (error) {
     Logger.error(`切换会话失败: ${error.message}`);
     await ctx.sendText(`❌ 切换会话失败: ${error.message}`);
@@ -187,7 +207,11 @@ function cleanContent(content, maxLines = 50) {
 /**
  * /show 命令 - 显示当前进度
  */
-export async function handleShow(ctx) {
+export async function handleShow(ctx, args = '') {
+  if (/^(--image|-i|image)$/i.test(args.trim())) {
+    return handleShowImage(ctx);
+  }
+
   try {
     // 捕获更多行以确保获取到最新输出
     const content = await ctx.commander.capture(500);
@@ -204,6 +228,44 @@ export async function handleShow(ctx) {
   }
 }
 
+/**
+ * /show --image 命令 - 把终端可见区域（带颜色）渲染为 PNG 图片发送，保留框线、颜色和中文宽字符的对齐
+ */
+async function handleShowImage(ctx) {
+  const sessionName = ctx.currentSession.value;
+
+  try {
+    const content = await ctx.commander.capture(0, { escapes: true });
+    if (!content.trim()) {
+      await ctx.sendText('❌ 终端内容为空');
+      return;
+    }
+
+    const now = new Date();
+    const time = now.toTimeString().slice(0, 8);
+    const title = `${sessionName} · ${time}`;
+    const baseName = `${sessionName}-${time.replace(/:/g, '')}`;
+    const sendOptions = { caption: `📺 **当前会话: ${sessionName}**`, session: sessionName };
+
+    let result;
+    try {
+      const png = await renderAnsiToPng(content, { title });
+      result = await ctx.messenger.sendImage(`${baseName}.png`, png, sendOptions);
+    } catch (error) {
+      // 光栅化不可用（未安装 @resvg/resvg-js）时退回 SVG 文件
+      Logger.warn(`终端截图转换为 PNG 失败，改为发送 SVG 文件: ${error.message}`);
+      const svg = renderAnsiToSvg(content, { title });
+      result = await ctx.messenger.sendFile(`${baseName}.svg`, Buffer.from(svg, 'utf-8'), sendOptions);
+    }
+    if (!result?.success) {
+      await ctx.sendText(`❌ 发送终端图片失败: ${result?.error || '未知错误'}\n\n💡 可使用 \`/show\` 查看文本内容`);
+    }
+  } catch (error) {
+    Logger.error(`/show --image 失败: ${error.message}`);
+    await ctx.sendText(`❌ /show --image 失败: ${error.message}`);
+  }
+}
+
 /**
  * /new 命令 - 创建新项目目录和 tmux 会话
  * 用法: /new <project-name>
@@ -281,11 +343,16 @@ export async function handleNew(ctx, projectName) {
       return;
     }
 
+    // 立即开始监控新会话
+    if (ctx.monitorPool) {
+      await ctx.monitorPool.sync();
+    }
+
     await ctx.sendText(
       `✅ 已创建新项目\n\n` +
       `📁 项目目录: ${newProjectDir}\n` +
       `🖥️  Session 名称: **${projectName}**\n\n` +
-      `💡 使用 \`/switch ${projectName}\` 切换到新会话`
+      `💡 使用 \`/switch ${projectName}\` 切换到新会话，或用 \`@${projectName} <消息>\` 直接发送`
     );
     Logger.tmux(`创建新项目: ${projectName} -> ${newProjectDir}`);
   } catch (error) {
@@ -295,7 +362,7 @@ export async function handleNew(ctx, projectName) {
 }
 
 /**
- * /kill 命令 - 杀掉当前 tmux 会话
+ * /kill 命令 - 杀掉当前 tmux 会话（由路由器在 /confirm 确认后调用）
  */
 export async function handleKill(ctx) {
   try {
@@ -308,33 +375,27 @@ export async function handleKill(ctx) {
       return;
     }
 
-    if (sessions.length === 1) {
-      await ctx.sendText(
-        '⚠️ 这是最后一个会话，杀掉后将无法监控\n\n' +
-        '确定要杀掉吗？发送 `yes` 确认'
-      );
-      return;
-    }
-
     const killedSession = ctx.currentSession.value;
 
     await TmuxSession.kill(killedSession);
 
-    // 切换到第一个可用会话
+    // 停止已杀掉会话的监控
+    if (ctx.monitorPool) {
+      ctx.monitorPool.remove(killedSession);
+    }
+
+    // 只有杀掉全局当前会话时才切换到第一个可用会话（@会话 /kill、会话线程中的 /kill 可能杀掉其他会话）
+    // ctx 可能是会话上下文的副本，全局当前会话和 commander 通过路由器修改
+    const router = ctx.router;
     const { sessions: remainingSessions } = await TmuxSession.list();
     const newSession = remainingSessions[0] || null;
 
-    if (newSession) {
-      ctx.currentSession.value = newSession;
-      ctx.commander.setSession(newSession);
-      await ctx.sessionManager.save(newSession);
+    if (killedSession !== router.getCurrentSession()) {
+      await ctx.sendText(`✅ 已杀掉会话: ${killedSession}\n\n📍 当前会话仍为: **${router.getCurrentSession()}**`);
+    } else if (newSession) {
+      await router.setCurrentSession(newSession);
 
-      // 获取新 session 的工作目录，用于更新 transcript 监控路径
       const workingDir = await TmuxSession.getWorkingDir(newSession);
-      if (workingDir && ctx.transcriptMonitor) {
-        ctx.transcriptMonitor.updateProjectPath(workingDir);
-        Logger.transcript(`Transcript 监控路径更新为: ${workingDir}`);
-      }
 
       await ctx.sendText(
         `✅ 已杀掉会话: ${killedSession}\n\n` +
@@ -344,7 +405,7 @@ export async function handleKill(ctx) {
       await ctx.sendText(`✅ 已杀掉会话: ${killedSession}\n\n⚠️ 没有剩余会话，请创建新会话`);
     }
 
-    Logger.tmux(`杀掉会话: ${killedSession}, 当前: ${ctx.currentSession.value}`);
+    Logger.tmux(`杀掉会话: ${killedSession}, 当前: ${router.getCurrentSession()}`);
   } catch (error) {
     Logger.error(`/kill 命令失败: ${error.message}`);
     await ctx.sendText(`❌ /kill 命令失败: ${error.message}`);
@@ -358,29 +419,104 @@ export async function handleHelp(ctx) {
   return ctx.messenger.sendHelp();
 }
 
+// /history 列出的条数
+const HISTORY_PAGE_SIZE = 20;
+
+/**
+ * 格式化一条命令历史（单行预览）
+ * @param {{id: number, time: number, type: string, text: string}} entry - 历史记录
+ * @returns {string}
+ */
+function formatHistoryEntry(entry) {
+  const time = new Date(entry.time);
+  const pad = n => String(n).padStart(2, '0');
+  const stamp = `${pad(time.getMonth() + 1)}-${pad(time.getDate())} ${pad(time.getHours())}:${pad(time.getMinutes())}`;
+  const oneLine = entry.text.replace(/\s+/g, ' ').trim();
+  const preview = oneLine.length > 120 ? `${oneLine.slice(0, 120)}…` : oneLine;
+  const text = entry.type === HistoryType.SHELL ? `\`!${preview}\`` : preview;
+  return `**#${entry.id}** ${entry.type === HistoryType.SHELL ? '💻' : '💬'} \`${stamp}\` ${text}`;
+}
+
 /**
- * /history 命令 - 查看命令历史
+ * /history 命令 - 查看当前会话的命令历史
+ * 用法: /history [prompts|shell]、/history search <关键词>
  */
-export async function handleHistory(ctx) {
+export async function handleHistory(ctx, args = '') {
+  const sessionName = ctx.currentSession.value;
+  if (!sessionName) {
+    await ctx.sendText('⚠️ 没有当前会话');
+    return;
+  }
+
+  const [subcommand = '', ...rest] = (args || '').trim().split(/\s+/);
+  const typeFilters = { prompts: HistoryType.PROMPT, prompt: HistoryType.PROMPT, shell: HistoryType.SHELL };
+
   try {
-    const history = ctx.sessionManager.getHistory();
-    if (history.length === 0) {
-      await ctx.sendText('📜 **命令历史**\n\n暂无历史记录');
+    let entries;
+    let title;
+    if (subcommand === 'search') {
+      const term = rest.join(' ');
+      if (!term) {
+        await ctx.sendText('⚠️ 用法: /history search <关键词>');
+        return;
+      }
+      entries = ctx.sessionManager.searchHistory(sessionName, term);
+      title = `🔍 **命令历史搜索**「${term}」（${entries.length} 条匹配）`;
+    } else if (!subcommand || typeFilters[subcommand]) {
+      const type = typeFilters[subcommand] || null;
+      entries = ctx.sessionManager.getHistory(sessionName, type);
+      const label = type === HistoryType.PROMPT ? '提示词' : type === HistoryType.SHELL ? '! 命令' : '命令历史';
+      title = `📜 **${label}** · ${sessionName}`;
+    } else {
+      await ctx.sendText('⚠️ 用法: /history [prompts|shell] 或 /history search <关键词>');
       return;
     }
 
-    let message = '📜 **命令历史** (最近 20 条)\n\n';
-    history.slice(-20).forEach((cmd, idx) => {
-      message += `${idx + 1}. ${cmd}\n`;
-    });
+    if (entries.length === 0) {
+      await ctx.sendText(`${title}\n\n暂无历史记录`);
+      return;
+    }
 
-    await ctx.sendText(message);
+    const shown = entries.slice(-HISTORY_PAGE_SIZE);
+    let message = `${title}${entries.length > shown.length ? `（最近 ${shown.length} 条）` : ''}\n\n`;
+    message += shown.map(formatHistoryEntry).join('\n');
+    message += '\n\n💡 `/redo <编号>` 重新发送提示词';
+
+    await ctx.sendText(message, { skipDedup: true });
   } catch (error) {
     Logger.error(`/history 命令失败: ${error.message}`);
     await ctx.sendText(`❌ /history 命令失败: ${error.message}`);
   }
 }
 
+/**
+ * /redo 命令 - 重新发送当前会话历史中的提示词
+ * 用法: /redo <编号>（编号见 /history）
+ */
+export async function handleRedo(ctx, args = '') {
+  const sessionName = ctx.currentSession.value;
+  const id = parseInt((args || '').trim());
+  if (!Number.isInteger(id) || id < 1) {
+    await ctx.sendText('⚠️ 用法: /redo <编号>（编号见 /history）');
+    return;
+  }
+
+  const entry = ctx.sessionManager.getHistoryEntry(sessionName, id);
+  if (!entry) {
+    await ctx.sendText(`⚠️ 会话 ${sessionName} 没有编号为 #${id} 的历史记录`);
+    return;
+  }
+
+  // ! 命令需要重新经过策略检查和确认，不在这里直接执行
+  if (entry.type === HistoryType.SHELL) {
+    await ctx.sendText(`⚠️ #${id} 是 ! 命令，请重新发送 \`!${entry.text}\``);
+    return;
+  }
+
+  Logger.info(`重新发送历史提示词 #${id}`);
+  await handleSendText(ctx, entry.text);
+}
+
 /**
  * /status 命令 - 显示详细状态信息
  */
@@ -393,14 +529,16 @@ export async function handleStatus(ctx, monitorState) {
     message += `**当前会话**: ${ctx.currentSession.value}\n`;
     message += `**监控状态**: ${monitorState || 'idle'}\n`;
     message += `**缓冲区大小**: ${buffer.size()} 字符\n`;
-    message += `**会话总数**: ${sessions.length}\n\n`;
+    message += `**会话总数**: ${sessions.length}\n`;
+    message += `**监控会话数**: ${ctx.monitorPool ? ctx.monitorPool.getSessions().length : 0}\n\n`;
 
     // 列出所有会话
     if (sessions.length > 0) {
       message += '**可用会话**:\n';
       for (const session of sessions) {
         const isCurrent = session === ctx.currentSession.value;
-        message += `${isCurrent ? '🟢' : '⚪'} ${session}\n`;
+        const isMonitored = ctx.monitorPool?.has(session);
+        message += `${isCurrent ? '🟢' : '⚪'} ${session}${isMonitored ? ' 👁️' : ''}\n`;
       }
     }
 
@@ -435,19 +573,90 @@ export async function handleConfig(ctx) {
 
 /**
  * /watch 命令 - 实时跟随输出
+ * 发送一条消息并在终端内容变化时原地编辑，直到超时、/unwatch 或 Claude 结束本轮回复
+ * 用法: /watch [秒数]
  */
-export async function handleWatch(ctx) {
+export async function handleWatch(ctx, args = '') {
+  const sessionName = ctx.currentSession.value;
+  const arg = (args || '').trim();
+
+  if (arg && !/^\d+$/.test(arg)) {
+    await ctx.sendText('❌ 用法: `/watch [秒数]`\n\n示例: `/watch 300` 跟随 5 分钟');
+    return;
+  }
+
+  const seconds = Math.min(arg ? parseInt(arg) : config.watch.timeoutSeconds, 3600);
+  if (seconds < 10) {
+    await ctx.sendText('❌ 跟随时长至少 10 秒');
+    return;
+  }
+
   try {
-    const content = await ctx.commander.capture(200);
-    const cleaned = ctx.sessionManager.buffer.getCleanedContent(5000);
+    const monitor = getTranscriptMonitor(ctx);
+    if (!monitor) {
+      // 未被监控的会话无法保存跟随状态，只发送一次快照
+      const cleaned = cleanContent(await ctx.commander.capture(200), config.watch.lines);
+      await ctx.sendText(`👁️ **当前输出**\n\n\`\`\`\n${cleaned}\n\`\`\`\n\n💡 会话未被监控，无法实时跟随`, { skipDedup: true });
+      return;
+    }
+
+    // 同一会话重新 /watch 时替换之前的跟随
+    if (monitor.liveWatch) {
+      await monitor.liveWatch.stop(WatchStopReason.CANCELLED);
+    }
+
+    // 主聊天的 ctx.commander 是共享的，/switch 会切换它的目标会话，跟随固定使用本会话的 commander
+    const watch = new LiveWatch({
+      messenger: ctx.messenger,
+      commander: new TmuxCommander(sessionName),
+      session: sessionName,
+      format: content => cleanContent(content, config.watch.lines),
+      intervalMs: config.watch.intervalSeconds * 1000,
+      timeoutMs: seconds * 1000,
+      maxLength: ctx.messenger.editThreshold || ctx.messenger.splitThreshold,
+      onStop: () => {
+        if (monitor.liveWatch === watch) {
+          monitor.liveWatch = null;
+        }
+      },
+    });
+
+    const result = await watch.start();
+    if (!result.success) {
+      await ctx.sendText(`❌ 无法实时跟随: ${result.error}`);
+      return;
+    }
+    monitor.liveWatch = watch;
 
-    await ctx.sendText(`👁️ **实时输出**\n\n\`\`\`\n${cleaned}\n\`\`\`\n\n💡 使用 /show 查看更多内容`);
+    await ctx.sendText(
+      `👁️ 已开始实时跟随 **${sessionName}**（最长 ${seconds} 秒，Claude 结束本轮回复后自动停止）\n\n💡 使用 /unwatch 停止`,
+      { skipDedup: true }
+    );
   } catch (error) {
     Logger.error(`/watch 命令失败: ${error.message}`);
     await ctx.sendText(`❌ /watch 命令失败: ${error.message}`);
   }
 }
 
+/**
+ * /unwatch 命令 - 停止实时跟随
+ */
+export async function handleUnwatch(ctx) {
+  try {
+    const monitor = getTranscriptMonitor(ctx);
+    if (!monitor?.liveWatch) {
+      await ctx.sendText('📭 当前会话没有实时跟随');
+      return;
+    }
+
+    await monitor.liveWatch.stop(WatchStopReason.CANCELLED);
+    await ctx.sendText('⏹️ 已停止实时跟随', { skipDedup: true });
+  } catch (error) {
+    Logger.error(`/unwatch 命令失败: ${error.message}`);
+    await ctx.sendText(`❌ /unwatch 命令失败: ${error.message}`);
+  }
+}
+
 /**
  * /clear 命令 - 清空缓冲区
  */
@@ -498,7 +707,47 @@ export async function handleDedupStats(ctx) {
 }
 
 /**
- * /reset 命令 - 清除 Claude Code 的 context window
+ * /audit 命令 - 查看审计日志（谁在什么时候向哪个会话做了什么）
+ * 用法: /audit [条数] [会话]，条数默认 20、最多 100
+ */
+export async function handleAudit(ctx, args = '') {
+  let limit = 20;
+  let session = '';
+  for (const part of (args || '').trim().split(/\s+/).filter(Boolean)) {
+    if (/^\d+$/.test(part)) {
+      limit = Math.min(Math.max(parseInt(part), 1), 100);
+    } else {
+      session = part;
+    }
+  }
+
+  try {
+    const auditLog = getAuditLog();
+    if (!auditLog.enabled) {
+      await ctx.sendText('📭 审计日志未启用（AUDIT_LOG=false）');
+      return;
+    }
+
+    const records = auditLog.query({ limit, session });
+    if (records.length === 0) {
+      await ctx.sendText(`📭 没有${session ? `会话 ${session} 的` : ''}审计记录`);
+      return;
+    }
+
+    await ctx.sendText(
+      `📜 **审计日志**（最近 ${records.length} 条${session ? `，会话 ${session}` : ''}）\n\n` +
+      `${records.map(formatAuditRecord).join('\n')}\n\n` +
+      `📁 ${auditLog.file}`,
+      { skipDedup: true }
+    );
+  } catch (error) {
+    Logger.error(`/audit 命令失败: ${error.message}`);
+    await ctx.sendText(`❌ /audit 命令失败: ${error.message}`);
+  }
+}
+
+/**
+ * /reset 命令 - 清除 Claude Code 的 context window（由路由器在 /confirm 确认后调用）
  * 相当于向 Claude Code 发送 /clear 命令
  * 同时重置 transcript 监控以检测新 session
  */
@@ -510,8 +759,9 @@ export async function handleReset(ctx) {
     await ctx.commander.sendCommand('/clear');
 
     // 重置 transcript 监控，以便检测新创建的 session
-    if (ctx.transcriptMonitor) {
-      ctx.transcriptMonitor.reset();
+    const transcriptMonitor = getTranscriptMonitor(ctx);
+    if (transcriptMonitor) {
+      transcriptMonitor.reset();
       Logger.transcript('Transcript 监控已重置，等待新 session 创建');
     }
 
@@ -569,6 +819,588 @@ export async function handleNumberSelect(ctx, number) {
   }
 }
 
+/**
+ * 获取当前会话待回答的 AskUserQuestion 问题
+ * @param {Object} ctx - 命令上下文
+ * @returns {{toolUseId: string, questions: Array}|null}
+ */
+export function getPendingQuestions(ctx) {
+  return getTranscriptMonitor(ctx)?.pendingQuestions || null;
+}
+
+/**
+ * 处理多问题回答（`1:2 2:1,3 3:自定义文本`）
+ * 转换为 Claude Code 多问题界面的按键：逐题移动到选项并选中，最后确认提交
+ */
+export async function handleAnswerQuestions(ctx, content) {
+  const monitor = getTranscriptMonitor(ctx);
+  const pending = monitor?.pendingQuestions;
+  if (!pending) {
+    await ctx.sendText('❌ 当前会话没有待回答的问题');
+    return;
+  }
+
+  const { questions } = pending;
+  const result = parseQuestionAnswers(content, questions);
+  if (!result.isValid) {
+    await ctx.sendText(`❌ ${result.error}\n\n用法: \`1:2 2:1,3\`，多选用逗号分隔，选项之外的答案直接写文本`);
+    return;
+  }
+
+  try {
+    const pressKey = async (key, times = 1) => {
+      for (let i = 0; i < times; i++) {
+        await ctx.commander.sendKey(key);
+        await new Promise(r => setTimeout(r, 50));
+      }
+    };
+
+    Logger.tmux(`回答 ${questions.length} 个问题: ${content}`);
+
+    // 每题开始时光标位于第 1 个选项，「其他」位于所有选项之后
+    for (let i = 0; i < questions.length; i++) {
+      const question = questions[i];
+      const answer = result.answers[i];
+
+      if (answer.text) {
+        await pressKey(QUESTION_KEYS.NEXT_OPTION, question.options.length);
+        await ctx.commander.sendText(answer.text);
+        await pressKey(QUESTION_KEYS.SELECT);
+      } else if (question.multiSelect) {
+        let position = 1;
+        for (const choice of answer.choices) {
+          await pressKey(QUESTION_KEYS.NEXT_OPTION, choice - position);
+          await pressKey(QUESTION_KEYS.TOGGLE);
+          position = choice;
+        }
+        await pressKey(QUESTION_KEYS.NEXT_QUESTION);
+      } else {
+        await pressKey(QUESTION_KEYS.NEXT_OPTION, answer.choices[0] - 1);
+        await pressKey(QUESTION_KEYS.SELECT);
+      }
+
+      await new Promise(r => setTimeout(r, 200));
+    }
+
+    // 多个问题回答完后进入确认页
+    if (questions.length > 1) {
+      await pressKey(QUESTION_KEYS.SUBMIT);
+    }
+
+    monitor.pendingQuestions = null;
+
+    const summary = questions.map((question, i) => {
+      const answer = result.answers[i];
+      const value = answer.text || answer.choices.map(c => question.options[c - 1].label).join('、');
+      return `${i + 1}. ${question.header || question.text}: ${value}`;
+    }).join('\n');
+    await ctx.sendText(`✅ 已提交回答：\n\n${summary}`);
+  } catch (error) {
+    Logger.error(`回答问题失败: ${error.message}`);
+    await ctx.sendText(`❌ 回答问题失败: ${error.message}`);
+  }
+}
+
+/**
+ * 获取当前会话待确认的计划
+ * @param {Object} ctx - 命令上下文
+ * @returns {{planFilePath: string, fullPath: string, options: Array}|null}
+ */
+export function getPendingPlan(ctx) {
+  return getTranscriptMonitor(ctx)?.pendingPlan || null;
+}
+
+/**
+ * 发送计划附件，平台不支持附件时降级为分页文本
+ */
+async function sendPlanFile(ctx, fileName, content, caption) {
+  const result = await ctx.messenger.sendFile(fileName, content, { caption, session: ctx.currentSession.value });
+  if (!result?.success) {
+    const pages = paginatePlan(content, config.plan.pageSize);
+    await ctx.sendText(`${caption}\n\n⚠️ 附件发送失败（${result?.error || '未知错误'}），以下为第 1/${pages.length} 页：\n\n${pages[0]}`);
+  }
+}
+
+/**
+ * /plan 命令 - 查看计划和修订历史
+ * - /plan [页码]：分页查看待确认的计划（没有待确认计划时查看最新修订）
+ * - /plan file：以 .md 附件发送完整计划
+ * - /plan history：列出当前会话的计划修订
+ * - /plan history <编号>：以 .md 附件发送指定修订
+ */
+export async function handlePlan(ctx, args) {
+  const sessionName = ctx.currentSession.value;
+  const planHistory = ctx.monitorPool?.planHistory;
+  const parts = (args || '').trim().split(/\s+/).filter(Boolean);
+
+  try {
+    if (parts[0] === 'history') {
+      const revisions = planHistory?.list(sessionName) || [];
+      if (revisions.length === 0) {
+        await ctx.sendText(`📭 会话 ${sessionName} 没有计划修订记录`);
+        return;
+      }
+
+      if (parts[1]) {
+        const revision = planHistory.get(sessionName, parseInt(parts[1]));
+        if (!revision) {
+          await ctx.sendText(`❌ 修订 #${parts[1]} 不存在`);
+          return;
+        }
+        await sendPlanFile(ctx, `plan-${sessionName}-r${revision.id}.md`, revision.content,
+          `📄 计划修订 #${revision.id} (${new Date(revision.time).toLocaleString('zh-CN')})`);
+        return;
+      }
+
+      const sourceLabels = { claude: 'Claude 生成', revise: '修订要求', section: '替换章节' };
+      let message = `📜 **计划修订历史** (${sessionName}，共 ${revisions.length} 条)\n\n`;
+      for (const revision of revisions) {
+        const time = new Date(revision.time).toLocaleString('zh-CN', { hour12: false });
+        const note = revision.note ? `: ${revision.note.slice(0, 60)}` : '';
+        message += `#${revision.id} ${time} ${sourceLabels[revision.source] || revision.source}${note} (${revision.content.length} 字符)\n`;
+      }
+      message += `\n💡 \`/plan history <编号>\` 获取指定修订的 .md 文件`;
+      await ctx.sendText(message);
+      return;
+    }
+
+    // 优先读取待确认的计划文件（可能已在终端中修改），否则使用最新修订
+    const pending = getPendingPlan(ctx);
+    let content = null;
+    let fileName = `plan-${sessionName}.md`;
+    if (pending) {
+      const plan = readPlanFile(pending.planFilePath);
+      if (plan.success) {
+        content = plan.content;
+        fileName = path.basename(plan.fullPath);
+      }
+    }
+    if (content === null) {
+      content = planHistory?.get(sessionName)?.content ?? null;
+    }
+    if (content === null) {
+      await ctx.sendText(`📭 会话 ${sessionName} 没有计划`);
+      return;
+    }
+
+    if (parts[0] === 'file') {
+      await sendPlanFile(ctx, fileName, content, `📄 完整计划 (${content.length} 字符)`);
+      return;
+    }
+
+    const pages = paginatePlan(content, config.plan.pageSize);
+    const page = parts[0] ? parseInt(parts[0]) : 1;
+    if (isNaN(page) || page < 1 || page > pages.length) {
+      await ctx.sendText(`❌ 页码必须在 1-${pages.length} 之间\n\n用法: \`/plan [页码]\`、\`/plan file\`、\`/plan history\``);
+      return;
+    }
+
+    let message = `📄 **计划** (第 ${page}/${pages.length} 页)\n\n${pages[page - 1]}`;
+    if (page < pages.length) {
+      message += `\n\n💡 回复 \`/plan ${page + 1}\` 查看下一页`;
+    }
+    await ctx.sendText(message);
+  } catch (error) {
+    Logger.error(`/plan 命令失败: ${error.message}`);
+    await ctx.sendText(`❌ /plan 命令失败: ${error.message}`);
+  }
+}
+
+/**
+ * 处理计划修改（`revise: …` 修订要求或以 Markdown 标题开头的替换章节）
+ * 修改写入计划文件后选择继续执行的选项，Claude Code 会按修改后的计划执行
+ */
+export async function handlePlanEdit(ctx, content) {
+  const monitor = getTranscriptMonitor(ctx);
+  const pending = monitor?.pendingPlan;
+  if (!pending) {
+    await ctx.sendText('❌ 当前会话没有待确认的计划');
+    return;
+  }
+
+  try {
+    const plan = readPlanFile(pending.planFilePath);
+    if (!plan.success) {
+      await ctx.sendText(`❌ 无法修改计划: ${plan.error}`);
+      return;
+    }
+
+    let updated;
+    let revision;
+    const instruction = parseRevision(content);
+    if (instruction) {
+      updated = appendPlanRevision(plan.content, instruction);
+      revision = { source: 'revise', note: instruction };
+    } else {
+      const result = replacePlanSection(plan.content, content);
+      updated = result.content;
+      revision = { source: 'section', note: `${result.replaced ? '替换' : '追加'} ${result.heading}` };
+    }
+
+    const writeResult = writePlanFile(plan.fullPath, updated);
+    if (!writeResult.success) {
+      await ctx.sendText(`❌ 写入计划文件失败: ${writeResult.error}`);
+      return;
+    }
+
+    const revisionId = ctx.monitorPool?.planHistory?.add(ctx.currentSession.value, {
+      ...revision,
+      planFilePath: pending.planFilePath,
+      content: updated,
+    });
+    Logger.transcript(`计划已修改: ${revision.note} (${plan.fullPath})`);
+
+    // 选择继续执行的选项（配置优先，否则第一个 "Yes" 选项）
+    const option = pending.options.find(opt => opt.num === config.plan.continueOption) ||
+      pending.options.find(opt => /^yes/i.test(opt.label)) ||
+      pending.options[0];
+    if (!option) {
+      await ctx.sendText(`✅ 计划已更新${revisionId ? `（修订 #${revisionId}）` : ''}，未找到继续选项，请手动选择`);
+      return;
+    }
+
+    await ctx.commander.sendCommand(String(option.num));
+    monitor.pendingPlan = null;
+
+    await ctx.sendText(`✅ 计划已更新${revisionId ? `（修订 #${revisionId}）` : ''}：${revision.note.slice(0, 100)}\n\n▶️ 已选择 ${option.num}. ${option.label}`);
+  } catch (error) {
+    Logger.error(`修改计划失败: ${error.message}`);
+    await ctx.sendText(`❌ 修改计划失败: ${error.message}`);
+  }
+}
+
+/**
+ * /pending 命令 - 列出所有会话中等待回复的交互（问题、计划确认、工具权限）和回复方式
+ */
+export async function handlePending(ctx) {
+  try {
+    const prompts = ctx.monitorPool?.getPendingPrompts() || [];
+    if (prompts.length === 0) {
+      await ctx.sendText('📭 当前没有等待回复的交互');
+      return;
+    }
+
+    const now = Date.now();
+    let message = `📬 **等待回复的交互** (${prompts.length})\n\n`;
+
+    prompts.forEach((prompt, index) => {
+      const minutes = Math.floor((now - prompt.notifiedAt) / 60000);
+      const waited = minutes > 0 ? `${minutes} 分钟前` : '刚刚';
+      const current = prompt.session === ctx.currentSession.value ? '（当前会话）' : '';
+
+      message += `**${index + 1}. [${prompt.session}]${current} ${PromptLabels[prompt.type] || '交互'}** · ${waited}\n`;
+      if (prompt.title) {
+        message += `${prompt.title}\n`;
+      }
+      if (prompt.text) {
+        const text = prompt.text.length > 200 ? prompt.text.substring(0, 200) + '…' : prompt.text;
+        message += `${text}\n`;
+      }
+      if (prompt.options.length > 0) {
+        message += `选项: ${prompt.options.map(opt => `${opt.num}. ${opt.label}`).join(' / ')}\n`;
+      }
+
+      // 回复方式：@会话 前缀发送到对应会话，无需切换
+      if (prompt.multiQuestion) {
+        message += `💡 回复 \`@${prompt.session} 1:选项 2:选项\`\n`;
+      } else if (prompt.type === PromptType.PLAN) {
+        message += `💡 回复 \`@${prompt.session} <编号>\` 或 \`@${prompt.session} revise: 修改意见\`\n`;
+      } else {
+        message += `💡 回复 \`@${prompt.session} <编号>\`\n`;
+      }
+      message += '\n';
+    });
+
+    await ctx.sendText(message.trimEnd());
+  } catch (error) {
+    Logger.error(`/pending 失败: ${error.message}`);
+    await ctx.sendText(`❌ 获取待回复交互失败: ${error.message}`);
+  }
+}
+
+/**
+ * /usage 命令 - 查看 token 用量和估算费用
+ * - /usage：今天所有会话的用量
+ * - /usage <会话> [today|week]：指定会话今天或最近 7 天的用量
+ */
+export async function handleUsage(ctx, args) {
+  const usageStore = ctx.monitorPool?.usageStore;
+  if (!usageStore) {
+    await ctx.sendText('❌ 未启用 token 用量统计');
+    return;
+  }
+
+  let session = '';
+  let days = 1;
+  for (const part of (args || '').trim().split(/\s+/).filter(Boolean)) {
+    if (part === 'today') {
+      days = 1;
+    } else if (part === 'week') {
+      days = 7;
+    } else {
+      session = part;
+    }
+  }
+
+  try {
+    if (session && !usageStore.getSessions().includes(session) && !ctx.monitorPool.has(session)) {
+      await ctx.sendText(`❌ 会话 ${session} 没有用量记录\n\n💡 用法: \`/usage [会话] [today|week]\``);
+      return;
+    }
+
+    const title = days === 1 ? '📊 今日 Token 用量' : '📊 最近 7 天 Token 用量';
+    await ctx.sendText(usageStore.formatReport({ session, days }, title));
+  } catch (error) {
+    Logger.error(`/usage 失败: ${error.message}`);
+    await ctx.sendText(`❌ 获取 token 用量失败: ${error.message}`);
+  }
+}
+
+/**
+ * /verbose 命令 - 设置当前会话的工具活动摘要详细程度
+ * - /verbose：查看当前详细程度
+ * - /verbose off|summary|detail：关闭 / 按工具汇总 / 每次调用一行（on 等同于 summary）
+ */
+export async function handleVerbose(ctx, args) {
+  const monitor = getTranscriptMonitor(ctx);
+  if (!monitor) {
+    await ctx.sendText('❌ 当前会话没有运行中的 transcript 监控');
+    return;
+  }
+
+  const labels = {
+    [ActivityLevel.OFF]: '关闭',
+    [ActivityLevel.SUMMARY]: '汇总',
+    [ActivityLevel.DETAIL]: '详细',
+  };
+  const usage = '💡 用法: `/verbose off|summary|detail`';
+  const level = (args || '').trim().toLowerCase();
+
+  if (!level) {
+    await ctx.sendText(`🛠️ 工具活动: ${labels[monitor.activityFeed.level]}（${monitor.activityFeed.level}）\n\n${usage}`);
+    return;
+  }
+
+  if (!monitor.activityFeed.setLevel(level === 'on' ? ActivityLevel.SUMMARY : level)) {
+    await ctx.sendText(`❌ 无效的详细程度: ${level}\n\n${usage}`);
+    return;
+  }
+
+  const current = monitor.activityFeed.level;
+  const interval = Math.round(monitor.activityFeed.flushInterval / 1000);
+  await ctx.sendText(current === ActivityLevel.OFF
+    ? `✅ 已关闭 ${ctx.currentSession.value} 的工具活动`
+    : `✅ ${ctx.currentSession.value} 的工具活动: ${labels[current]}\n\n每 ${interval} 秒或回合结束时发送`);
+}
+
+/**
+ * /agents 命令 - 查看当前会话的子代理，设置子代理消息的转发方式
+ * - /agents：列出子代理（编号、类型、任务描述、状态）
+ * - /agents mute|unmute <编号|all>：静音或取消静音子代理
+ * - /agents mode full|collapsed|off：全部转发 / 只发送完成摘要 / 不转发
+ */
+export async function handleAgents(ctx, args) {
+  const monitor = getTranscriptMonitor(ctx);
+  if (!monitor) {
+    await ctx.sendText('❌ 当前会话没有运行中的 transcript 监控');
+    return;
+  }
+
+  const tracker = monitor.subagents;
+  const modeLabels = {
+    [SubagentMode.FULL]: '全部转发',
+    [SubagentMode.COLLAPSED]: '只发送完成摘要',
+    [SubagentMode.OFF]: '不转发',
+  };
+  const usage = '💡 用法: `/agents mute|unmute <编号|all>` 或 `/agents mode full|collapsed|off`';
+  const [action, value = ''] = (args || '').trim().split(/\s+/);
+
+  if (!action) {
+    const agents = tracker.list();
+    let message = `🤖 **子代理** · ${modeLabels[tracker.mode]}（${tracker.mode}）\n\n`;
+    if (agents.length === 0) {
+      message += '📭 当前会话还没有子代理\n';
+    }
+    for (const agent of agents) {
+      const status = agent.finished ? '已完成' : '运行中';
+      message += `${tracker.label(agent).replace('🤖 子代理 ', '')} — ${status}${agent.muted ? ' 🔇' : ''}\n`;
+    }
+    await ctx.sendText(`${message}\n${usage}`);
+    return;
+  }
+
+  if (action === 'mode') {
+    if (!tracker.setMode(value.toLowerCase())) {
+      await ctx.sendText(`❌ 无效的模式: ${value}\n\n${usage}`);
+      return;
+    }
+    await ctx.sendText(`✅ ${ctx.currentSession.value} 的子代理消息: ${modeLabels[tracker.mode]}`);
+    return;
+  }
+
+  if (action === 'mute' || action === 'unmute') {
+    const target = value === 'all' ? 'all' : parseInt(value, 10);
+    if (target !== 'all' && Number.isNaN(target)) {
+      await ctx.sendText(`❌ 请指定子代理编号或 all\n\n${usage}`);
+      return;
+    }
+
+    const agents = tracker.setMuted(target, action === 'mute');
+    if (agents.length === 0) {
+      await ctx.sendText(target === 'all' ? '📭 当前会话还没有子代理' : `❌ 子代理 #${target} 不存在，使用 \`/agents\` 查看编号`);
+      return;
+    }
+    const names = agents.map(agent => `#${agent.number}`).join(', ');
+    await ctx.sendText(action === 'mute' ? `🔇 已静音子代理 ${names}` : `🔊 已取消静音子代理 ${names}`);
+    return;
+  }
+
+  await ctx.sendText(`❌ 未知操作: ${action}\n\n${usage}`);
+}
+
+/**
+ * /get 命令 - 把会话工作目录内的文件发送到聊天（图片作为图片消息，目录打包为 ZIP）
+ * - /get <路径>：相对会话工作目录或绝对路径，不能超出工作目录
+ * - /get auto [on|off]：查看或切换自动发送 Claude 写入的图片
+ */
+export async function handleGet(ctx, args) {
+  const target = (args || '').trim();
+  const sessionName = ctx.currentSession.value;
+
+  if (!target) {
+    await ctx.sendText('💡 用法: `/get <路径>` 发送文件（目录自动打包为 ZIP），`/get auto on|off` 自动发送 Claude 写入的图片');
+    return;
+  }
+
+  const autoMatch = target.match(/^auto(?:\s+(on|off))?$/i);
+  if (autoMatch) {
+    const monitor = getTranscriptMonitor(ctx);
+    if (!monitor) {
+      await ctx.sendText('❌ 当前会话没有运行中的 transcript 监控');
+      return;
+    }
+    if (autoMatch[1]) {
+      monitor.imageWatcher.setEnabled(autoMatch[1].toLowerCase() === 'on');
+    }
+    await ctx.sendText(`🖼️ ${sessionName} 自动发送图片: ${monitor.imageWatcher.enabled ? '开启' : '关闭'}`);
+    return;
+  }
+
+  try {
+    const workingDir = await TmuxSession.getWorkingDir(sessionName);
+    if (!workingDir) {
+      await ctx.sendText(`❌ 无法获取会话 ${sessionName} 的工作目录`);
+      return;
+    }
+
+    const resolved = resolveProjectPath(workingDir, target);
+    if (!resolved.success) {
+      await ctx.sendText(`❌ ${resolved.error}`);
+      return;
+    }
+
+    const file = prepareUpload(resolved.path);
+    if (!file.success) {
+      await ctx.sendText(`❌ ${file.error}`);
+      return;
+    }
+
+    const relative = path.relative(workingDir, resolved.path) || '.';
+    const caption = file.count
+      ? `📦 ${relative}/ → ${file.fileName}（${file.count} 个文件，${formatSize(file.data.length)}）`
+      : `📎 ${relative}（${formatSize(file.data.length)}）`;
+    const options = { caption, session: sessionName };
+    const result = file.isImage
+      ? await ctx.messenger.sendImage(file.fileName, file.data, options)
+      : await ctx.messenger.sendFile(file.fileName, file.data, options);
+
+    if (!result?.success) {
+      await ctx.sendText(`❌ 发送文件失败: ${result?.error || '未知错误'}`);
+    }
+  } catch (error) {
+    Logger.error(`/get 失败: ${error.message}`);
+    await ctx.sendText(`❌ 获取文件失败: ${error.message}`);
+  }
+}
+
+/**
+ * 处理聊天中发送的图片和文件
+ * 保存到会话工作目录下的收件箱，把路径粘贴到 Claude Code 输入框；附带文字时连同路径一起提交
+ * @param {Object} ctx - 上下文
+ * @param {Array<{name: string, size: number, download: Function}>} attachments - 附件
+ * @param {string} caption - 附带的文字
+ */
+export async function handleAttachments(ctx, attachments, caption = '') {
+  const sessionName = ctx.currentSession.value;
+
+  try {
+    const workingDir = await TmuxSession.getWorkingDir(sessionName);
+    if (!workingDir) {
+      await ctx.sendText(`❌ 无法获取会话 ${sessionName} 的工作目录，附件未保存`);
+      return;
+    }
+
+    const saved = [];
+    const failed = [];
+    for (const attachment of attachments) {
+      // 已知大小和扩展名时先检查，避免无效下载（飞书图片在下载后补全扩展名再检查）
+      const hasExtension = !!path.extname(attachment.name);
+      const precheck = checkAttachment(hasExtension ? attachment.name : `${attachment.name}.png`, attachment.size);
+      if (!precheck.success) {
+        failed.push(`${attachment.name}: ${precheck.error}`);
+        continue;
+      }
+
+      const download = await attachment.download();
+      if (!download.success) {
+        failed.push(`${attachment.name}: 下载失败 (${download.error})`);
+        continue;
+      }
+
+      let fileName = attachment.name;
+      if (!hasExtension) {
+        fileName += `.${detectImageExtension(download.data) || 'bin'}`;
+      }
+      const check = checkAttachment(fileName, download.data.length);
+      if (!check.success) {
+        failed.push(`${fileName}: ${check.error}`);
+        continue;
+      }
+
+      const result = saveToInbox({ workingDir, sessionName, fileName, data: download.data });
+      if (!result.success) {
+        failed.push(`${fileName}: 保存失败 (${result.error})`);
+        continue;
+      }
+      Logger.info(`附件已保存: ${result.path}`);
+      saved.push({ path: result.path, size: download.data.length });
+    }
+
+    let message = '';
+    if (saved.length > 0) {
+      const paths = saved.map(file => file.path).join(' ');
+      if (caption) {
+        await ctx.commander.sendCommand(`${caption} ${paths}`);
+      } else {
+        await ctx.commander.sendText(`${paths} `);
+      }
+
+      message += `📥 已保存 ${saved.length} 个附件\n`;
+      message += saved.map(file => `\`${path.relative(workingDir, file.path)}\` (${formatSize(file.size)})`).join('\n');
+      message += caption
+        ? '\n\n📤 已连同说明发送到 Claude Code'
+        : '\n\n💡 路径已粘贴到输入框，发送文字说明后一起提交';
+    }
+    if (failed.length > 0) {
+      message += `${message ? '\n\n' : ''}⚠️ 未保存的附件:\n${failed.join('\n')}`;
+    }
+    await ctx.sendText(message);
+  } catch (error) {
+    Logger.error(`处理附件失败: ${error.message}`);
+    await ctx.sendText(`❌ 处理附件失败: ${error.message}`);
+  }
+}
+
 /**
  * 处理普通文本发送
  */
@@ -582,26 +1414,121 @@ export async function handleSendText(ctx, text) {
 
     await ctx.sendText(`📤 正在发送命令到 Claude Code...\n\n> ${previewText}`);
     await ctx.commander.sendCommand(text);
+    ctx.sessionManager?.addHistory(ctx.currentSession.value, HistoryType.PROMPT, text);
   } catch (error) {
     Logger.error(`发送命令失败: ${error.message}`);
     await ctx.sendText(`❌ 发送命令失败: ${error.message}`);
   }
 }
 
+/**
+ * 生成 ! 命令的消息（运行中或结束后）
+ * @param {string} command - 命令
+ * @param {string} output - 显示的输出
+ * @param {Object|null} result - runShellCommand 的结果，运行中为 null
+ * @returns {string}
+ */
+function formatExecuteMessage(command, output, result = null) {
+  let message = `💻 \`$ ${command}\``;
+
+  if (output.trim()) {
+    // 输出中的 ``` 会提前结束代码块
+    message += `\n\n\`\`\`\n${output.replace(/```/g, "'''").trimEnd()}\n\`\`\``;
+  } else if (result) {
+    message += '\n\n（没有输出）';
+  }
+
+  if (!result) {
+    return `${message}\n\n⏳ 运行中…`;
+  }
+
+  let status;
+  if (result.timedOut) {
+    status = `⏱️ 超时（${config.shell.timeoutSeconds} 秒），已终止`;
+  } else if (result.exitCode === null) {
+    status = `❌ 被信号 ${result.signal || 'unknown'} 终止`;
+  } else {
+    status = `${result.exitCode === 0 ? '✅' : '❌'} 退出码 ${result.exitCode}`;
+  }
+  message += `\n\n${status} · ${(result.durationMs / 1000).toFixed(1)} 秒`;
+
+  if (result.truncated) {
+    message += `\n⚠️ 输出超过 ${config.shell.maxOutput} 字符，只保留最后的部分`;
+  }
+  return message;
+}
+
 /**
  * 处理命令执行 (!前缀)
+ * 在会话工作目录的独立子进程中执行，支持编辑消息的平台在运行中更新输出
  */
 export async function handleExecute(ctx, command) {
+  const sessionName = ctx.currentSession.value;
+  // 可编辑消息中的输出只显示最后的部分
+  const outputLimit = Math.max(500, (ctx.messenger?.editThreshold || ctx.messenger?.splitThreshold || 1800) - command.length - 200);
+  const tail = output => (output.length > outputLimit ? `…\n${output.slice(-outputLimit)}` : output);
+
+  let timer = null;
   try {
     Logger.info(`执行命令: ${command}`);
-    const result = await ctx.commander.execute(command);
+    ctx.sessionManager?.addHistory(sessionName, HistoryType.SHELL, command);
 
-    if (result.success) {
-      await ctx.sendText(`💻 \`$ ${command}\`\n\n${result.output}`);
-    } else {
-      await ctx.sendText(`❌ 执行命令失败: ${result.error}`);
+    let messageId = null;
+    if (ctx.messenger?.supportsEdit) {
+      const sent = await ctx.messenger.sendEditable(formatExecuteMessage(command, ''), { session: sessionName });
+      messageId = sent?.success ? sent.messageId : null;
+    }
+
+    // 输出变化时按 /watch 的更新间隔编辑消息
+    let latestOutput = '';
+    let lastEdit = Date.now();
+    let pendingEdit = null;
+    const editOutput = () => {
+      timer = null;
+      lastEdit = Date.now();
+      pendingEdit = ctx.messenger.editMessage(messageId, formatExecuteMessage(command, tail(latestOutput)))
+        .catch(error => Logger.warn(`更新命令输出失败: ${error.message}`));
+    };
+    const onOutput = messageId
+      ? (output) => {
+        latestOutput = output;
+        if (!timer) {
+          timer = setTimeout(editOutput, Math.max(0, lastEdit + config.watch.intervalSeconds * 1000 - Date.now()));
+        }
+      }
+      : null;
+
+    const result = await ctx.commander.execute(command, {
+      timeoutMs: config.shell.timeoutSeconds * 1000,
+      maxOutput: config.shell.maxOutput,
+      onOutput,
+    });
+    clearTimeout(timer);
+    await pendingEdit;
+
+    if (result.error) {
+      const message = `❌ 执行命令失败: ${result.error}`;
+      if (messageId) {
+        await ctx.messenger.editMessage(messageId, message);
+      } else {
+        await ctx.sendText(message);
+      }
+      return;
+    }
+
+    Logger.info(`命令结束: ${command} (退出码: ${result.exitCode}${result.timedOut ? ', 超时' : ''})`);
+    if (!messageId) {
+      await ctx.sendText(formatExecuteMessage(command, result.output, result), { skipDedup: true });
+      return;
+    }
+
+    await ctx.messenger.editMessage(messageId, formatExecuteMessage(command, tail(result.output), result));
+    if (result.output.length > outputLimit) {
+      // 消息中只有最后的部分，完整输出作为普通消息发送（自动分片）
+      await ctx.sendText(formatExecuteMessage(command, result.output, result), { skipDedup: true });
     }
   } catch (error) {
+    clearTimeout(timer);
     Logger.error(`执行命令失败: ${error.message}`);
     await ctx.sendText(`❌ 执行命令失败: ${error.message}`);
   }
@@ -616,15 +1543,29 @@ export default {
   handleKill,
   handleHelp,
   handleHistory,
+  handleRedo,
   handleStatus,
   handleConfig,
   handleWatch,
+  handleUnwatch,
   handleClear,
   handleDedupStats,
+  handleAudit,
   handleReset,
   handleConfirm,
   handleCancel,
   handleNumberSelect,
+  getPendingQuestions,
+  handleAnswerQuestions,
+  getPendingPlan,
+  handlePlan,
+  handlePlanEdit,
+  handlePending,
+  handleUsage,
+  handleVerbose,
+  handleAgents,
+  handleGet,
+  handleAttachments,
   handleSendText,
   handleExecute,
 };
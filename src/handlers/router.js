@@ -1,14 +1,23 @@
 /**
  * 消息路由器
  * Author: CodePothunter
- * Version: 1.1.0 - 添加消息队列和并发保护
+ * Version: 1.3.0 - 多平台共享路由，回复发回来源平台
  */
 
 import { COMMAND_PREFIXES } from '../config/constants.js';
-import { isConfirmationWord, isCancellationWord, isNumericSelection, sanitizeInput } from '../utils/validator.js';
+import { isConfirmationWord, isCancellationWord, isNumericSelection, isQuestionAnswerSyntax, sanitizeInput, validateCommand, validateTabArgs } from '../utils/validator.js';
 import * as commands from './command.js';
+import { TmuxCommander } from '../tmux/commander.js';
+import { isPlanEdit } from '../utils/plan-file.js';
 import Logger from '../utils/logger.js';
 import { AsyncLock } from '../utils/async-lock.js';
+import { Permission, PermissionLabels, RoleLabels, authorize, getCommandPermission } from '../utils/access-control.js';
+import { ConfirmationGate } from '../utils/confirmation-gate.js';
+import { AuditType, recordAudit, runWithActor } from '../utils/audit-log.js';
+import { config } from '../config/index.js';
+
+// 需要二次确认的指令
+const CONFIRM_COMMANDS = ['kill', 'reset'];
 
 /**
  * 消息路由器类
@@ -19,11 +28,15 @@ export class MessageRouter {
    */
   constructor(context) {
     this.context = context;
+    // 处理器收到的 ctx 可能是 @会话 / 会话线程的上下文副本，修改全局当前会话时通过 ctx.router
+    this.context.router = this;
     this.commandHandlers = new Map();
     this.messageQueue = [];
     this.isProcessing = false;
     this.routeLock = new AsyncLock({ timeout: 30000 });
     this.maxQueueSize = 100;
+    // 待确认的危险操作（/kill、/reset、危险的 ! 命令）
+    this.confirmations = new ConfirmationGate({ ttl: config.confirm.timeoutSeconds * 1000 });
 
     // 注册命令处理器
     this.registerCommands();
@@ -40,53 +53,81 @@ export class MessageRouter {
    * 注册命令处理器
    */
   registerCommands() {
+    // 处理器接收 (args, ctx)，ctx 为当前会话或 @会话 寻址的上下文
     // /switch - 无参数：列出会话
-    this.commandHandlers.set('switch', async (args) => {
+    this.commandHandlers.set('switch', async (args, ctx) => {
       if (args) {
-        return commands.handleSwitchTo(this.context, args);
+        return commands.handleSwitchTo(ctx, args);
       }
-      return commands.handleSwitchList(this.context);
+      return commands.handleSwitchList(ctx);
     });
 
     // /tab
-    this.commandHandlers.set('tab', async (args) => commands.handleTab(this.context, args));
+    this.commandHandlers.set('tab', async (args, ctx) => commands.handleTab(ctx, args));
 
     // /show
-    this.commandHandlers.set('show', async () => commands.handleShow(this.context));
+    this.commandHandlers.set('show', async (args, ctx) => commands.handleShow(ctx, args));
 
     // /new
-    this.commandHandlers.set('new', async (args) => commands.handleNew(this.context, args));
+    this.commandHandlers.set('new', async (args, ctx) => commands.handleNew(ctx, args));
 
     // /kill
-    this.commandHandlers.set('kill', async () => commands.handleKill(this.context));
+    this.commandHandlers.set('kill', async (args, ctx) => commands.handleKill(ctx));
 
     // /help 或 /h
-    this.commandHandlers.set('help', async () => commands.handleHelp(this.context));
-    this.commandHandlers.set('h', async () => commands.handleHelp(this.context));
+    this.commandHandlers.set('help', async (args, ctx) => commands.handleHelp(ctx));
+    this.commandHandlers.set('h', async (args, ctx) => commands.handleHelp(ctx));
 
     // /history
-    this.commandHandlers.set('history', async () => commands.handleHistory(this.context));
+    this.commandHandlers.set('history', async (args, ctx) => commands.handleHistory(ctx, args));
+
+    // /redo <编号> - 重新发送历史中的提示词
+    this.commandHandlers.set('redo', async (args, ctx) => commands.handleRedo(ctx, args));
 
     // /status
-    this.commandHandlers.set('status', async () => commands.handleStatus(this.context, this.context.monitorState));
+    this.commandHandlers.set('status', async (args, ctx) => commands.handleStatus(ctx, ctx.monitorState));
 
     // /config
-    this.commandHandlers.set('config', async () => commands.handleConfig(this.context));
+    this.commandHandlers.set('config', async (args, ctx) => commands.handleConfig(ctx));
 
-    // /watch
-    this.commandHandlers.set('watch', async () => commands.handleWatch(this.context));
+    // /watch - 实时跟随输出（原地编辑同一条消息）
+    this.commandHandlers.set('watch', async (args, ctx) => commands.handleWatch(ctx, args));
+
+    // /unwatch - 停止实时跟随
+    this.commandHandlers.set('unwatch', async (args, ctx) => commands.handleUnwatch(ctx));
 
     // /clear
-    this.commandHandlers.set('clear', async () => commands.handleClear(this.context));
+    this.commandHandlers.set('clear', async (args, ctx) => commands.handleClear(ctx));
 
     // /dedup-stats
-    this.commandHandlers.set('dedup-stats', async () => commands.handleDedupStats(this.context));
+    this.commandHandlers.set('dedup-stats', async (args, ctx) => commands.handleDedupStats(ctx));
 
     // /dedupstats (Discord slash command 别名，命令名不能含 -)
-    this.commandHandlers.set('dedupstats', async () => commands.handleDedupStats(this.context));
+    this.commandHandlers.set('dedupstats', async (args, ctx) => commands.handleDedupStats(ctx));
+
+    // /plan - 查看计划（分页 / 附件）和修订历史
+    this.commandHandlers.set('plan', async (args, ctx) => commands.handlePlan(ctx, args));
+
+    // /pending - 列出所有会话等待回复的交互
+    this.commandHandlers.set('pending', async (args, ctx) => commands.handlePending(ctx));
+
+    // /usage - 查看 token 用量和估算费用
+    this.commandHandlers.set('usage', async (args, ctx) => commands.handleUsage(ctx, args));
+
+    // /verbose - 设置工具活动摘要详细程度
+    this.commandHandlers.set('verbose', async (args, ctx) => commands.handleVerbose(ctx, args));
+
+    // /agents - 查看子代理，静音或折叠子代理消息
+    this.commandHandlers.set('agents', async (args, ctx) => commands.handleAgents(ctx, args));
+
+    // /get - 发送会话工作目录内的文件到聊天
+    this.commandHandlers.set('get', async (args, ctx) => commands.handleGet(ctx, args));
+
+    // /audit - 查看审计日志
+    this.commandHandlers.set('audit', async (args, ctx) => commands.handleAudit(ctx, args));
 
     // /reset - 清除 Claude Code context
-    this.commandHandlers.set('reset', async () => commands.handleReset(this.context));
+    this.commandHandlers.set('reset', async (args, ctx) => commands.handleReset(ctx));
   }
 
   /**
@@ -161,6 +202,281 @@ export class MessageRouter {
     this.processQueue();
   }
 
+  /**
+   * 路由按钮交互（飞书卡片按钮、Discord 按钮/下拉菜单）
+   * 交互会作为普通消息进入队列，与手动回复的处理方式一致：
+   * - select: 选项编号，等同回复数字
+   * - tab: 逗号分隔的编号，等同 /tab 命令
+   * - confirm / cancel: 确认码，等同 /confirm、/cancel 命令
+   * @param {Object} action - 交互动作
+   * @param {string} action.kind - 动作类型（select | tab | question | confirm | cancel，默认 select）
+   * @param {string} action.choice - 选项编号（question 为逗号分隔的多个编号，confirm / cancel 为确认码）
+   * @param {string} action.session - 来源 tmux 会话（可选，按 @会话 寻址发送）
+   * @param {string} action.operator - 操作人标识（仅用于日志）
+   * @param {{id: string, roles?: string[]}} action.sender - 操作人（用于授权）
+   * @param {string} action.platform - 来源平台（可选，回复只发到该平台）
+   * @returns {Promise<boolean>} - 动作是否有效（无权限或交互已过期时也返回 false）
+   */
+  async routeAction(action) {
+    const kind = action?.kind || 'select';
+    const choice = String(action?.choice ?? '').trim();
+    const session = action?.session || '';
+
+    const isConfirmAction = kind === 'confirm' || kind === 'cancel';
+    let isValid;
+    if (isConfirmAction) {
+      // 确认码已过期或已被使用
+      isValid = !!this.confirmations.get(choice);
+    } else if (kind === 'tab') {
+      isValid = validateTabArgs(choice).isValid;
+    } else if (kind === 'question') {
+      isValid = /^\d+(,\d+)*$/.test(choice);
+    } else {
+      isValid = kind === 'select' && isNumericSelection(choice);
+    }
+    if (!choice || !isValid) {
+      Logger.warn(`忽略无效的按钮交互: ${JSON.stringify(action)}`);
+      return false;
+    }
+
+    // 会话已不在监控中（如已被 kill），不能再把回答发到其他会话
+    if (session && !this.context.monitorPool?.has(session)) {
+      Logger.warn(`忽略按钮交互，会话不存在: ${session}`);
+      return false;
+    }
+
+    const ctx = this.createMessageContext({ _platform: action.platform });
+    const actor = { platform: action.platform || 'unknown', sender: action.sender || null };
+    if (!await runWithActor(actor, () => this.checkAccess(ctx, action.sender, Permission.ANSWER, `按钮 ${choice}`))) {
+      return false;
+    }
+
+    // 旧卡片（已回答、已关闭或重启前发送）的按钮仍可点击，会话没有待回复的交互时
+    // 数字会作为多余的输入发送给 Claude；问题菜单还需要有待回答的问题才能按 `1:选项` 回答
+    if (!isConfirmAction) {
+      const targetSession = session || this.context.currentSession?.value;
+      const monitor = this.context.monitorPool?.get(targetSession);
+      const pending = kind === 'question' ? monitor?.pendingQuestions : monitor?.pendingPrompt;
+      if (!pending) {
+        Logger.warn(`忽略按钮交互，会话没有待回复的交互: ${targetSession}`);
+        await ctx.sendText('⌛ 该交互已过期（已回答、已关闭或在服务重启前发送），按钮不再生效', { session, skipDedup: true });
+        return false;
+      }
+    }
+
+    Logger.message(`收到按钮交互: ${kind} ${choice}${session ? ` @${session}` : ''} (操作人: ${action.operator || 'unknown'})`);
+    let text = `/${kind} ${choice}`;
+    if (kind === 'select') {
+      text = choice;
+    } else if (kind === 'question') {
+      text = `1:${choice}`;
+    }
+    await this.route({
+      _normalized: true,
+      _isBot: false,
+      _platform: action.platform,
+      _sender: action.sender,
+      text: session ? `@${session} ${text}` : text,
+    });
+    return true;
+  }
+
+  /**
+   * 检查发送者权限，未授权时回复拒绝并记录日志
+   * @param {Object} ctx - 回复使用的上下文
+   * @param {{id: string, name?: string, roles?: string[]}|null} sender - 发送者（平台未提供时为 null）
+   * @param {string} permission - 所需权限
+   * @param {string} action - 操作描述（用于日志和回复）
+   * @returns {Promise<boolean>} - 是否允许
+   */
+  async checkAccess(ctx, sender, permission, action) {
+    const { allowed, role } = authorize(sender, permission);
+    if (allowed) {
+      return true;
+    }
+
+    Logger.warn(`拒绝未授权操作: ${action} (用户: ${sender?.name || sender?.id || 'unknown'}, 角色: ${role}, 需要权限: ${permission})`);
+    recordAudit(AuditType.DENIED, {
+      ...(sender ? { sender } : {}),
+      session: ctx.currentSession?.value,
+      action,
+      permission,
+      role,
+    });
+    await ctx.sendText(
+      `🚫 无权限${PermissionLabels[permission]}: ${action}\n\n` +
+      `当前角色: ${RoleLabels[role]}（用户 ID: \`${sender?.id || '未知'}\`），请联系管理员添加到 AUTH_* 名单`,
+      { skipDedup: true }
+    );
+    return false;
+  }
+
+  /**
+   * 暂存危险操作并发送确认（带确认码和确认 / 取消按钮），操作在 /confirm <确认码> 或点击按钮后才执行
+   * @param {Object} ctx - 执行操作使用的上下文
+   * @param {{id: string, roles?: string[]}|null} sender - 发起人
+   * @param {Object} action - 操作
+   * @param {string} action.label - 操作描述（如 `/kill`）
+   * @param {string} action.detail - 确认消息中的说明
+   * @param {string} action.permission - 确认时所需的权限
+   * @param {Function} action.execute - 确认后执行的函数
+   * @returns {Promise<string>} - 确认码
+   */
+  async requestConfirmation(ctx, sender, action) {
+    const session = ctx.currentSession?.value || '';
+    const { nonce } = this.confirmations.create({ ...action, ctx, session, requester: sender?.id || 'unknown' });
+    Logger.warn(`等待确认: ${action.label} (确认码: ${nonce}, 发起人: ${sender?.id || 'unknown'})`);
+
+    const content = `${action.detail}\n\n` +
+      `发送 \`/confirm ${nonce}\` 确认执行，\`/cancel ${nonce}\` 取消（${config.confirm.timeoutSeconds} 秒内有效）`;
+    const title = `⚠️ 确认执行 ${action.label}`;
+    const result = ctx.messenger?.sendConfirmation
+      ? await ctx.messenger.sendConfirmation(title, content, nonce, session)
+      : await ctx.sendText(`**${title}**\n\n${content}`, { skipDedup: true });
+    if (result && !result.success) {
+      await ctx.sendText(`**${title}**\n\n${content}`, { skipDedup: true });
+    }
+    return nonce;
+  }
+
+  /**
+   * 暂存需要确认的 / 指令（/kill、/reset）
+   * @param {Object} ctx - 上下文
+   * @param {{id: string, roles?: string[]}|null} sender - 发起人
+   * @param {string} cmd - 指令名
+   * @param {string} args - 指令参数
+   * @returns {Promise<string>} - 确认码
+   */
+  async confirmCommand(ctx, sender, cmd, args = '') {
+    const session = ctx.currentSession?.value || '';
+    let detail;
+    if (cmd === 'kill') {
+      detail = `将杀掉会话 **${session}** 并停止监控`;
+      if ((this.context.monitorPool?.getSessions() || []).length <= 1) {
+        detail += '\n\n⚠️ 这是最后一个会话，杀掉后将无法监控';
+      }
+    } else {
+      detail = `将向会话 **${session}** 发送 \`/clear\`，清除 Claude Code 的 context window`;
+    }
+
+    const handler = this.commandHandlers.get(cmd);
+    return this.requestConfirmation(ctx, sender, {
+      label: `/${cmd}`,
+      detail,
+      permission: getCommandPermission(cmd, args),
+      execute: execCtx => handler(args, execCtx),
+    });
+  }
+
+  /**
+   * 处理 /confirm、/cancel：检查确认人权限后执行或丢弃待确认的操作
+   * @param {Object} ctx - 回复使用的上下文
+   * @param {{id: string, roles?: string[]}|null} sender - 确认人
+   * @param {string} nonce - 确认码
+   * @param {boolean} confirmed - true 为确认，false 为取消
+   * @returns {Promise<boolean>} - 操作是否已执行或取消
+   */
+  async resolveConfirmation(ctx, sender, nonce, confirmed) {
+    const command = confirmed ? 'confirm' : 'cancel';
+    if (!nonce) {
+      await ctx.sendText(`❌ 请提供确认码，如 \`/${command} a1b2c3\``);
+      return false;
+    }
+
+    const pending = this.confirmations.get(nonce);
+    if (!pending) {
+      await ctx.sendText(`❌ 确认码 \`${nonce}\` 无效或已过期`);
+      return false;
+    }
+    if (!await this.checkAccess(ctx, sender, pending.permission, `/${command} ${pending.label}`)) {
+      return false;
+    }
+    this.confirmations.take(nonce);
+    recordAudit(AuditType.APPROVAL, {
+      ...(sender ? { sender } : {}),
+      session: pending.session,
+      action: pending.label,
+      decision: confirmed ? 'confirmed' : 'cancelled',
+      nonce: pending.nonce,
+      requester: pending.requester,
+    });
+
+    if (!confirmed) {
+      Logger.info(`已取消: ${pending.label} (确认码: ${pending.nonce})`);
+      await pending.ctx.sendText(`❎ 已取消 ${pending.label}`);
+      return true;
+    }
+
+    // 确认前切换了当前会话时不执行，避免操作落到其他会话
+    if (pending.session && pending.ctx.currentSession?.value !== pending.session) {
+      await ctx.sendText(`❌ 当前会话已从 ${pending.session} 切换到 ${pending.ctx.currentSession.value}，请重新发送 ${pending.label}`);
+      return false;
+    }
+
+    Logger.warn(`已确认: ${pending.label} (确认码: ${pending.nonce}, 确认人: ${sender?.id || 'unknown'}, 发起人: ${pending.requester})`);
+    await pending.execute(pending.ctx);
+    return true;
+  }
+
+  /**
+   * 解析 @会话 寻址：`@my-project yes` 把 `yes` 发送到 my-project，不切换当前会话
+   * @param {string} content - 消息内容
+   * @returns {{session: string, content: string}|null} - 非寻址消息或会话不在监控中时返回 null
+   */
+  parseSessionAddress(content) {
+    const match = content.match(/^@([a-zA-Z0-9_.-]+)\s+([\s\S]+)$/);
+    if (!match || !this.context.monitorPool?.has(match[1])) {
+      return null;
+    }
+    return { session: match[1], content: match[2].trim() };
+  }
+
+  /**
+   * 创建消息来源平台的上下文：多平台运行时指令回复只发回消息来源平台
+   * @param {Object} message - 消息对象（_platform 为来源平台）
+   * @returns {Object} - 上下文对象
+   */
+  createMessageContext(message) {
+    const messenger = this.context.messenger?.getAdapter?.(message._platform);
+    if (!messenger) {
+      return this.context;
+    }
+    return {
+      ...this.context,
+      messenger,
+      sendText: (text, options) => messenger.sendText(text, options),
+    };
+  }
+
+  /**
+   * 创建指向指定会话的上下文（回复带会话标签并发送到该会话的线程，不影响全局当前会话）
+   * @param {string} sessionName - tmux 会话名称
+   * @param {Object} baseCtx - 基础上下文（默认为全局上下文）
+   * @returns {Object} - 上下文对象
+   */
+  createSessionContext(sessionName, baseCtx = this.context) {
+    return {
+      ...baseCtx,
+      commander: new TmuxCommander(sessionName),
+      currentSession: { value: sessionName },
+      sendText: (text, options = {}) => baseCtx.sendText(`[${sessionName}] ${text}`, { ...options, session: sessionName }),
+    };
+  }
+
+  /**
+   * 解析消息所在会话线程（飞书话题 / Discord 子区）对应的会话
+   * @param {Object} message - 消息对象
+   * @param {Object} ctx - 消息来源平台的上下文
+   * @returns {string|null} - 会话名称，不在会话线程中或会话不在监控中时返回 null
+   */
+  resolveThreadSession(message, ctx = this.context) {
+    const session = ctx.messenger?.getMessageSession?.(message);
+    if (!session || !this.context.monitorPool?.has(session)) {
+      return null;
+    }
+    return session;
+  }
+
   /**
    * 处理消息队列
    */
@@ -211,14 +527,57 @@ export class MessageRouter {
   }
 
   /**
-   * 内部路由实现
+   * 内部路由实现（以消息发送者作为审计日志的操作人）
    * @param {Object} message - 飞书消息对象
    * @returns {Promise<void>}
    */
   async routeInternal(message) {
+    const actor = { platform: message._platform || 'unknown', sender: message._sender || null };
+    return runWithActor(actor, () => this.routeMessage(message));
+  }
+
+  /**
+   * 解析消息并分发到处理器
+   * @param {Object} message - 飞书消息对象
+   * @returns {Promise<void>}
+   */
+  async routeMessage(message) {
     try {
-      const content = this.parseMessageContent(message);
-      if (!content) {
+      let content = this.parseMessageContent(message);
+      const attachments = message._attachments || [];
+      if (!content && attachments.length === 0) {
+        return;
+      }
+      const sender = message._sender || null;
+
+      // 会话线程内的消息自动发送到该线程对应的会话
+      const platformCtx = this.createMessageContext(message);
+      let ctx = platformCtx;
+      const threadSession = this.resolveThreadSession(message, platformCtx);
+      if (threadSession) {
+        ctx = this.createSessionContext(threadSession, platformCtx);
+      }
+
+      // @会话 寻址：使用目标会话的上下文处理剩余内容（优先于线程）
+      const address = this.parseSessionAddress(content);
+      if (address) {
+        Logger.message(`寻址会话: @${address.session}`);
+        ctx = this.createSessionContext(address.session, platformCtx);
+        content = address.content;
+      }
+
+      const session = ctx.currentSession?.value;
+      recordAudit(AuditType.MESSAGE, { session, text: content, ...(attachments.length > 0 ? { attachments: attachments.length } : {}) });
+      // 记录消息被路由到的处理器
+      const auditHandler = (handler, args = '') => recordAudit(AuditType.HANDLER, { session, handler, ...(args ? { args } : {}) });
+
+      // 图片和文件：保存到会话收件箱并把路径粘贴到 Claude Code（文字作为附带说明）
+      if (attachments.length > 0) {
+        if (!await this.checkAccess(ctx, sender, Permission.SEND, '发送附件')) {
+          return;
+        }
+        auditHandler('handleAttachments');
+        await commands.handleAttachments(ctx, attachments, content);
         return;
       }
 
@@ -231,18 +590,41 @@ export class MessageRouter {
 
       // 处理特殊命令
       if (content === '速速停止') {
+        if (!await this.checkAccess(ctx, sender, Permission.SEND, '速速停止')) {
+          return;
+        }
+        auditHandler('sendEscape');
         Logger.warn('收到"速速停止"，发送 ESC');
-        await this.context.commander.sendEscape();
-        await this.context.sendText('⚠️ 已发送 ESC 中断');
+        await ctx.commander.sendEscape();
+        await ctx.sendText('⚠️ 已发送 ESC 中断');
         return;
       }
 
-      // 处理 ! 前缀命令（执行命令并返回结果）
+      // 处理 ! 前缀命令（在会话工作目录的独立子进程中执行，危险命令需要确认）
       if (content.startsWith(COMMAND_PREFIXES.EXECUTE)) {
         const command = content.slice(1).trim();
-        if (command) {
-          await commands.handleExecute(this.context, command);
+        if (!command || !await this.checkAccess(ctx, sender, Permission.SHELL, `!${command}`)) {
+          return;
+        }
+        // 被 SHELL_DENY / SHELL_ALLOW 策略禁止的命令直接拒绝，危险命令需要确认
+        const validation = validateCommand(command);
+        if (validation.requiresConfirmation) {
+          auditHandler('requestConfirmation', `!${command}`);
+          await this.requestConfirmation(ctx, sender, {
+            label: `\`!${command}\``,
+            detail: `${validation.error}：\n\`$ ${command}\``,
+            permission: Permission.SHELL,
+            execute: execCtx => commands.handleExecute(execCtx, command),
+          });
+          return;
+        }
+        if (!validation.isValid) {
+          Logger.warn(`拒绝执行命令: ${command} (${validation.error})`);
+          await ctx.sendText(`🚫 ${validation.error}\n\n\`$ ${command}\``);
+          return;
         }
+        auditHandler('handleExecute', command);
+        await commands.handleExecute(ctx, command);
         return;
       }
 
@@ -252,40 +634,100 @@ export class MessageRouter {
         const cmd = parts[0].toLowerCase();
         const args = parts.slice(1).join(' ');
 
+        // /confirm、/cancel <确认码>：权限按待确认的操作检查
+        if (cmd === 'confirm' || cmd === 'cancel') {
+          auditHandler(`/${cmd}`, args);
+          await this.resolveConfirmation(ctx, sender, args.trim(), cmd === 'confirm');
+          return;
+        }
+
         const handler = this.commandHandlers.get(cmd);
         if (handler) {
-          await handler(args);
+          if (!await this.checkAccess(ctx, sender, getCommandPermission(cmd, args), `/${cmd}`)) {
+            return;
+          }
+          auditHandler(`/${cmd}`, args);
+          if (CONFIRM_COMMANDS.includes(cmd)) {
+            await this.confirmCommand(ctx, sender, cmd, args);
+            return;
+          }
+          await handler(args, ctx);
         } else {
-          await this.context.sendText(`❓ 未知指令: /${cmd}\n\n使用 /help 查看帮助`);
+          await ctx.sendText(`❓ 未知指令: /${cmd}\n\n使用 /help 查看帮助`);
         }
         return;
       }
 
+      // 以下为回答交互或发送给 Claude 的文本
+      const isAnswer = (isQuestionAnswerSyntax(content) && commands.getPendingQuestions(ctx)) ||
+        (isPlanEdit(content) && commands.getPendingPlan(ctx)) ||
+        isConfirmationWord(content) || isCancellationWord(content) || isNumericSelection(content);
+      if (!await this.checkAccess(ctx, sender, isAnswer ? Permission.ANSWER : Permission.SEND, isAnswer ? `回答 ${content}` : '发送消息给 Claude')) {
+        return;
+      }
+
+      // 处理多问题回答（1:2 2:1,3），仅在会话有待回答的问题时生效，避免误伤 "10:30 开会" 之类的文本
+      if (isQuestionAnswerSyntax(content) && commands.getPendingQuestions(ctx)) {
+        auditHandler('handleAnswerQuestions');
+        await commands.handleAnswerQuestions(ctx, content);
+        return;
+      }
+
+      // 处理计划修改（revise: … 或 ## 标题开头的替换章节），仅在会话有待确认的计划时生效
+      if (isPlanEdit(content) && commands.getPendingPlan(ctx)) {
+        auditHandler('handlePlanEdit');
+        await commands.handlePlanEdit(ctx, content);
+        return;
+      }
+
       // 处理确认/同意
       if (isConfirmationWord(content)) {
-        await commands.handleConfirm(this.context, content);
+        auditHandler('handleConfirm');
+        await commands.handleConfirm(ctx, content);
         return;
       }
 
       // 处理拒绝/取消
       if (isCancellationWord(content)) {
-        await commands.handleCancel(this.context);
+        auditHandler('handleCancel');
+        await commands.handleCancel(ctx);
         return;
       }
 
       // 处理数字选择
       if (isNumericSelection(content)) {
-        await commands.handleNumberSelect(this.context, content.trim());
+        auditHandler('handleNumberSelect');
+        await commands.handleNumberSelect(ctx, content.trim());
         return;
       }
 
       // 处理普通文本（发送给 Claude Code）
-      await commands.handleSendText(this.context, content);
+      auditHandler('handleSendText');
+      await commands.handleSendText(ctx, content);
     } catch (error) {
       Logger.error(`路由消息时出错: ${error.message}`);
     }
   }
 
+  /**
+   * 获取全局当前会话
+   * @returns {string}
+   */
+  getCurrentSession() {
+    return this.context.currentSession.value;
+  }
+
+  /**
+   * 切换全局当前会话：更新共享的会话引用和 commander，并保存到 SESSION_FILE
+   * @param {string} sessionName - tmux 会话名称
+   * @returns {Promise<void>}
+   */
+  async setCurrentSession(sessionName) {
+    this.context.currentSession.value = sessionName;
+    this.context.commander.setSession(sessionName);
+    await this.context.sessionManager.save(sessionName);
+  }
+
   /**
    * 设置监控状态（用于 /status 命令）
    * @param {string} state - 当前监控状态
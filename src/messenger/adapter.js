@@ -13,6 +13,8 @@ export class MessengerAdapter {
     // 默认消息长度限制（飞书）
     this.maxMessageLength = 15000;
     this.splitThreshold = 12000;
+    // 是否支持编辑已发送的消息（sendEditable / editMessage）
+    this.supportsEdit = false;
   }
 
   /**
@@ -24,6 +26,16 @@ export class MessengerAdapter {
     throw new Error('sendText must be implemented');
   }
 
+  /**
+   * 根据入站消息所在的线程解析对应的 tmux 会话
+   * 支持会话线程的平台应覆盖此方法
+   * @param {Object} message - 入站消息对象
+   * @returns {string|null} - 会话名称，不在会话线程中时返回 null
+   */
+  getMessageSession(message) {
+    return null;
+  }
+
   /**
    * 发送卡片消息
    * @param {string} title - 卡片标题
@@ -35,6 +47,139 @@ export class MessengerAdapter {
     throw new Error('sendCard must be implemented');
   }
 
+  /**
+   * 发送选项卡片（AskUserQuestion、计划确认、工具权限等）
+   * 默认降级为编号文本，支持按钮的平台应覆盖此方法
+   * @param {string} title - 卡片标题
+   * @param {string} content - 卡片内容
+   * @param {Array<{num: number, label: string}>} options - 选项列表
+   * @param {string} session - 来源 tmux 会话（按钮回调据此路由，不切换当前会话）
+   * @returns {Promise<{success: boolean, error?: string}>}
+   */
+  async sendChoiceCard(title, content, options = [], session = '') {
+    let message = `**${title}**\n\n${content}`;
+
+    if (options.length > 0) {
+      message += '\n\n**请回复数字选择：**\n\n';
+      for (const opt of options) {
+        message += `${opt.num}. ${opt.label}\n`;
+      }
+      if (session) {
+        message += `\n💡 非当前会话请回复 \`@${session} <数字>\``;
+      }
+    }
+
+    return this.sendText(message, { session });
+  }
+
+  /**
+   * 发送多问题 AskUserQuestion（列出所有问题，按 `题号:选项` 回复）
+   * 各题的按键需要按顺序发送，多问题不使用按钮
+   * @param {string} title - 标题（带会话标签）
+   * @param {Array<{text: string, header: string, options: Array, multiSelect: boolean}>} questions - 问题列表
+   * @param {string} session - 来源 tmux 会话
+   * @returns {Promise<{success: boolean, error?: string}>}
+   */
+  async sendAskUserQuestions(title, questions, session = '') {
+    let message = `**${title}**\n\n`;
+
+    questions.forEach((question, qi) => {
+      const header = question.header ? `[${question.header}] ` : '';
+      message += `**${qi + 1}. ${header}${question.text}**${question.multiSelect ? '（可多选）' : ''}\n`;
+      question.options.forEach((opt, i) => {
+        message += `   ${i + 1}) ${opt.label}`;
+        if (opt.description) {
+          message += `\n      └─ ${opt.description}`;
+        }
+        message += '\n';
+      });
+      message += '\n';
+    });
+
+    const example = questions.map((q, qi) => `${qi + 1}:${q.multiSelect ? '1,2' : '1'}`).join(' ');
+    message += `💡 按 \`题号:选项\` 一次回复全部问题，如 \`${example}\`\n`;
+    message += '多选用逗号分隔；选项之外的答案直接写文本，如 `1:用 Redis 缓存`';
+    if (session) {
+      message += `\n非当前会话请在前面加上 \`@${session}\``;
+    }
+
+    return this.sendText(message, { session });
+  }
+
+  /**
+   * 发送危险操作确认（/kill、/reset 等）
+   * 默认只发送文本（内容中包含 /confirm 确认码），支持按钮的平台应覆盖此方法添加确认 / 取消按钮
+   * @param {string} title - 标题
+   * @param {string} content - 内容
+   * @param {string} nonce - 确认码（按钮回调据此执行操作）
+   * @param {string} session - 来源 tmux 会话
+   * @returns {Promise<{success: boolean, error?: string}>}
+   */
+  async sendConfirmation(title, content, nonce, session = '') {
+    return this.sendText(`**${title}**\n\n${content}`, { session, skipDedup: true });
+  }
+
+  /**
+   * 发送文件附件（计划 .md 文件等）
+   * 支持附件的平台应覆盖此方法
+   * @param {string} fileName - 文件名
+   * @param {Buffer|string} data - 文件内容
+   * @param {Object} options - 发送选项
+   * @param {string} options.caption - 附带的说明文字
+   * @param {string} options.session - 来源 tmux 会话
+   * @returns {Promise<{success: boolean, error?: string}>}
+   */
+  async sendFile(fileName, data, options = {}) {
+    return { success: false, error: '当前平台不支持发送文件' };
+  }
+
+  /**
+   * 发送图片（截图、Claude 生成的图表等）
+   * 有单独图片消息的平台应覆盖此方法，默认作为文件附件发送
+   * @param {string} fileName - 文件名
+   * @param {Buffer} data - 图片内容
+   * @param {Object} options - 发送选项（同 sendFile）
+   * @returns {Promise<{success: boolean, error?: string}>}
+   */
+  async sendImage(fileName, data, options = {}) {
+    return this.sendFile(fileName, data, options);
+  }
+
+  /**
+   * 发送可编辑的消息（/watch 实时输出等），返回的 messageId 用于 editMessage
+   * 支持编辑消息的平台应覆盖此方法，默认发送普通文本且不返回 messageId
+   * @param {string} text - 消息文本（调用方负责控制长度，不分片）
+   * @param {Object} options - 发送选项
+   * @param {string} options.session - 来源 tmux 会话
+   * @returns {Promise<{success: boolean, messageId?: *, error?: string}>}
+   */
+  async sendEditable(text, options = {}) {
+    const result = await this.sendText(text, { ...options, skipDedup: true });
+    return { ...result, messageId: null };
+  }
+
+  /**
+   * 编辑 sendEditable 发送的消息
+   * @param {*} messageId - sendEditable 返回的 messageId
+   * @param {string} text - 新的消息文本
+   * @returns {Promise<{success: boolean, error?: string}>}
+   */
+  async editMessage(messageId, text) {
+    return { success: false, error: '当前平台不支持编辑消息' };
+  }
+
+  /**
+   * 发送带提及的提醒（超时未回复的交互）
+   * 支持 @提及 的平台应覆盖此方法，默认只发送文本
+   * @param {string} text - 提醒内容
+   * @param {Object} options - 发送选项
+   * @param {string} options.session - 来源 tmux 会话
+   * @returns {Promise<{success: boolean, error?: string}>}
+   */
+  async sendMention(text, options = {}) {
+    return this.sendText(text, { ...options, skipDedup: true });
+  }
+
   /**
    * 发送状态更新
    * @param {string} status - 状态类型
@@ -4,11 +4,23 @@
  * Version: 1.0.0
  */
 
-import { EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } from 'discord.js';
+import {
+  EmbedBuilder,
+  ActionRowBuilder,
+  ButtonBuilder,
+  ButtonStyle,
+  StringSelectMenuBuilder,
+  ComponentType,
+  ThreadAutoArchiveDuration,
+  AttachmentBuilder,
+} from 'discord.js';
+import crypto from 'crypto';
 import MessengerAdapter from './adapter.js';
 import Logger from '../utils/logger.js';
 import { withRetry, RetryConfigs } from '../utils/retry.js';
+import { config } from '../config/index.js';
 import { DISCORD } from '../config/constants.js';
+import { SessionThreadStore, getDefaultThreadsFile } from '../utils/session-threads.js';
 
 /**
  * Discord 重试配置
@@ -31,6 +43,41 @@ const DiscordRetryConfig = {
   },
 };
 
+/**
+ * 组件 customId 前缀（按钮: claude:select:<编号>:<会话>，多选菜单: claude:tab::<会话> / claude:question::<会话>，
+ * 危险操作确认: claude:confirm:<确认码> / claude:cancel:<确认码>）
+ */
+export const COMPONENT_PREFIX = 'claude';
+
+/**
+ * customId 中会话短键的前缀（tmux 会话名不能包含 "."，不会与真实会话名混淆）
+ */
+export const SESSION_KEY_PREFIX = '.';
+
+/**
+ * 生成会话短键（会话名过长、customId 放不下时使用）
+ * 短键由会话名哈希得到，重启后仍可通过监控中的会话反查
+ * @param {string} session - tmux 会话名称
+ * @returns {string}
+ */
+export function getSessionKey(session) {
+  const hash = crypto.createHash('sha1').update(session).digest('hex').slice(0, 16);
+  return `${SESSION_KEY_PREFIX}${hash}`;
+}
+
+/**
+ * 将 customId 中的会话字段还原为会话名
+ * @param {string} value - customId 中的会话字段（会话名或短键）
+ * @param {string[]} sessions - 当前监控中的会话
+ * @returns {string|null} - 会话名，短键无法对应任何会话时返回 null
+ */
+export function resolveSessionKey(value, sessions = []) {
+  if (!value?.startsWith(SESSION_KEY_PREFIX)) {
+    return value || '';
+  }
+  return sessions.find(session => getSessionKey(session) === value) || null;
+}
+
 /**
  * Discord 适配器类
  */
@@ -49,6 +96,16 @@ export class DiscordAdapter extends MessengerAdapter {
     this.messageHistory = options.messageHistory || null;
     this.channel = null;
 
+    // 会话子区：tmux 会话 -> 子区 ID（未开启 SESSION_THREADS 时为 null）
+    this.threadStore = options.threadStore || (config.session.threads
+      ? new SessionThreadStore({ storageFile: getDefaultThreadsFile('discord') })
+      : null);
+    this.pendingThreads = new Map(); // sessionName -> Promise<Object>
+
+    // 可编辑的消息：messageId -> Message（/watch 实时输出、流式回复）
+    this.editableMessages = new Map();
+    this.supportsEdit = true;
+
     // Discord 特定的消息长度限制
     this.maxMessageLength = DISCORD.MAX_MESSAGE_LENGTH;
     this.splitThreshold = DISCORD.SPLIT_THRESHOLD;
@@ -72,6 +129,72 @@ export class DiscordAdapter extends MessengerAdapter {
     return this.channel;
   }
 
+  /**
+   * 获取会话对应的发送目标：开启会话子区时返回该会话的子区（不存在则创建），否则返回目标频道
+   * @param {string} session - tmux 会话名称
+   * @returns {Promise<Object>} Discord 频道或子区对象
+   */
+  async getSessionChannel(session) {
+    if (!this.threadStore || !session) {
+      return this.getChannel();
+    }
+
+    const threadId = this.threadStore.get(session);
+    if (threadId) {
+      try {
+        const thread = await this.client.channels.fetch(threadId);
+        if (thread) {
+          return thread;
+        }
+      } catch (error) {
+        Logger.warn(`[Discord] 会话子区不可用，将重新创建 (${session}): ${error.message}`);
+      }
+      this.threadStore.delete(session);
+    }
+
+    // 同一会话并发发送时只创建一个子区
+    if (!this.pendingThreads.has(session)) {
+      this.pendingThreads.set(session, this.createSessionThread(session).finally(() => {
+        this.pendingThreads.delete(session);
+      }));
+    }
+    return this.pendingThreads.get(session);
+  }
+
+  /**
+   * 在目标频道下创建会话子区，并记录会话映射（创建失败时退回目标频道）
+   * @param {string} session - tmux 会话名称
+   * @returns {Promise<Object>}
+   */
+  async createSessionThread(session) {
+    const channel = await this.getChannel();
+    try {
+      const thread = await channel.threads.create({
+        name: session.slice(0, 100),
+        autoArchiveDuration: ThreadAutoArchiveDuration.OneWeek,
+        reason: `Claude Code 会话 ${session}`,
+      });
+      this.threadStore.set(session, thread.id);
+      Logger.info(`[Discord] 已创建会话子区: ${session} -> ${thread.id}`);
+      return thread;
+    } catch (error) {
+      Logger.error(`[Discord] 创建会话子区失败 (${session}): ${error.message}`);
+      return channel;
+    }
+  }
+
+  /**
+   * 根据消息所在子区解析会话
+   * @param {Object} message - 标准化消息对象（_channelId 为消息所在频道或子区）
+   * @returns {string|null}
+   */
+  getMessageSession(message) {
+    if (!this.threadStore || !message?._channelId) {
+      return null;
+    }
+    return this.threadStore.getSession(message._channelId);
+  }
+
   /**
    * 分割消息为多个片段，保持代码块完整性
    * @param {string} text - 原始消息
@@ -174,10 +297,12 @@ export class DiscordAdapter extends MessengerAdapter {
    * 发送文本消息（支持 Markdown，带自动分片和去重）
    * @param {string} text - 消息文本
    * @param {Object} options - 发送选项
+   * @param {boolean} options.skipDedup - 跳过去重检查
+   * @param {string} options.session - 来源 tmux 会话（开启会话子区时发送到子区）
    * @returns {Promise<{success: boolean, skipped?: boolean, error?: string}>}
    */
   async sendText(text, options = {}) {
-    const { skipDedup = false } = options;
+    const { skipDedup = false, session = '' } = options;
 
     // 去重检查
     if (!skipDedup && this.messageHistory && this.messageHistory.hasSent(text)) {
@@ -186,7 +311,7 @@ export class DiscordAdapter extends MessengerAdapter {
     }
 
     try {
-      const channel = await this.getChannel();
+      const channel = await this.getSessionChannel(session);
       const chunks = this.splitMessage(text, DISCORD.SPLIT_THRESHOLD);
 
       if (chunks.length > 1) {
@@ -224,11 +349,12 @@ export class DiscordAdapter extends MessengerAdapter {
    * @param {string} title - 卡片标题
    * @param {string} content - 卡片内容
    * @param {Array} buttons - 按钮列表
+   * @param {string} session - 来源 tmux 会话
    * @returns {Promise<{success: boolean, error?: string}>}
    */
-  async sendCard(title, content, buttons = []) {
+  async sendCard(title, content, buttons = [], session = '') {
     try {
-      const channel = await this.getChannel();
+      const channel = await this.getSessionChannel(session);
 
       const embed = new EmbedBuilder()
         .setTitle(title)
@@ -263,6 +389,291 @@ export class DiscordAdapter extends MessengerAdapter {
     }
   }
 
+  /**
+   * 发送带组件的消息（文本过长时，前面的片段作为普通消息发送，组件附在最后一片）
+   * @param {string} text - 消息文本
+   * @param {Array<ActionRowBuilder>} components - 组件行
+   * @param {string} session - 来源 tmux 会话
+   * @returns {Promise<{success: boolean, error?: string}>}
+   */
+  async sendWithComponents(text, components, session = '') {
+    try {
+      const channel = await this.getSessionChannel(session);
+      const chunks = this.splitMessage(text, DISCORD.SPLIT_THRESHOLD);
+
+      for (let i = 0; i < chunks.length; i++) {
+        const isLast = i === chunks.length - 1;
+        const payload = isLast ? { content: chunks[i], components } : chunks[i];
+
+        await withRetry(async () => {
+          await channel.send(payload);
+        }, DiscordRetryConfig);
+
+        if (!isLast) {
+          await new Promise(resolve => setTimeout(resolve, 300));
+        }
+      }
+
+      Logger.info('[Discord] 交互消息已发送');
+      return { success: true };
+    } catch (error) {
+      Logger.error(`[Discord] 交互消息发送失败: ${error.message}`);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * 发送文件附件
+   * @param {string} fileName - 文件名
+   * @param {Buffer|string} data - 文件内容
+   * @param {Object} options - 发送选项
+   * @param {string} options.caption - 附带的说明文字
+   * @param {string} options.session - 来源 tmux 会话
+   * @returns {Promise<{success: boolean, error?: string}>}
+   */
+  async sendFile(fileName, data, options = {}) {
+    const { caption = '', session = '' } = options;
+
+    try {
+      const channel = await this.getSessionChannel(session);
+      const attachment = new AttachmentBuilder(Buffer.isBuffer(data) ? data : Buffer.from(data), { name: fileName });
+
+      await withRetry(async () => {
+        await channel.send({ content: caption.slice(0, DISCORD.SPLIT_THRESHOLD) || undefined, files: [attachment] });
+      }, DiscordRetryConfig);
+
+      Logger.info(`[Discord] 文件已发送: ${fileName}`);
+      return { success: true };
+    } catch (error) {
+      Logger.error(`[Discord] 文件发送失败: ${error.message}`);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * 发送可编辑的消息（超过长度上限时截断）
+   * @param {string} text - 消息文本
+   * @param {Object} options - 发送选项
+   * @param {string} options.session - 来源 tmux 会话
+   * @returns {Promise<{success: boolean, messageId?: string, error?: string}>}
+   */
+  async sendEditable(text, options = {}) {
+    const { session = '' } = options;
+
+    try {
+      const channel = await this.getSessionChannel(session);
+      const message = await withRetry(async () => {
+        return channel.send(text.slice(0, DISCORD.MAX_MESSAGE_LENGTH));
+      }, DiscordRetryConfig);
+
+      this.editableMessages.set(message.id, message);
+      if (this.editableMessages.size > 20) {
+        this.editableMessages.delete(this.editableMessages.keys().next().value);
+      }
+
+      return { success: true, messageId: message.id };
+    } catch (error) {
+      Logger.error(`[Discord] 可编辑消息发送失败: ${error.message}`);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * 编辑 sendEditable 发送的消息（message.edit）
+   * @param {string} messageId - 消息 ID
+   * @param {string} text - 新的消息文本
+   * @returns {Promise<{success: boolean, error?: string}>}
+   */
+  async editMessage(messageId, text) {
+    const message = this.editableMessages.get(messageId);
+    if (!message) {
+      return { success: false, error: '消息不存在或已过期' };
+    }
+
+    try {
+      await message.edit(text.slice(0, DISCORD.MAX_MESSAGE_LENGTH));
+      return { success: true };
+    } catch (error) {
+      Logger.warn(`[Discord] 编辑消息失败: ${error.message}`);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * 发送带角色提醒的消息（DISCORD_MENTION_ROLE_ID）
+   * @param {string} text - 提醒内容
+   * @param {Object} options - 发送选项
+   * @param {string} options.session - 来源 tmux 会话
+   * @returns {Promise<{success: boolean, error?: string}>}
+   */
+  async sendMention(text, options = {}) {
+    const { session = '' } = options;
+    const roleId = config.discord.mentionRoleId;
+    if (!roleId) {
+      return this.sendText(text, { ...options, skipDedup: true });
+    }
+
+    try {
+      const channel = await this.getSessionChannel(session);
+      const content = `<@&${roleId}> ${text}`.slice(0, DISCORD.SPLIT_THRESHOLD);
+
+      await withRetry(async () => {
+        await channel.send({ content, allowedMentions: { roles: [roleId] } });
+      }, DiscordRetryConfig);
+
+      Logger.info('[Discord] 提醒已发送');
+      return { success: true };
+    } catch (error) {
+      Logger.error(`[Discord] 提醒发送失败: ${error.message}`);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * 构建组件 customId：claude:<kind>:<num>:<session>
+   * 会话名过长（customId 最多 100 字符）时改用会话短键，交互仍发送到来源会话
+   * @param {string} kind - 交互类型（select | tab | question | confirm | cancel）
+   * @param {string|number} num - 选项编号（tab 为空，confirm / cancel 为确认码）
+   * @param {string} session - 来源 tmux 会话
+   * @returns {string}
+   */
+  buildCustomId(kind, num = '', session = '') {
+    const base = `${COMPONENT_PREFIX}:${kind}:${num}`;
+    const withSession = `${base}:${session}`;
+    if (!session) {
+      return base;
+    }
+    return withSession.length <= 100 ? withSession : `${base}:${getSessionKey(session)}`;
+  }
+
+  /**
+   * 构建选项按钮行（每行最多 5 个，最多 5 行）
+   * @param {Array<{num: number, label: string}>} options - 选项列表
+   * @param {string} session - 来源 tmux 会话
+   * @returns {ActionRowBuilder[]}
+   */
+  buildChoiceRows(options, session = '') {
+    const rows = [];
+    const limited = options.slice(0, 25);
+
+    for (let i = 0; i < limited.length; i += 5) {
+      const row = new ActionRowBuilder();
+      for (const opt of limited.slice(i, i + 5)) {
+        row.addComponents(
+          new ButtonBuilder()
+            .setCustomId(this.buildCustomId('select', opt.num, session))
+            .setLabel(`${opt.num}. ${opt.label}`.slice(0, 80))
+            .setStyle(i === 0 && row.components.length === 0 ? ButtonStyle.Primary : ButtonStyle.Secondary)
+        );
+      }
+      rows.push(row);
+    }
+
+    return rows;
+  }
+
+  /**
+   * 构建多选菜单行（tab 选择按 /tab 处理，question 按问题界面的按键回答 AskUserQuestion）
+   * @param {Array<{num: number, label: string, description?: string}>} options - 选项列表
+   * @param {string} placeholder - 占位文本
+   * @param {string} session - 来源 tmux 会话
+   * @param {string} kind - 交互类型（tab | question）
+   * @returns {ActionRowBuilder}
+   */
+  buildMultiSelectRow(options, placeholder, session = '', kind = 'tab') {
+    const limited = options.slice(0, 25);
+    const menu = new StringSelectMenuBuilder()
+      .setCustomId(this.buildCustomId(kind, '', session))
+      .setPlaceholder(placeholder.slice(0, 150))
+      .setMinValues(1)
+      .setMaxValues(limited.length)
+      .addOptions(limited.map(opt => {
+        const item = {
+          label: `${opt.num}. ${opt.label}`.slice(0, 100),
+          value: String(opt.num),
+        };
+        if (opt.description) {
+          item.description = opt.description.slice(0, 100);
+        }
+        return item;
+      }));
+
+    return new ActionRowBuilder().addComponents(menu);
+  }
+
+  /**
+   * 发送选项消息（按钮）
+   * @param {string} title - 标题
+   * @param {string} content - 内容
+   * @param {Array<{num: number, label: string}>} options - 选项列表
+   * @param {string} session - 来源 tmux 会话（写入按钮 customId，回答发送到该会话）
+   * @returns {Promise<{success: boolean, error?: string}>}
+   */
+  async sendChoiceCard(title, content, options = [], session = '') {
+    if (options.length === 0) {
+      return super.sendChoiceCard(title, content, options, session);
+    }
+
+    const message = `**${title}**\n\n${content}\n\n💡 点击按钮选择，或直接回复数字`;
+    return this.sendWithComponents(message, this.buildChoiceRows(options, session), session);
+  }
+
+  /**
+   * 发送危险操作确认（确认 / 取消按钮）
+   * @param {string} title - 标题
+   * @param {string} content - 内容
+   * @param {string} nonce - 确认码
+   * @param {string} session - 来源 tmux 会话
+   * @returns {Promise<{success: boolean, error?: string}>}
+   */
+  async sendConfirmation(title, content, nonce, session = '') {
+    const row = new ActionRowBuilder().addComponents(
+      new ButtonBuilder()
+        .setCustomId(this.buildCustomId('confirm', nonce))
+        .setLabel('确认执行')
+        .setStyle(ButtonStyle.Danger),
+      new ButtonBuilder()
+        .setCustomId(this.buildCustomId('cancel', nonce))
+        .setLabel('取消')
+        .setStyle(ButtonStyle.Secondary)
+    );
+    return this.sendWithComponents(`**${title}**\n\n${content}`, [row], session);
+  }
+
+  /**
+   * 构建已回答的消息内容：禁用所有组件、高亮所选按钮并追加回答人
+   * @param {Object} message - discord.js Message 对象
+   * @param {Object} answer - 回答信息
+   * @param {string} answer.userId - 回答人 ID
+   * @param {string} answer.label - 所选选项文本
+   * @param {string} answer.customId - 被点击组件的 customId
+   * @returns {{content: string, components: ActionRowBuilder[]}}
+   */
+  buildAnsweredMessage(message, answer) {
+    const components = message.components.map(row => {
+      const newRow = new ActionRowBuilder();
+      for (const component of row.components) {
+        if (component.type === ComponentType.Button) {
+          const button = ButtonBuilder.from(component).setDisabled(true);
+          if (component.customId === answer.customId) {
+            button.setStyle(ButtonStyle.Success);
+          }
+          newRow.addComponents(button);
+        } else if (component.type === ComponentType.StringSelect) {
+          newRow.addComponents(StringSelectMenuBuilder.from(component).setDisabled(true));
+        }
+      }
+      return newRow;
+    });
+
+    const footer = `\n\n✅ <@${answer.userId}> 已选择：**${answer.label}**`;
+    const content = (message.content + footer).length <= DISCORD.MAX_MESSAGE_LENGTH
+      ? message.content + footer
+      : message.content;
+
+    return { content, components };
+  }
+
   /**
    * 发送状态更新
    * @param {string} status - 状态类型
@@ -338,10 +749,24 @@ export class DiscordAdapter extends MessengerAdapter {
         }
         message += '\n';
       }
-      message += `\n💡 直接回复数字确认选择`;
+      message += `\n💡 点击按钮或直接回复数字确认选择`;
+    }
+
+    // Tab 使用多选菜单，选项使用按钮（每条消息最多 5 行组件）
+    const rows = [];
+    if (data.tabs && data.tabs.length > 0) {
+      const tabOptions = data.tabs.map((tab, idx) => ({ num: idx + 1, label: tab }));
+      rows.push(this.buildMultiSelectRow(tabOptions, '选择要选中的 tab'));
+    }
+    if (data.options && data.options.length > 0) {
+      const choices = data.options.map(opt => ({ num: opt.num, label: opt.text }));
+      rows.push(...this.buildChoiceRows(choices).slice(0, 5 - rows.length));
     }
 
-    return this.sendText(message);
+    if (rows.length === 0) {
+      return this.sendText(message);
+    }
+    return this.sendWithComponents(message, rows);
   }
 
   /**
@@ -368,10 +793,23 @@ export class DiscordAdapter extends MessengerAdapter {
         }
         message += '\n';
       }
-      message += `\n💡 回复数字 ${question.multiSelect ? '（可多选，用逗号分隔）' : '选择'}确认`;
+      message += `\n💡 ${question.multiSelect ? '在菜单中勾选（可多选）' : '点击按钮'}，或回复数字确认`;
+    } else {
+      return this.sendText(message, { session: question.session });
     }
 
-    return this.sendText(message);
+    const options = question.options.map((opt, i) => ({
+      num: i + 1,
+      label: opt.label,
+      description: opt.description,
+    }));
+
+    // 多选问题使用下拉菜单，单选问题使用按钮
+    const rows = question.multiSelect
+      ? [this.buildMultiSelectRow(options, question.header || '选择选项', question.session, 'question')]
+      : this.buildChoiceRows(options, question.session);
+
+    return this.sendWithComponents(message, rows, question.session);
   }
 
   /**
@@ -388,6 +826,7 @@ export class DiscordAdapter extends MessengerAdapter {
           value: [
             '• 自动检测 Claude Code 等待输入',
             '• 检测错误、警告、测试执行等状态',
+            '• 同时监控所有 tmux 会话，消息带 `[会话名]` 标签',
             '• Discord 消息实时通知',
           ].join('\n'),
         },
@@ -398,19 +837,31 @@ export class DiscordAdapter extends MessengerAdapter {
             '**yes/y/确认** → 确认 Claude Code 请求',
             '**no/n/取消** → 取消 Claude Code 操作',
             '**!命令** → 在 tmux 中执行命令并返回结果',
+            '**@会话 内容** → 发送到指定会话，不切换当前会话（如 `@my-project yes`）',
+            '**题号:选项** → 一次回答多个问题（如 `1:2 2:1,3`，`1:自定义文本` 填写其他答案）',
           ].join('\n'),
         },
         {
           name: '🎛️ 桥接服务指令',
           value: [
             '`/switch` — 列出所有 tmux 会话',
-            '`/switch <名>` — 切换监控到指定会话',
+            '`/switch <名>` — 切换当前会话',
             '`/tab <数字>` — 选中指定 tab',
-            '`/show` — 显示当前 tmux 会话内容',
+            '`/show [--image]` — 显示当前 tmux 会话内容（--image 渲染为终端图片）',
+            '`/watch [秒数]` — 实时跟随输出（原地更新同一条消息），`/unwatch` 停止',
             '`/new <名字>` — 创建新的 tmux 会话',
-            '`/kill` — 杀掉当前 tmux 会话',
-            '`/reset` — 清除 Claude Code context',
-            '`/history` — 查看命令历史',
+            '`/kill` — 杀掉当前 tmux 会话（需确认）',
+            '`/reset` — 清除 Claude Code context（需确认）',
+            '`/confirm 确认码` — 确认执行 /kill、/reset 或危险的 ! 命令（`/cancel` 取消）',
+            '`/audit [条数] [会话]` — 查看审计日志（管理员）',
+            '`/plan [页码|file|history]` — 查看计划、获取 .md 附件或修订历史',
+            '`/pending` — 列出所有会话等待回复的交互',
+            '`/usage [会话] [today|week]` — 查看 token 用量和估算费用',
+            '`/verbose [off|summary|detail]` — 设置工具活动摘要',
+            '`/agents [mute|unmute|mode]` — 查看子代理，静音或折叠子代理消息',
+            '`/get <路径>` — 发送项目内的文件（目录打包为 ZIP），`/get auto on|off` 自动发送图片',
+            '`/history [prompts|shell]` — 查看当前会话的命令历史（`/history search 关键词` 搜索）',
+            '`/redo 编号` — 重新发送历史中的提示词',
             '`/status` — 显示详细状态信息',
             '`/help` — 显示此帮助信息',
           ].join('\n'),
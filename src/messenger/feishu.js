@@ -10,8 +10,10 @@ import { config } from '../config/index.js';
 import Logger from '../utils/logger.js';
 import { withRetry, RetryConfigs, RetryableErrors } from '../utils/retry.js';
 import { MessageHistory } from '../utils/message-history.js';
+import { SessionThreadStore, getDefaultThreadsFile } from '../utils/session-threads.js';
 import { toLarkMarkdown } from '../utils/feishu-markdown.js';
 import { markdownToFeishuRichText } from '../utils/feishu-rich-text.js';
+import { readStreamWithLimit } from '../utils/inbox.js';
 
 /**
  * 飞书适配器类
@@ -30,6 +32,18 @@ export class FeishuAdapter extends MessengerAdapter {
     // 初始化消息历史去重器
     this.messageHistory = options.messageHistory || new MessageHistory();
 
+    // 带按钮的卡片内容：messageId -> { title, content }
+    this.interactiveCards = new Map();
+
+    // 支持通过 im.message.patch 更新卡片（/watch 实时输出、流式回复）
+    this.supportsEdit = true;
+
+    // 会话话题：tmux 会话 -> 话题根消息 ID（未开启 SESSION_THREADS 时为 null）
+    this.threadStore = options.threadStore || (config.session.threads
+      ? new SessionThreadStore({ storageFile: getDefaultThreadsFile('feishu') })
+      : null);
+    this.pendingThreads = new Map(); // sessionName -> Promise<string|null>
+
     // 初始化飞书客户端
     this.client = new Client({
       appId: this.appId,
@@ -49,6 +63,115 @@ export class FeishuAdapter extends MessengerAdapter {
     this.messageHistory = messageHistory;
   }
 
+  /**
+   * 获取会话对应的话题根消息 ID，不存在时在群聊中创建
+   * @param {string} session - tmux 会话名称
+   * @returns {Promise<string|null>} - 根消息 ID，未开启会话话题或创建失败时返回 null
+   */
+  async getSessionThread(session) {
+    if (!this.threadStore || !session) {
+      return null;
+    }
+
+    const existing = this.threadStore.get(session);
+    if (existing) {
+      return existing;
+    }
+
+    // 同一会话并发发送时只创建一个话题
+    if (!this.pendingThreads.has(session)) {
+      this.pendingThreads.set(session, this.createSessionThread(session).finally(() => {
+        this.pendingThreads.delete(session);
+      }));
+    }
+    return this.pendingThreads.get(session);
+  }
+
+  /**
+   * 在群聊中发送话题根消息，并记录会话映射
+   * @param {string} session - tmux 会话名称
+   * @returns {Promise<string|null>}
+   */
+  async createSessionThread(session) {
+    try {
+      const card = this.buildCard(
+        `🧵 [${session}] 会话话题`,
+        `该会话的消息会发送到此话题，在话题内回复将直接发送到 **${session}**`
+      );
+      const response = await withRetry(async () => {
+        return this.client.im.message.create({
+          params: {
+            receive_id_type: 'chat_id'
+          },
+          data: {
+            receive_id: this.userChatId,
+            msg_type: 'interactive',
+            content: JSON.stringify(card)
+          }
+        });
+      }, RetryConfigs.feishu);
+
+      const rootId = response?.data?.message_id;
+      if (!rootId) {
+        throw new Error('未返回 message_id');
+      }
+
+      this.threadStore.set(session, rootId);
+      Logger.feishu(`已创建会话话题: ${session} -> ${rootId}`);
+      return rootId;
+    } catch (error) {
+      Logger.error(`创建会话话题失败 (${session}): ${error.message || error}`);
+      return null;
+    }
+  }
+
+  /**
+   * 发送消息：指定会话且开启会话话题时回复到话题内，否则发送到群聊
+   * @param {string} msgType - 消息类型
+   * @param {string} content - 消息内容 JSON
+   * @param {string} session - 来源 tmux 会话
+   * @returns {Promise<Object>} - 飞书 API 响应
+   */
+  async createMessage(msgType, content, session = '') {
+    const rootId = await this.getSessionThread(session);
+
+    if (rootId) {
+      return this.client.im.message.reply({
+        path: {
+          message_id: rootId
+        },
+        data: {
+          msg_type: msgType,
+          content,
+          reply_in_thread: true
+        }
+      });
+    }
+
+    return this.client.im.message.create({
+      params: {
+        receive_id_type: 'chat_id'
+      },
+      data: {
+        receive_id: this.userChatId,
+        msg_type: msgType,
+        content
+      }
+    });
+  }
+
+  /**
+   * 根据话题根消息解析会话（话题内的消息带有 root_id）
+   * @param {Object} message - 飞书消息对象
+   * @returns {string|null}
+   */
+  getMessageSession(message) {
+    if (!this.threadStore || !message?.root_id) {
+      return null;
+    }
+    return this.threadStore.getSession(message.root_id);
+  }
+
   /**
    * 检测文本是否包含复杂 Markdown 格式（需要富文本支持）
    * @param {string} text - 文本内容
@@ -85,7 +208,7 @@ export class FeishuAdapter extends MessengerAdapter {
    * @returns {Promise<{success: boolean, error?: string}>}
    */
   async sendRichText(text, options = {}) {
-    const { skipDedup = false } = options;
+    const { skipDedup = false, session = '' } = options;
 
     // 检查是否已发送过
     if (!skipDedup && this.messageHistory && this.messageHistory.hasSent(text)) {
@@ -106,16 +229,7 @@ export class FeishuAdapter extends MessengerAdapter {
       Logger.debug(`即将发送的content字段: ${contentStr.substring(0, 500)}...`);
 
       await withRetry(async () => {
-        await this.client.im.message.create({
-          params: {
-            receive_id_type: 'chat_id'
-          },
-          data: {
-            receive_id: this.userChatId,
-            msg_type: 'post',
-            content: contentStr
-          }
-        });
+        await this.createMessage('post', contentStr, session);
       }, RetryConfigs.feishu);
 
       // 记录已发送
@@ -145,6 +259,7 @@ export class FeishuAdapter extends MessengerAdapter {
    * @param {boolean} options.skipMarkdownConversion - 跳过 Markdown 转换
    * @param {boolean} options.useRichText - 强制使用富文本格式
    * @param {boolean} options.forceSimple - 强制使用简单格式（不自动检测）
+   * @param {string} options.session - 来源 tmux 会话（开启会话话题时发送到话题内）
    * @returns {Promise<{success: boolean, skipped?: boolean, error?: string}>}
    */
   async sendText(text, options = {}) {
@@ -152,7 +267,8 @@ export class FeishuAdapter extends MessengerAdapter {
       skipDedup = false,
       skipMarkdownConversion = false,
       useRichText = null, // null = 自动检测
-      forceSimple = false
+      forceSimple = false,
+      session = ''
     } = options;
 
     // 检查是否已发送过（除非跳过去重）
@@ -167,7 +283,7 @@ export class FeishuAdapter extends MessengerAdapter {
 
     if (shouldUseRichText) {
       Logger.debug('检测到复杂 Markdown 格式，使用富文本消息');
-      return this.sendRichText(text, { skipDedup });
+      return this.sendRichText(text, { skipDedup, session });
     }
 
     // 转换 Markdown 为飞书兼容格式
@@ -179,29 +295,20 @@ export class FeishuAdapter extends MessengerAdapter {
 
     try {
       await withRetry(async () => {
-        await this.client.im.message.create({
-          params: {
-            receive_id_type: 'chat_id'
+        await this.createMessage('interactive', JSON.stringify({
+          config: {
+            wide_screen_mode: true
           },
-          data: {
-            receive_id: this.userChatId,
-            msg_type: 'interactive',
-            content: JSON.stringify({
-              config: {
-                wide_screen_mode: true
-              },
-              elements: [
-                {
-                  tag: 'div',
-                  text: {
-                    tag: 'lark_md',
-                    content: processedText
-                  }
-                }
-              ]
-            })
-          }
-        });
+          elements: [
+            {
+              tag: 'div',
+              text: {
+                tag: 'lark_md',
+                content: processedText
+              }
+            }
+          ]
+        }), session);
       }, RetryConfigs.feishu);
 
       // 记录已发送（使用原始文本）
@@ -222,58 +329,393 @@ export class FeishuAdapter extends MessengerAdapter {
    * @param {string} title - 卡片标题
    * @param {string} content - 卡片内容
    * @param {Array} buttons - 按钮列表
+   * @param {string} session - 来源 tmux 会话（开启会话话题时发送到话题内）
    * @returns {Promise<{success: boolean, error?: string}>}
    */
-  async sendCard(title, content, buttons = []) {
+  async sendCard(title, content, buttons = [], session = '') {
     try {
+      const card = this.buildCard(title, content, buttons);
+
+      const response = await withRetry(async () => {
+        return this.createMessage('interactive', JSON.stringify(card), session);
+      }, RetryConfigs.feishu);
+
+      const messageId = response?.data?.message_id || null;
+
+      // 带按钮的卡片需要记住内容，用于回调后更新卡片
+      if (messageId && buttons.length > 0) {
+        this.rememberCard(messageId, { title, content });
+      }
+
+      Logger.feishu('卡片已发送');
+      return { success: true, messageId };
+    } catch (error) {
+      Logger.error(`飞书卡片发送失败: ${error.message || error}`);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * 发送文件附件（先上传获取 file_key，再发送文件消息）
+   * @param {string} fileName - 文件名
+   * @param {Buffer|string} data - 文件内容
+   * @param {Object} options - 发送选项
+   * @param {string} options.caption - 附带的说明文字（作为单独的文本消息先发送）
+   * @param {string} options.session - 来源 tmux 会话（开启会话话题时发送到话题内）
+   * @returns {Promise<{success: boolean, error?: string}>}
+   */
+  async sendFile(fileName, data, options = {}) {
+    const { caption = '', session = '' } = options;
+
+    try {
+      const upload = await withRetry(async () => {
+        return this.client.im.file.create({
+          data: {
+            file_type: 'stream',
+            file_name: fileName,
+            file: Buffer.isBuffer(data) ? data : Buffer.from(data),
+          }
+        });
+      }, RetryConfigs.feishu);
+
+      const fileKey = upload?.file_key || upload?.data?.file_key;
+      if (!fileKey) {
+        throw new Error('上传文件未返回 file_key');
+      }
+
+      if (caption) {
+        await this.sendText(caption, { skipDedup: true, session });
+      }
+
       await withRetry(async () => {
-        // 转换 Markdown 为飞书兼容格式
-        const processedContent = toLarkMarkdown(`**${title}**\n\n${content}`, {
-          maxCodeBlockLength: 2000,
-          preserveEmptyLines: false,
+        return this.createMessage('file', JSON.stringify({ file_key: fileKey }), session);
+      }, RetryConfigs.feishu);
+
+      Logger.feishu(`文件已发送: ${fileName}`);
+      return { success: true };
+    } catch (error) {
+      Logger.error(`飞书文件发送失败: ${error.message || error}`);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * 发送图片消息（先上传获取 image_key），上传失败时作为文件发送
+   * @param {string} fileName - 文件名
+   * @param {Buffer} data - 图片内容
+   * @param {Object} options - 发送选项（同 sendFile）
+   * @returns {Promise<{success: boolean, error?: string}>}
+   */
+  async sendImage(fileName, data, options = {}) {
+    const { caption = '', session = '' } = options;
+
+    try {
+      const upload = await withRetry(async () => {
+        return this.client.im.image.create({
+          data: {
+            image_type: 'message',
+            image: data,
+          }
         });
+      }, RetryConfigs.feishu);
+
+      const imageKey = upload?.image_key || upload?.data?.image_key;
+      if (!imageKey) {
+        throw new Error('上传图片未返回 image_key');
+      }
+
+      if (caption) {
+        await this.sendText(caption, { skipDedup: true, session });
+      }
+
+      await withRetry(async () => {
+        return this.createMessage('image', JSON.stringify({ image_key: imageKey }), session);
+      }, RetryConfigs.feishu);
+
+      Logger.feishu(`图片已发送: ${fileName}`);
+      return { success: true };
+    } catch (error) {
+      // 图片格式或大小不符合图片消息要求时，仍可作为文件发送
+      Logger.warn(`飞书图片发送失败，改为发送文件: ${error.message || error}`);
+      return this.sendFile(fileName, data, options);
+    }
+  }
 
-        const elements = [{
+  /**
+   * 构建可更新的文本卡片（update_multi 卡片才能通过 im.message.patch 更新）
+   * @param {string} text - Markdown 文本
+   * @returns {Object} - 卡片 JSON
+   */
+  buildEditableCard(text) {
+    return {
+      config: {
+        wide_screen_mode: true,
+        update_multi: true
+      },
+      elements: [
+        {
           tag: 'div',
           text: {
             tag: 'lark_md',
-            content: processedContent
+            content: toLarkMarkdown(text, { maxCodeBlockLength: 3000, preserveEmptyLines: false })
           }
-        }];
-
-        if (buttons.length > 0) {
-          const buttonElement = {
-            tag: 'action',
-            actions: buttons
-          };
-          elements.push(buttonElement);
         }
+      ]
+    };
+  }
 
-        await this.client.im.message.create({
-          params: {
-            receive_id_type: 'chat_id'
-          },
-          data: {
-            receive_id: this.userChatId,
-            msg_type: 'interactive',
-            content: JSON.stringify({
-              config: {
-                wide_screen_mode: true
-              },
-              elements
-            })
-          }
-        });
+  /**
+   * 发送可编辑的消息（卡片）
+   * @param {string} text - 消息文本
+   * @param {Object} options - 发送选项
+   * @param {string} options.session - 来源 tmux 会话（开启会话话题时发送到话题内）
+   * @returns {Promise<{success: boolean, messageId?: string, error?: string}>}
+   */
+  async sendEditable(text, options = {}) {
+    const { session = '' } = options;
+
+    try {
+      const response = await withRetry(async () => {
+        return this.createMessage('interactive', JSON.stringify(this.buildEditableCard(text)), session);
       }, RetryConfigs.feishu);
 
-      Logger.feishu('卡片已发送');
+      const messageId = response?.data?.message_id || null;
+      if (!messageId) {
+        throw new Error('发送消息未返回 message_id');
+      }
+      return { success: true, messageId };
+    } catch (error) {
+      Logger.error(`飞书可编辑消息发送失败: ${error.message || error}`);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * 更新 sendEditable 发送的卡片（im.message.patch）
+   * @param {string} messageId - 消息 ID
+   * @param {string} text - 新的消息文本
+   * @returns {Promise<{success: boolean, error?: string}>}
+   */
+  async editMessage(messageId, text) {
+    try {
+      await this.client.im.message.patch({
+        path: {
+          message_id: messageId
+        },
+        data: {
+          content: JSON.stringify(this.buildEditableCard(text))
+        }
+      });
       return { success: true };
     } catch (error) {
-      Logger.error(`飞书卡片发送失败: ${error.message || error}`);
+      Logger.warn(`飞书更新卡片失败: ${error.message || error}`);
       return { success: false, error: error.message };
     }
   }
 
+  /**
+   * 下载消息中的图片或文件（im.messageResource）
+   * @param {string} messageId - 消息 ID
+   * @param {string} fileKey - image_key 或 file_key
+   * @param {string} type - 资源类型（image | file）
+   * @returns {Promise<{success: boolean, data?: Buffer, error?: string}>}
+   */
+  async downloadResource(messageId, fileKey, type) {
+    try {
+      const resource = await withRetry(async () => {
+        return this.client.im.messageResource.get({
+          path: { message_id: messageId, file_key: fileKey },
+          params: { type },
+        });
+      }, RetryConfigs.feishu);
+
+      const result = await readStreamWithLimit(resource.getReadableStream());
+      if (result.success) {
+        Logger.feishu(`附件已下载: ${fileKey} (${result.data.length} 字节)`);
+      }
+      return result;
+    } catch (error) {
+      Logger.error(`飞书附件下载失败: ${error.message || error}`);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * 构建卡片 JSON
+   * @param {string} title - 卡片标题
+   * @param {string} content - 卡片内容
+   * @param {Array} buttons - 按钮列表
+   * @param {string} footer - 卡片底部内容（分割线下方）
+   * @returns {Object} - 卡片 JSON
+   */
+  buildCard(title, content, buttons = [], footer = '') {
+    // 转换 Markdown 为飞书兼容格式
+    const processedContent = toLarkMarkdown(`**${title}**\n\n${content}`, {
+      maxCodeBlockLength: 2000,
+      preserveEmptyLines: false,
+    });
+
+    const elements = [{
+      tag: 'div',
+      text: {
+        tag: 'lark_md',
+        content: processedContent
+      }
+    }];
+
+    if (buttons.length > 0) {
+      elements.push({
+        tag: 'action',
+        layout: 'flow',
+        actions: buttons
+      });
+    }
+
+    if (footer) {
+      elements.push({ tag: 'hr' });
+      elements.push({
+        tag: 'div',
+        text: {
+          tag: 'lark_md',
+          content: footer
+        }
+      });
+    }
+
+    return {
+      config: {
+        wide_screen_mode: true,
+        update_multi: true
+      },
+      elements
+    };
+  }
+
+  /**
+   * 记录带按钮的卡片内容（LRU，最多保留 100 张）
+   * @param {string} messageId - 飞书消息 ID
+   * @param {{title: string, content: string}} card - 卡片内容
+   */
+  rememberCard(messageId, card) {
+    this.interactiveCards.set(messageId, card);
+    if (this.interactiveCards.size > 100) {
+      const oldest = this.interactiveCards.keys().next().value;
+      this.interactiveCards.delete(oldest);
+    }
+  }
+
+  /**
+   * 发送选项卡片（每个选项一个按钮，点击后触发 card.action.trigger 回调）
+   * @param {string} title - 卡片标题
+   * @param {string} content - 卡片内容
+   * @param {Array<{num: number, label: string}>} options - 选项列表
+   * @param {string} session - 来源 tmux 会话（随按钮回传，回答发送到该会话）
+   * @returns {Promise<{success: boolean, messageId?: string, error?: string}>}
+   */
+  async sendChoiceCard(title, content, options = [], session = '') {
+    const buttons = options.map((opt, idx) => ({
+      tag: 'button',
+      text: {
+        tag: 'plain_text',
+        content: `${opt.num}. ${opt.label}`.slice(0, 60)
+      },
+      type: idx === 0 ? 'primary' : 'default',
+      value: {
+        action: 'select',
+        choice: String(opt.num),
+        label: opt.label,
+        ...(session ? { session } : {})
+      }
+    }));
+
+    const result = await this.sendCard(title, content, buttons, session);
+    if (!result.success) {
+      // 卡片发送失败时降级为编号文本
+      Logger.warn('选项卡片发送失败，降级为文本消息');
+      return super.sendChoiceCard(title, content, options, session);
+    }
+    return result;
+  }
+
+  /**
+   * 发送危险操作确认卡片（确认 / 取消按钮，点击后触发 card.action.trigger 回调）
+   * @param {string} title - 卡片标题
+   * @param {string} content - 卡片内容
+   * @param {string} nonce - 确认码（随按钮回传）
+   * @param {string} session - 来源 tmux 会话
+   * @returns {Promise<{success: boolean, messageId?: string, error?: string}>}
+   */
+  async sendConfirmation(title, content, nonce, session = '') {
+    const buttons = [
+      { label: '确认执行', action: 'confirm', type: 'danger' },
+      { label: '取消', action: 'cancel', type: 'default' },
+    ].map(({ label, action, type }) => ({
+      tag: 'button',
+      text: { tag: 'plain_text', content: label },
+      type,
+      value: { action, choice: nonce, label },
+    }));
+
+    const result = await this.sendCard(title, content, buttons, session);
+    if (!result.success) {
+      Logger.warn('确认卡片发送失败，降级为文本消息');
+      return super.sendConfirmation(title, content, nonce, session);
+    }
+    return result;
+  }
+
+  /**
+   * 发送带 @提及 的提醒（FEISHU_MENTION_USER_IDS 中的用户）
+   * @param {string} text - 提醒内容
+   * @param {Object} options - 发送选项
+   * @param {string} options.session - 来源 tmux 会话
+   * @returns {Promise<{success: boolean, error?: string}>}
+   */
+  async sendMention(text, options = {}) {
+    const mentions = config.feishu.mentionUserIds.map(id => `<at id=${id}></at>`).join(' ');
+    if (!mentions) {
+      return this.sendText(text, { ...options, skipDedup: true });
+    }
+
+    // 转换 Markdown 后再加 @提及，避免 <at> 标签被转义
+    const processedText = toLarkMarkdown(text, { preserveEmptyLines: false, enableEmoji: true });
+    return this.sendText(`${mentions} ${processedText}`, {
+      ...options,
+      skipDedup: true,
+      skipMarkdownConversion: true,
+    });
+  }
+
+  /**
+   * 构建卡片回调响应：移除按钮并显示回答人和所选选项
+   * @param {string} messageId - 被点击的卡片消息 ID
+   * @param {Object} answer - 回答信息
+   * @param {string} answer.operatorId - 操作人 open_id
+   * @param {string} answer.label - 所选选项文本
+   * @returns {Object} - card.action.trigger 回调响应
+   */
+  buildCardActionResponse(messageId, answer) {
+    const { operatorId, label } = answer;
+    const who = operatorId ? `<at id=${operatorId}></at>` : '用户';
+    const footer = `✅ ${who} 已选择：**${label}**`;
+    const toast = { type: 'success', content: `已选择：${label}` };
+
+    const card = this.interactiveCards.get(messageId);
+    if (!card) {
+      // 卡片内容未知（如服务重启后），只返回提示
+      return { toast };
+    }
+
+    this.interactiveCards.delete(messageId);
+    return {
+      toast,
+      card: {
+        type: 'raw',
+        data: this.buildCard(card.title, card.content, [], footer)
+      }
+    };
+  }
+
   /**
    * 发送 Tab 选择通知
    * @param {Object} data - Tab 选择数据
@@ -385,6 +827,7 @@ export class FeishuAdapter extends MessengerAdapter {
 
 * 自动检测 Claude Code 等待输入
 * 检测错误、警告、测试执行等状态
+* 同时监控所有 tmux 会话，消息带 \`[会话名]\` 标签
 * 飞书消息实时通知
 
 ---
@@ -395,24 +838,36 @@ export class FeishuAdapter extends MessengerAdapter {
 * **yes/y/确认** → 确认 Claude Code 请求
 * **no/n/取消** → 取消 Claude Code 操作
 * **!命令** → 在 tmux 中执行命令并返回结果
+* **@会话 内容** → 发送到指定会话，不切换当前会话（如 \`@my-project yes\`）
+* **题号:选项** → 一次回答多个问题（如 \`1:2 2:1,3\`，\`1:自定义文本\` 填写其他答案）
 
 ---
 
 🎛️ **桥接服务指令**
 
 * **/switch** — 列出所有 tmux 会话
-* **/switch <名>** — 切换监控到指定会话
+* **/switch <名>** — 切换当前会话
 * **/tab <数字>** — 选中指定 tab（如 \`/tab 1\`）
 * **/tab <数字>,<数字>** — 选中多个 tab（如 \`/tab 1,2\`）
-* **/show** — 显示当前 tmux 会话内容
+* **/show [--image]** — 显示当前 tmux 会话内容（--image 渲染为终端图片）
 * **/new <名字>** — 创建新的 tmux 会话
-* **/kill** — 杀掉当前 tmux 会话
-* **/reset** — 清除 Claude Code context window
-* **/history** — 查看命令历史
+* **/kill** — 杀掉当前 tmux 会话（需确认）
+* **/reset** — 清除 Claude Code context window（需确认）
+* **/confirm 确认码** — 确认执行 /kill、/reset 或危险的 ! 命令（/cancel 取消）
+* **/audit [条数] [会话]** — 查看审计日志（管理员）
+* **/plan [页码|file|history]** — 查看计划、获取 .md 附件或修订历史
+* **/pending** — 列出所有会话等待回复的交互
+* **/usage [会话] [today|week]** — 查看 token 用量和估算费用
+* **/verbose [off|summary|detail]** — 设置工具活动摘要
+* **/agents [mute|unmute|mode]** — 查看子代理，静音或折叠子代理消息
+* **/get <路径>** — 发送项目内的文件（目录打包为 ZIP），**/get auto on|off** 自动发送图片
+* **/history [prompts|shell]** — 查看当前会话的命令历史（/history search 关键词 搜索）
+* **/redo 编号** — 重新发送历史中的提示词
 * **/status** — 显示详细状态信息
 * **/config** — 查看当前配置
 * **/dedup-stats** — 查看去重器状态（防止历史消息重放）
-* **/watch** — 实时跟随输出
+* **/watch [秒数]** — 实时跟随输出（原地更新同一条消息，Claude 结束本轮回复后停止）
+* **/unwatch** — 停止实时跟随
 * **/clear** — 清空监控缓冲区
 * **/help** — 显示此帮助信息
 
@@ -434,9 +889,33 @@ export class FeishuAdapter extends MessengerAdapter {
    * @param {string} question.header - 问题标题/头部
    * @param {Array} question.options - 选项列表
    * @param {boolean} question.multiSelect - 是否多选
+   * @param {string} question.session - 来源 tmux 会话
    * @returns {Promise<{success: boolean, error?: string}>}
    */
   async sendAskUserQuestion(question) {
+    // 单选问题使用按钮卡片，点击即可回答
+    if (!question.multiSelect && question.options && question.options.length > 0) {
+      let content = '';
+      if (question.header) {
+        content += `**${question.header}**\n\n`;
+      }
+      content += `${question.text}\n`;
+
+      // 有选项说明时在正文中列出，按钮只显示选项文本
+      if (question.options.some(opt => opt.description)) {
+        question.options.forEach((opt, i) => {
+          content += `\n${i + 1}. ${opt.label}`;
+          if (opt.description) {
+            content += `\n   └─ ${opt.description}`;
+          }
+        });
+      }
+
+      const options = question.options.map((opt, i) => ({ num: i + 1, label: opt.label }));
+
+      return this.sendChoiceCard('❓ Claude Code 需要您回答问题', content, options, question.session);
+    }
+
     let message = `❓ **Claude Code 需要您回答问题**\n\n`;
 
     if (question.header) {
@@ -458,7 +937,7 @@ export class FeishuAdapter extends MessengerAdapter {
       message += `\n💡 回复数字 ${question.multiSelect ? '（可多选，用逗号分隔）' : '选择'}确认`;
     }
 
-    return this.sendText(message, { skipMarkdownConversion: false });
+    return this.sendText(message, { skipMarkdownConversion: false, session: question.session });
   }
 }
 
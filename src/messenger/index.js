@@ -7,6 +7,7 @@
 export { MessengerAdapter } from './adapter.js';
 export { FeishuAdapter } from './feishu.js';
 export { DiscordAdapter } from './discord.js';
+export { MultiMessenger } from './multi.js';
 
 export { default as adapter } from './adapter.js';
 export { default as feishu } from './feishu.js';
@@ -0,0 +1,189 @@
+/**
+ * 多平台消息适配器
+ * 把通知同时发送到所有已启用的平台（飞书、Discord 等），任一平台成功即视为成功
+ * Author: CodePothunter
+ * Version: 1.0.0
+ */
+
+import { MessengerAdapter } from './adapter.js';
+import Logger from '../utils/logger.js';
+
+/**
+ * MultiMessenger 类
+ */
+export class MultiMessenger extends MessengerAdapter {
+  /**
+   * @param {Object<string, MessengerAdapter>} adapters - 平台名称 -> 消息适配器
+   */
+  constructor(adapters = {}) {
+    super();
+
+    this.adapters = new Map(Object.entries(adapters));
+
+    // 按最宽松的平台分片，限制更严的平台（如 Discord）会在 sendText 内自行再分片
+    const adapterList = [...this.adapters.values()];
+    if (adapterList.length > 0) {
+      this.maxMessageLength = Math.max(...adapterList.map(a => a.maxMessageLength || 0));
+      this.splitThreshold = Math.max(...adapterList.map(a => a.splitThreshold || 0));
+    }
+    this.supportsEdit = adapterList.some(a => a.supportsEdit);
+    // 编辑消息不会再分片，可编辑消息的长度按最严格的平台限制
+    this.editThreshold = Math.min(...adapterList.filter(a => a.supportsEdit).map(a => a.splitThreshold), this.splitThreshold);
+  }
+
+  /**
+   * 获取指定平台的适配器
+   * @param {string} platform - 平台名称（feishu | discord）
+   * @returns {MessengerAdapter|null}
+   */
+  getAdapter(platform) {
+    return this.adapters.get(platform) || null;
+  }
+
+  /**
+   * 获取已启用的平台名称
+   * @returns {string[]}
+   */
+  getPlatforms() {
+    return [...this.adapters.keys()];
+  }
+
+  /**
+   * 在所有平台上调用同一方法
+   * @private
+   * @param {string} method - 适配器方法名
+   * @param {Array} args - 方法参数
+   * @returns {Promise<{success: boolean, error?: string, results: Object}>}
+   */
+  async _fanOut(method, args) {
+    const entries = [...this.adapters.entries()];
+    const settled = await Promise.allSettled(
+      entries.map(([, adapter]) => adapter[method](...args))
+    );
+
+    const results = {};
+    const errors = [];
+    settled.forEach((outcome, i) => {
+      const platform = entries[i][0];
+      const result = outcome.status === 'fulfilled'
+        ? (outcome.value || { success: true })
+        : { success: false, error: outcome.reason?.message || String(outcome.reason) };
+
+      results[platform] = result;
+      if (!result.success) {
+        errors.push(`${platform}: ${result.error || '未知错误'}`);
+      }
+    });
+
+    if (errors.length > 0) {
+      Logger.warn(`[${method}] 部分平台发送失败: ${errors.join('; ')}`);
+    }
+
+    const success = Object.values(results).some(r => r.success);
+    return success ? { success, results } : { success, error: errors.join('; '), results };
+  }
+
+  /**
+   * 根据入站消息解析会话线程（交给各平台依次解析）
+   * @param {Object} message - 入站消息对象
+   * @returns {string|null}
+   */
+  getMessageSession(message) {
+    for (const adapter of this.adapters.values()) {
+      const session = adapter.getMessageSession(message);
+      if (session) {
+        return session;
+      }
+    }
+    return null;
+  }
+
+  async sendText(text, options = {}) {
+    return this._fanOut('sendText', [text, options]);
+  }
+
+  async sendCard(title, content, buttons = [], session = '') {
+    return this._fanOut('sendCard', [title, content, buttons, session]);
+  }
+
+  async sendChoiceCard(title, content, options = [], session = '') {
+    return this._fanOut('sendChoiceCard', [title, content, options, session]);
+  }
+
+  async sendAskUserQuestion(question) {
+    return this._fanOut('sendAskUserQuestion', [question]);
+  }
+
+  async sendAskUserQuestions(title, questions, session = '') {
+    return this._fanOut('sendAskUserQuestions', [title, questions, session]);
+  }
+
+  async sendConfirmation(title, content, nonce, session = '') {
+    return this._fanOut('sendConfirmation', [title, content, nonce, session]);
+  }
+
+  async sendFile(fileName, data, options = {}) {
+    return this._fanOut('sendFile', [fileName, data, options]);
+  }
+
+  async sendImage(fileName, data, options = {}) {
+    return this._fanOut('sendImage', [fileName, data, options]);
+  }
+
+  async sendMention(text, options = {}) {
+    return this._fanOut('sendMention', [text, options]);
+  }
+
+  /**
+   * 在所有平台发送可编辑的消息，messageId 为 平台名称 -> 各平台 messageId
+   */
+  async sendEditable(text, options = {}) {
+    const result = await this._fanOut('sendEditable', [text, options]);
+    const messageId = {};
+    for (const [platform, platformResult] of Object.entries(result.results)) {
+      if (platformResult.success && platformResult.messageId) {
+        messageId[platform] = platformResult.messageId;
+      }
+    }
+    return { ...result, messageId: Object.keys(messageId).length > 0 ? messageId : null };
+  }
+
+  async editMessage(messageId, text) {
+    const entries = Object.entries(messageId || {}).filter(([platform]) => this.adapters.has(platform));
+    if (entries.length === 0) {
+      return { success: false, error: '没有可编辑的消息' };
+    }
+
+    const settled = await Promise.allSettled(
+      entries.map(([platform, id]) => this.adapters.get(platform).editMessage(id, text))
+    );
+    const errors = settled
+      .map(outcome => (outcome.status === 'fulfilled' ? outcome.value : { success: false, error: outcome.reason?.message }))
+      .filter(result => !result?.success)
+      .map(result => result?.error || '未知错误');
+
+    return errors.length < entries.length ? { success: true } : { success: false, error: errors.join('; ') };
+  }
+
+  async sendTabSelection(data) {
+    return this._fanOut('sendTabSelection', [data]);
+  }
+
+  async sendStatus(status, message) {
+    return this._fanOut('sendStatus', [status, message]);
+  }
+
+  async sendError(error) {
+    return this._fanOut('sendError', [error]);
+  }
+
+  async sendSuccess(message) {
+    return this._fanOut('sendSuccess', [message]);
+  }
+
+  async sendHelp() {
+    return this._fanOut('sendHelp', []);
+  }
+}
+
+export default MultiMessenger;
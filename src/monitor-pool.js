@@ -0,0 +1,283 @@
+/**
+ * 监控池 - 为每个 tmux 会话运行独立的 transcript 监控和 Plan Mode 轮询
+ * 不再只监控 /switch 选中的会话，其他会话中等待确认的 Claude 也能收到通知
+ * Author: CodePothunter
+ * Version: 1.0.0
+ */
+
+import { TranscriptMonitor, PersistedStateStore } from './transcript-monitor.js';
+import { TmuxCommander } from './tmux/commander.js';
+import { TmuxSession } from './tmux/session.js';
+import { PlanHistoryStore } from './utils/plan-history.js';
+import { PermissionPolicy } from './monitor/permission-policy.js';
+import { EscalationPolicy } from './monitor/escalation.js';
+import { UsageStore, formatDay } from './utils/usage-store.js';
+import { config } from './config/index.js';
+import Logger from './utils/logger.js';
+
+/**
+ * 监控池类
+ */
+export class MonitorPool {
+  /**
+   * @param {Object} options - 配置选项
+   * @param {Object} options.messenger - 消息发送器
+   * @param {number} options.checkInterval - 每个 transcript 监控器的检查间隔（毫秒）
+   * @param {number} options.syncInterval - 同步 tmux 会话列表的间隔（毫秒）
+   * @param {string} options.stateStorageFile - 持久化状态文件路径
+   */
+  constructor(options = {}) {
+    this.messenger = options.messenger;
+    this.checkInterval = options.checkInterval || 1000;
+    this.syncInterval = options.syncInterval || 15000;
+
+    // 所有监控器共享一个持久化状态存储（文件位置按 Claude session ID 区分）
+    this.stateStore = new PersistedStateStore(options.stateStorageFile);
+
+    // 计划修订历史（按会话记录，/plan history 查看）
+    this.planHistory = new PlanHistoryStore();
+
+    // 工具权限策略（项目和全局规则文件，自动批准或拒绝权限请求）
+    this.permissionPolicy = new PermissionPolicy();
+
+    // 未回复交互的超时升级策略
+    this.escalationPolicy = new EscalationPolicy();
+
+    // Token 用量统计（/usage 查看，每日定时推送汇总）
+    this.usageStore = new UsageStore();
+    this.usageTimer = null;
+
+    // Map<sessionName, { monitor: TranscriptMonitor, commander: TmuxCommander }>
+    this.monitors = new Map();
+
+    this.syncTimer = null;
+    this.isSyncing = false;
+    this.onInteraction = null;
+  }
+
+  /**
+   * 设置交互消息回调（应用到所有监控器）
+   * @param {Function} callback - 交互消息回调函数
+   */
+  setInteractionCallback(callback) {
+    this.onInteraction = callback;
+    for (const { monitor } of this.monitors.values()) {
+      monitor.setInteractionCallback(callback);
+    }
+  }
+
+  /**
+   * 设置消息发送器（应用到所有监控器）
+   * @param {Object} messenger - 消息发送器实例
+   */
+  setMessenger(messenger) {
+    this.messenger = messenger;
+    for (const { monitor } of this.monitors.values()) {
+      monitor.setMessenger(messenger);
+    }
+  }
+
+  /**
+   * 启动监控池：立即同步一次，之后定期同步 tmux 会话列表
+   */
+  async start() {
+    if (this.syncTimer) {
+      Logger.warn('监控池已在运行');
+      return;
+    }
+
+    Logger.transcript('启动多会话监控池');
+    await this.sync();
+
+    this.syncTimer = setInterval(() => {
+      this.sync();
+    }, this.syncInterval);
+
+    // 每分钟检查是否到达每日汇总推送时间
+    this.usageTimer = setInterval(() => {
+      this.checkUsageSummary();
+    }, 60000);
+  }
+
+  /**
+   * 到达 USAGE_SUMMARY_TIME 后推送当天的 token 用量汇总（每天一次，重启后不重复推送）
+   * @param {Date} now - 当前时间
+   */
+  async checkUsageSummary(now = new Date()) {
+    const match = (config.usage.summaryTime || '').match(/^(\d{1,2}):(\d{2})$/);
+    if (!match || !this.messenger) {
+      return;
+    }
+
+    const today = formatDay(now);
+    const minutes = now.getHours() * 60 + now.getMinutes();
+    if (this.usageStore.lastSummaryDay === today || minutes < parseInt(match[1]) * 60 + parseInt(match[2])) {
+      return;
+    }
+
+    this.usageStore.markSummarySent(today);
+    if (Object.keys(this.usageStore.summarize({ days: 1, now }).sessions).length === 0) {
+      Logger.debug('今日没有 token 用量，跳过每日汇总');
+      return;
+    }
+
+    try {
+      await this.messenger.sendText(this.usageStore.formatReport({ days: 1, now }, '📊 今日 Token 用量汇总'), { skipDedup: true });
+      Logger.info('已推送每日 token 用量汇总');
+    } catch (error) {
+      Logger.error(`推送每日 token 用量汇总失败: ${error.message}`);
+    }
+  }
+
+  /**
+   * 同步 tmux 会话列表：为新会话启动监控，停止已消失会话的监控
+   * @returns {Promise<void>}
+   */
+  async sync() {
+    if (this.isSyncing) {
+      return;
+    }
+
+    this.isSyncing = true;
+
+    try {
+      let { sessions, error } = await TmuxSession.list({ quiet: true });
+
+      if (error) {
+        // tmux server 未运行等同于没有会话，其他错误保留现有监控
+        if (!error.includes('no server running')) {
+          Logger.debug(`同步 tmux 会话列表失败: ${error}`);
+          return;
+        }
+        sessions = [];
+      }
+
+      for (const sessionName of sessions) {
+        if (!this.monitors.has(sessionName)) {
+          await this.add(sessionName);
+        }
+      }
+
+      for (const sessionName of [...this.monitors.keys()]) {
+        if (!sessions.includes(sessionName)) {
+          this.remove(sessionName);
+        }
+      }
+    } catch (error) {
+      Logger.error(`同步监控池失败: ${error.message}`);
+    } finally {
+      this.isSyncing = false;
+    }
+  }
+
+  /**
+   * 为指定会话启动监控
+   * @param {string} sessionName - tmux 会话名称
+   */
+  async add(sessionName) {
+    const workingDir = await TmuxSession.getWorkingDir(sessionName);
+    const commander = new TmuxCommander(sessionName);
+
+    const monitor = new TranscriptMonitor({
+      projectPath: workingDir || process.cwd(),
+      messenger: this.messenger,
+      checkInterval: this.checkInterval,
+      tmuxSessionName: sessionName,
+      tmuxCommander: commander,
+      stateStore: this.stateStore,
+      planHistory: this.planHistory,
+      permissionPolicy: this.permissionPolicy,
+      escalationPolicy: this.escalationPolicy,
+      usageStore: this.usageStore,
+    });
+
+    if (this.onInteraction) {
+      monitor.setInteractionCallback(this.onInteraction);
+    }
+
+    this.monitors.set(sessionName, { monitor, commander });
+    monitor.start();
+
+    Logger.transcript(`开始监控会话: ${sessionName}${workingDir ? ` (${workingDir})` : ''}`);
+  }
+
+  /**
+   * 停止指定会话的监控
+   * @param {string} sessionName - tmux 会话名称
+   */
+  remove(sessionName) {
+    const entry = this.monitors.get(sessionName);
+    if (!entry) {
+      return;
+    }
+
+    entry.monitor.stop();
+    this.monitors.delete(sessionName);
+    Logger.transcript(`停止监控会话: ${sessionName}`);
+  }
+
+  /**
+   * 会话是否在监控中
+   * @param {string} sessionName - tmux 会话名称
+   * @returns {boolean}
+   */
+  has(sessionName) {
+    return this.monitors.has(sessionName);
+  }
+
+  /**
+   * 获取指定会话的 transcript 监控器
+   * @param {string} sessionName - tmux 会话名称
+   * @returns {TranscriptMonitor|null}
+   */
+  get(sessionName) {
+    return this.monitors.get(sessionName)?.monitor || null;
+  }
+
+  /**
+   * 获取所有监控中的会话名称
+   * @returns {string[]}
+   */
+  getSessions() {
+    return [...this.monitors.keys()];
+  }
+
+  /**
+   * 获取所有会话待回复的交互（问题、计划确认、工具权限），按提问时间排序
+   * 交互在 transcript 出现回答或终端中对话框消失时由监控器自动关闭
+   * @returns {Array<{session: string, type: string, title: string, text: string, options: Array, notifiedAt: number}>}
+   */
+  getPendingPrompts() {
+    const prompts = [];
+    for (const [sessionName, { monitor }] of this.monitors) {
+      if (monitor.pendingPrompt) {
+        prompts.push({ session: sessionName, ...monitor.pendingPrompt });
+      }
+    }
+    return prompts.sort((a, b) => a.notifiedAt - b.notifiedAt);
+  }
+
+  /**
+   * 停止所有监控并保存持久化状态
+   */
+  stop() {
+    if (this.syncTimer) {
+      clearInterval(this.syncTimer);
+      this.syncTimer = null;
+    }
+    if (this.usageTimer) {
+      clearInterval(this.usageTimer);
+      this.usageTimer = null;
+    }
+
+    for (const sessionName of [...this.monitors.keys()]) {
+      this.remove(sessionName);
+    }
+
+    this.stateStore.destroy();
+    this.usageStore.destroy();
+    Logger.transcript('多会话监控池已停止');
+  }
+}
+
+export default MonitorPool;
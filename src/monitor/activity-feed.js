@@ -0,0 +1,363 @@
+/**
+ * 工具活动摘要
+ * 把 transcript 中的 tool_use / tool_result 压缩为简短的活动行，按间隔或回合结束时批量发送
+ * Author: CodePothunter
+ * Version: 1.0.0
+ */
+
+/**
+ * 活动详细程度枚举
+ */
+export const ActivityLevel = {
+  OFF: 'off',          // 不发送工具活动
+  SUMMARY: 'summary',  // 按工具类型汇总（读取 4 个文件、运行 3 条命令）
+  DETAIL: 'detail',    // 每次工具调用一行
+};
+
+const VALID_LEVELS = Object.values(ActivityLevel);
+
+// 等待结果的工具调用最多保留数量（结果丢失时避免无限增长）
+const MAX_ENTRIES = 200;
+
+/**
+ * 截断为单行短文本
+ * @param {string} text - 原始文本
+ * @param {number} maxLength - 最大长度
+ * @returns {string}
+ */
+function shorten(text, maxLength = 60) {
+  const line = String(text || '').split('\n')[0].trim();
+  return line.length > maxLength ? line.substring(0, maxLength) + '…' : line;
+}
+
+/**
+ * 统计文本行数
+ * @param {string} text - 文本
+ * @returns {number}
+ */
+function countLines(text) {
+  return text ? String(text).split('\n').length : 0;
+}
+
+/**
+ * 提取 tool_result 的文本内容
+ * @param {string|Array} content - tool_result content
+ * @returns {string}
+ */
+function resultText(content) {
+  if (typeof content === 'string') {
+    return content;
+  }
+  if (Array.isArray(content)) {
+    return content.filter(c => c.type === 'text' && c.text).map(c => c.text).join('\n');
+  }
+  return '';
+}
+
+/**
+ * 工具活动摘要类（每个 transcript 监控器一个）
+ */
+export class ActivityFeed {
+  /**
+   * @param {Object} options - 配置选项
+   * @param {string} options.level - 详细程度（ActivityLevel）
+   * @param {number} options.flushInterval - 批量发送间隔（毫秒）
+   */
+  constructor(options = {}) {
+    this.level = VALID_LEVELS.includes(options.level) ? options.level : ActivityLevel.OFF;
+    this.flushInterval = options.flushInterval || 30000;
+
+    // 按调用顺序记录的工具调用：{ id, name, input, result: { isError, exitCode } | null }
+    this.entries = [];
+    this.lastFlushTime = Date.now();
+  }
+
+  /**
+   * 设置详细程度
+   * @param {string} level - 详细程度（ActivityLevel）
+   * @returns {boolean} - 是否有效
+   */
+  setLevel(level) {
+    if (!VALID_LEVELS.includes(level)) {
+      return false;
+    }
+    this.level = level;
+    if (level === ActivityLevel.OFF) {
+      this.clear();
+    }
+    return true;
+  }
+
+  /**
+   * 是否启用
+   * @returns {boolean}
+   */
+  isEnabled() {
+    return this.level !== ActivityLevel.OFF;
+  }
+
+  /**
+   * 记录 assistant 消息中的 tool_use
+   * @param {Object} data - jsonl 消息数据
+   */
+  addToolUses(data) {
+    const content = data?.message?.content;
+    if (!this.isEnabled() || !Array.isArray(content)) {
+      return;
+    }
+
+    for (const item of content) {
+      // AskUserQuestion 已作为交互单独发送
+      if (item.type !== 'tool_use' || item.name === 'AskUserQuestion') {
+        continue;
+      }
+      this.entries.push({ id: item.id, name: item.name, input: item.input || {}, result: null });
+    }
+
+    if (this.entries.length > MAX_ENTRIES) {
+      this.entries.splice(0, this.entries.length - MAX_ENTRIES);
+    }
+  }
+
+  /**
+   * 记录 user 消息中的 tool_result（与之前记录的 tool_use 配对）
+   * @param {Object} data - jsonl 消息数据
+   */
+  addToolResults(data) {
+    const content = data?.message?.content;
+    if (!this.isEnabled() || !Array.isArray(content)) {
+      return;
+    }
+
+    for (const item of content) {
+      if (item.type !== 'tool_result') {
+        continue;
+      }
+
+      const entry = this.entries.find(e => e.id === item.tool_use_id);
+      if (!entry) {
+        continue;
+      }
+
+      const text = resultText(item.content);
+      const exitMatch = text.match(/^Exit code (\d+)/m);
+      entry.result = {
+        isError: item.is_error === true,
+        exitCode: exitMatch ? parseInt(exitMatch[1], 10) : (item.is_error ? null : 0),
+        patch: data.toolUseResult?.structuredPatch || null,
+      };
+    }
+  }
+
+  /**
+   * 是否到达批量发送时间
+   * @param {number} now - 当前时间戳
+   * @returns {boolean}
+   */
+  isDue(now = Date.now()) {
+    return now - this.lastFlushTime >= this.flushInterval;
+  }
+
+  /**
+   * 取出待发送的活动行
+   * 定时发送只取已有结果的调用（运行中的命令留到下次），回合结束时取出全部
+   * @param {Object} options - 选项
+   * @param {boolean} options.final - 是否为回合结束
+   * @param {string} options.projectPath - 项目目录（文件路径显示为相对路径）
+   * @returns {string[]}
+   */
+  takeDigest(options = {}) {
+    const { final = false, projectPath = '' } = options;
+    this.lastFlushTime = Date.now();
+
+    const ready = final ? this.entries : this.entries.filter(e => e.result);
+    if (ready.length === 0) {
+      return [];
+    }
+    this.entries = final ? [] : this.entries.filter(e => !e.result);
+
+    const relative = filePath => {
+      if (projectPath && filePath && filePath.startsWith(projectPath + '/')) {
+        return filePath.substring(projectPath.length + 1);
+      }
+      return filePath || '';
+    };
+
+    return this.level === ActivityLevel.DETAIL
+      ? ready.map(entry => this._describe(entry, relative))
+      : this._summarize(ready, relative);
+  }
+
+  /**
+   * 清空未发送的活动
+   */
+  clear() {
+    this.entries = [];
+    this.lastFlushTime = Date.now();
+  }
+
+  /**
+   * 统计编辑的增删行数（优先使用 toolUseResult 中的 structuredPatch）
+   * @private
+   * @param {Object} entry - 工具调用
+   * @returns {{added: number, removed: number}}
+   */
+  _countChanges(entry) {
+    const patch = entry.result?.patch;
+    if (Array.isArray(patch)) {
+      let added = 0;
+      let removed = 0;
+      for (const hunk of patch) {
+        for (const line of hunk.lines || []) {
+          if (line.startsWith('+')) added++;
+          else if (line.startsWith('-')) removed++;
+        }
+      }
+      return { added, removed };
+    }
+
+    const edits = entry.name === 'MultiEdit' ? (entry.input.edits || []) : [entry.input];
+    return edits.reduce((sum, edit) => ({
+      added: sum.added + countLines(edit.new_string),
+      removed: sum.removed + countLines(edit.old_string),
+    }), { added: 0, removed: 0 });
+  }
+
+  /**
+   * 结果后缀（运行中 / 失败）
+   * @private
+   * @param {Object} entry - 工具调用
+   * @returns {string}
+   */
+  _status(entry) {
+    if (!entry.result) {
+      return '（进行中）';
+    }
+    return entry.result.isError ? ' ✗' : '';
+  }
+
+  /**
+   * 单个工具调用的活动行
+   * @private
+   * @param {Object} entry - 工具调用
+   * @param {Function} relative - 路径转换函数
+   * @returns {string}
+   */
+  _describe(entry, relative) {
+    const { name, input, result } = entry;
+
+    switch (name) {
+      case 'Bash': {
+        let outcome = '（进行中）';
+        if (result) {
+          outcome = result.exitCode === 0 ? ' → 成功' : ` → 退出码 ${result.exitCode ?? '?'}`;
+        }
+        return `▶️ 运行 \`${shorten(input.command)}\`${outcome}`;
+      }
+      case 'Edit':
+      case 'MultiEdit': {
+        const { added, removed } = this._countChanges(entry);
+        return `✏️ 编辑 ${relative(input.file_path)} (+${added}/-${removed})${this._status(entry)}`;
+      }
+      case 'Write':
+        return `📝 写入 ${relative(input.file_path)} (${countLines(input.content)} 行)${this._status(entry)}`;
+      case 'Read':
+        return `📖 读取 ${relative(input.file_path)}${this._status(entry)}`;
+      case 'Grep':
+        return `🔍 搜索 "${shorten(input.pattern, 40)}"${this._status(entry)}`;
+      case 'Glob':
+        return `🔍 查找 ${shorten(input.pattern, 40)}${this._status(entry)}`;
+      case 'WebFetch':
+        return `🌐 获取 ${shorten(input.url, 80)}${this._status(entry)}`;
+      case 'WebSearch':
+        return `🌐 搜索 "${shorten(input.query, 40)}"${this._status(entry)}`;
+      case 'Task':
+        return `🤖 子任务: ${shorten(input.description || input.prompt)}${this._status(entry)}`;
+      case 'TodoWrite':
+        return `📋 更新待办 (${(input.todos || []).length} 项)`;
+      default: {
+        const mcpMatch = name.match(/^mcp__(.+?)__(.+)$/);
+        if (mcpMatch) {
+          return `🔌 MCP ${mcpMatch[1]}/${mcpMatch[2]}${this._status(entry)}`;
+        }
+        return `🔧 ${name}${this._status(entry)}`;
+      }
+    }
+  }
+
+  /**
+   * 按工具类型汇总活动行（同类只有一次调用时显示详情）
+   * @private
+   * @param {Array} entries - 工具调用
+   * @param {Function} relative - 路径转换函数
+   * @returns {string[]}
+   */
+  _summarize(entries, relative) {
+    const groups = new Map();
+    const groupOf = name => {
+      if (name === 'Edit' || name === 'MultiEdit') return 'edit';
+      if (name === 'Grep' || name === 'Glob') return 'search';
+      if (name === 'WebFetch' || name === 'WebSearch') return 'web';
+      if (['Bash', 'Write', 'Read', 'Task', 'TodoWrite'].includes(name)) return name;
+      return 'other';
+    };
+
+    for (const entry of entries) {
+      const key = groupOf(entry.name);
+      if (!groups.has(key)) {
+        groups.set(key, []);
+      }
+      groups.get(key).push(entry);
+    }
+
+    const lines = [];
+    for (const [key, group] of groups) {
+      if (group.length === 1) {
+        lines.push(this._describe(group[0], relative));
+        continue;
+      }
+
+      const failed = group.filter(e => e.result?.isError).length;
+      const failedSuffix = failed > 0 ? `（${failed} 个失败）` : '';
+      const files = new Set(group.map(e => e.input.file_path).filter(Boolean));
+
+      switch (key) {
+        case 'Bash':
+          lines.push(`▶️ 运行 ${group.length} 条命令${failed > 0 ? `（${failed} 条失败）` : ''}`);
+          break;
+        case 'edit': {
+          const total = group.reduce((sum, e) => {
+            const { added, removed } = this._countChanges(e);
+            return { added: sum.added + added, removed: sum.removed + removed };
+          }, { added: 0, removed: 0 });
+          const target = files.size === 1 ? relative([...files][0]) : `${files.size} 个文件`;
+          lines.push(`✏️ 编辑 ${target} (+${total.added}/-${total.removed})${failedSuffix}`);
+          break;
+        }
+        case 'Write':
+          lines.push(`📝 写入 ${files.size} 个文件${failedSuffix}`);
+          break;
+        case 'Read':
+          lines.push(`📖 读取 ${files.size} 个文件${failedSuffix}`);
+          break;
+        case 'search':
+          lines.push(`🔍 搜索 ${group.length} 次`);
+          break;
+        case 'web':
+          lines.push(`🌐 网络请求 ${group.length} 次${failedSuffix}`);
+          break;
+        case 'Task':
+          lines.push(`🤖 子任务 ${group.length} 个`);
+          break;
+        case 'TodoWrite':
+          lines.push(`📋 更新待办 ${group.length} 次`);
+          break;
+        default:
+          lines.push(`🔧 其他工具 ${group.length} 次（${[...new Set(group.map(e => e.name))].join(', ')}）${failedSuffix}`);
+      }
+    }
+    return lines;
+  }
+}
+
+export default ActivityFeed;
@@ -75,6 +75,7 @@ export class StateDetector {
   registerDefaultDetectors() {
     // 无默认检测器
     // 所有状态检测由 transcript-monitor.js 的 InteractionParser 处理
+    // 回合结束由 transcript-monitor.js 的 TurnTracker 检测
   }
 
   /**
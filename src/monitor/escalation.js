@@ -0,0 +1,148 @@
+/**
+ * 未回复交互的超时升级
+ * 问题、计划确认和工具权限请求长时间未回复时，按阶段再次提醒（@提及 / 角色提醒），最终可自动选择默认答案或发送 Escape
+ * Author: CodePothunter
+ * Version: 1.0.0
+ */
+
+import fs from 'fs';
+import { config } from '../config/index.js';
+import { globToRegExp } from './permission-policy.js';
+import Logger from '../utils/logger.js';
+
+/**
+ * 升级动作枚举
+ */
+export const EscalationAction = {
+  REMIND: 'remind',  // 再次提醒并 @提及
+  ANSWER: 'answer',  // 选择默认答案（选项编号）
+  ESCAPE: 'escape',  // 发送 Escape 取消
+};
+
+/**
+ * 需要升级的交互类型
+ */
+export const PromptType = {
+  QUESTION: 'question',      // AskUserQuestion
+  PLAN: 'plan',              // 计划确认
+  PERMISSION: 'permission',  // 工具权限
+};
+
+/**
+ * 交互类型的显示名称
+ */
+export const PromptLabels = {
+  [PromptType.QUESTION]: '问题',
+  [PromptType.PLAN]: '计划确认',
+  [PromptType.PERMISSION]: '工具权限请求',
+};
+
+const VALID_ACTIONS = Object.values(EscalationAction);
+
+/**
+ * 校验并排序升级阶段
+ * @param {Array} stages - 原始阶段
+ * @param {string} where - 配置位置（用于日志）
+ * @returns {Array|null} - 无效时返回 null
+ */
+function normalizeStages(stages, where) {
+  if (!Array.isArray(stages)) {
+    return null;
+  }
+
+  return stages
+    .filter((stage, index) => {
+      const valid = stage && stage.after > 0 && VALID_ACTIONS.includes(stage.action) &&
+        (stage.action !== EscalationAction.ANSWER || stage.answer);
+      if (!valid) {
+        Logger.warn(`超时升级配置 ${where} 第 ${index + 1} 个阶段无效，已忽略`);
+      }
+      return valid;
+    })
+    .map(stage => ({ ...stage, answer: stage.answer !== undefined ? String(stage.answer) : undefined }))
+    .sort((a, b) => a.after - b.after);
+}
+
+/**
+ * 根据环境变量生成默认升级阶段
+ * @returns {Array<{after: number, action: string, answer?: string}>}
+ */
+function getDefaultStages() {
+  const { remindMinutes, finalMinutes, finalAction, defaultAnswer } = config.escalation;
+  const stages = [];
+
+  if (remindMinutes > 0) {
+    stages.push({ after: remindMinutes, action: EscalationAction.REMIND });
+  }
+  if (finalMinutes > 0 && VALID_ACTIONS.includes(finalAction) && finalAction !== EscalationAction.REMIND) {
+    stages.push({ after: finalMinutes, action: finalAction, answer: defaultAnswer || undefined });
+  }
+  return normalizeStages(stages, '环境变量');
+}
+
+/**
+ * 超时升级策略类
+ */
+export class EscalationPolicy {
+  /**
+   * @param {Object} options - 配置选项
+   * @param {string} options.file - 按交互类型和会话覆盖的 JSON 配置文件
+   */
+  constructor(options = {}) {
+    this.defaultStages = getDefaultStages();
+    this.rules = { default: null, types: {}, sessions: [] };
+
+    const file = options.file ?? config.escalation.file;
+    if (file) {
+      this._loadFromFile(file);
+    }
+  }
+
+  /**
+   * 加载配置文件
+   * @private
+   * @param {string} file - 配置文件路径
+   */
+  _loadFromFile(file) {
+    try {
+      const parsed = JSON.parse(fs.readFileSync(file, 'utf-8'));
+
+      this.rules.default = normalizeStages(parsed.default, 'default');
+      for (const [type, stages] of Object.entries(parsed.types || {})) {
+        this.rules.types[type] = normalizeStages(stages, `types.${type}`);
+      }
+      for (const [pattern, byType] of Object.entries(parsed.sessions || {})) {
+        const stagesByType = {};
+        for (const [type, stages] of Object.entries(byType || {})) {
+          stagesByType[type] = normalizeStages(stages, `sessions.${pattern}.${type}`);
+        }
+        this.rules.sessions.push({ pattern: globToRegExp(pattern), stagesByType });
+      }
+
+      Logger.info(`已加载超时升级配置: ${file}`);
+    } catch (error) {
+      // 配置无效时使用环境变量中的默认阶段
+      Logger.warn(`加载超时升级配置失败 (${file}): ${error.message}`);
+    }
+  }
+
+  /**
+   * 获取交互的升级阶段（会话配置 > 交互类型配置 > 文件默认 > 环境变量默认）
+   * @param {string} type - 交互类型（PromptType）
+   * @param {string} sessionName - tmux 会话名称
+   * @returns {Array<{after: number, action: string, answer?: string}>}
+   */
+  getStages(type, sessionName = '') {
+    const sessionRule = this.rules.sessions.find(rule => rule.pattern.test(sessionName || ''));
+    const candidates = [
+      sessionRule?.stagesByType[type],
+      sessionRule?.stagesByType.default,
+      this.rules.types[type],
+      this.rules.default,
+    ];
+
+    return candidates.find(stages => Array.isArray(stages)) || this.defaultStages;
+  }
+}
+
+export default EscalationPolicy;
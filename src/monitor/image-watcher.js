@@ -0,0 +1,127 @@
+/**
+ * 自动附加图片
+ * 从 Write 工具和 Bash 命令（如保存图表的脚本）的调用和结果中找出新写入的图片，供监控器发送到聊天
+ * Author: CodePothunter
+ * Version: 1.0.0
+ */
+
+import fs from 'fs';
+import { isImageFile, resolveProjectPath } from '../utils/upload.js';
+
+// 命令和输出中的图片路径（如 plt.savefig('out/plot.png')、Saved to /tmp/chart.jpg）
+const IMAGE_PATH_PATTERN = /[\w@.~\/-]+\.(?:png|jpe?g|gif|webp)\b/gi;
+
+// 等待结果的工具调用最多保留数量
+const MAX_PENDING = 100;
+
+/**
+ * 图片写入检测类（每个 transcript 监控器一个）
+ */
+export class ImageWatcher {
+  /**
+   * @param {Object} options - 配置选项
+   * @param {boolean} options.enabled - 是否启用
+   */
+  constructor(options = {}) {
+    this.enabled = !!options.enabled;
+
+    // 等待结果的工具调用：toolUseId -> { name, input, time }
+    this.pending = new Map();
+    // 已发送的图片（路径 + 修改时间），同一文件重新生成后会再次发送
+    this.sent = new Set();
+  }
+
+  /**
+   * 启用或关闭
+   * @param {boolean} enabled - 是否启用
+   */
+  setEnabled(enabled) {
+    this.enabled = enabled;
+    if (!enabled) {
+      this.pending.clear();
+    }
+  }
+
+  /**
+   * 记录可能写入图片的工具调用
+   * @param {Object} data - jsonl 消息数据
+   */
+  addToolUses(data) {
+    const content = data?.message?.content;
+    if (!this.enabled || !Array.isArray(content)) {
+      return;
+    }
+
+    for (const item of content) {
+      if (item.type === 'tool_use' && (item.name === 'Write' || item.name === 'Bash')) {
+        this.pending.set(item.id, { name: item.name, input: item.input || {}, time: Date.now() });
+      }
+    }
+
+    while (this.pending.size > MAX_PENDING) {
+      this.pending.delete(this.pending.keys().next().value);
+    }
+  }
+
+  /**
+   * 根据 tool_result 找出本次调用新写入的图片
+   * @param {Object} data - jsonl 消息数据
+   * @param {string} projectPath - 项目目录（只发送项目目录内的图片）
+   * @returns {string[]} - 图片绝对路径
+   */
+  collect(data, projectPath) {
+    const content = data?.message?.content;
+    if (!this.enabled || !Array.isArray(content)) {
+      return [];
+    }
+
+    const images = [];
+    for (const item of content) {
+      const toolUse = item.type === 'tool_result' ? this.pending.get(item.tool_use_id) : null;
+      if (!toolUse) {
+        continue;
+      }
+      this.pending.delete(item.tool_use_id);
+      if (item.is_error) {
+        continue;
+      }
+
+      let candidates;
+      if (toolUse.name === 'Write') {
+        candidates = [toolUse.input.file_path];
+      } else {
+        const output = typeof item.content === 'string'
+          ? item.content
+          : (item.content || []).filter(c => c.type === 'text').map(c => c.text).join('\n');
+        candidates = `${toolUse.input.command || ''}\n${output}`.match(IMAGE_PATH_PATTERN) || [];
+      }
+
+      for (const candidate of new Set(candidates)) {
+        if (!candidate || !isImageFile(candidate)) {
+          continue;
+        }
+
+        const resolved = resolveProjectPath(projectPath, candidate);
+        if (!resolved.success) {
+          continue;
+        }
+
+        // 只发送本次调用之后修改过的文件（命令中引用的已有图片不发送）
+        const stat = fs.statSync(resolved.path);
+        const key = `${resolved.path}:${stat.mtimeMs}`;
+        if (stat.mtimeMs < toolUse.time - 2000 || this.sent.has(key)) {
+          continue;
+        }
+        this.sent.add(key);
+        images.push(resolved.path);
+      }
+    }
+
+    if (this.sent.size > 500) {
+      this.sent.clear();
+    }
+    return images;
+  }
+}
+
+export default ImageWatcher;
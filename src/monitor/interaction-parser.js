@@ -2,7 +2,7 @@
  * 交互消息解析器
  * 从 jsonl 中解析 Claude Code 的交互消息
  * Author: CodePothunter
- * Version: 1.0.0
+ * Version: 1.2.0 - 解析 Edit/Write/Read/WebFetch/MCP 等工具权限详情
  */
 
 import Logger from '../utils/logger.js';
@@ -19,6 +19,40 @@ export const InteractionType = {
   // TAB_SELECTION: 'tab_selection',
 };
 
+/**
+ * 工具权限确认问题（Bash/Read/MCP 为 proceed，Edit/Write/WebFetch 各有专门的问法）
+ */
+const PERMISSION_PROMPT_PATTERN = /^[\s│]*Do you want to (proceed|make this edit to|create|overwrite|allow Claude to fetch)\b/m;
+
+/**
+ * 工具权限对话框标题 -> 工具类型（"Tool use" 为 MCP 等通用工具，按内容再细分）
+ */
+const PERMISSION_HEADERS = [
+  { pattern: /^Bash command$/, toolType: 'Bash' },
+  { pattern: /^Edit( file)?$/, toolType: 'Edit' },
+  { pattern: /^(Create|Write|Overwrite) file$|^Write$/, toolType: 'Write' },
+  { pattern: /^Read( file)?$/, toolType: 'Read' },
+  { pattern: /^Fetch$/, toolType: 'WebFetch' },
+  { pattern: /^Tool use$/, toolType: 'Tool' },
+];
+
+// 通知中 diff / 文件预览最多显示的行数
+const PERMISSION_MAX_LINES = 40;
+
+/**
+ * 截断多行文本
+ * @param {string} text - 原始文本
+ * @param {number} maxLines - 最大行数
+ * @returns {string}
+ */
+function truncateLines(text, maxLines) {
+  const lines = text.split('\n');
+  if (lines.length <= maxLines) {
+    return text;
+  }
+  return `${lines.slice(0, maxLines).join('\n')}\n… 还有 ${lines.length - maxLines} 行`;
+}
+
 /**
  * 交互消息解析器类
  */
@@ -155,18 +189,20 @@ export class InteractionParser {
         return null;
       }
 
-      // 提取第一个问题（通常只有一个）
-      const question = questions[0];
+      // 一次可能询问多个问题，全部转发（question 保留第一个问题，兼容单问题的处理）
+      const parsedQuestions = questions.map(question => ({
+        text: question.question || '',
+        header: question.header || '',
+        options: question.options || [],
+        multiSelect: question.multiSelect || false,
+      }));
 
       return {
         type: InteractionType.ASK_USER_QUESTION,
         uuid: data.uuid,
-        question: {
-          text: question.question || '',
-          header: question.header || '',
-          options: question.options || [],
-          multiSelect: question.multiSelect || false,
-        }
+        toolUseId: toolUse.id || null,
+        questions: parsedQuestions,
+        question: parsedQuestions[0],
       };
     } catch (error) {
       Logger.error(`解析 AskUserQuestion 失败: ${error.message}`);
@@ -174,6 +210,22 @@ export class InteractionParser {
     }
   }
 
+  /**
+   * 判断消息是否为指定 tool_use 的结果（如 AskUserQuestion 已被回答）
+   * @param {Object} data - jsonl 消息数据
+   * @param {string} toolUseId - tool_use ID
+   * @returns {boolean}
+   */
+  isToolResultFor(data, toolUseId) {
+    if (!toolUseId || data?.type !== 'user' || !Array.isArray(data.message?.content)) {
+      return false;
+    }
+
+    return data.message.content.some(
+      c => c.type === 'tool_result' && c.tool_use_id === toolUseId
+    );
+  }
+
   /**
    * 解析交互消息（自动识别类型）
    * @param {Object} data - jsonl 消息数据
@@ -281,8 +333,8 @@ export class InteractionParser {
   /**
    * 判断 tmux 内容是否包含工具权限确认
    * 工具权限确认的特征：
-   * - "Bash command" / "Edit" / "Write" 等工具名称
-   * - "Do you want to proceed?"
+   * - "Bash command" / "Edit file" / "Create file" / "Fetch" / "Tool use" 等对话框标题
+   * - "Do you want to proceed?" / "Do you want to make this edit to …?" 等确认问题
    * - 选项列表 "1. Yes" "❯ 2. Yes, and don't ask again..."
    * @param {string} content - tmux 终端内容
    * @returns {boolean}
@@ -293,58 +345,59 @@ export class InteractionParser {
     }
 
     // 检测权限确认的特征
-    const hasPermissionPrompt = content.includes('Do you want to proceed?');
-
-    // 检测工具类型标识（常见的工具名称）
-    const toolPatterns = [
-      /Bash command/,
-      /Edit file/,
-      /Write file/,
-      /Read file/,
-      /^Edit\s*$/m,
-      /^Write\s*$/m,
-    ];
-    const hasToolIdentifier = toolPatterns.some(pattern => pattern.test(content));
+    const hasPermissionPrompt = PERMISSION_PROMPT_PATTERN.test(content);
 
     // 检测选项列表
-    const hasOptions = /^\s*❯?\s*\d+\.\s+(Yes|No)/m.test(content);
+    const hasOptions = /^[\s│]*❯?\s*\d+\.\s+(Yes|No)/m.test(content);
 
     return hasPermissionPrompt && hasOptions;
   }
 
   /**
    * 解析工具权限确认
+   * 只解析最后一个权限对话框（标题到确认问题之间为工具详情，之后为选项）
    * @param {string} content - tmux 终端内容
    * @returns {Object|null} - 解析后的交互数据
    */
   parseToolPermission(content) {
     try {
-      // 提取工具类型和命令
-      let toolType = 'Tool';
-      let command = '';
-      let description = '';
-
-      // 匹配 "Bash command" 格式
-      const bashMatch = content.match(/Bash command\s*\n\s*(.+?)(?:\n|$)/);
-      if (bashMatch) {
-        toolType = 'Bash';
-        command = bashMatch[1].trim();
+      const lines = this._stripDialogFrame(content);
+
+      // 定位最后一个确认问题
+      let promptIndex = -1;
+      for (let i = lines.length - 1; i >= 0; i--) {
+        if (PERMISSION_PROMPT_PATTERN.test(lines[i])) {
+          promptIndex = i;
+          break;
+        }
+      }
+      if (promptIndex === -1) {
+        return null;
       }
 
-      // 匹配描述行（通常在命令后面）
-      const descMatch = content.match(/Bash command\s*\n\s*.+?\n\s{3}(.+?)(?:\n|$)/);
-      if (descMatch) {
-        description = descMatch[1].trim();
+      // 向上查找对话框标题
+      let headerIndex = -1;
+      let toolType = 'Tool';
+      for (let i = promptIndex - 1; i >= 0; i--) {
+        const header = PERMISSION_HEADERS.find(h => h.pattern.test(lines[i].trim()));
+        if (header) {
+          headerIndex = i;
+          toolType = header.toolType;
+          break;
+        }
       }
 
-      // 提取选项列表
-      const options = [];
-      const lines = content.split('\n');
+      // 找不到标题时不解析详情，避免把滚动区内容当作工具详情
+      const body = headerIndex === -1 ? [] : lines.slice(headerIndex + 1, promptIndex).map(line => line.trimEnd());
+      const prompt = lines[promptIndex].trim();
+      const details = this._parsePermissionDetails(toolType, body, prompt, lines[headerIndex]?.trim() || '');
 
-      for (const line of lines) {
+      // 提取选项列表（只取确认问题之后的选项，避免误匹配滚动区中的编号列表）
+      const options = [];
+      for (const line of lines.slice(promptIndex + 1)) {
         // 匹配选项格式: "❯ 1. Yes" 或 "   2. Yes, and don't ask again..."
         const matchWithCursor = line.match(/❯\s*(\d+)\.\s+(.+)$/);
-        const matchWithoutCursor = line.match(/^\s+(\d+)\.\s+(.+)$/);
+        const matchWithoutCursor = line.match(/^\s*(\d+)\.\s+(.+)$/);
 
         if (matchWithCursor) {
           const num = parseInt(matchWithCursor[1], 10);
@@ -361,22 +414,14 @@ export class InteractionParser {
         }
       }
 
-      // 构建问题文本
-      let questionText = `${toolType} 命令需要确认执行`;
-      if (command) {
-        questionText = `执行命令: ${command}`;
-        if (description) {
-          questionText += `\n描述: ${description}`;
-        }
-      }
-
       return {
         type: InteractionType.TOOL_PERMISSION,
-        toolType: toolType,
-        command: command,
+        toolType: details.toolType,
+        command: details.command || '',
+        details: details,
         question: {
-          header: `🔧 ${toolType} 权限`,
-          text: questionText,
+          header: `🔧 ${details.toolType} 权限`,
+          text: this._formatPermissionText(details),
           options: options,
           multiSelect: false,
         },
@@ -387,6 +432,256 @@ export class InteractionParser {
     }
   }
 
+  /**
+   * 去掉对话框边框（╭─╮ │ ╰─╯，Edit 的 diff 框嵌套在外框内），返回按行拆分的内容
+   * @private
+   * @param {string} content - tmux 终端内容
+   * @returns {string[]}
+   */
+  _stripDialogFrame(content) {
+    return content.split('\n').map(line => {
+      let stripped = line;
+      while (/^\s*│.*│\s*$/.test(stripped)) {
+        stripped = stripped.replace(/^\s*│ ?/, '').replace(/\s*│\s*$/, '');
+      }
+      return /^[\s╭╮╰╯─│]*$/.test(stripped) ? '' : stripped;
+    });
+  }
+
+  /**
+   * 按工具类型解析权限对话框详情
+   * @private
+   * @param {string} toolType - 对话框标题对应的工具类型
+   * @param {string[]} body - 标题与确认问题之间的行
+   * @param {string} prompt - 确认问题
+   * @param {string} header - 对话框标题
+   * @returns {Object} - 权限详情（toolType 及各工具的字段）
+   */
+  _parsePermissionDetails(toolType, body, prompt, header) {
+    const nonEmpty = body.filter(line => line.trim());
+
+    switch (toolType) {
+      case 'Bash': {
+        // 说明在命令之后，多行命令的最后一行和说明在终端中无法区分：
+        // 这里按「最后一行是说明」拆分，完整命令以 transcript 的 tool_use 为准（commandVerified）
+        const lines = nonEmpty.map(line => line.trim());
+        return {
+          toolType,
+          command: lines.length > 1 ? lines.slice(0, -1).join('\n') : lines[0] || '',
+          description: lines.length > 1 ? lines[lines.length - 1] : '',
+          rawText: lines.join('\n'),
+          commandVerified: false,
+        };
+      }
+
+      case 'Edit':
+        return this._parseEditPermission(nonEmpty, prompt);
+
+      case 'Write':
+        return this._parseWritePermission(nonEmpty, prompt, header);
+
+      case 'Read': {
+        // 形如 "Read(/path/to/file)" 或直接是路径
+        const target = nonEmpty[0]?.trim() || '';
+        const callMatch = target.match(/^Read\((.+)\)$/);
+        return {
+          toolType,
+          filePath: callMatch ? callMatch[1].trim() : target,
+          description: nonEmpty.slice(1).map(line => line.trim()).join('\n'),
+        };
+      }
+
+      case 'WebFetch': {
+        const urlLine = nonEmpty.find(line => /https?:\/\/\S+/.test(line)) || '';
+        const url = (urlLine.match(/https?:\/\/[^\s)]+/) || [''])[0];
+        let domain = '';
+        try {
+          domain = url ? new URL(url).hostname : '';
+        } catch (e) {
+          // URL 被终端截断时无法解析域名
+        }
+        return {
+          toolType,
+          url,
+          domain,
+          description: nonEmpty.filter(line => line !== urlLine).map(line => line.trim()).join('\n'),
+        };
+      }
+
+      default:
+        return this._parseToolUsePermission(nonEmpty);
+    }
+  }
+
+  /**
+   * 解析 Edit 权限：文件路径和 diff 片段
+   * 终端中的 diff 行形如 "  12 -old line" / "  12 +new line" / "  12  context"
+   * @private
+   * @param {string[]} lines - 非空详情行
+   * @param {string} prompt - 确认问题（"Do you want to make this edit to foo.js?"）
+   * @returns {Object}
+   */
+  _parseEditPermission(lines, prompt) {
+    const fileName = (prompt.match(/make this edit to (.+?)\?/) || [])[1] || '';
+    const diffLines = [];
+    let filePath = '';
+    let startLine = null;
+
+    for (const line of lines) {
+      const diffMatch = line.match(/^\s*(\d+)\s([-+ ])(.*)$/);
+      if (diffMatch) {
+        if (startLine === null) {
+          startLine = parseInt(diffMatch[1], 10);
+        }
+        diffLines.push(`${diffMatch[2]}${diffMatch[3]}`);
+      } else if (!filePath && diffLines.length === 0) {
+        filePath = line.trim();
+      } else if (line.trim() === '...') {
+        diffLines.push(' ...');
+      }
+    }
+
+    return {
+      toolType: 'Edit',
+      filePath: filePath || fileName,
+      startLine,
+      diff: diffLines.join('\n'),
+    };
+  }
+
+  /**
+   * 解析 Write 权限：文件路径、是否覆盖和内容预览
+   * @private
+   * @param {string[]} lines - 非空详情行
+   * @param {string} prompt - 确认问题（"Do you want to create foo.js?" / "Do you want to overwrite foo.js?"）
+   * @param {string} header - 对话框标题
+   * @returns {Object}
+   */
+  _parseWritePermission(lines, prompt, header) {
+    const promptMatch = prompt.match(/(create|overwrite) (.+?)\?/);
+    const preview = [];
+    let filePath = '';
+
+    for (const line of lines) {
+      const numbered = line.match(/^\s*\d+\s(.*)$/);
+      if (numbered) {
+        preview.push(numbered[1]);
+      } else if (!filePath && preview.length === 0) {
+        filePath = line.trim();
+      } else {
+        preview.push(line.trim());
+      }
+    }
+
+    return {
+      toolType: 'Write',
+      filePath: filePath || (promptMatch ? promptMatch[2] : ''),
+      overwrite: /overwrite/i.test(header) || promptMatch?.[1] === 'overwrite',
+      preview: preview.join('\n'),
+    };
+  }
+
+  /**
+   * 解析通用 "Tool use" 权限（MCP 工具或其他工具）
+   * MCP 调用形如 "server - tool_name(arg: \"value\") (MCP)" 或 "mcp__server__tool_name(...)"
+   * @private
+   * @param {string[]} lines - 非空详情行
+   * @returns {Object}
+   */
+  _parseToolUsePermission(lines) {
+    const call = lines[0]?.trim() || '';
+    const description = lines.slice(1).map(line => line.trim()).join('\n');
+
+    const mcpText = call.replace(/\s*\(MCP\)\s*$/, '');
+    const mcpMatch = mcpText.match(/^mcp__(.+?)__([^\s(]+)(?:\(([\s\S]*)\))?$/) ||
+                     (call !== mcpText || / - /.test(call) ? mcpText.match(/^(.+?)\s+-\s+([^\s(]+)\s*(?:\(([\s\S]*)\))?$/) : null);
+    if (mcpMatch) {
+      return {
+        toolType: 'MCP',
+        server: mcpMatch[1].trim(),
+        toolName: mcpMatch[2].trim(),
+        args: (mcpMatch[3] || '').trim(),
+        description,
+      };
+    }
+
+    // 其他工具，形如 "ToolName(args)"
+    const toolMatch = call.match(/^(\w+)\(([\s\S]*)\)$/);
+    if (toolMatch) {
+      return { toolType: toolMatch[1], args: toolMatch[2].trim(), description };
+    }
+
+    return { toolType: 'Tool', command: call, description };
+  }
+
+  /**
+   * 把权限详情渲染为通知正文（Markdown）
+   * @private
+   * @param {Object} details - 权限详情
+   * @returns {string}
+   */
+  _formatPermissionText(details) {
+    const parts = [];
+    const codeBlock = (text, lang = '') => `\`\`\`${lang}\n${truncateLines(text, PERMISSION_MAX_LINES)}\n\`\`\``;
+
+    switch (details.toolType) {
+      case 'Bash':
+        parts.push(`执行命令: ${details.command}`);
+        if (details.description) {
+          parts.push(`描述: ${details.description}`);
+        }
+        break;
+
+      case 'Edit':
+        parts.push(`修改文件: ${details.filePath || '(未知)'}${details.startLine ? `（第 ${details.startLine} 行起）` : ''}`);
+        if (details.diff) {
+          parts.push(codeBlock(details.diff, 'diff'));
+        }
+        break;
+
+      case 'Write':
+        parts.push(`${details.overwrite ? '覆盖文件' : '创建文件'}: ${details.filePath || '(未知)'}`);
+        if (details.preview) {
+          parts.push(codeBlock(details.preview));
+        }
+        break;
+
+      case 'Read':
+        parts.push(`读取文件: ${details.filePath || '(未知)'}`);
+        break;
+
+      case 'WebFetch':
+        parts.push(`获取网页: ${details.url || '(未知)'}`);
+        if (details.domain) {
+          parts.push(`域名: ${details.domain}`);
+        }
+        break;
+
+      case 'MCP':
+        parts.push(`MCP 服务: ${details.server}`);
+        parts.push(`工具: ${details.toolName}`);
+        if (details.args) {
+          parts.push(`参数: ${details.args}`);
+        }
+        break;
+
+      default:
+        if (details.args !== undefined) {
+          parts.push(`调用工具: ${details.toolType}(${details.args})`);
+        } else if (details.command) {
+          parts.push(`调用: ${details.command}`);
+        } else {
+          parts.push(`${details.toolType} 需要确认执行`);
+        }
+    }
+
+    if (details.description && details.toolType !== 'Bash') {
+      parts.push(`描述: ${details.description}`);
+    }
+
+    return parts.join('\n');
+  }
+
   /**
    * 判断消息是否应该发送给用户
    * @param {Object} data - jsonl 消息数据
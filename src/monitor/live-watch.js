@@ -0,0 +1,231 @@
+/**
+ * 实时输出（/watch）
+ * 发送一条消息，终端内容变化时原地编辑（Discord message.edit / 飞书 im.message.patch），直到超时、/unwatch 或 Claude 结束本轮回复
+ * Author: CodePothunter
+ * Version: 1.0.0
+ */
+
+import Logger from '../utils/logger.js';
+import { BUSY_PATTERNS } from './patterns.js';
+
+/**
+ * 停止原因
+ */
+export const WatchStopReason = {
+  TIMEOUT: 'timeout',
+  CANCELLED: 'cancelled',
+  TURN_END: 'turn_end',
+  ERROR: 'error',
+};
+
+const STOP_LABELS = {
+  [WatchStopReason.TIMEOUT]: '已到跟随时长',
+  [WatchStopReason.CANCELLED]: '已停止',
+  [WatchStopReason.TURN_END]: 'Claude 本轮回复结束',
+  [WatchStopReason.ERROR]: '更新失败',
+};
+
+// 捕获的终端行数（格式化时再截取最后几行）
+const CAPTURE_LINES = 200;
+
+// 判断忙碌状态时检查的终端末尾行数（状态栏位置）
+const STATUS_LINES = 20;
+
+// 忙碌后连续多少次检查不再忙碌才判定本轮结束（避免状态栏短暂切换）
+const IDLE_CHECKS_TO_STOP = 2;
+
+// 编辑连续失败多少次后停止
+const MAX_EDIT_FAILURES = 3;
+
+/**
+ * 实时输出类（每个会话同时只有一个，由 transcript 监控器持有）
+ */
+export class LiveWatch {
+  /**
+   * @param {Object} options - 配置选项
+   * @param {Object} options.messenger - 消息适配器（sendEditable / editMessage）
+   * @param {Object} options.commander - 会话的 TmuxCommander
+   * @param {string} options.session - tmux 会话名称
+   * @param {Function} options.format - 终端内容 -> 显示文本（清理空行、截取最后几行）
+   * @param {number} options.intervalMs - 检查间隔（内容无变化时不编辑消息）
+   * @param {number} options.timeoutMs - 最长跟随时长
+   * @param {number} options.maxLength - 消息长度上限（超出时从头部删行）
+   * @param {Function} options.onStop - 停止回调，参数为停止原因
+   */
+  constructor(options = {}) {
+    this.messenger = options.messenger;
+    this.commander = options.commander;
+    this.session = options.session;
+    this.format = options.format || (content => content);
+    this.intervalMs = options.intervalMs || 3000;
+    this.timeoutMs = options.timeoutMs || 600000;
+    this.maxLength = options.maxLength || 1800;
+    this.onStop = options.onStop || null;
+
+    this.messageId = null;
+    this.active = false;
+    this.timer = null;
+    this.deadline = 0;
+
+    // 上次发送的终端内容（相同则跳过编辑）
+    this.lastBody = null;
+    // 是否见过忙碌状态，以及之后连续空闲的检查次数
+    this.sawBusy = false;
+    this.idleChecks = 0;
+    this.editFailures = 0;
+  }
+
+  /**
+   * 捕获终端内容
+   * @returns {Promise<{body: string, busy: boolean}>}
+   */
+  async capture() {
+    const content = await this.commander.capture(CAPTURE_LINES);
+    const status = content.split('\n').slice(-STATUS_LINES).join('\n').toLowerCase();
+    return {
+      body: this.format(content),
+      busy: BUSY_PATTERNS.some(pattern => status.includes(pattern)),
+    };
+  }
+
+  /**
+   * 生成消息文本（内容过长时从头部删行）
+   * @param {string} body - 终端内容
+   * @param {string} status - 状态行
+   * @returns {string}
+   */
+  render(body, status) {
+    const header = `👁️ **实时输出 · ${this.session}**\n${status}\n\n`;
+    const budget = this.maxLength - header.length - '```\n\n```'.length;
+
+    let lines = (body || '(空)').split('\n');
+    while (lines.length > 1 && lines.join('\n').length > budget) {
+      lines = lines.slice(1);
+    }
+    return `${header}\`\`\`\n${lines.join('\n').slice(-budget)}\n\`\`\``;
+  }
+
+  /**
+   * 跟随中的状态行
+   * @returns {string}
+   */
+  liveStatus() {
+    const remaining = Math.max(0, Math.round((this.deadline - Date.now()) / 1000));
+    return `🔴 跟随中 · 更新于 ${new Date().toTimeString().slice(0, 8)} · 剩余 ${remaining} 秒`;
+  }
+
+  /**
+   * 发送消息并开始跟随
+   * @returns {Promise<{success: boolean, error?: string}>}
+   */
+  async start() {
+    this.deadline = Date.now() + this.timeoutMs;
+
+    const { body, busy } = await this.capture();
+    const result = await this.messenger.sendEditable(this.render(body, this.liveStatus()), { session: this.session });
+    if (!result?.success) {
+      return { success: false, error: result?.error || '发送消息失败' };
+    }
+    if (!result.messageId) {
+      return { success: false, error: '当前平台不支持编辑消息，已发送当前快照' };
+    }
+
+    this.messageId = result.messageId;
+    this.lastBody = body;
+    this.sawBusy = busy;
+    this.active = true;
+    this.schedule(this.intervalMs);
+
+    Logger.info(`[${this.session}] 开始实时输出（${Math.round(this.timeoutMs / 1000)} 秒）`);
+    return { success: true };
+  }
+
+  /**
+   * 安排下一次检查
+   * @param {number} delay - 延迟（毫秒）
+   */
+  schedule(delay) {
+    this.timer = setTimeout(() => {
+      // 捕获终端失败（如会话已被杀掉）时停止，否则不会再安排检查，消息一直显示跟随中
+      this.tick().catch(error => {
+        Logger.error(`[${this.session}] 实时输出更新失败: ${error.message}`);
+        return this.stop(WatchStopReason.ERROR);
+      }).catch(error => Logger.error(`[${this.session}] 停止实时输出失败: ${error.message}`));
+    }, delay);
+  }
+
+  /**
+   * 检查终端内容，变化时编辑消息
+   */
+  async tick() {
+    if (!this.active) {
+      return;
+    }
+    if (Date.now() >= this.deadline) {
+      await this.stop(WatchStopReason.TIMEOUT);
+      return;
+    }
+
+    const { body, busy } = await this.capture();
+    if (!this.active) {
+      return;
+    }
+
+    // 忙碌之后连续空闲，视为 Claude 结束本轮回复
+    if (busy) {
+      this.sawBusy = true;
+      this.idleChecks = 0;
+    } else if (this.sawBusy && ++this.idleChecks >= IDLE_CHECKS_TO_STOP) {
+      this.lastBody = body;
+      await this.stop(WatchStopReason.TURN_END);
+      return;
+    }
+
+    let delay = this.intervalMs;
+    if (body !== this.lastBody) {
+      const result = await this.messenger.editMessage(this.messageId, this.render(body, this.liveStatus()));
+      if (result?.success) {
+        this.lastBody = body;
+        this.editFailures = 0;
+      } else if (++this.editFailures >= MAX_EDIT_FAILURES) {
+        await this.stop(WatchStopReason.ERROR);
+        return;
+      } else {
+        // 编辑失败（多为限流）时放慢更新
+        delay = this.intervalMs * 2 * this.editFailures;
+      }
+    }
+
+    if (this.active) {
+      this.schedule(delay);
+    }
+  }
+
+  /**
+   * 停止跟随，最后一次编辑消息显示停止原因
+   * @param {string} reason - 停止原因（WatchStopReason）
+   */
+  async stop(reason = WatchStopReason.CANCELLED) {
+    if (!this.active) {
+      return;
+    }
+    this.active = false;
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    // 出错时（编辑连续失败或捕获失败）也尽量更新一次状态，失败则忽略
+    const status = `⏹️ ${STOP_LABELS[reason] || reason} · ${new Date().toTimeString().slice(0, 8)}`;
+    try {
+      await this.messenger.editMessage(this.messageId, this.render(this.lastBody, status));
+    } catch (error) {
+      Logger.warn(`[${this.session}] 更新实时输出停止状态失败: ${error.message}`);
+    }
+
+    Logger.info(`[${this.session}] 实时输出已停止: ${STOP_LABELS[reason] || reason}`);
+    if (this.onStop) {
+      this.onStop(reason);
+    }
+  }
+}
+
+export default LiveWatch;
@@ -53,6 +53,12 @@ export const COMPLETION_PATTERNS = [
   'Successfully', 'successfully'
 ];
 
+/**
+ * 运行中模式（Claude Code 思考或执行工具时状态栏的提示）
+ */
+export const BUSY_PATTERNS = [
+  'esc to interrupt', 'ctrl+c to interrupt'
+];
 
 export default {
   TOOL_CALL_PATTERNS,
@@ -60,4 +66,5 @@ export default {
   TEST_PATTERNS,
   PROGRESS_PATTERNS,
   COMPLETION_PATTERNS,
+  BUSY_PATTERNS,
 };
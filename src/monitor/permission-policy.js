@@ -0,0 +1,358 @@
+/**
+ * 工具权限策略
+ * 按项目目录和全局的 JSON 规则文件，对工具权限请求自动批准、拒绝或转发到聊天
+ * Author: CodePothunter
+ * Version: 1.0.0
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { config } from '../config/index.js';
+import Logger from '../utils/logger.js';
+
+/**
+ * 策略动作枚举
+ */
+export const PolicyAction = {
+  ALLOW: 'allow',  // 自动批准
+  DENY: 'deny',    // 自动拒绝
+  ASK: 'ask',      // 转发到聊天由人工确认
+};
+
+const VALID_ACTIONS = Object.values(PolicyAction);
+
+// 复合 Bash 命令：多条命令、管道、命令替换或多行
+const COMPOUND_COMMAND_PATTERN = /[;|`\n]|&&|\$\(/;
+
+/**
+ * 把 glob 模式转换为正则（支持 **、*、?）
+ * @param {string} glob - glob 模式
+ * @returns {RegExp}
+ */
+export function globToRegExp(glob) {
+  let source = '';
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === '*' && glob[i + 1] === '*') {
+      // "**/" 匹配零个或多个目录
+      if (glob[i + 2] === '/') {
+        source += '(?:.*/)?';
+        i += 2;
+      } else {
+        source += '.*';
+        i += 1;
+      }
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * 把字符串或数组统一为数组
+ * @param {string|string[]|undefined} value
+ * @returns {string[]}
+ */
+function toList(value) {
+  if (value === undefined || value === null) {
+    return [];
+  }
+  return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * 按 glob 列表匹配（"!" 开头为排除）：至少匹配一个包含模式且不匹配任何排除模式
+ * @param {string[]} globs - glob 列表
+ * @param {string[]} candidates - 候选字符串（任一匹配即可）
+ * @returns {boolean}
+ */
+function matchGlobs(globs, candidates) {
+  const include = globs.filter(g => !g.startsWith('!'));
+  const exclude = globs.filter(g => g.startsWith('!')).map(g => g.slice(1));
+  const test = list => list.some(g => candidates.some(c => globToRegExp(g).test(c)));
+
+  return (include.length === 0 || test(include)) && !test(exclude);
+}
+
+/**
+ * 工具权限策略类
+ */
+export class PermissionPolicy {
+  /**
+   * @param {Object} options - 配置选项
+   * @param {string} options.file - 全局策略文件路径
+   * @param {string} options.projectFile - 项目目录下的策略文件名
+   * @param {boolean} options.enabled - 是否启用
+   */
+  constructor(options = {}) {
+    this.file = options.file ?? config.policy.file;
+    this.projectFile = options.projectFile ?? config.policy.projectFile;
+    this.enabled = options.enabled ?? config.policy.enabled;
+
+    // 策略文件缓存：filePath -> { mtimeMs, policy }
+    this.cache = new Map();
+  }
+
+  /**
+   * 读取策略文件（按修改时间缓存，文件变化后自动重新加载）
+   * @private
+   * @param {string} filePath - 策略文件路径
+   * @returns {{default?: string, rules: Array<Object>}|null} - 文件不存在或无效时返回 null
+   */
+  _loadPolicy(filePath) {
+    let stat;
+    try {
+      stat = fs.statSync(filePath);
+    } catch (e) {
+      // 文件不存在是正常情况
+      this.cache.delete(filePath);
+      return null;
+    }
+
+    const cached = this.cache.get(filePath);
+    if (cached && cached.mtimeMs === stat.mtimeMs) {
+      return cached.policy;
+    }
+
+    let policy = null;
+    try {
+      const parsed = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+      const rules = Array.isArray(parsed) ? parsed : parsed.rules;
+      if (!Array.isArray(rules)) {
+        throw new Error('缺少 rules 数组');
+      }
+
+      policy = {
+        default: VALID_ACTIONS.includes(parsed.default) ? parsed.default : undefined,
+        // 全局策略中设置后，项目策略的 allow 规则和 default 才生效
+        allowProjectRules: parsed.allowProjectRules === true,
+        rules: rules.filter((rule, index) => {
+          if (!rule || !VALID_ACTIONS.includes(rule.action)) {
+            Logger.warn(`策略文件 ${filePath} 第 ${index + 1} 条规则的 action 无效，已忽略`);
+            return false;
+          }
+          return true;
+        }),
+      };
+      Logger.info(`已加载权限策略: ${filePath} (${policy.rules.length} 条规则)`);
+    } catch (error) {
+      // 无效的策略文件不生效，所有请求继续转发到聊天
+      Logger.warn(`加载权限策略失败 (${filePath}): ${error.message}`);
+    }
+
+    this.cache.set(filePath, { mtimeMs: stat.mtimeMs, policy });
+    return policy;
+  }
+
+  /**
+   * 判断规则是否匹配权限请求
+   * @private
+   * @param {Object} rule - 策略规则
+   * @param {Object} details - 权限详情（interaction.details）
+   * @param {Object} target - 会话信息
+   * @returns {boolean}
+   */
+  _matchRule(rule, details, target) {
+    // 工具类型：匹配 toolType，MCP 工具还可以用 mcp__server__tool 匹配
+    const tools = toList(rule.tool);
+    if (tools.length > 0) {
+      const names = [details.toolType];
+      if (details.toolType === 'MCP') {
+        names.push(`mcp__${details.server}__${details.toolName}`);
+      }
+      if (!matchGlobs(tools, names)) {
+        return false;
+      }
+    }
+
+    // 会话名称
+    const sessions = toList(rule.session);
+    if (sessions.length > 0 && !matchGlobs(sessions, [target.sessionName || ''])) {
+      return false;
+    }
+
+    // 命令正则（Bash 命令，其他工具为调用参数）
+    // 未能从 transcript 还原的 Bash 命令同时匹配对话框全文（拒绝 / 转发规则尽量匹配，批准会被 evaluate 降级）
+    if (rule.command) {
+      const commands = [details.command || details.args || ''];
+      if (details.toolType === 'Bash' && !details.commandVerified && details.rawText) {
+        commands.push(details.rawText);
+      }
+      const pattern = new RegExp(rule.command);
+      if (!commands.some(command => command && pattern.test(command))) {
+        return false;
+      }
+    }
+
+    // URL 正则（WebFetch）
+    if (rule.url) {
+      if (!details.url || !new RegExp(rule.url).test(details.url)) {
+        return false;
+      }
+    }
+
+    // 文件路径 glob（相对项目目录或绝对路径均可匹配）
+    const paths = toList(rule.path);
+    if (paths.length > 0) {
+      if (!details.filePath) {
+        return false;
+      }
+
+      const absolute = path.resolve(target.projectPath || '/', details.filePath);
+      const candidates = [absolute];
+      if (target.projectPath) {
+        const relative = path.relative(target.projectPath, absolute);
+        if (!relative.startsWith('..') && !path.isAbsolute(relative)) {
+          candidates.push(relative);
+        }
+      }
+      if (!matchGlobs(paths, candidates)) {
+        return false;
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * 查找策略中第一条匹配的规则
+   * @private
+   * @param {Array<Object>} rules - 规则列表
+   * @param {string} source - 策略文件路径
+   * @param {Object} details - 权限详情
+   * @param {Object} target - 会话信息
+   * @returns {{action: string, rule: Object, source: string}|null}
+   */
+  _findRule(rules, source, details, target) {
+    for (const rule of rules) {
+      try {
+        if (this._matchRule(rule, details, target)) {
+          return { action: rule.action, rule, source };
+        }
+      } catch (error) {
+        // 规则中的正则无效时跳过该规则
+        Logger.warn(`权限策略规则无效 (${source}): ${error.message}`);
+      }
+    }
+    return null;
+  }
+
+  /**
+   * 权限请求是否可能修改策略文件本身
+   * @private
+   * @param {Object} details - 权限详情
+   * @param {string[]} policyFiles - 策略文件路径
+   * @param {Object} target - 会话信息
+   * @returns {boolean}
+   */
+  _targetsPolicyFile(details, policyFiles, target) {
+    if (details.filePath && ['Edit', 'Write'].includes(details.toolType)) {
+      const absolute = path.resolve(target.projectPath || '/', details.filePath);
+      return policyFiles.some(file => path.resolve(file) === absolute);
+    }
+    if (details.toolType === 'Bash') {
+      // 命令中出现项目策略文件名或全局策略文件路径
+      const command = `${details.command || ''}\n${details.rawText || ''}`;
+      return [this.projectFile, this.file].some(name => name && command.includes(name));
+    }
+    return false;
+  }
+
+  /**
+   * 对权限请求做出决策
+   * - 修改策略文件本身的请求始终转发到聊天
+   * - 全局 deny 规则优先
+   * - 项目策略随仓库分发、也可能被 Claude 修改，只能收紧（deny / ask），全局策略设置 allowProjectRules 后 allow 才生效
+   * - 其余按 项目规则 → 全局规则 → 项目 default → 全局 default 的顺序，第一个匹配的生效
+   * @param {Object} interaction - 解析后的 ToolPermission 交互数据
+   * @param {Object} target - 会话信息
+   * @param {string} target.sessionName - tmux 会话名称
+   * @param {string} target.projectPath - 会话工作目录
+   * @returns {{action: string, rule: Object|null, source: string|null, reason?: string}}
+   */
+  evaluate(interaction, target = {}) {
+    const ask = { action: PolicyAction.ASK, rule: null, source: null };
+    if (!this.enabled || !interaction?.details) {
+      return ask;
+    }
+
+    const details = interaction.details;
+    const projectFile = target.projectPath && this.projectFile ? path.join(target.projectPath, this.projectFile) : null;
+    const policyFiles = [projectFile, this.file].filter(Boolean);
+
+    if (this._targetsPolicyFile(details, policyFiles, target)) {
+      return { ...ask, reason: '请求修改权限策略文件' };
+    }
+
+    const globalPolicy = this.file ? this._loadPolicy(this.file) : null;
+    const projectPolicy = projectFile ? this._loadPolicy(projectFile) : null;
+    const trustProject = globalPolicy?.allowProjectRules === true;
+
+    const globalMatch = globalPolicy ? this._findRule(globalPolicy.rules, this.file, details, target) : null;
+    if (globalMatch?.action === PolicyAction.DENY) {
+      return globalMatch;
+    }
+
+    let decision = null;
+    if (projectPolicy) {
+      const rules = trustProject ? projectPolicy.rules : projectPolicy.rules.filter(rule => rule.action !== PolicyAction.ALLOW);
+      decision = this._findRule(rules, projectFile, details, target);
+    }
+    decision = decision || globalMatch;
+
+    if (!decision) {
+      const projectDefault = projectPolicy?.default && (trustProject || projectPolicy.default !== PolicyAction.ALLOW)
+        ? projectPolicy.default
+        : null;
+      const defaultAction = projectDefault || globalPolicy?.default || null;
+      decision = defaultAction ? { action: defaultAction, rule: null, source: 'default' } : ask;
+    }
+
+    return this._guardAllow(decision, details);
+  }
+
+  /**
+   * 无法确认完整内容的请求和复合 Bash 命令不自动批准（降级为转发到聊天）
+   * 复合命令（; && || | $( ` 换行）只有规则设置 compound: true 时才能批准，
+   * 否则 `^git status` 之类的规则会连同后面拼接的命令一起批准
+   * @private
+   * @param {Object} decision - 决策
+   * @param {Object} details - 权限详情
+   * @returns {Object}
+   */
+  _guardAllow(decision, details) {
+    if (decision.action !== PolicyAction.ALLOW || details.toolType !== 'Bash') {
+      return decision;
+    }
+    if (!details.commandVerified) {
+      return { ...decision, action: PolicyAction.ASK, reason: '无法从 transcript 确认完整 Bash 命令' };
+    }
+    if (COMPOUND_COMMAND_PATTERN.test(details.command || '') && decision.rule?.compound !== true) {
+      return { ...decision, action: PolicyAction.ASK, reason: '复合 Bash 命令需要规则设置 compound: true 才能自动批准' };
+    }
+    return decision;
+  }
+
+  /**
+   * 选择决策对应的选项
+   * 批准默认选第一个 "Yes" 选项，拒绝默认选第一个 "No" 选项，规则可用 option 指定编号
+   * @param {Object} decision - evaluate 返回的决策
+   * @param {Array<{num: number, label: string}>} options - 权限对话框选项
+   * @returns {Object|null} - 选中的选项，找不到时返回 null
+   */
+  selectOption(decision, options = []) {
+    if (decision.rule?.option) {
+      return options.find(opt => opt.num === Number(decision.rule.option)) || null;
+    }
+
+    const pattern = decision.action === PolicyAction.ALLOW ? /^Yes\b/i : /^No\b/i;
+    return options.find(opt => pattern.test(opt.label)) || null;
+  }
+}
+
+export default PermissionPolicy;
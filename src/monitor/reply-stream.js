@@ -0,0 +1,231 @@
+/**
+ * 流式回复
+ * 回合开始时发送占位消息，Claude 的文本随 transcript 写入追加并编辑到同一条消息，超过分片阈值时续写到新消息
+ * Author: CodePothunter
+ * Version: 1.0.0
+ */
+
+import Logger from '../utils/logger.js';
+
+// 占位消息和输出中的提示
+const PLACEHOLDER = '💭 *Claude 正在回复…*';
+const TYPING_FOOTER = '✍️ *输出中…*';
+const EMPTY_REPLY = '💭 *本轮没有文字回复*';
+
+// 会话标签、续写前缀和提示占用的长度余量
+const RESERVED_LENGTH = 200;
+
+/**
+ * 流式回复类（每个 transcript 监控器一个，只用于主进程回复）
+ */
+export class ReplyStream {
+  /**
+   * @param {Object} options - 配置选项
+   * @param {boolean} options.enabled - 是否启用
+   * @param {number} options.editInterval - 两次编辑的最小间隔（毫秒）
+   * @param {Function} options.split - (text, maxLength) => string[] 按段落分片
+   * @param {string} options.session - 来源 tmux 会话（开启会话线程时发送到线程内）
+   * @param {Function} options.format - 发送前的格式化（添加会话标签）
+   */
+  constructor(options = {}) {
+    this.enabled = !!options.enabled;
+    this.editInterval = options.editInterval ?? 2000;
+    this.split = options.split;
+    this.session = options.session || '';
+    this.format = options.format || (text => text);
+
+    this.messenger = null;
+    this.reset();
+  }
+
+  /**
+   * 清空当前消息状态
+   * @private
+   */
+  reset() {
+    this.messageId = null;
+    this.blocks = [];       // 当前消息的文本块
+    this.part = 1;          // 当前是第几条消息（续写时递增）
+    this.dirty = false;
+    this.lastEdit = 0;
+    this.shownBody = '';    // 当前消息中已成功显示的正文
+  }
+
+  /**
+   * 设置消息适配器
+   * @param {Object} messenger - 消息适配器
+   */
+  setMessenger(messenger) {
+    this.messenger = messenger;
+  }
+
+  /**
+   * 当前平台是否可以流式回复
+   * @returns {boolean}
+   */
+  isAvailable() {
+    return this.enabled && !!this.messenger?.supportsEdit;
+  }
+
+  /**
+   * 是否有正在更新的消息
+   * @returns {boolean}
+   */
+  isActive() {
+    return this.messageId !== null;
+  }
+
+  /**
+   * 每条消息的长度上限
+   * @returns {number}
+   */
+  get threshold() {
+    const limit = this.messenger?.editThreshold || this.messenger?.splitThreshold || 1800;
+    return Math.max(500, limit - RESERVED_LENGTH);
+  }
+
+  /**
+   * 生成消息文本
+   * @param {string} body - 正文
+   * @param {number} part - 第几条消息
+   * @param {boolean} typing - 是否附加输出中提示
+   * @returns {string}
+   */
+  render(body, part, typing) {
+    const prefix = part > 1 ? `\`[续 ${part}]\`\n\n` : '';
+    return this.format(`${prefix}${body}${typing ? `\n\n${TYPING_FOOTER}` : ''}`);
+  }
+
+  /**
+   * 发送新的可编辑消息
+   * @private
+   * @param {string} text - 消息文本
+   * @returns {Promise<boolean>}
+   */
+  async post(text) {
+    const result = await this.messenger.sendEditable(text, { session: this.session });
+    if (!result?.success || !result.messageId) {
+      Logger.warn(`流式回复消息发送失败: ${result?.error || '不支持编辑消息'}`);
+      return false;
+    }
+    this.messageId = result.messageId;
+    this.lastEdit = Date.now();
+    return true;
+  }
+
+  /**
+   * 回合开始时发送占位消息（已有消息时不重复发送）
+   * @returns {Promise<boolean>} - 是否处于流式状态
+   */
+  async begin() {
+    if (this.isActive()) {
+      return true;
+    }
+    this.reset();
+    return this.post(this.format(PLACEHOLDER));
+  }
+
+  /**
+   * 追加文本块（在 flush 时编辑消息）
+   * @param {string} text - 文本
+   */
+  append(text) {
+    this.blocks.push(text);
+    this.dirty = true;
+  }
+
+  /**
+   * 把追加的文本编辑到消息，超过阈值时续写到新消息
+   * @param {boolean} force - 忽略编辑间隔
+   * @param {boolean} typing - 是否显示输出中提示
+   * @returns {Promise<boolean>} - 编辑失败时返回 false（文本仍保留，下次 flush 重试）
+   */
+  async flush(force = false, typing = true) {
+    if (!this.isActive() || !this.dirty) {
+      return true;
+    }
+    if (!force && Date.now() - this.lastEdit < this.editInterval) {
+      return true;
+    }
+
+    const body = this.blocks.join('\n\n');
+    const chunks = body.length > this.threshold ? this.split(body, this.threshold) : [body];
+
+    // 前面的分片写满后不再修改，最后一片成为新的当前消息
+    for (let i = 0; i < chunks.length; i++) {
+      const typingPart = typing && i === chunks.length - 1;
+
+      if (i === 0) {
+        const result = await this.messenger.editMessage(this.messageId, this.render(chunks[i], this.part, typingPart));
+        if (!result?.success) {
+          Logger.warn(`流式回复编辑失败: ${result?.error || '未知错误'}`);
+          return false;
+        }
+        this.lastEdit = Date.now();
+        this.shownBody = chunks[i];
+      } else {
+        this.part += 1;
+        if (!await this.post(this.render(chunks[i], this.part, typingPart))) {
+          // 续写消息发送失败时，剩余内容作为普通消息发送
+          for (const rest of chunks.slice(i)) {
+            await this.messenger.sendText(this.format(rest), { session: this.session, skipDedup: true });
+          }
+          this.reset();
+          return true;
+        }
+        this.shownBody = chunks[i];
+      }
+    }
+
+    this.blocks = [chunks[chunks.length - 1]];
+    this.dirty = false;
+    return true;
+  }
+
+  /**
+   * 最后一次编辑失败时，把当前消息中还没显示的文本作为普通消息发送
+   * @private
+   */
+  async sendUnsent() {
+    const body = this.blocks.join('\n\n');
+    const rest = body.startsWith(this.shownBody) ? body.slice(this.shownBody.length).trim() : body;
+    if (rest) {
+      await this.messenger.sendText(this.format(rest), { session: this.session, skipDedup: true });
+    }
+  }
+
+  /**
+   * 结束当前消息（去掉输出中提示），没有文本时标记为无文字回复
+   */
+  async finish() {
+    if (!this.isActive()) {
+      return;
+    }
+
+    try {
+      if (this.blocks.length === 0) {
+        await this.messenger.editMessage(this.messageId, this.format(EMPTY_REPLY));
+      } else {
+        this.dirty = true;
+        if (!await this.flush(true, false)) {
+          await this.sendUnsent();
+        }
+      }
+    } catch (error) {
+      Logger.error(`结束流式回复失败: ${error.message}`);
+      if (this.blocks.length > 0) {
+        await this.sendUnsent().catch(sendError => Logger.error(`发送流式回复剩余内容失败: ${sendError.message}`));
+      }
+    }
+    this.reset();
+  }
+
+  /**
+   * 丢弃当前消息状态（不再编辑）
+   */
+  clear() {
+    this.reset();
+  }
+}
+
+export default ReplyStream;
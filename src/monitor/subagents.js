@@ -0,0 +1,226 @@
+/**
+ * Subagent 识别和过滤
+ * 根据主进程的 Task tool_use 识别 subagents/agent-*.jsonl 对应的子代理（类型和任务描述），支持按子代理静音和折叠为完成摘要
+ * Author: CodePothunter
+ * Version: 1.0.0
+ */
+
+import path from 'path';
+
+/**
+ * Subagent 消息转发模式
+ */
+export const SubagentMode = {
+  FULL: 'full',            // 转发子代理的全部文本（带子代理标签）
+  COLLAPSED: 'collapsed',  // 不转发过程，子代理完成时发送一条摘要
+  OFF: 'off',              // 不转发任何子代理消息
+};
+
+const VALID_MODES = Object.values(SubagentMode);
+
+// 启动子代理的工具（新版本 Claude Code 中 Task 更名为 Agent）
+const TASK_TOOLS = ['Task', 'Agent'];
+
+// 最多保留的子代理数量
+const MAX_AGENTS = 50;
+
+/**
+ * 提取消息文本（字符串或 text 块）
+ * @param {string|Array} content - message.content 或 tool_result content
+ * @returns {string}
+ */
+function contentText(content) {
+  if (typeof content === 'string') {
+    return content;
+  }
+  if (Array.isArray(content)) {
+    return content.filter(c => c.type === 'text' && c.text).map(c => c.text).join('\n');
+  }
+  return '';
+}
+
+/**
+ * Subagent 跟踪类（每个 transcript 监控器一个）
+ */
+export class SubagentTracker {
+  /**
+   * @param {Object} options - 配置选项
+   * @param {string} options.mode - 转发模式（SubagentMode）
+   */
+  constructor(options = {}) {
+    this.mode = VALID_MODES.includes(options.mode) ? options.mode : SubagentMode.FULL;
+
+    // 主进程发起的 Task 调用：toolUseId -> { toolUseId, description, subagentType, prompt, agent }
+    this.tasks = new Map();
+    // 已识别的子代理（按出现顺序编号）：filePath -> agent
+    this.agents = new Map();
+    this.nextNumber = 1;
+  }
+
+  /**
+   * 设置转发模式
+   * @param {string} mode - 转发模式（SubagentMode）
+   * @returns {boolean} - 是否有效
+   */
+  setMode(mode) {
+    if (!VALID_MODES.includes(mode)) {
+      return false;
+    }
+    this.mode = mode;
+    return true;
+  }
+
+  /**
+   * 记录主进程 assistant 消息中的 Task tool_use
+   * @param {Object} data - jsonl 消息数据
+   */
+  recordTaskUses(data) {
+    const content = data?.message?.content;
+    if (!Array.isArray(content)) {
+      return;
+    }
+
+    for (const item of content) {
+      if (item.type !== 'tool_use' || !TASK_TOOLS.includes(item.name)) {
+        continue;
+      }
+      this.tasks.set(item.id, {
+        toolUseId: item.id,
+        description: item.input?.description || '',
+        subagentType: item.input?.subagent_type || 'general-purpose',
+        prompt: (item.input?.prompt || '').trim(),
+        agent: null,
+      });
+    }
+
+    while (this.tasks.size > MAX_AGENTS) {
+      this.tasks.delete(this.tasks.keys().next().value);
+    }
+  }
+
+  /**
+   * 识别子代理 transcript 中的消息（首次出现时根据任务 prompt 与主进程的 Task 配对）
+   * @param {string} filePath - 子代理 transcript 文件路径
+   * @param {Object} data - jsonl 消息数据
+   * @returns {Object} - 子代理信息 { number, agentId, description, subagentType, muted, finished }
+   */
+  identify(filePath, data) {
+    let agent = this.agents.get(filePath);
+    if (!agent) {
+      agent = {
+        number: this.nextNumber++,
+        agentId: data?.agentId || path.basename(filePath, '.jsonl').replace(/^agent-/, ''),
+        description: '',
+        subagentType: '',
+        muted: false,
+        finished: false,
+      };
+      this.agents.set(filePath, agent);
+
+      while (this.agents.size > MAX_AGENTS) {
+        this.agents.delete(this.agents.keys().next().value);
+      }
+    }
+
+    // 子代理的第一条 user 消息就是 Task 的 prompt
+    if (!agent.subagentType && data?.type === 'user') {
+      const prompt = contentText(data.message?.content).trim();
+      const task = prompt && [...this.tasks.values()].find(t => !t.agent && t.prompt === prompt);
+      if (task) {
+        task.agent = agent;
+        agent.description = task.description;
+        agent.subagentType = task.subagentType;
+      }
+    }
+
+    return agent;
+  }
+
+  /**
+   * 子代理标签（类型和任务描述）
+   * @param {Object} agent - 子代理信息
+   * @returns {string}
+   */
+  label(agent) {
+    const name = agent.subagentType || `agent-${agent.agentId.substring(0, 8)}`;
+    const number = agent.number ? `#${agent.number} ` : '';
+    return `🤖 子代理 ${number}${name}${agent.description ? ` · ${agent.description}` : ''}`;
+  }
+
+  /**
+   * 是否转发子代理的文本消息
+   * @param {Object} agent - 子代理信息
+   * @returns {boolean}
+   */
+  shouldForward(agent) {
+    return this.mode === SubagentMode.FULL && !agent.muted;
+  }
+
+  /**
+   * 记录主进程 user 消息中的 Task 结果，返回折叠模式下需要发送的完成摘要
+   * @param {Object} data - jsonl 消息数据
+   * @returns {Array<{agent: Object, task: Object, summary: string, isError: boolean}>}
+   */
+  recordTaskResults(data) {
+    const content = data?.message?.content;
+    if (!Array.isArray(content)) {
+      return [];
+    }
+
+    const finished = [];
+    for (const item of content) {
+      const task = item.type === 'tool_result' ? this.tasks.get(item.tool_use_id) : null;
+      if (!task) {
+        continue;
+      }
+      this.tasks.delete(item.tool_use_id);
+
+      // 没有对应的子代理文件时（如未监控到）也按任务描述发送摘要
+      const agent = task.agent || { number: 0, agentId: '', description: task.description, subagentType: task.subagentType, muted: false };
+      agent.finished = true;
+
+      if (this.mode === SubagentMode.COLLAPSED && !agent.muted) {
+        finished.push({
+          agent,
+          task,
+          summary: contentText(item.content).trim(),
+          isError: item.is_error === true,
+        });
+      }
+    }
+    return finished;
+  }
+
+  /**
+   * 获取子代理列表（按编号）
+   * @returns {Array<Object>}
+   */
+  list() {
+    return [...this.agents.values()].sort((a, b) => a.number - b.number);
+  }
+
+  /**
+   * 静音或取消静音子代理
+   * @param {number|'all'} target - 子代理编号或 all
+   * @param {boolean} muted - 是否静音
+   * @returns {Array<Object>} - 受影响的子代理（编号不存在时为空）
+   */
+  setMuted(target, muted) {
+    const agents = target === 'all' ? this.list() : this.list().filter(a => a.number === target);
+    for (const agent of agents) {
+      agent.muted = muted;
+    }
+    return agents;
+  }
+
+  /**
+   * 清空（会话重置时）
+   */
+  clear() {
+    this.tasks.clear();
+    this.agents.clear();
+    this.nextNumber = 1;
+  }
+}
+
+export default SubagentTracker;
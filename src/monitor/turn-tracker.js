@@ -0,0 +1,191 @@
+/**
+ * 回合结束检测
+ * 根据 transcript 的 stop_reason 和未完成的 tool_use 判断 Claude 是否结束本轮回复，并汇总本轮用时、工具、修改的文件和 token
+ * Author: CodePothunter
+ * Version: 1.0.0
+ */
+
+// 修改文件的工具（input.file_path / notebook_path 为修改的文件）
+const FILE_CHANGING_TOOLS = ['Edit', 'MultiEdit', 'Write', 'NotebookEdit'];
+
+/**
+ * 判断 user 消息是否为用户输入（而不是 tool_result 或内部消息）
+ * @param {Object} data - jsonl 消息数据
+ * @returns {boolean}
+ */
+function isUserPrompt(data) {
+  if (data.type !== 'user' || data.isMeta) {
+    return false;
+  }
+
+  const content = data.message?.content;
+  if (typeof content === 'string') {
+    return content.trim().length > 0;
+  }
+  return Array.isArray(content) &&
+    content.some(c => c.type === 'text') &&
+    !content.some(c => c.type === 'tool_result');
+}
+
+/**
+ * 回合跟踪类（每个 transcript 监控器一个，只跟踪主进程 transcript）
+ */
+export class TurnTracker {
+  /**
+   * @param {Object} options - 配置选项
+   * @param {number} options.idleMs - 最后一条消息后至少静默多久才判定为回合结束（毫秒）
+   */
+  constructor(options = {}) {
+    this.idleMs = options.idleMs ?? 5000;
+    this.turn = null;
+  }
+
+  /**
+   * 创建新回合
+   * @private
+   * @param {Object} data - 开始回合的 jsonl 消息
+   * @param {number} now - 当前时间戳
+   */
+  _startTurn(data, now) {
+    const timestamp = data.timestamp ? new Date(data.timestamp).getTime() : NaN;
+    this.turn = {
+      startTime: Number.isNaN(timestamp) ? now : timestamp,
+      lastActivity: now,
+      pendingToolUses: new Set(),
+      tools: new Map(),          // 工具名 -> 调用次数
+      files: new Set(),          // 修改的文件
+      tokens: { input: 0, output: 0 },
+      messageIds: new Set(),     // 同一条 API 响应会拆成多行，按 message.id 去重 token
+      stopReason: null,
+      endsWithText: false,
+    };
+  }
+
+  /**
+   * 记录 user 消息：用户输入开始新回合，tool_result 完成对应的 tool_use
+   * @param {Object} data - jsonl 消息数据
+   * @param {number} now - 当前时间戳
+   * @returns {boolean} - 是否开始了新回合
+   */
+  recordUser(data, now = Date.now()) {
+    if (isUserPrompt(data)) {
+      this._startTurn(data, now);
+      return true;
+    }
+
+    const content = data.message?.content;
+    if (!this.turn || !Array.isArray(content)) {
+      return false;
+    }
+
+    for (const item of content) {
+      if (item.type === 'tool_result') {
+        this.turn.pendingToolUses.delete(item.tool_use_id);
+      }
+    }
+    this.turn.lastActivity = now;
+    return false;
+  }
+
+  /**
+   * 记录 assistant 消息（启动时回合已在进行中，则从第一条 assistant 消息开始计时）
+   * @param {Object} data - jsonl 消息数据
+   * @param {number} now - 当前时间戳
+   */
+  recordAssistant(data, now = Date.now()) {
+    const message = data.message;
+    if (!message) {
+      return;
+    }
+    if (!this.turn) {
+      this._startTurn(data, now);
+    }
+
+    const turn = this.turn;
+    turn.lastActivity = now;
+    turn.stopReason = message.stop_reason || null;
+
+    const content = Array.isArray(message.content) ? message.content : [];
+    for (const item of content) {
+      if (item.type === 'tool_use') {
+        turn.pendingToolUses.add(item.id);
+        turn.tools.set(item.name, (turn.tools.get(item.name) || 0) + 1);
+        const filePath = item.input?.file_path || item.input?.notebook_path;
+        if (FILE_CHANGING_TOOLS.includes(item.name) && filePath) {
+          turn.files.add(filePath);
+        }
+      }
+    }
+    if (content.length > 0) {
+      turn.endsWithText = content[content.length - 1].type === 'text';
+    }
+
+    const usage = message.usage;
+    if (usage && (!message.id || !turn.messageIds.has(message.id))) {
+      if (message.id) {
+        turn.messageIds.add(message.id);
+      }
+      turn.tokens.input += (usage.input_tokens || 0) +
+        (usage.cache_creation_input_tokens || 0) +
+        (usage.cache_read_input_tokens || 0);
+      turn.tokens.output += usage.output_tokens || 0;
+    }
+  }
+
+  /**
+   * 是否可能已结束：没有未完成的 tool_use、最后一条消息为 end_turn（或以文本结尾），且已静默 idleMs
+   * 还需要调用方确认终端已空闲
+   * @param {number} now - 当前时间戳
+   * @returns {boolean}
+   */
+  isLikelyComplete(now = Date.now()) {
+    const turn = this.turn;
+    if (!turn || turn.pendingToolUses.size > 0 || now - turn.lastActivity < this.idleMs) {
+      return false;
+    }
+    if (turn.stopReason === 'end_turn' || turn.stopReason === 'stop_sequence') {
+      return true;
+    }
+    // transcript 中流式写入的消息 stop_reason 常为 null，以文本结尾时视为结束
+    return turn.stopReason === null && turn.endsWithText;
+  }
+
+  /**
+   * 推迟判定（终端仍在运行时调用）
+   * @param {number} now - 当前时间戳
+   */
+  defer(now = Date.now()) {
+    if (this.turn) {
+      this.turn.lastActivity = now;
+    }
+  }
+
+  /**
+   * 结束当前回合并返回汇总
+   * @param {number} now - 当前时间戳
+   * @returns {{durationMs: number, tools: Array<[string, number]>, files: string[], tokens: {input: number, output: number}}|null}
+   */
+  finish(now = Date.now()) {
+    const turn = this.turn;
+    if (!turn) {
+      return null;
+    }
+    this.turn = null;
+
+    return {
+      durationMs: Math.max(0, now - turn.startTime),
+      tools: [...turn.tools.entries()].sort((a, b) => b[1] - a[1]),
+      files: [...turn.files],
+      tokens: turn.tokens,
+    };
+  }
+
+  /**
+   * 丢弃当前回合
+   */
+  clear() {
+    this.turn = null;
+  }
+}
+
+export default TurnTracker;
@@ -0,0 +1,571 @@
+/**
+ * Discord 平台 - 接收频道消息、Slash Command 和按钮/下拉菜单交互，交给共享的路由器处理
+ * Author: CodePothunter
+ * Version: 1.0.0
+ */
+
+import { Client, Events, GatewayIntentBits, MessageFlags } from 'discord.js';
+import { config } from '../config/index.js';
+import { DiscordAdapter, COMPONENT_PREFIX, resolveSessionKey } from '../messenger/discord.js';
+import { MessageHistory } from '../utils/message-history.js';
+import { registerCommands } from '../discord-commands.js';
+import { readStreamWithLimit } from '../utils/inbox.js';
+import { getCommandPermission } from '../utils/access-control.js';
+import { AuditType, recordAudit, runWithActor } from '../utils/audit-log.js';
+import * as commands from '../handlers/command.js';
+import Logger from '../utils/logger.js';
+
+// 代理由 discord-proxy-bootstrap.mjs 配置，需在加载本模块（discord.js）之前导入
+
+/**
+ * Discord 平台类
+ */
+export class DiscordPlatform {
+  /**
+   * @param {Object} options - 配置选项
+   * @param {MessageDeduplicator} options.deduplicator - 共享的事件去重器
+   */
+  constructor(options = {}) {
+    this.name = 'discord';
+    this.deduplicator = options.deduplicator;
+    this.router = null;
+    this.connected = false;
+
+    // 初始化消息历史去重器（按平台独立，同一通知在每个平台各发一次）
+    this.messageHistory = new MessageHistory({
+      storageFile: '/tmp/claude-discord-sent-messages.json',
+    });
+
+    // 初始化 Discord 客户端
+    this.client = new Client({
+      intents: [
+        GatewayIntentBits.Guilds,
+        GatewayIntentBits.GuildMessages,
+        GatewayIntentBits.MessageContent,
+      ],
+    });
+
+    // 初始化消息适配器
+    this.messenger = new DiscordAdapter({
+      client: this.client,
+      channelId: config.discord.channelId,
+      messageHistory: this.messageHistory,
+    });
+  }
+
+  /**
+   * 打印平台启动信息
+   */
+  printStartupInfo() {
+    Logger.info(`💬 Discord 频道: ${config.discord.channelId}`);
+  }
+
+  /**
+   * 是否为桥接使用的频道（目标频道或会话子区）
+   * @param {string} channelId - 频道 ID
+   * @returns {boolean}
+   */
+  isBridgeChannel(channelId) {
+    return channelId === config.discord.channelId ||
+      !!this.messenger.getMessageSession({ _channelId: channelId });
+  }
+
+  /**
+   * 获取发送者（用户 ID 和服务器角色 ID，用于授权）
+   * @param {Object} user - discord.js User
+   * @param {Object} member - discord.js GuildMember 或 API 成员对象（私信时为空）
+   * @returns {{id: string, name: string, roles: string[]}}
+   */
+  getSender(user, member) {
+    const roles = member?.roles?.cache ? [...member.roles.cache.keys()] : (member?.roles || []);
+    return { id: user.id, name: user.tag, roles };
+  }
+
+  /**
+   * 处理 Discord 消息
+   * @param {Object} message - discord.js Message 对象
+   */
+  async handleDiscordMessage(message) {
+    try {
+      // 过滤 bot 消息
+      if (message.author.bot) {
+        return;
+      }
+
+      // 过滤非目标频道（会话子区内的消息同样处理）
+      if (!this.isBridgeChannel(message.channelId)) {
+        return;
+      }
+
+      const content = message.content || '';
+      const attachments = this.parseAttachments(message);
+      if (content.trim().length === 0 && attachments.length === 0) {
+        return;
+      }
+
+      // 生成事件 ID 用于去重
+      const eventId = `discord_${message.id}`;
+
+      // 消息去重检查
+      if (this.deduplicator.isProcessed(eventId)) {
+        Logger.info(`🔄 忽略重复事件: ${eventId}`);
+        return;
+      }
+
+      // 标记为已处理
+      this.deduplicator.markProcessed(eventId);
+      Logger.info(`📨 处理 Discord 消息: ${content.substring(0, 50)}${content.length > 50 ? '...' : ''}` +
+        `${attachments.length > 0 ? ` (${attachments.length} 个附件)` : ''}`);
+
+      // 标准化消息格式并路由（标记来源平台，指令回复只发回 Discord）
+      await this.router.route({
+        _normalized: true,
+        _isBot: false,
+        _platform: this.name,
+        _channelId: message.channelId,
+        _sender: this.getSender(message.author, message.member),
+        _attachments: attachments,
+        text: content,
+      });
+    } catch (error) {
+      Logger.error(`处理 Discord 消息时出错: ${error.message}`);
+    }
+  }
+
+  /**
+   * 解析消息附件，下载延迟到路由时进行
+   * @param {Object} message - discord.js Message 对象
+   * @returns {Array<{name: string, size: number, download: Function}>}
+   */
+  parseAttachments(message) {
+    return [...(message.attachments?.values() || [])].map(attachment => ({
+      name: attachment.name || `attachment-${attachment.id}`,
+      size: attachment.size || 0,
+      download: () => this.downloadAttachment(attachment.url),
+    }));
+  }
+
+  /**
+   * 下载附件
+   * @param {string} url - 附件 URL
+   * @returns {Promise<{success: boolean, data?: Buffer, error?: string}>}
+   */
+  async downloadAttachment(url) {
+    try {
+      const response = await fetch(url);
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      return await readStreamWithLimit(response.body);
+    } catch (error) {
+      Logger.error(`Discord 附件下载失败: ${error.message}`);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * 处理按钮 / 下拉菜单交互（AskUserQuestion、Tab 选择等）
+   * 按钮路由到 handleNumberSelect，tab 下拉菜单路由到 handleTab，问题下拉菜单路由到 handleAnswerQuestions
+   * @param {Object} interaction - discord.js ButtonInteraction 或 StringSelectMenuInteraction
+   */
+  async handleComponentInteraction(interaction) {
+    const [prefix, kind, num, sessionField] = interaction.customId.split(':');
+    if (prefix !== COMPONENT_PREFIX) {
+      return;
+    }
+
+    // 过滤非目标频道
+    if (!this.isBridgeChannel(interaction.channelId)) {
+      return;
+    }
+
+    const eventId = `discord_${interaction.id}`;
+    if (this.deduplicator.isProcessed(eventId)) {
+      Logger.info(`🔄 忽略重复事件: ${eventId}`);
+      return;
+    }
+    this.deduplicator.markProcessed(eventId);
+
+    // 会话名过长时 customId 中是会话短键，需还原为会话名；还原不到时不能发到其他会话
+    const session = resolveSessionKey(sessionField, this.router.context.monitorPool?.getSessions() || []);
+    if (session === null) {
+      Logger.warn(`忽略组件交互，会话不存在: ${sessionField}`);
+      await interaction.reply({ content: '❌ 会话已不存在', flags: MessageFlags.Ephemeral });
+      return;
+    }
+
+    let choice;
+    let label;
+    if (interaction.isStringSelectMenu()) {
+      choice = interaction.values.join(',');
+      label = interaction.component.options
+        .filter(opt => interaction.values.includes(opt.value))
+        .map(opt => opt.label)
+        .join('、');
+    } else {
+      choice = num;
+      label = interaction.component.label;
+    }
+
+    Logger.info(`📨 处理组件交互: ${interaction.customId} -> ${choice}`);
+
+    const accepted = await this.router.routeAction({
+      kind,
+      choice,
+      session,
+      operator: interaction.user.tag,
+      sender: this.getSender(interaction.user, interaction.member),
+      platform: this.name,
+    });
+
+    if (!accepted) {
+      await interaction.reply({ content: '❌ 无效的选项、交互已过期、会话已不存在或无权限', flags: MessageFlags.Ephemeral });
+      return;
+    }
+
+    // 禁用原消息的组件，并显示回答人和所选选项
+    await interaction.update(this.messenger.buildAnsweredMessage(interaction.message, {
+      userId: interaction.user.id,
+      label: label || choice,
+      customId: interaction.customId,
+    }));
+  }
+
+  /**
+   * 根据 commandName 分发 Slash Command 到对应的 command handler
+   * @param {Object} interaction - discord.js ChatInputCommandInteraction
+   * @param {Object} interactionCtx - 通过交互回复的上下文
+   * @param {{id: string, name?: string, roles?: string[]}} sender - 发送者
+   */
+  async dispatchSlashCommand(interaction, interactionCtx, sender) {
+    const commandName = interaction.commandName;
+
+    switch (commandName) {
+      case 'switch': {
+        const name = interaction.options.getString('name');
+        if (name) {
+          await commands.handleSwitchTo(interactionCtx, name);
+        } else {
+          await commands.handleSwitchList(interactionCtx);
+        }
+        break;
+      }
+      case 'tab': {
+        const numbers = interaction.options.getString('numbers');
+        await commands.handleTab(interactionCtx, numbers);
+        break;
+      }
+      case 'show':
+        await commands.handleShow(interactionCtx, interaction.options.getBoolean('image') ? '--image' : '');
+        break;
+      case 'new': {
+        const name = interaction.options.getString('name');
+        await commands.handleNew(interactionCtx, name);
+        break;
+      }
+      case 'kill':
+      case 'reset':
+        // 发送确认消息，/confirm 或点击按钮后才执行
+        await this.router.confirmCommand(interactionCtx, sender, commandName);
+        break;
+      case 'audit': {
+        const auditArgs = [interaction.options.getInteger('count'), interaction.options.getString('session')];
+        await commands.handleAudit(interactionCtx, auditArgs.filter(Boolean).join(' '));
+        break;
+      }
+      case 'confirm':
+      case 'cancel':
+        await this.router.resolveConfirmation(interactionCtx, sender, interaction.options.getString('nonce'), commandName === 'confirm');
+        break;
+      case 'help':
+        await commands.handleHelp(interactionCtx);
+        break;
+      case 'history':
+        await commands.handleHistory(interactionCtx, interaction.options.getString('args') || '');
+        break;
+      case 'redo':
+        await commands.handleRedo(interactionCtx, String(interaction.options.getInteger('number')));
+        break;
+      case 'status':
+        await commands.handleStatus(interactionCtx, interactionCtx.monitorState);
+        break;
+      case 'config':
+        await commands.handleConfig(interactionCtx);
+        break;
+      case 'watch': {
+        const seconds = interaction.options.getInteger('seconds');
+        await commands.handleWatch(interactionCtx, seconds ? String(seconds) : '');
+        break;
+      }
+      case 'unwatch':
+        await commands.handleUnwatch(interactionCtx);
+        break;
+      case 'clear':
+        await commands.handleClear(interactionCtx);
+        break;
+      case 'dedupstats':
+        await commands.handleDedupStats(interactionCtx);
+        break;
+      case 'plan':
+        await commands.handlePlan(interactionCtx, interaction.options.getString('args') || '');
+        break;
+      case 'pending':
+        await commands.handlePending(interactionCtx);
+        break;
+      case 'usage': {
+        const usageArgs = [interaction.options.getString('session'), interaction.options.getString('range')];
+        await commands.handleUsage(interactionCtx, usageArgs.filter(Boolean).join(' '));
+        break;
+      }
+      case 'verbose':
+        await commands.handleVerbose(interactionCtx, interaction.options.getString('level') || '');
+        break;
+      case 'agents':
+        await commands.handleAgents(interactionCtx, interaction.options.getString('args') || '');
+        break;
+      case 'get':
+        await commands.handleGet(interactionCtx, interaction.options.getString('path') || '');
+        break;
+      default:
+        await interactionCtx.sendText(`❓ 未知指令: /${commandName}`);
+        break;
+    }
+  }
+
+  /**
+   * 处理 Discord 交互（Slash Command、按钮、下拉菜单）
+   * @param {Object} interaction - discord.js Interaction 对象
+   */
+  async handleInteraction(interaction) {
+    try {
+      // 按钮和下拉菜单
+      if (interaction.isButton() || interaction.isStringSelectMenu()) {
+        await this.handleComponentInteraction(interaction);
+        return;
+      }
+
+      // 其余只处理 Chat Input Commands
+      if (!interaction.isChatInputCommand()) {
+        return;
+      }
+
+      // 过滤非目标频道（目标频道及其会话子区）
+      if (!this.isBridgeChannel(interaction.channelId)) {
+        return;
+      }
+
+      const commandName = interaction.commandName;
+      Logger.info(`📨 处理 Slash Command: /${commandName}`);
+
+      // 先 defer reply，给后续处理留出时间
+      await interaction.deferReply();
+
+      // 创建交互专用 context，用 interaction.editReply / followUp 替代 channel.send
+      let replied = false;
+      const interactionSendText = async (text, options = {}) => {
+        const chunks = this.messenger.splitMessage(text);
+        for (const chunk of chunks) {
+          if (!replied) {
+            await interaction.editReply(chunk);
+            replied = true;
+          } else {
+            await interaction.followUp(chunk);
+          }
+        }
+      };
+
+      const interactionCtx = {
+        ...this.router.getContext(),
+        // 以适配器为原型，保留 sendFile 等方法，只覆盖回复方式
+        messenger: Object.assign(Object.create(this.messenger), {
+          sendText: interactionSendText,
+          // override sendHelp 使其通过 interaction 回复
+          sendHelp: async () => {
+            try {
+              const { EmbedBuilder } = await import('discord.js');
+              const embed = new EmbedBuilder()
+                .setTitle('📖 Claude Code Discord 桥接 - 帮助')
+                .setColor(0x7C3AED)
+                .addFields(
+                  {
+                    name: '🔔 监控功能',
+                    value: [
+                      '• 自动检测 Claude Code 等待输入',
+                      '• 检测错误、警告、测试执行等状态',
+                      '• Discord 消息实时通知',
+                    ].join('\n'),
+                  },
+                  {
+                    name: '💬 使用规则',
+                    value: [
+                      '**普通文本** → 直接发送给 Claude Code',
+                      '**yes/y/确认** → 确认 Claude Code 请求',
+                      '**no/n/取消** → 取消 Claude Code 操作',
+                      '**!命令** → 在 tmux 中执行命令并返回结果',
+                    ].join('\n'),
+                  },
+                  {
+                    name: '🎛️ 桥接服务指令',
+                    value: [
+                      '`/switch` — 列出所有 tmux 会话',
+                      '`/switch <名>` — 切换监控到指定会话',
+                      '`/tab <数字>` — 选中指定 tab',
+                      '`/show [--image]` — 显示当前 tmux 会话内容（--image 渲染为终端图片）',
+                      '`/watch [秒数]` — 实时跟随输出（原地更新同一条消息），`/unwatch` 停止',
+                      '`/new <名字>` — 创建新的 tmux 会话',
+                      '`/kill` — 杀掉当前 tmux 会话（需确认）',
+                      '`/reset` — 清除 Claude Code context（需确认）',
+                      '`/confirm 确认码` — 确认执行 /kill、/reset 或危险的 ! 命令（`/cancel` 取消）',
+                      '`/audit [条数] [会话]` — 查看审计日志（管理员）',
+                      '`/plan [页码|file|history]` — 查看计划、获取 .md 附件或修订历史',
+                      '`/pending` — 列出所有会话等待回复的交互',
+                      '`/usage [会话] [today|week]` — 查看 token 用量和估算费用',
+                      '`/verbose [off|summary|detail]` — 设置工具活动摘要',
+                      '`/agents [mute|unmute|mode]` — 查看子代理，静音或折叠子代理消息',
+                      '`/get <路径>` — 发送项目内的文件（目录打包为 ZIP），`/get auto on|off` 自动发送图片',
+                      '`/history [prompts|shell]` — 查看当前会话的命令历史（`/history search 关键词` 搜索）',
+                      '`/redo 编号` — 重新发送历史中的提示词',
+                      '`/status` — 显示详细状态信息',
+                      '`/help` — 显示此帮助信息',
+                    ].join('\n'),
+                  },
+                  {
+                    name: '💡 示例',
+                    value: '`!pwd` — 显示当前目录\n`!ls -la` — 列出文件\n`!git status` — 查看 git 状态',
+                  }
+                );
+
+              if (!replied) {
+                await interaction.editReply({ embeds: [embed] });
+                replied = true;
+              } else {
+                await interaction.followUp({ embeds: [embed] });
+              }
+              return { success: true };
+            } catch (error) {
+              // 降级为纯文本
+              await interactionSendText(
+                '📖 **Claude Code Discord 桥接 - 帮助**\n\n' +
+                '**普通文本** → 发送给 Claude Code\n' +
+                '**yes/no** → 确认/取消操作\n' +
+                '**!命令** → 执行命令并返回结果\n' +
+                '`/switch` `/show` `/new` `/kill` `/reset` `/status` `/help`'
+              );
+              return { success: false, error: error.message };
+            }
+          },
+        }),
+        sendText: interactionSendText,
+      };
+      // 带按钮的消息（危险操作确认等）同样作为交互回复发送
+      interactionCtx.messenger.sendWithComponents = async (text, components) => {
+        const payload = { content: text.slice(0, this.messenger.maxMessageLength), components };
+        if (!replied) {
+          await interaction.editReply(payload);
+          replied = true;
+        } else {
+          await interaction.followUp(payload);
+        }
+        return { success: true };
+      };
+
+      // 会话子区中的指令作用于子区对应的会话（与子区内的文本消息一致）
+      const threadSession = this.router.resolveThreadSession({ _channelId: interaction.channelId }, interactionCtx);
+      const commandCtx = threadSession ? this.router.createSessionContext(threadSession, interactionCtx) : interactionCtx;
+
+      // 以发送者作为审计日志的操作人检查权限并分发（带参数的设置类指令需要更高权限）
+      const optionArgs = interaction.options.data.map(option => option.value).join(' ');
+      const sender = this.getSender(interaction.user, interaction.member);
+      await runWithActor({ platform: this.name, sender }, async () => {
+        const session = commandCtx.currentSession.value;
+        recordAudit(AuditType.MESSAGE, { session, text: `/${commandName}${optionArgs ? ` ${optionArgs}` : ''}` });
+        if (!await this.router.checkAccess(commandCtx, sender, getCommandPermission(commandName, optionArgs), `/${commandName}`)) {
+          return;
+        }
+        recordAudit(AuditType.HANDLER, { session, handler: `/${commandName}`, ...(optionArgs ? { args: optionArgs } : {}) });
+        await this.dispatchSlashCommand(interaction, commandCtx, sender);
+      });
+    } catch (error) {
+      Logger.error(`处理 Slash Command 交互时出错: ${error.message}`);
+      try {
+        // 尝试回复错误信息
+        if (interaction.deferred || interaction.replied) {
+          await interaction.followUp(`❌ 命令执行失败: ${error.message}`);
+        } else {
+          await interaction.reply(`❌ 命令执行失败: ${error.message}`);
+        }
+      } catch (replyError) {
+        Logger.error(`回复错误信息失败: ${replyError.message}`);
+      }
+    }
+  }
+
+  /**
+   * 登录 Discord 并等待客户端就绪
+   * @param {MessageRouter} router - 共享的消息路由器
+   */
+  async start(router) {
+    this.router = router;
+
+    const ready = new Promise((resolve) => {
+      this.client.once(Events.ClientReady, async (client) => {
+        Logger.success(`Discord Bot 已登录: ${client.user.tag}`);
+        this.connected = true;
+
+        // 注册 Guild Slash Commands（从频道获取 guildId，秒级生效）
+        try {
+          const channel = await client.channels.fetch(config.discord.channelId);
+          if (channel && channel.guildId) {
+            await registerCommands(client.user.id, channel.guildId, config.discord.botToken);
+          } else {
+            Logger.error('无法从频道获取 guildId，Slash Commands 未注册');
+          }
+        } catch (error) {
+          Logger.error(`Slash Commands 注册失败，交互命令将不可用: ${error.message}`);
+        }
+
+        resolve();
+      });
+    });
+
+    this.client.on(Events.MessageCreate, (message) => this.handleDiscordMessage(message));
+    this.client.on(Events.InteractionCreate, (interaction) => this.handleInteraction(interaction));
+
+    this.client.on(Events.Error, (error) => {
+      Logger.error(`Discord 客户端错误: ${error.message}`);
+    });
+
+    this.client.on(Events.Warn, (warning) => {
+      Logger.warn(`Discord 警告: ${warning}`);
+    });
+
+    // 登录 Discord
+    Logger.info('正在连接 Discord...');
+    await this.client.login(config.discord.botToken);
+
+    // 监控通知需要频道可用，等待就绪后再返回
+    await ready;
+  }
+
+  /**
+   * 是否已连接
+   * @returns {boolean}
+   */
+  isConnected() {
+    return this.connected;
+  }
+
+  /**
+   * 关闭 Discord 客户端并保存消息历史
+   */
+  async stop() {
+    this.messageHistory.destroy();
+    Logger.info('✅ Discord 消息历史去重器已销毁');
+
+    this.client.destroy();
+    this.connected = false;
+    Logger.success('Discord 连接已关闭');
+  }
+}
+
+export default DiscordPlatform;
@@ -0,0 +1,215 @@
+/**
+ * 飞书平台 - 通过 WebSocket 长连接接收消息事件和卡片回调，交给共享的路由器处理
+ * Author: CodePothunter
+ * Version: 1.0.0
+ */
+
+import { WSClient, EventDispatcher } from '@larksuiteoapi/node-sdk';
+import { config } from '../config/index.js';
+import { FeishuAdapter } from '../messenger/feishu.js';
+import { MessageHistory } from '../utils/message-history.js';
+import Logger from '../utils/logger.js';
+
+/**
+ * 飞书平台类
+ */
+export class FeishuPlatform {
+  /**
+   * @param {Object} options - 配置选项
+   * @param {MessageDeduplicator} options.deduplicator - 共享的事件去重器
+   */
+  constructor(options = {}) {
+    this.name = 'feishu';
+    this.deduplicator = options.deduplicator;
+    this.router = null;
+    this.wsClient = null;
+    this.connected = false;
+
+    // 初始化消息历史去重器（按平台独立，同一通知在每个平台各发一次）
+    this.messageHistory = new MessageHistory();
+
+    // 初始化消息适配器
+    this.messenger = new FeishuAdapter({ messageHistory: this.messageHistory });
+  }
+
+  /**
+   * 打印平台启动信息
+   */
+  printStartupInfo() {
+    Logger.info(`📱 飞书 App ID: ${config.feishu.appId}`);
+  }
+
+  /**
+   * 创建事件分发器
+   * @returns {EventDispatcher}
+   */
+  createEventDispatcher() {
+    const eventDispatcher = new EventDispatcher({});
+
+    // 注册消息接收事件处理器
+    eventDispatcher.register({
+      'im.message.receive_v1': async (data) => {
+        try {
+          const message = data.message;
+          if (!message) {
+            Logger.debug('收到空消息事件');
+            return;
+          }
+
+          const eventId = data.event_id;
+          Logger.debug(`收到飞书事件: ${eventId}`);
+
+          // 消息去重检查
+          if (this.deduplicator.isProcessed(eventId)) {
+            Logger.info(`🔄 忽略重复事件: ${eventId}`);
+            return;
+          }
+
+          // 标记为已处理
+          this.deduplicator.markProcessed(eventId);
+          Logger.info(`📨 处理新事件: ${eventId}`);
+
+          // 路由消息（标记来源平台，指令回复只发回飞书；发送者 open_id 用于授权）
+          await this.router.route({
+            ...message,
+            _platform: this.name,
+            _sender: { id: data.sender?.sender_id?.open_id || '', roles: [] },
+            _attachments: this.parseAttachments(message),
+          });
+        } catch (error) {
+          Logger.error(`处理消息事件时出错: ${error}`);
+        }
+      },
+
+      // 卡片按钮回调（AskUserQuestion、计划确认、工具权限、危险操作确认）
+      'card.action.trigger': async (data) => {
+        try {
+          const eventId = data.event_id || data.token;
+          Logger.debug(`收到飞书卡片回调: ${eventId}`);
+
+          if (this.deduplicator.isProcessed(eventId)) {
+            Logger.info(`🔄 忽略重复卡片回调: ${eventId}`);
+            return {};
+          }
+          this.deduplicator.markProcessed(eventId);
+
+          const value = data.action?.value || {};
+          const operatorId = data.operator?.open_id || '';
+          const messageId = data.context?.open_message_id;
+
+          const accepted = await this.router.routeAction({
+            kind: value.action,
+            choice: value.choice,
+            session: value.session,
+            operator: operatorId,
+            sender: { id: operatorId, roles: [] },
+            platform: this.name,
+          });
+          if (!accepted) {
+            return { toast: { type: 'error', content: '无效的选项、交互已过期、会话已不存在或无权限' } };
+          }
+
+          return this.messenger.buildCardActionResponse(messageId, {
+            operatorId,
+            label: value.label || value.choice,
+          });
+        } catch (error) {
+          Logger.error(`处理卡片回调时出错: ${error}`);
+          return { toast: { type: 'error', content: '处理失败，请直接回复数字' } };
+        }
+      }
+    });
+
+    return eventDispatcher;
+  }
+
+  /**
+   * 解析消息中的图片和文件（image / file 消息、富文本中的图片），下载延迟到路由时进行
+   * @param {Object} message - 飞书消息对象
+   * @returns {Array<{name: string, size: number, download: Function}>}
+   */
+  parseAttachments(message) {
+    let content;
+    try {
+      content = JSON.parse(message.content || '{}');
+    } catch (e) {
+      return [];
+    }
+
+    const resources = [];
+    if (message.message_type === 'image' && content.image_key) {
+      resources.push({ key: content.image_key, type: 'image', name: '' });
+    } else if (message.message_type === 'file' && content.file_key) {
+      resources.push({ key: content.file_key, type: 'file', name: content.file_name || '' });
+    } else if (message.message_type === 'post' && Array.isArray(content.content)) {
+      for (const paragraph of content.content) {
+        for (const element of paragraph) {
+          if (element.tag === 'img' && element.image_key) {
+            resources.push({ key: element.image_key, type: 'image', name: '' });
+          }
+        }
+      }
+    }
+
+    // 图片没有文件名，保存时按内容补全扩展名
+    return resources.map(resource => ({
+      name: resource.name || `image-${resource.key.slice(-8)}`,
+      size: 0,
+      download: () => this.messenger.downloadResource(message.message_id, resource.key, resource.type),
+    }));
+  }
+
+  /**
+   * 启动 WebSocket 长连接
+   * @param {MessageRouter} router - 共享的消息路由器
+   */
+  async start(router) {
+    this.router = router;
+
+    Logger.socket('启动飞书 WebSocket 长连接...');
+
+    this.wsClient = new WSClient({
+      appId: config.feishu.appId,
+      appSecret: config.feishu.appSecret,
+      loggerLevel: 'info',
+      autoReconnect: true,
+    });
+
+    try {
+      await this.wsClient.start({
+        eventDispatcher: this.createEventDispatcher()
+      });
+
+      Logger.success('WebSocket 长连接已建立');
+      this.connected = true;
+    } catch (error) {
+      Logger.error(`WebSocket 启动失败: ${error.message}`);
+      this.connected = false;
+      throw error;
+    }
+  }
+
+  /**
+   * 是否已连接
+   * @returns {boolean}
+   */
+  isConnected() {
+    return this.connected;
+  }
+
+  /**
+   * 关闭长连接并保存消息历史
+   */
+  async stop() {
+    this.messageHistory.destroy();
+    Logger.info('✅ 飞书消息历史去重器已销毁');
+
+    if (this.wsClient) {
+      this.wsClient.close();
+      this.connected = false;
+      Logger.success('WebSocket 连接已关闭');
+    }
+  }
+}
+
+export default FeishuPlatform;
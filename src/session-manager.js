@@ -1,7 +1,7 @@
 /**
  * 会话管理器
  * Author: CodePothunter
- * Version: 1.2.0 - 自动检测并使用第一个可用 session
+ * Version: 1.3.0 - 命令历史按会话持久化
  */
 
 import fs from 'fs';
@@ -10,6 +10,7 @@ import { config } from './config/index.js';
 import { BufferManager } from './monitor/buffer.js';
 import Logger from './utils/logger.js';
 import { TmuxSession } from './tmux/session.js';
+import { CommandHistoryStore } from './utils/command-history.js';
 
 /**
  * 会话管理器类
@@ -22,8 +23,10 @@ export class SessionManager {
       minSize: config.monitor.minBufferLength,
     });
     this.sessionSwitchLock = false;
-    this.commandHistory = [];
-    this.maxHistorySize = 100;
+    this.commandHistory = new CommandHistoryStore({
+      storageFile: config.history.file,
+      maxEntries: config.history.maxEntries,
+    });
     this.sessionFile = config.session.file;
 
     // 加载上次的会话（同步，确保在构造函数完成时可用）
@@ -177,34 +180,53 @@ export class SessionManager {
 
   /**
    * 添加到命令历史
-   * @param {string} command - 命令内容
+   * @param {string} session - 会话名称
+   * @param {string} type - 记录类型（prompt | shell）
+   * @param {string} text - 提示词或命令内容
+   * @returns {number|null} - 记录编号
    */
-  addHistory(command) {
-    this.commandHistory.push({
-      command,
-      timestamp: Date.now(),
-    });
+  addHistory(session, type, text) {
+    return this.commandHistory.add(session, type, text);
+  }
 
-    // 限制历史大小
-    if (this.commandHistory.length > this.maxHistorySize) {
-      this.commandHistory = this.commandHistory.slice(-this.maxHistorySize);
-    }
+  /**
+   * 获取会话的命令历史
+   * @param {string} session - 会话名称
+   * @param {string|null} type - 只返回该类型的记录
+   * @returns {Array<{id: number, time: number, type: string, text: string}>}
+   */
+  getHistory(session, type = null) {
+    return this.commandHistory.list(session, type);
   }
 
   /**
-   * 获取命令历史
-   * @returns {string[]}
+   * 获取指定编号的历史记录
+   * @param {string} session - 会话名称
+   * @param {number} id - 记录编号
+   * @returns {Object|null}
    */
-  getHistory() {
-    return this.commandHistory.map(h => h.command);
+  getHistoryEntry(session, id) {
+    return this.commandHistory.get(session, id);
   }
 
   /**
-   * 清空命令历史
+   * 搜索会话的命令历史
+   * @param {string} session - 会话名称
+   * @param {string} term - 搜索词
+   * @param {string|null} type - 只搜索该类型的记录
+   * @returns {Array<Object>}
+   */
+  searchHistory(session, term, type = null) {
+    return this.commandHistory.search(session, term, type);
+  }
+
+  /**
+   * 清空会话的命令历史
+   * @param {string} session - 会话名称
    */
-  clearHistory() {
-    this.commandHistory = [];
-    Logger.debug('命令历史已清空');
+  clearHistory(session) {
+    this.commandHistory.clear(session);
+    Logger.debug(`命令历史已清空: ${session}`);
   }
 
   /**
@@ -7,8 +7,9 @@
 import { spawn } from 'child_process';
 import TmuxSession from './session.js';
 import Logger from '../utils/logger.js';
-import { withRetry, RetryConfigs, RetryableErrors } from '../utils/retry.js';
 import { getGlobalProcessManager } from '../utils/process-manager.js';
+import { runShellCommand } from '../utils/shell-runner.js';
+import { AuditType, recordAudit } from '../utils/audit-log.js';
 
 /**
  * Tmux 命令执行器类
@@ -38,6 +39,7 @@ export class TmuxCommander {
    */
   async sendKey(key) {
     Logger.debug(`发送按键: ${key}`);
+    recordAudit(AuditType.KEYS, { session: this.sessionName, keys: [key] });
     await TmuxSession.sendKeys(this.sessionName, key);
   }
 
@@ -48,6 +50,7 @@ export class TmuxCommander {
    */
   async sendKeys(...keys) {
     Logger.debug(`发送按键: ${keys.join(' ')}`);
+    recordAudit(AuditType.KEYS, { session: this.sessionName, keys });
     await TmuxSession.sendKeys(this.sessionName, ...keys);
   }
 
@@ -59,6 +62,8 @@ export class TmuxCommander {
    */
   async sendText(text, delay = 500) {
     Logger.debug(`发送文本: ${text.substring(0, 50)}...`);
+    // 文本内容已由入站消息记录，这里只记录长度，避免审计日志重复
+    recordAudit(AuditType.KEYS, { session: this.sessionName, textLength: text.length });
     await TmuxSession.sendText(this.sessionName, text, delay);
   }
 
@@ -76,11 +81,12 @@ export class TmuxCommander {
 
   /**
    * 捕获输出
-   * @param {number} lines - 捕获行数
+   * @param {number} lines - 捕获行数，0 为只捕获可见区域
+   * @param {Object} options - 捕获选项（escapes: 保留颜色等转义序列）
    * @returns {Promise<string>} - 捕获的内容
    */
-  async capture(lines = 500) {
-    const result = await TmuxSession.capturePane(this.sessionName, lines);
+  async capture(lines = 500, options = {}) {
+    const result = await TmuxSession.capturePane(this.sessionName, lines, options);
     if (result.error) {
       Logger.error(`捕获失败: ${result.message}`);
       return '';
@@ -104,138 +110,31 @@ export class TmuxCommander {
   }
 
   /**
-   * 执行命令并返回结果（带重试）
+   * 在会话工作目录的独立子进程中执行 shell 命令（不向 Claude Code 所在的窗格输入）
    * @param {string} command - 要执行的命令
-   * @param {Object} options - 执行选项
-   * @returns {Promise<{success: boolean, output?: string, error?: string}>}
+   * @param {Object} options - 执行选项（timeoutMs、maxOutput、onOutput，见 runShellCommand）
+   * @returns {Promise<{success: boolean, exitCode?: number|null, output?: string, error?: string}>}
    */
   async execute(command, options = {}) {
-    const {
-      waitTime = 2000,
-      captureLines = 50,
-      clearLine = true,
-      retry = true,
-    } = options;
-
-    Logger.info(`执行命令: ${command}`);
-
-    const executeInternal = async () => {
-      try {
-        // 清空当前行
-        if (clearLine) {
-          this.spawnTracked('tmux', ['send-keys', '-t', this.sessionName, 'C-u'], { timeout: 2000 });
-          await new Promise(resolve => setTimeout(resolve, 100));
-        }
-
-        // 发送命令
-        this.spawnTracked('tmux', ['send-keys', '-t', this.sessionName, command, 'Enter'], { timeout: 2000 });
-
-        // 根据命令类型调整等待时间
-        let actualWaitTime = waitTime;
-        if (command.startsWith('vim') || command.startsWith('nano') || command.startsWith('vi')) {
-          actualWaitTime = 100;
-        } else if (command.startsWith('git ') || command.includes('test') || command.includes('build')) {
-          actualWaitTime = 4000;
-        } else if (command.includes('npm') || command.includes('yarn') || command.includes('install')) {
-          actualWaitTime = 6000;
-        } else if (command === 'ls' || command === 'pwd' || command === 'whoami') {
-          actualWaitTime = 800;
-        }
-
-        await new Promise(resolve => setTimeout(resolve, actualWaitTime));
-
-        // 多次尝试捕获输出
-        let output = '';
-        for (let i = 0; i < 3; i++) {
-          const captureResult = await TmuxSession.capturePane(this.sessionName, captureLines);
-          if (!captureResult.error && captureResult.output) {
-            output = captureResult.output;
-          }
-          await new Promise(resolve => setTimeout(resolve, 300));
-        }
-
-        // 解析输出
-        const parsed = this.parseCommandOutput(output, command);
-
-        return {
-          success: true,
-          output: parsed,
-        };
-      } catch (error) {
-        Logger.error(`命令执行失败: ${error.message}`);
-        throw error;
-      }
-    };
-
-    try {
-      if (retry) {
-        return await withRetry(executeInternal, RetryConfigs.command);
-      } else {
-        return await executeInternal();
-      }
-    } catch (error) {
-      return {
-        success: false,
-        error: error.message,
-      };
-    }
-  }
-
-  /**
-   * 解析命令输出
-   * @param {string} output - 原始输出
-   * @param {string} command - 执行的命令
-   * @returns {string} - 解析后的输出
-   */
-  parseCommandOutput(output, command) {
-    const lines = output.split('\n');
-
-    // 从后往前找，找到最后的提示符之前的内容
-    let resultLines = [];
-    let foundPrompt = false;
-
-    for (let i = lines.length - 1; i >= 0; i--) {
-      const line = lines[i];
-
-      // 检测到提示符
-      if (line.match(/^\s*(❯|>|\$|>>>|=>)\s*/) ||
-          line.match(/ubuntu@.*:\$|root@.*:#|user@.*:/)) {
-        foundPrompt = true;
-        continue;
-      }
-
-      // 跳过空行
-      if (line.trim() === '' && resultLines.length > 0) {
-        continue;
-      }
-
-      // 收集结果行（倒序）
-      if (foundPrompt || resultLines.length > 0) {
-        resultLines.unshift(line);
-      }
-    }
-
-    // 如果没找到提示符，就返回最后几行
-    if (resultLines.length === 0) {
-      resultLines = lines.slice(-10);
-    }
-
-    // 清理结果
-    let result = resultLines.join('\n').trim();
-
-    // 移除命令本身
-    result = result.replace(new RegExp(`^.*\\$?${command.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}.*$`, 'm'), '');
-    result = result.replace(new RegExp(`^.*${command.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}.*$`, 'm'), '');
-
-    // 限制输出长度
-    if (result.length > 2000) {
-      result = result.slice(0, 2000) + '\n... (输出过长，已截断)';
-    }
-
-    if (!result) {
-      result = '(命令已执行，但没有输出)';
+    const cwd = await TmuxSession.getWorkingDir(this.sessionName);
+    if (!cwd) {
+      const error = `无法获取会话 ${this.sessionName} 的工作目录`;
+      recordAudit(AuditType.SHELL, { session: this.sessionName, command, exitCode: null, error });
+      return { success: false, exitCode: null, error };
     }
 
+    Logger.info(`执行命令: ${command} (目录: ${cwd})`);
+    const result = await runShellCommand(command, { ...options, cwd });
+    recordAudit(AuditType.SHELL, {
+      session: this.sessionName,
+      command,
+      cwd,
+      exitCode: result.exitCode,
+      ...(result.signal ? { signal: result.signal } : {}),
+      timedOut: result.timedOut,
+      durationMs: result.durationMs,
+      ...(result.error ? { error: result.error } : {}),
+    });
     return result;
   }
 
@@ -245,6 +144,7 @@ export class TmuxCommander {
    */
   async interrupt() {
     Logger.warn('发送中断信号 (Ctrl+C)');
+    recordAudit(AuditType.KEYS, { session: this.sessionName, keys: ['C-c'] });
     this.spawnTracked('tmux', ['send-keys', '-t', this.sessionName, 'C-c'], { timeout: 2000 });
   }
 
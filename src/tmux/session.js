@@ -62,10 +62,14 @@ export function execTmuxCommand(args, timeout = 30000) {
 export class TmuxSession {
   /**
    * 列出所有 tmux 会话
+   * @param {Object} options - 选项
+   * @param {boolean} options.quiet - 不打印 info 日志（用于定时轮询）
    * @returns {Promise<{sessions?: string[], error?: string}>}
    */
-  static async list() {
-    Logger.tmux('列出所有 tmux 会话');
+  static async list(options = {}) {
+    if (!options.quiet) {
+      Logger.tmux('列出所有 tmux 会话');
+    }
     const result = await execTmuxCommand(['list-sessions', '-F', '#{session_name}']);
 
     if (result.error) {
@@ -199,12 +203,15 @@ export class TmuxSession {
   /**
    * 捕获窗格内容
    * @param {string} sessionName - 会话名称
-   * @param {number} lines - 捕获行数
+   * @param {number} lines - 捕获的历史行数，0 为只捕获可见区域
+   * @param {Object} options - 捕获选项
+   * @param {boolean} options.escapes - 保留颜色等转义序列（-e）
    * @returns {Promise<{error?: boolean, output?: string, message?: string}>}
    */
-  static async capturePane(sessionName, lines = 500) {
+  static async capturePane(sessionName, lines = 500, options = {}) {
     return await execTmuxCommand([
-      'capture-pane', '-p', '-t', sessionName, '-S', `-${lines}`
+      'capture-pane', '-p', ...(options.escapes ? ['-e'] : []), '-t', sessionName,
+      ...(lines > 0 ? ['-S', `-${lines}`] : [])
     ]);
   }
 
@@ -10,12 +10,27 @@ import path from 'path';
 import { spawn } from 'child_process';
 import Logger from './utils/logger.js';
 import { InteractionParser, InteractionType } from './monitor/interaction-parser.js';
+import { config } from './config/index.js';
+import { readPlanFile, paginatePlan } from './utils/plan-file.js';
+import { PolicyAction } from './monitor/permission-policy.js';
+import { EscalationAction, PromptType, PromptLabels } from './monitor/escalation.js';
+import { ActivityFeed } from './monitor/activity-feed.js';
+import { TurnTracker } from './monitor/turn-tracker.js';
+import { SubagentTracker } from './monitor/subagents.js';
+import { ImageWatcher } from './monitor/image-watcher.js';
+import { WatchStopReason } from './monitor/live-watch.js';
+import { ReplyStream } from './monitor/reply-stream.js';
+import { prepareUpload } from './utils/upload.js';
+import { BUSY_PATTERNS } from './monitor/patterns.js';
+import { formatTokens } from './utils/usage-store.js';
+import { AuditType, recordAudit } from './utils/audit-log.js';
 
 /**
  * 持久化状态管理器
  * 同时保存已处理的 UUID 和文件读取位置
+ * 多会话监控时由 MonitorPool 创建并在所有监控器间共享
  */
-class PersistedStateStore {
+export class PersistedStateStore {
   constructor(storageFile = '/tmp/claude-feishu-state.json') {
     this.storageFile = storageFile;
     this.processedUuids = new Map(); // uuid -> timestamp
@@ -260,7 +275,9 @@ export class TranscriptMonitor {
     this.checkInterval = options.checkInterval || 1000; // 1000ms - 降低监控频率以减少内存分配
 
     // 初始化持久化状态存储（UUID + 文件位置）
-    this.stateStore = new PersistedStateStore(options.stateStorageFile);
+    // 传入 stateStore 时使用共享存储，由创建方负责销毁
+    this.stateStore = options.stateStore || new PersistedStateStore(options.stateStorageFile);
+    this.ownsStateStore = !options.stateStore;
 
     // Claude Code 项目路径
     // Claude Code 将绝对路径 /home/ubuntu/server 转换为 -home-ubuntu-server
@@ -343,6 +360,54 @@ export class TranscriptMonitor {
 
     // 交互消息回调（用于发送通知）
     this.onInteraction = null;
+
+    // 待回答的 AskUserQuestion（{ toolUseId, questions }），用于把 `1:2 2:1,3` 回复转换为按键
+    this.pendingQuestions = null;
+
+    // 待确认的计划（{ planFilePath, fullPath, options }）和共享的计划修订历史
+    this.pendingPlan = null;
+    this.planHistory = options.planHistory || null;
+
+    // 工具权限策略（未设置时所有权限请求都转发到聊天）
+    this.permissionPolicy = options.permissionPolicy || null;
+
+    // 待回复的交互（{ type, key, title, text, options, notifiedAt, stageIndex }），长时间未回复时按阶段升级
+    this.pendingPrompt = null;
+    this.escalationPolicy = options.escalationPolicy || null;
+
+    // 共享的 token 用量统计
+    this.usageStore = options.usageStore || null;
+
+    // 工具活动摘要（/verbose 切换详细程度）
+    this.activityFeed = new ActivityFeed({
+      level: config.activity.level,
+      flushInterval: config.activity.flushSeconds * 1000,
+    });
+
+    // 回合结束检测（stop_reason + 未完成的 tool_use + 终端空闲）
+    this.turnTracker = new TurnTracker({ idleMs: config.turn.idleSeconds * 1000 });
+
+    // Subagent 识别（消息标签、静音、折叠为完成摘要）
+    this.subagents = new SubagentTracker({ mode: config.subagent.mode });
+
+    // 自动发送 Claude 写入的图片（/get auto 切换）
+    this.imageWatcher = new ImageWatcher({ enabled: config.upload.autoAttachImages });
+
+    // 未完成的 Bash tool_use：tool_use ID -> 完整命令（终端中的权限对话框无法可靠还原多行命令）
+    this.pendingBashCommands = new Map();
+
+    // /watch 实时输出（同一会话同时只有一个）
+    this.liveWatch = null;
+
+    // 流式回复（占位消息 + 逐步编辑，STREAM_REPLIES 开启且平台支持编辑消息时使用）
+    this.replyStream = new ReplyStream({
+      enabled: config.stream.enabled,
+      editInterval: config.stream.editSeconds * 1000,
+      split: (text, maxLength) => this.splitMessage(text, maxLength),
+      session: this.tmuxSessionName,
+      format: text => this.withSessionTag(text),
+    });
+    this.replyStream.setMessenger(this.messenger);
   }
 
   /**
@@ -360,6 +425,7 @@ export class TranscriptMonitor {
    */
   setMessenger(messenger) {
     this.messenger = messenger;
+    this.replyStream.setMessenger(messenger);
   }
 
   /**
@@ -484,9 +550,20 @@ export class TranscriptMonitor {
     this.currentSessionId = null;
     this.watchedFiles.clear();
     this.processedMessages.clear();
-    // 清理持久化状态
+    this.pendingQuestions = null;
+    this.pendingPlan = null;
+    this.pendingPrompt = null;
+    this.activityFeed.clear();
+    this.turnTracker.clear();
+    this.subagents.clear();
+    this.replyStream.clear();
+    // 清理持久化状态（共享存储只清理本监控器的旧 session）
     if (this.stateStore) {
-      this.stateStore.clear();
+      if (this.ownsStateStore) {
+        this.stateStore.clear();
+      } else {
+        this.stateStore.clearSessionFiles(this.lastProcessedSessionId);
+      }
     }
     // 设置标志：正在等待新 session
     this.waitingForNewSession = true;
@@ -883,6 +960,131 @@ export class TranscriptMonitor {
     this.lastCleanupTime = now;
   }
 
+  /**
+   * 为消息添加 tmux 会话标签（多会话监控时区分消息来源）
+   * @param {string} text - 消息文本或标题
+   * @returns {string}
+   */
+  withSessionTag(text) {
+    if (!this.tmuxSessionName) {
+      return text;
+    }
+    return `[${this.tmuxSessionName}] ${text || ''}`.trim();
+  }
+
+  /**
+   * 发送工具活动摘要
+   * @param {boolean} final - 回合结束（发送纯文本或交互前）时发送全部活动，否则按间隔发送已完成的活动
+   */
+  async flushActivity(final = false) {
+    if (!this.activityFeed.isEnabled() || !this.messenger) {
+      return;
+    }
+    if (!final && !this.activityFeed.isDue()) {
+      return;
+    }
+
+    const lines = this.activityFeed.takeDigest({ final, projectPath: this.projectPath });
+    if (lines.length === 0) {
+      return;
+    }
+
+    try {
+      await this.messenger.sendText(this.withSessionTag(`🛠️ 工具活动\n${lines.join('\n')}`), {
+        session: this.tmuxSessionName,
+        skipDedup: true,
+      });
+    } catch (error) {
+      Logger.error(`发送工具活动失败: ${error.message}`);
+    }
+  }
+
+  /**
+   * 发送子代理完成摘要（折叠模式）
+   * @param {Array<{agent: Object, summary: string, isError: boolean}>} finished - 已完成的子代理
+   */
+  async sendSubagentSummaries(finished) {
+    for (const { agent, summary, isError } of finished) {
+      const text = summary.length > 1000 ? summary.substring(0, 1000) + '…' : summary;
+      await this.sendToMessenger(`**${this.subagents.label(agent)}** ${isError ? '❌ 失败' : '✅ 已完成'}${text ? `\n\n${text}` : ''}`);
+    }
+  }
+
+  /**
+   * 发送 Claude 新写入的图片
+   * @param {string[]} images - 图片绝对路径
+   */
+  async attachWrittenImages(images) {
+    for (const imagePath of images) {
+      const file = prepareUpload(imagePath);
+      if (!file.success) {
+        Logger.warn(`自动附加图片失败 (${imagePath}): ${file.error}`);
+        continue;
+      }
+
+      const relative = path.relative(this.projectPath, imagePath);
+      const result = await this.messenger?.sendImage(file.fileName, file.data, {
+        caption: this.withSessionTag(`🖼️ ${relative}`),
+        session: this.tmuxSessionName,
+      });
+      if (result && !result.success) {
+        Logger.warn(`自动附加图片失败 (${relative}): ${result.error}`);
+      }
+    }
+  }
+
+  /**
+   * 检测回合结束并发送汇总
+   * transcript 显示回合已结束后，再确认终端不在运行中（状态栏没有 "esc to interrupt"），避免 stop_reason 缺失时误判
+   */
+  async checkTurnComplete() {
+    if (!this.messenger || !this.turnTracker.isLikelyComplete() ||
+      (!config.turn.notify && !this.replyStream.isActive())) {
+      return;
+    }
+
+    if (this.tmuxCommander) {
+      const tmuxContent = await this.tmuxCommander.capture(20);
+      const lowerContent = tmuxContent.toLowerCase();
+      if (BUSY_PATTERNS.some(pattern => lowerContent.includes(pattern))) {
+        this.turnTracker.defer();
+        return;
+      }
+    }
+
+    const summary = this.turnTracker.finish();
+    await this.replyStream.finish();
+    if (!config.turn.notify || !summary || summary.durationMs < config.turn.minSeconds * 1000) {
+      return;
+    }
+
+    await this.flushActivity(true);
+
+    const seconds = Math.round(summary.durationMs / 1000);
+    const duration = seconds >= 60 ? `${Math.floor(seconds / 60)} 分 ${seconds % 60} 秒` : `${seconds} 秒`;
+    let message = `✅ **本轮回复结束** · 用时 ${duration}`;
+
+    if (summary.tools.length > 0) {
+      message += `\n🔧 工具: ${summary.tools.map(([name, count]) => count > 1 ? `${name} ×${count}` : name).join(', ')}`;
+    }
+    if (summary.files.length > 0) {
+      const files = summary.files.map(file => file.startsWith(this.projectPath + '/') ? file.substring(this.projectPath.length + 1) : file);
+      const shown = files.slice(0, 10).join(', ');
+      message += `\n📝 修改文件 (${files.length}): ${shown}${files.length > 10 ? ' …' : ''}`;
+    }
+    message += `\n📊 Token: 输入 ${formatTokens(summary.tokens.input)} · 输出 ${formatTokens(summary.tokens.output)}`;
+
+    try {
+      await this.messenger.sendText(this.withSessionTag(message), {
+        session: this.tmuxSessionName,
+        skipDedup: true,
+      });
+      Logger.transcript(`已发送回合结束通知 (用时 ${duration})`);
+    } catch (error) {
+      Logger.error(`发送回合结束通知失败: ${error.message}`);
+    }
+  }
+
   /**
    * 发送消息到消息平台
    * @param {string} text - 消息文本
@@ -900,7 +1102,7 @@ export class TranscriptMonitor {
     try {
       if (text.length <= SPLIT_THRESHOLD) {
         // 短消息直接发送
-        await this.messenger.sendText(text);
+        await this.messenger.sendText(this.withSessionTag(text), { session: this.tmuxSessionName });
         // Logger.feishu('Transcript 消息已发送'); // messenger 已打印，不再重复
       } else {
         // 长消息分片发送
@@ -909,7 +1111,7 @@ export class TranscriptMonitor {
 
         for (let i = 0; i < chunks.length; i++) {
           const prefix = chunks.length > 1 ? `\`[${i + 1}/${chunks.length}]\`\n\n` : '';
-          await this.messenger.sendText(prefix + chunks[i]);
+          await this.messenger.sendText(this.withSessionTag(prefix + chunks[i]), { session: this.tmuxSessionName });
           // 分片之间添加小延迟，避免触发API限流
           if (i < chunks.length - 1) {
             await this.sleep(300);
@@ -928,10 +1130,16 @@ export class TranscriptMonitor {
    */
   async handleInteraction(interaction) {
     try {
+      // 先结束流式回复、发送之前的工具活动，便于判断交互的上下文
+      await this.replyStream.finish();
+      await this.flushActivity(true);
+
       if (interaction.type === InteractionType.ASK_USER_QUESTION) {
         await this.handleAskUserQuestion(interaction);
       } else if (interaction.type === InteractionType.EXIT_PLAN_MODE) {
         await this.handleExitPlanMode(interaction);
+      } else if (interaction.type === InteractionType.TOOL_PERMISSION) {
+        await this.handleToolPermission(interaction);
       }
       // 未来可扩展其他交互类型
     } catch (error) {
@@ -944,42 +1152,64 @@ export class TranscriptMonitor {
    * @param {Object} interaction - AskUserQuestion 交互数据
    */
   async handleAskUserQuestion(interaction) {
-    const { question, uuid } = interaction;
-
     if (!this.messenger) {
       Logger.warn('Messenger 未设置，无法发送交互消息');
       return;
     }
 
-    // 检查 messenger 是否有 sendAskUserQuestion 方法
-    if (typeof this.messenger.sendAskUserQuestion === 'function') {
-      await this.messenger.sendAskUserQuestion(question);
-      Logger.transcript(`已发送 AskUserQuestion: ${question.header || question.text.substring(0, 30)}`);
+    // 记录待回答的问题，回复 `题号:选项` 时据此生成按键
+    const questions = interaction.questions || [interaction.question];
+    this.pendingQuestions = { toolUseId: interaction.toolUseId, questions };
+    this.trackPrompt(PromptType.QUESTION, interaction.toolUseId || interaction.uuid, {
+      title: questions.length > 1 ? `Claude Code 需要您回答 ${questions.length} 个问题` : (questions[0].header || '❓ Claude Code 需要您回答问题'),
+      text: questions.length > 1 ? questions.map((q, i) => `${i + 1}. ${q.text}`).join('\n') : questions[0].text,
+      options: questions.length > 1 ? [] : questions[0].options,
+      multiQuestion: questions.length > 1,
+    });
+
+    if (questions.length > 1) {
+      // 多个问题：一次性列出所有问题，按 `题号:选项` 回复
+      const title = this.withSessionTag(`❓ Claude Code 需要您回答 ${questions.length} 个问题`);
+      await this.messenger.sendAskUserQuestions(title, questions, this.tmuxSessionName);
+      Logger.transcript(`已发送 AskUserQuestion: ${questions.length} 个问题`);
     } else {
-      // 降级处理：发送格式化文本
-      let message = `❓ **Claude Code 需要您回答问题**\n\n`;
+      // 标题带上会话标签，session 用于按钮回调路由到对应会话
+      const question = {
+        ...interaction.question,
+        header: this.withSessionTag(interaction.question.header),
+        session: this.tmuxSessionName,
+      };
 
-      if (question.header) {
-        message += `**${question.header}**\n\n`;
-      }
+      // 检查 messenger 是否有 sendAskUserQuestion 方法
+      if (typeof this.messenger.sendAskUserQuestion === 'function') {
+        await this.messenger.sendAskUserQuestion(question);
+        Logger.transcript(`已发送 AskUserQuestion: ${question.header || question.text.substring(0, 30)}`);
+      } else {
+        // 降级处理：发送格式化文本
+        let message = `❓ **Claude Code 需要您回答问题**\n\n`;
+
+        if (question.header) {
+          message += `**${question.header}**\n\n`;
+        }
 
-      message += `${question.text}\n\n`;
+        message += `${question.text}\n\n`;
 
-      if (question.options && question.options.length > 0) {
-        message += '**请选择：**\n\n';
-        for (let i = 0; i < question.options.length; i++) {
-          const opt = question.options[i];
-          message += `${i + 1}. ${opt.label}`;
-          if (opt.description) {
-            message += `\n   └─ ${opt.description}`;
+        if (question.options && question.options.length > 0) {
+          message += '**请选择：**\n\n';
+          for (let i = 0; i < question.options.length; i++) {
+            const opt = question.options[i];
+            message += `${i + 1}. ${opt.label}`;
+            if (opt.description) {
+              message += `\n   └─ ${opt.description}`;
+            }
+            message += '\n';
           }
-          message += '\n';
+          message += `\n💡 回复数字 ${question.multiSelect ? '（可多选，用逗号分隔）' : '选择'}确认`;
         }
-        message += `\n💡 回复数字 ${question.multiSelect ? '（可多选，用逗号分隔）' : '选择'}确认`;
-      }
 
-      await this.messenger.sendText(message);
-      Logger.transcript(`已发送 AskUserQuestion (降级格式): ${question.header || question.text.substring(0, 30)}`);
+        await this.messenger.sendText(message, { session: question.session });
+        Logger.transcript(`已发送 AskUserQuestion (降级格式): ${question.header || question.text.substring(0, 30)}`);
+      }
     }
 
     // 如果有回调，也通知调用方
@@ -1004,58 +1234,85 @@ export class TranscriptMonitor {
       return;
     }
 
-    let planContent = null;
+    // 读取完整计划，记录修订历史
+    const plan = readPlanFile(planFilePath);
+    const planContent = plan.success ? plan.content : null;
+    if (plan.success) {
+      Logger.transcript(`已读取计划文件: ${plan.fullPath} (${planContent.length} 字符)`);
+      this.planHistory?.add(this.tmuxSessionName, {
+        source: 'claude',
+        planFilePath,
+        content: planContent,
+      });
+    } else if (planFilePath) {
+      Logger.warn(`读取计划文件失败: ${plan.error}`);
+    }
 
-    // 尝试读取计划文件内容
-    if (planFilePath) {
-      try {
-        // 展开波浪号路径
-        let fullPath = planFilePath;
-        if (fullPath.startsWith('~/')) {
-          const homeDir = process.env.HOME || '/home/ubuntu';
-          fullPath = path.join(homeDir, fullPath.substring(2));
-        }
+    // 记录待确认的计划，`revise:` 或替换章节回复据此修改计划文件
+    this.pendingPlan = {
+      planFilePath,
+      fullPath: plan.fullPath || null,
+      options: question.options || [],
+    };
+    this.trackPrompt(PromptType.PLAN, planFilePath || 'plan', {
+      title: question.header,
+      text: planFilePath ? `计划文件: ${planFilePath}` : '',
+      options: question.options,
+    });
 
-        // 检查文件是否存在
-        if (fs.existsSync(fullPath)) {
-          planContent = fs.readFileSync(fullPath, 'utf-8');
-          Logger.transcript(`已读取计划文件: ${fullPath} (${planContent.length} 字符)`);
-        } else {
-          Logger.warn(`计划文件不存在: ${fullPath}`);
-        }
-      } catch (error) {
-        Logger.error(`读取计划文件失败: ${error.message}`);
+    // 构建卡片内容：计划分页显示第一页，其余页通过 /plan <页码> 查看
+    let content = '';
+
+    if (planContent) {
+      const pages = paginatePlan(planContent, config.plan.pageSize);
+      content += `**📄 计划内容** (\`${planFilePath}\`${pages.length > 1 ? `，第 1/${pages.length} 页` : ''}):\n\n`;
+      content += `${pages[0]}\n\n`;
+      if (pages.length > 1) {
+        content += `📑 共 ${pages.length} 页（${planContent.length} 字符），回复 \`/plan 2\` 查看下一页，\`/plan file\` 获取完整 .md 文件\n\n`;
       }
+      content += '✏️ 回复 `revise: 修改意见` 或以 `## 标题` 开头的整段内容修改计划，修改写入计划文件后自动继续执行\n\n';
+    } else if (planFilePath) {
+      content += `📄 计划文件: \`${planFilePath}\`\n\n`;
     }
 
-    // 构建消息
-    let message = `📋 **${question.header}**\n\n`;
-
-    if (planContent) {
-      // 添加计划文件内容（使用 Markdown 格式）
-      message += `**📄 计划内容** (\`${planFilePath}\`):\n\n`;
+    content += `**请选择下一步操作：**`;
 
-      // 限制计划内容长度，避免消息过长
-      const maxPlanLength = 5000;
-      if (planContent.length > maxPlanLength) {
-        planContent = planContent.slice(0, maxPlanLength) + `\n\n... (计划过长，已截断，共 ${planContent.length} 字符)`;
-      }
+    await this.messenger.sendChoiceCard(
+      this.withSessionTag(question.header), content, question.options || [], this.tmuxSessionName
+    );
+    Logger.transcript(`已发送 ExitPlanMode: ${planFilePath || '无文件路径'} (${planContent ? planContent.length : 0} 字符)`);
 
-      message += `${planContent}\n\n`;
-    } else if (planFilePath) {
-      message += `📄 计划文件: \`${planFilePath}\`\n\n`;
+    // 按配置同时发送完整计划附件
+    if (planContent && config.plan.attachFile) {
+      await this.messenger.sendFile(path.basename(plan.fullPath), planContent, { session: this.tmuxSessionName });
     }
 
-    message += `**请选择下一步操作：**\n\n`;
-    if (question.options && question.options.length > 0) {
-      for (const opt of question.options) {
-        message += `${opt.num}. ${opt.label}\n`;
+    // 如果有回调，也通知调用方
+    if (this.onInteraction) {
+      try {
+        await this.onInteraction(interaction);
+      } catch (error) {
+        Logger.error(`交互回调执行失败: ${error.message}`);
       }
     }
-    message += `\n💡 回复数字选择操作`;
+  }
 
-    await this.messenger.sendText(message);
-    Logger.transcript(`已发送 ExitPlanMode: ${planFilePath || '无文件路径'} (${planContent ? planContent.length : 0} 字符)`);
+  /**
+   * 处理工具权限确认交互
+   * @param {Object} interaction - ToolPermission 交互数据
+   */
+  async handleToolPermission(interaction) {
+    const { question, toolType } = interaction;
+
+    if (!this.messenger) {
+      Logger.warn('Messenger 未设置，无法发送交互消息');
+      return;
+    }
+
+    await this.messenger.sendChoiceCard(
+      this.withSessionTag(question.header), question.text, question.options || [], this.tmuxSessionName
+    );
+    Logger.transcript(`已发送 Tool Permission: ${toolType}`);
 
     // 如果有回调，也通知调用方
     if (this.onInteraction) {
@@ -1067,6 +1324,258 @@ export class TranscriptMonitor {
     }
   }
 
+  /**
+   * 记录 assistant 消息中的 Bash tool_use（等待权限确认时用于还原完整命令）
+   * @param {Object} data - jsonl 消息数据
+   */
+  recordBashToolUses(data) {
+    const content = data.message?.content;
+    if (!Array.isArray(content)) {
+      return;
+    }
+
+    for (const item of content) {
+      if (item.type === 'tool_use' && item.name === 'Bash' && typeof item.input?.command === 'string') {
+        this.pendingBashCommands.set(item.id, item.input.command);
+      }
+    }
+
+    // 被中断的 tool_use 不会有 tool_result，只保留最近的记录
+    while (this.pendingBashCommands.size > 20) {
+      this.pendingBashCommands.delete(this.pendingBashCommands.keys().next().value);
+    }
+  }
+
+  /**
+   * 移除已完成（有 tool_result）的 Bash tool_use
+   * @param {Object} data - jsonl 消息数据
+   */
+  clearBashToolUses(data) {
+    const content = data.message?.content;
+    if (!Array.isArray(content)) {
+      return;
+    }
+
+    for (const item of content) {
+      if (item.type === 'tool_result') {
+        this.pendingBashCommands.delete(item.tool_use_id);
+      }
+    }
+  }
+
+  /**
+   * 用 transcript 中的 tool_use 还原 Bash 权限请求的完整命令
+   * 终端中只能看到折行后的命令和说明，多行命令的后几行会被当作说明；
+   * 只有唯一一个未完成的 Bash tool_use 与对话框开头吻合时才标记 commandVerified
+   * @param {Object} interaction - ToolPermission 交互数据
+   */
+  resolveBashCommand(interaction) {
+    const details = interaction.details;
+    if (details?.toolType !== 'Bash' || !details.rawText) {
+      return;
+    }
+
+    // 终端折行可能断在单词中间，比较时去掉所有空白
+    const compact = text => text.replace(/\s+/g, '');
+    const firstLine = compact(details.rawText.split('\n')[0]);
+    const candidates = new Set(
+      [...this.pendingBashCommands.values()].filter(command => firstLine && compact(command).startsWith(firstLine))
+    );
+    if (candidates.size !== 1) {
+      Logger.debug(`[权限策略] 无法从 transcript 还原 Bash 命令（${candidates.size} 个候选）`);
+      return;
+    }
+
+    const [command] = candidates;
+    if (command !== details.command) {
+      interaction.question.text += `\n\n完整命令:\n\`\`\`\n${command.replace(/```/g, "'''")}\n\`\`\``;
+    }
+    details.command = command;
+    details.commandVerified = true;
+    interaction.command = command;
+  }
+
+  /**
+   * 按权限策略处理工具权限请求
+   * 批准或拒绝时通过 sendKey 选择对应选项，并在聊天中发送审计记录
+   * @param {Object} interaction - ToolPermission 交互数据
+   * @returns {Promise<boolean>} - 是否已自动处理（false 时需要转发到聊天）
+   */
+  async applyPermissionPolicy(interaction) {
+    if (!this.permissionPolicy || !this.tmuxCommander) {
+      return false;
+    }
+
+    const decision = this.permissionPolicy.evaluate(interaction, {
+      sessionName: this.tmuxSessionName,
+      projectPath: this.projectPath,
+    });
+    const { details, question } = interaction;
+    const ruleName = decision.rule ? `规则「${decision.rule.name || '未命名'}」` : '默认策略';
+    const target = details.command || details.filePath || details.url ||
+      (details.server ? `${details.server}/${details.toolName}` : details.args || '');
+
+    if (decision.action === PolicyAction.ASK) {
+      if (decision.reason) {
+        question.text += `\n\n⚠️ ${decision.reason}，需要人工确认`;
+        Logger.warn(`[权限策略] ${this.tmuxSessionName || ''} ${details.toolType} ${target} -> 转发聊天 (${decision.reason})`);
+      } else if (decision.rule) {
+        question.text += `\n\n📜 ${ruleName}要求人工确认`;
+        Logger.info(`[权限策略] ${this.tmuxSessionName || ''} ${details.toolType} ${target} -> 转发聊天 (${ruleName})`);
+      }
+      return false;
+    }
+
+    const option = this.permissionPolicy.selectOption(decision, question.options);
+    if (!option) {
+      // 找不到对应选项时不冒险按键，交给人工处理
+      Logger.warn(`[权限策略] ${ruleName}要求${decision.action}，但未找到对应选项，转发到聊天`);
+      question.text += `\n\n⚠️ ${ruleName}要求自动${decision.action === PolicyAction.ALLOW ? '批准' : '拒绝'}，但未找到对应选项`;
+      return false;
+    }
+
+    await this.tmuxCommander.sendKey(String(option.num));
+
+    const verb = decision.action === PolicyAction.ALLOW ? '✅ 自动批准' : '🚫 自动拒绝';
+    const source = decision.source && decision.source !== 'default' ? `，${decision.source}` : '';
+    const auditLine = `🤖 权限策略${verb} ${details.toolType}: ${target || '(无详情)'}（${ruleName}${source}）→ ${option.num}. ${option.label}`;
+    Logger.info(`[权限策略] ${this.tmuxSessionName || ''} ${auditLine}`);
+    recordAudit(AuditType.APPROVAL, {
+      sender: { id: 'permission-policy' },
+      session: this.tmuxSessionName,
+      action: `${details.toolType}: ${target || '(无详情)'}`,
+      decision: decision.action,
+      rule: decision.rule?.name || ruleName,
+      option: `${option.num}. ${option.label}`,
+    });
+
+    if (this.messenger) {
+      await this.messenger.sendText(this.withSessionTag(auditLine), { session: this.tmuxSessionName });
+    }
+    return true;
+  }
+
+  /**
+   * 记录待回复的交互，开始计算超时（同一交互重复通知时不重新计时）
+   * @param {string} type - 交互类型（PromptType）
+   * @param {string} key - 交互标识（tool_use ID、计划文件路径或权限内容哈希）
+   * @param {Object} prompt - 提醒内容
+   * @param {string} prompt.title - 标题
+   * @param {string} prompt.text - 正文
+   * @param {Array} prompt.options - 选项列表
+   * @param {boolean} prompt.multiQuestion - 是否为多问题（不支持自动选择默认答案）
+   */
+  trackPrompt(type, key, prompt) {
+    if (this.pendingPrompt && this.pendingPrompt.type === type && this.pendingPrompt.key === key) {
+      return;
+    }
+
+    this.pendingPrompt = {
+      type,
+      key,
+      title: prompt.title || '',
+      text: prompt.text || '',
+      options: (prompt.options || []).map((opt, index) => ({ num: opt.num ?? index + 1, label: opt.label })),
+      multiQuestion: prompt.multiQuestion || false,
+      notifiedAt: Date.now(),
+      stageIndex: 0,
+    };
+  }
+
+  /**
+   * 交互已回复或已消失，停止超时升级
+   * @param {string} type - 交互类型（PromptType）
+   */
+  clearPrompt(type) {
+    if (this.pendingPrompt && this.pendingPrompt.type === type) {
+      this.pendingPrompt = null;
+    }
+  }
+
+  /**
+   * 检查待回复交互是否到达下一个升级阶段
+   */
+  async checkEscalation() {
+    const prompt = this.pendingPrompt;
+    if (!prompt || !this.escalationPolicy || !this.messenger) {
+      return;
+    }
+
+    const stage = this.escalationPolicy.getStages(prompt.type, this.tmuxSessionName)[prompt.stageIndex];
+    if (!stage) {
+      return;
+    }
+
+    const waitedMinutes = Math.round((Date.now() - prompt.notifiedAt) / 60000);
+    if (Date.now() - prompt.notifiedAt < stage.after * 60000) {
+      return;
+    }
+
+    prompt.stageIndex += 1;
+    try {
+      await this.runEscalationStage(prompt, stage, waitedMinutes);
+    } catch (error) {
+      Logger.error(`[超时升级] 执行失败: ${error.message}`);
+    }
+  }
+
+  /**
+   * 执行升级阶段：再次提醒并 @提及、选择默认答案或发送 Escape
+   * @param {Object} prompt - 待回复的交互
+   * @param {{after: number, action: string, answer?: string}} stage - 升级阶段
+   * @param {number} waitedMinutes - 已等待的分钟数
+   */
+  async runEscalationStage(prompt, stage, waitedMinutes) {
+    const label = PromptLabels[prompt.type] || '交互';
+    const session = this.tmuxSessionName;
+    Logger.info(`[超时升级] ${session || ''} ${label}已等待 ${waitedMinutes} 分钟未回复，执行第 ${prompt.stageIndex} 阶段: ${stage.action}`);
+
+    switch (stage.action) {
+      case EscalationAction.REMIND: {
+        let text = `⏰ ${label}已等待 ${waitedMinutes} 分钟未回复\n\n**${prompt.title}**`;
+        if (prompt.text) {
+          text += `\n${prompt.text.length > 500 ? prompt.text.substring(0, 500) + '…' : prompt.text}`;
+        }
+        if (prompt.options.length > 0) {
+          text += `\n\n${prompt.options.map(opt => `${opt.num}. ${opt.label}`).join('\n')}\n\n💡 回复数字选择`;
+        }
+        await this.messenger.sendMention(this.withSessionTag(text), { session });
+        break;
+      }
+
+      case EscalationAction.ANSWER: {
+        if (prompt.multiQuestion) {
+          Logger.warn(`[超时升级] 多问题不支持自动选择默认答案，跳过`);
+          return;
+        }
+
+        // 只按对话框中存在的选项，否则配置的答案会作为提示词发送给 Claude
+        const option = prompt.options.find(opt => String(opt.num) === stage.answer);
+        if (!option) {
+          Logger.warn(`[超时升级] 默认答案 ${stage.answer} 不是${label}的选项，跳过自动选择`);
+          return;
+        }
+
+        await this.tmuxCommander.sendKey(String(option.num));
+        this.pendingPrompt = null;
+        await this.messenger.sendText(
+          this.withSessionTag(`⏱️ ${label}已等待 ${waitedMinutes} 分钟未回复，已自动选择 ${option.num}. ${option.label}`),
+          { session, skipDedup: true }
+        );
+        break;
+      }
+
+      case EscalationAction.ESCAPE:
+        await this.tmuxCommander.sendEscape();
+        this.pendingPrompt = null;
+        await this.messenger.sendText(
+          this.withSessionTag(`⏱️ ${label}已等待 ${waitedMinutes} 分钟未回复，已发送 Escape 取消`),
+          { session, skipDedup: true }
+        );
+        break;
+    }
+  }
+
   /**
    * 分割消息为多个片段
    * @param {string} text - 原始消息
@@ -1234,6 +1743,7 @@ export class TranscriptMonitor {
     if (this.tmuxCommander && (now - this.lastPlanModeCheck > this.planModeCheckInterval)) {
       this.lastPlanModeCheck = now;
       await this.checkPlanMode();
+      await this.checkEscalation();
     }
 
     try {
@@ -1272,6 +1782,13 @@ export class TranscriptMonitor {
         await this.processFile(filePath);
       }
 
+      // 定时发送工具活动，把新追加的回复文本编辑到流式消息
+      await this.flushActivity();
+      await this.replyStream.flush();
+
+      // 检测回合结束
+      await this.checkTurnComplete();
+
     } catch (error) {
       Logger.error(`检查 transcript 失败: ${error.message}`);
     } finally {
@@ -1335,7 +1852,8 @@ export class TranscriptMonitor {
       const relativePath = filePath.substring(this.currentProject.length + 1);
       // 显示文件名（主进程显示 session.jsonl，subagent 显示 agent-xxx.jsonl）
       const fileName = path.basename(relativePath);
-      const displayName = fileName === `${fileSessionId}.jsonl` ? '[主进程]' : `[${fileName}]`;
+      const isMainFile = fileName === `${fileSessionId}.jsonl`;
+      const displayName = isMainFile ? '[主进程]' : `[${fileName}]`;
       Logger.transcript(`${displayName} 读取到 ${newLines.length} 行新内容`);
 
       // 处理每一行
@@ -1343,14 +1861,33 @@ export class TranscriptMonitor {
         try {
           const data = JSON.parse(line);
 
+          // subagent 消息：根据主进程的 Task 调用识别子代理
+          const agent = isMainFile ? null : this.subagents.identify(filePath, data);
+
           // 检查是否是新的 assistant 消息
           if (this.isNewAssistantMessage(data)) {
             // 使用 shouldSendToUser 判断是否应该发送
             const sendResult = this.shouldSendToUser(data);
 
+            // 先标记为已处理：多个会话监控同一项目目录时，避免发送期间被其他监控器重复处理
+            this.markMessageProcessed(data.uuid);
+
+            // 累计 token 用量（包括不发送给用户的 tool_use、thinking 消息）
+            this.usageStore?.record(this.tmuxSessionName, data);
+            this.activityFeed.addToolUses(data);
+            this.imageWatcher.addToolUses(data);
+            this.recordBashToolUses(data);
+            if (isMainFile) {
+              this.turnTracker.recordAssistant(data);
+              this.subagents.recordTaskUses(data);
+
+              // 回合内第一条 assistant 消息发送占位消息（交互消息单独发送，不占位）
+              if (!sendResult.interaction && this.replyStream.isAvailable()) {
+                await this.replyStream.begin();
+              }
+            }
+
             if (!sendResult.send) {
-              // 标记为已处理但不发送（避免重复检查）
-              this.markMessageProcessed(data.uuid);
               continue;
             }
 
@@ -1359,16 +1896,37 @@ export class TranscriptMonitor {
               await this.handleInteraction(sendResult.interaction);
             }
 
-            // 处理纯文本消息
+            // 处理纯文本消息（先发送之前的工具活动，保持时间顺序）
             if (sendResult.pureText) {
               const text = this.interactionParser.extractText(data);
-              if (text) {
-                await this.sendToMessenger(text);
+              if (text && agent && !this.subagents.shouldForward(agent)) {
+                Logger.transcript(`子代理 #${agent.number} 消息已静音或折叠，不转发`);
+              } else if (text) {
+                await this.flushActivity(true);
+                if (!agent && this.replyStream.isActive()) {
+                  this.replyStream.append(text);
+                } else {
+                  await this.sendToMessenger(agent ? `**${this.subagents.label(agent)}**\n\n${text}` : text);
+                }
               }
             }
-
-            // 标记为已处理
-            this.markMessageProcessed(data.uuid);
+          } else if (data.type === 'user') {
+            if (this.pendingQuestions &&
+              this.interactionParser.isToolResultFor(data, this.pendingQuestions.toolUseId)) {
+              // 问题已回答（按钮、终端或 `题号:选项` 回复），不再接受 `题号:选项` 回复
+              this.pendingQuestions = null;
+              this.clearPrompt(PromptType.QUESTION);
+            }
+            this.activityFeed.addToolResults(data);
+            this.clearBashToolUses(data);
+            if (isMainFile && this.isMessageWithinTTL(data)) {
+              // 用户输入开始新回合（上一回合被中断时不会触发回合结束检测）
+              if (this.turnTracker.recordUser(data)) {
+                await this.replyStream.finish();
+              }
+              await this.sendSubagentSummaries(this.subagents.recordTaskResults(data));
+            }
+            await this.attachWrittenImages(this.imageWatcher.collect(data, this.projectPath));
           }
         } catch (parseError) {
           // 忽略 JSON 解析错误
@@ -1441,12 +1999,18 @@ export class TranscriptMonitor {
       this.intervalId = null;
     }
 
-    // 销毁持久化状态存储
-    if (this.stateStore) {
+    if (this.liveWatch) {
+      this.liveWatch.stop(WatchStopReason.CANCELLED);
+      this.liveWatch = null;
+    }
+    this.replyStream.clear();
+
+    // 销毁持久化状态存储（共享存储由创建方销毁）
+    if (this.stateStore && this.ownsStateStore) {
       this.stateStore.destroy();
     }
 
-    Logger.transcript('transcript 监控已停止');
+    Logger.transcript(`transcript 监控已停止${this.tmuxSessionName ? ` (会话: ${this.tmuxSessionName})` : ''}`);
   }
 
   /**
@@ -1491,37 +2055,49 @@ export class TranscriptMonitor {
         // 重置 Tool Permission 状态
         this.lastNotifiedToolPermissionContent = null;
         this.lastToolPermissionNotifyTime = null;
+        this.clearPrompt(PromptType.PERMISSION);
       } else {
         // 不在 Plan Mode 时，重置通知记录
         this.lastNotifiedPlanModeContent = null;
         this.lastPlanModeNotifyTime = null;
+        this.pendingPlan = null;
+        this.clearPrompt(PromptType.PLAN);
 
         // 检测工具权限确认
         const isToolPermission = this.interactionParser.isToolPermission(tmuxContent);
         if (isToolPermission) {
-          // 检查内容是否与上次通知的相同（避免重复通知）
-          const contentHash = this._hashToolPermissionContent(tmuxContent);
-          const now = Date.now();
-
-          // 如果内容相同且上次通知时间在 5 分钟内，跳过
-          if (contentHash === this.lastNotifiedToolPermissionContent &&
-              this.lastToolPermissionNotifyTime &&
-              (now - this.lastToolPermissionNotifyTime) < 300000) {
-            return;
-          }
-
           // 解析工具权限确认
           const interaction = this.interactionParser.parseToolPermission(tmuxContent);
           if (interaction) {
+            this.resolveBashCommand(interaction);
+
+            // 检查内容是否与上次通知的相同（避免重复通知）
+            const contentHash = this._hashToolPermissionContent(interaction);
+            const now = Date.now();
+
+            // 如果内容相同且上次通知时间在 5 分钟内，跳过
+            if (contentHash === this.lastNotifiedToolPermissionContent &&
+                this.lastToolPermissionNotifyTime &&
+                (now - this.lastToolPermissionNotifyTime) < 300000) {
+              return;
+            }
+
+            // 按权限策略自动批准或拒绝（已应答的对话框会消失，不记录去重哈希，相同请求再次出现时照常处理）
+            if (await this.applyPermissionPolicy(interaction)) {
+              return;
+            }
+
             await this.handleInteraction(interaction);
             this.lastNotifiedToolPermissionContent = contentHash;
             this.lastToolPermissionNotifyTime = now;
+            this.trackPrompt(PromptType.PERMISSION, contentHash, interaction.question);
             Logger.transcript(`已发送 Tool Permission 通知: ${interaction.toolType}`);
           }
         } else {
           // 不在 Tool Permission 时，重置通知记录
           this.lastNotifiedToolPermissionContent = null;
           this.lastToolPermissionNotifyTime = null;
+          this.clearPrompt(PromptType.PERMISSION);
         }
       }
     } catch (error) {
@@ -1543,20 +2119,13 @@ export class TranscriptMonitor {
 
   /**
    * 生成 Tool Permission 内容的哈希值（用于去重）
-   * @param {string} content - tmux 内容
+   * @param {Object} interaction - 解析后的 ToolPermission 交互数据
    * @returns {string} - 哈希值
    */
-  _hashToolPermissionContent(content) {
-    // 哈希命令和选项部分
-    const lines = content.split('\n');
-    const relevantLines = lines.filter(line => {
-      // 包含命令行
-      if (/Bash command/.test(line)) return true;
-      // 包含选项行
-      if (/^\s*❯?\s*\d+\.\s+(Yes|No)/.test(line)) return true;
-      return false;
-    });
-    return relevantLines.join('|');
+  _hashToolPermissionContent(interaction) {
+    // 哈希工具详情和选项部分，同一选项下不同的文件或命令需要分别通知
+    const options = (interaction.question.options || []).map(opt => `${opt.num}.${opt.label}`);
+    return [JSON.stringify(interaction.details), ...options].join('|');
   }
 }
 
@@ -0,0 +1,148 @@
+/**
+ * 用户授权
+ * 按飞书 open_id、Discord 用户 ID 和角色 ID 把用户映射为 viewer / operator / admin，检查入站指令所需的权限
+ * Author: CodePothunter
+ * Version: 1.0.0
+ */
+
+import { config } from '../config/index.js';
+
+/**
+ * 角色枚举
+ */
+export const Role = {
+  NONE: 'none',          // 拒绝所有操作
+  VIEWER: 'viewer',      // 只读
+  OPERATOR: 'operator',  // 回答交互、发送消息给 Claude
+  ADMIN: 'admin',        // 全部权限（! 命令、会话管理、审计日志）
+};
+
+/**
+ * 权限枚举
+ */
+export const Permission = {
+  READ: 'read',              // 查看终端、状态、计划等
+  ANSWER: 'answer',          // 回答问题、确认计划和工具权限
+  SEND: 'send',              // 发送消息和附件给 Claude、修改会话设置
+  SHELL: 'shell',            // 执行 ! 命令
+  LIFECYCLE: 'lifecycle',    // 创建、杀掉、重置会话
+  AUDIT: 'audit',            // 查看审计日志
+};
+
+export const RoleLabels = {
+  [Role.NONE]: '无权限',
+  [Role.VIEWER]: '只读',
+  [Role.OPERATOR]: '操作员',
+  [Role.ADMIN]: '管理员',
+};
+
+export const PermissionLabels = {
+  [Permission.READ]: '查看',
+  [Permission.ANSWER]: '回答交互',
+  [Permission.SEND]: '发送消息给 Claude',
+  [Permission.SHELL]: '执行 ! 命令',
+  [Permission.LIFECYCLE]: '管理会话',
+  [Permission.AUDIT]: '查看审计日志',
+};
+
+const ROLE_PERMISSIONS = {
+  [Role.NONE]: [],
+  [Role.VIEWER]: [Permission.READ],
+  [Role.OPERATOR]: [Permission.READ, Permission.ANSWER, Permission.SEND],
+  [Role.ADMIN]: Object.values(Permission),
+};
+
+// 指令所需权限（未列出的指令为只读）
+const COMMAND_PERMISSIONS = {
+  tab: Permission.ANSWER,
+  clear: Permission.SEND,
+  get: Permission.SEND,
+  redo: Permission.SEND,
+  new: Permission.LIFECYCLE,
+  kill: Permission.LIFECYCLE,
+  reset: Permission.LIFECYCLE,
+  audit: Permission.AUDIT,
+};
+
+// 无参数时只读、带参数时修改设置的指令
+const SETTING_COMMANDS = ['switch', 'verbose', 'agents'];
+
+/**
+ * 是否启用授权（配置了任一名单）
+ * @returns {boolean}
+ */
+export function isAuthEnabled() {
+  const { admins, operators, viewers } = config.auth;
+  return admins.length + operators.length + viewers.length > 0;
+}
+
+/**
+ * 解析发送者的角色（用户 ID 或任一角色 ID 在名单中即可，取最高角色）
+ * @param {{id: string, roles?: string[]}|null} sender - 发送者
+ * @returns {string} - Role
+ */
+export function resolveRole(sender) {
+  if (!isAuthEnabled()) {
+    return Role.ADMIN;
+  }
+
+  const ids = [sender?.id, ...(sender?.roles || [])].filter(Boolean);
+  const { admins, operators, viewers, defaultRole } = config.auth;
+
+  if (ids.some(id => admins.includes(id))) {
+    return Role.ADMIN;
+  }
+  if (ids.some(id => operators.includes(id))) {
+    return Role.OPERATOR;
+  }
+  if (ids.some(id => viewers.includes(id))) {
+    return Role.VIEWER;
+  }
+  return Object.values(Role).includes(defaultRole) ? defaultRole : Role.NONE;
+}
+
+/**
+ * 角色是否拥有权限
+ * @param {string} role - Role
+ * @param {string} permission - Permission
+ * @returns {boolean}
+ */
+export function hasPermission(role, permission) {
+  return (ROLE_PERMISSIONS[role] || []).includes(permission);
+}
+
+/**
+ * 获取 / 指令所需的权限
+ * @param {string} command - 指令名（不含 /）
+ * @param {string} args - 指令参数
+ * @returns {string} - Permission
+ */
+export function getCommandPermission(command, args = '') {
+  if (SETTING_COMMANDS.includes(command)) {
+    return args.trim() ? Permission.SEND : Permission.READ;
+  }
+  return COMMAND_PERMISSIONS[command] || Permission.READ;
+}
+
+/**
+ * 检查发送者是否可以执行操作
+ * @param {{id: string, roles?: string[]}|null} sender - 发送者
+ * @param {string} permission - 所需权限
+ * @returns {{allowed: boolean, role: string}}
+ */
+export function authorize(sender, permission) {
+  const role = resolveRole(sender);
+  return { allowed: hasPermission(role, permission), role };
+}
+
+export default {
+  Role,
+  Permission,
+  RoleLabels,
+  PermissionLabels,
+  isAuthEnabled,
+  resolveRole,
+  hasPermission,
+  getCommandPermission,
+  authorize,
+};
@@ -0,0 +1,322 @@
+/**
+ * 终端画面渲染
+ * 把 tmux capture-pane -e 的 ANSI 输出渲染为 SVG（颜色、粗体、反色、制表符框线和中日韩宽字符按终端网格对齐），纯 JS 实现；
+ * 聊天平台只会内联显示位图，再用 @resvg/resvg-js 把 SVG 光栅化为 PNG
+ * Author: CodePothunter
+ * Version: 1.0.0
+ */
+
+// 单元格尺寸（像素）
+const CELL_WIDTH = 8.4;
+const CELL_HEIGHT = 18;
+const FONT_SIZE = 14;
+const PADDING = 12;
+
+const FONT_FAMILY = "Menlo, Consolas, 'DejaVu Sans Mono', 'Noto Sans Mono CJK SC', 'Microsoft YaHei', monospace";
+
+// 默认前景 / 背景色
+const DEFAULT_FG = '#d4d4d4';
+const DEFAULT_BG = '#1e1e1e';
+
+// 16 色调色板（与常见暗色终端主题一致）
+const BASE_COLORS = [
+  '#000000', '#cd3131', '#0dbc79', '#e5e510', '#2472c8', '#bc3fbc', '#11a8cd', '#e5e5e5',
+  '#666666', '#f14c4c', '#23d18b', '#f5f543', '#3b8eea', '#d670d6', '#29b8db', '#ffffff',
+];
+
+// 宽字符范围（中日韩文字、全角符号、emoji）
+const WIDE_RANGES = [
+  [0x1100, 0x115f], [0x231a, 0x231b], [0x2329, 0x232a], [0x23e9, 0x23ec], [0x23f0, 0x23f3],
+  [0x25fd, 0x25fe], [0x2614, 0x2615], [0x2648, 0x2653], [0x26a1, 0x26a1], [0x26aa, 0x26ab],
+  [0x26bd, 0x26be], [0x26c4, 0x26c5], [0x26d4, 0x26d4], [0x26ea, 0x26ea], [0x26f2, 0x26f5],
+  [0x26fa, 0x26fd], [0x2705, 0x2705], [0x270a, 0x270b], [0x2728, 0x2728], [0x274c, 0x274c],
+  [0x2753, 0x2755], [0x2757, 0x2757], [0x2795, 0x2797], [0x27b0, 0x27b0], [0x2b1b, 0x2b1c],
+  [0x2b50, 0x2b50], [0x2e80, 0x303e], [0x3041, 0x33ff], [0x3400, 0x4dbf], [0x4e00, 0x9fff],
+  [0xa000, 0xa4cf], [0xac00, 0xd7a3], [0xf900, 0xfaff], [0xfe30, 0xfe4f], [0xff00, 0xff60],
+  [0xffe0, 0xffe6], [0x1f300, 0x1f64f], [0x1f680, 0x1f6ff], [0x1f900, 0x1f9ff], [0x20000, 0x3fffd],
+];
+
+// 零宽字符（组合符号、零宽空格、变体选择符）
+const ZERO_WIDTH_RANGES = [
+  [0x0300, 0x036f], [0x200b, 0x200f], [0x20d0, 0x20ff], [0xfe00, 0xfe0f],
+];
+
+/**
+ * 判断码点是否在范围列表中
+ * @param {number} codePoint - Unicode 码点
+ * @param {Array<[number, number]>} ranges - 范围列表
+ * @returns {boolean}
+ */
+function inRanges(codePoint, ranges) {
+  return ranges.some(([start, end]) => codePoint >= start && codePoint <= end);
+}
+
+/**
+ * 字符在终端中占用的列数
+ * @param {number} codePoint - Unicode 码点
+ * @returns {number} - 0、1 或 2
+ */
+export function charWidth(codePoint) {
+  if (inRanges(codePoint, ZERO_WIDTH_RANGES)) {
+    return 0;
+  }
+  return inRanges(codePoint, WIDE_RANGES) ? 2 : 1;
+}
+
+/**
+ * 256 色索引转换为颜色
+ * @param {number} index - 颜色索引
+ * @returns {string}
+ */
+function color256(index) {
+  if (index < 16) {
+    return BASE_COLORS[index];
+  }
+  if (index < 232) {
+    const n = index - 16;
+    const level = v => (v === 0 ? 0 : 55 + v * 40).toString(16).padStart(2, '0');
+    return `#${level(Math.floor(n / 36))}${level(Math.floor(n / 6) % 6)}${level(n % 6)}`;
+  }
+  const gray = (8 + (index - 232) * 10).toString(16).padStart(2, '0');
+  return `#${gray}${gray}${gray}`;
+}
+
+/**
+ * 应用 SGR 参数（ESC [ ... m）到当前样式
+ * @param {Object} style - 当前样式（会被修改）
+ * @param {number[]} params - SGR 参数
+ */
+function applySgr(style, params) {
+  if (params.length === 0) {
+    params = [0];
+  }
+
+  for (let i = 0; i < params.length; i++) {
+    const p = params[i];
+    if (p === 0) {
+      Object.assign(style, { fg: null, bg: null, bold: false, dim: false, italic: false, underline: false, inverse: false });
+    } else if (p === 1) {
+      style.bold = true;
+    } else if (p === 2) {
+      style.dim = true;
+    } else if (p === 3) {
+      style.italic = true;
+    } else if (p === 4) {
+      style.underline = true;
+    } else if (p === 7) {
+      style.inverse = true;
+    } else if (p === 22) {
+      style.bold = false;
+      style.dim = false;
+    } else if (p === 23) {
+      style.italic = false;
+    } else if (p === 24) {
+      style.underline = false;
+    } else if (p === 27) {
+      style.inverse = false;
+    } else if (p >= 30 && p <= 37) {
+      style.fg = BASE_COLORS[p - 30];
+    } else if (p >= 90 && p <= 97) {
+      style.fg = BASE_COLORS[p - 90 + 8];
+    } else if (p >= 40 && p <= 47) {
+      style.bg = BASE_COLORS[p - 40];
+    } else if (p >= 100 && p <= 107) {
+      style.bg = BASE_COLORS[p - 100 + 8];
+    } else if (p === 39) {
+      style.fg = null;
+    } else if (p === 49) {
+      style.bg = null;
+    } else if (p === 38 || p === 48) {
+      // 38;5;n / 38;2;r;g;b（背景色为 48）
+      let value = null;
+      if (params[i + 1] === 5 && params[i + 2] !== undefined) {
+        value = color256(params[i + 2]);
+        i += 2;
+      } else if (params[i + 1] === 2 && params[i + 4] !== undefined) {
+        value = '#' + params.slice(i + 2, i + 5).map(v => Math.min(255, v).toString(16).padStart(2, '0')).join('');
+        i += 4;
+      }
+      if (value) {
+        style[p === 38 ? 'fg' : 'bg'] = value;
+      }
+    }
+  }
+}
+
+/**
+ * 解析 ANSI 文本为单元格网格
+ * @param {string} text - 带转义序列的终端输出
+ * @returns {Array<Array<{char: string, width: number, style: Object}>>} - 每行的单元格（宽字符占一个单元格，width 为 2）
+ */
+export function parseAnsi(text) {
+  const rows = [];
+  const style = { fg: null, bg: null, bold: false, dim: false, italic: false, underline: false, inverse: false };
+
+  for (const line of String(text).replace(/\r/g, '').split('\n')) {
+    const cells = [];
+    let i = 0;
+
+    while (i < line.length) {
+      const char = line[i];
+
+      if (char === '\x1b') {
+        // CSI 序列：ESC [ 参数 终止符，只处理 SGR（m）
+        const csi = line.slice(i).match(/^\x1b\[([0-9;:?]*)([@-~])/);
+        if (csi) {
+          if (csi[2] === 'm') {
+            applySgr(style, csi[1].split(/[;:]/).filter(s => s !== '').map(Number));
+          }
+          i += csi[0].length;
+          continue;
+        }
+        // OSC 序列（如超链接）：ESC ] ... BEL 或 ESC \
+        const osc = line.slice(i).match(/^\x1b\][^\x07\x1b]*(?:\x07|\x1b\\)/);
+        i += osc ? osc[0].length : 2;
+        continue;
+      }
+
+      const codePoint = line.codePointAt(i);
+      const symbol = String.fromCodePoint(codePoint);
+      i += symbol.length;
+
+      if (codePoint < 0x20) {
+        continue;
+      }
+
+      const width = charWidth(codePoint);
+      if (width === 0) {
+        // 零宽字符附加到前一个单元格
+        if (cells.length > 0) {
+          cells[cells.length - 1].char += symbol;
+        }
+        continue;
+      }
+      cells.push({ char: symbol, width, style: { ...style } });
+    }
+    rows.push(cells);
+  }
+
+  // 去掉末尾的空行
+  while (rows.length > 0 && rows[rows.length - 1].every(cell => cell.char === ' ' && !cell.style.bg)) {
+    rows.pop();
+  }
+  return rows;
+}
+
+/**
+ * XML 转义
+ * @param {string} text - 文本
+ * @returns {string}
+ */
+function escapeXml(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * 计算单元格的实际前景 / 背景色（处理反色）
+ * @param {Object} style - 样式
+ * @returns {{fg: string, bg: string|null}}
+ */
+function resolveColors(style) {
+  const fg = style.fg || DEFAULT_FG;
+  if (style.inverse) {
+    return { fg: style.bg || DEFAULT_BG, bg: fg };
+  }
+  return { fg, bg: style.bg };
+}
+
+/**
+ * 渲染 ANSI 文本为 SVG
+ * 同一行内样式相同且宽度相同的连续字符合并为一个 <text>，用 textLength 固定到终端网格宽度
+ * @param {string} text - 带转义序列的终端输出
+ * @param {Object} options - 选项
+ * @param {string} options.title - 图片标题（显示在左上角，如会话名称）
+ * @returns {string} - SVG 文本
+ */
+export function renderAnsiToSvg(text, options = {}) {
+  const rows = parseAnsi(text);
+  const columns = Math.max(40, ...rows.map(cells => cells.reduce((sum, cell) => sum + cell.width, 0)));
+  const titleHeight = options.title ? CELL_HEIGHT + 6 : 0;
+  const width = Math.ceil(columns * CELL_WIDTH + PADDING * 2);
+  const height = Math.ceil(Math.max(rows.length, 1) * CELL_HEIGHT + PADDING * 2 + titleHeight);
+
+  const backgrounds = [];
+  const texts = [];
+
+  rows.forEach((cells, rowIndex) => {
+    const y = PADDING + titleHeight + rowIndex * CELL_HEIGHT;
+    let column = 0;
+    let run = null;
+
+    const flush = () => {
+      if (!run) return;
+      const x = (PADDING + run.column * CELL_WIDTH).toFixed(1);
+      const runWidth = (run.columns * CELL_WIDTH).toFixed(1);
+      const { fg, bg } = resolveColors(run.style);
+
+      if (bg) {
+        backgrounds.push(`<rect x="${x}" y="${y}" width="${runWidth}" height="${CELL_HEIGHT}" fill="${bg}"/>`);
+      }
+      if (run.text.trim()) {
+        const attrs = [`x="${x}"`, `y="${y + CELL_HEIGHT - 5}"`, `fill="${fg}"`,
+          `textLength="${runWidth}"`, 'lengthAdjust="spacingAndGlyphs"'];
+        if (run.style.bold) attrs.push('font-weight="bold"');
+        if (run.style.italic) attrs.push('font-style="italic"');
+        if (run.style.dim) attrs.push('opacity="0.6"');
+        if (run.style.underline) attrs.push('text-decoration="underline"');
+        texts.push(`<text ${attrs.join(' ')}>${escapeXml(run.text)}</text>`);
+      }
+      run = null;
+    };
+
+    for (const cell of cells) {
+      const key = JSON.stringify(cell.style) + cell.width;
+      if (!run || run.key !== key) {
+        flush();
+        run = { key, style: cell.style, column, columns: 0, text: '' };
+      }
+      run.text += cell.char;
+      run.columns += cell.width;
+      column += cell.width;
+    }
+    flush();
+  });
+
+  const title = options.title
+    ? `<text x="${PADDING}" y="${PADDING + CELL_HEIGHT - 5}" fill="#808080">${escapeXml(options.title)}</text>`
+    : '';
+
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`,
+    `<rect width="100%" height="100%" fill="${DEFAULT_BG}"/>`,
+    ...backgrounds,
+    `<g font-family="${FONT_FAMILY}" font-size="${FONT_SIZE}" xml:space="preserve">`,
+    title,
+    ...texts,
+    '</g>',
+    '</svg>',
+  ].filter(Boolean).join('\n');
+}
+
+/**
+ * 渲染 ANSI 文本为 PNG（飞书、Discord 可直接在聊天中显示）
+ * 字体使用系统字体，中文需要安装 Noto Sans CJK 等字体
+ * @param {string} text - 带转义序列的终端输出
+ * @param {Object} options - 选项（同 renderAnsiToSvg）
+ * @returns {Promise<Buffer>} - PNG 内容
+ */
+export async function renderAnsiToPng(text, options = {}) {
+  const { Resvg } = await import('@resvg/resvg-js');
+  const svg = renderAnsiToSvg(text, options);
+  const resvg = new Resvg(svg, {
+    font: { loadSystemFonts: true, defaultFontFamily: 'DejaVu Sans Mono' },
+  });
+  return resvg.render().asPng();
+}
+
+export default {
+  charWidth,
+  parseAnsi,
+  renderAnsiToSvg,
+  renderAnsiToPng,
+};
@@ -0,0 +1,299 @@
+/**
+ * 审计日志
+ * 以 JSONL 追加记录每个远程操作（入站消息、处理器、发送到 tmux 的按键、! 命令、确认和拒绝），
+ * 每条记录带时间、平台和发送者；操作人通过 AsyncLocalStorage 随消息处理流程传递，按键等底层记录无需传参
+ * Author: CodePothunter
+ * Version: 1.0.0
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { AsyncLocalStorage } from 'async_hooks';
+import { config } from '../config/index.js';
+import Logger from './logger.js';
+
+/**
+ * 审计记录类型
+ */
+export const AuditType = {
+  MESSAGE: 'message',     // 入站消息
+  HANDLER: 'handler',     // 消息被路由到的处理器
+  KEYS: 'keys',           // 通过 TmuxCommander 发送的按键和文本
+  SHELL: 'shell',         // ! 命令及退出码
+  APPROVAL: 'approval',   // 危险操作确认、权限策略自动批准 / 拒绝
+  DENIED: 'denied',       // 未授权的操作
+};
+
+export const AuditTypeLabels = {
+  [AuditType.MESSAGE]: '消息',
+  [AuditType.HANDLER]: '处理',
+  [AuditType.KEYS]: '按键',
+  [AuditType.SHELL]: '命令',
+  [AuditType.APPROVAL]: '确认',
+  [AuditType.DENIED]: '拒绝',
+};
+
+// 确认记录的结果（危险操作确认、权限策略）
+const DecisionLabels = {
+  confirmed: '确认执行',
+  cancelled: '取消',
+  allow: '自动批准',
+  deny: '自动拒绝',
+};
+
+// 记录中字符串字段的长度上限
+const MAX_FIELD_LENGTH = 500;
+
+const actorStorage = new AsyncLocalStorage();
+
+/**
+ * 获取默认审计日志路径（与 SESSION_FILE 同目录）
+ * @returns {string}
+ */
+export function getDefaultAuditFile() {
+  const sessionFile = config.session.file;
+  const baseName = path.basename(sessionFile, path.extname(sessionFile));
+  return path.join(path.dirname(sessionFile), `${baseName}-audit.jsonl`);
+}
+
+/**
+ * 以指定操作人执行函数，函数内（包括异步调用）产生的审计记录都带该操作人
+ * @param {{platform: string, sender: {id: string, name?: string}|null}} actor - 操作人
+ * @param {Function} fn - 要执行的函数
+ * @returns {*} - fn 的返回值
+ */
+export function runWithActor(actor, fn) {
+  return actorStorage.run(actor, fn);
+}
+
+/**
+ * 获取当前操作人
+ * @returns {{platform: string, sender: {id: string, name?: string}}}
+ */
+export function getCurrentActor() {
+  // 没有操作人时（监控器自动操作等）记为 system
+  const actor = actorStorage.getStore();
+  return {
+    platform: actor?.platform || 'system',
+    sender: actor?.sender || { id: 'system' },
+  };
+}
+
+/**
+ * 截断过长的字符串字段
+ * @param {Object} details - 记录内容
+ * @returns {Object}
+ */
+function truncateFields(details) {
+  const result = {};
+  for (const [key, value] of Object.entries(details)) {
+    result[key] = typeof value === 'string' && value.length > MAX_FIELD_LENGTH
+      ? `${value.slice(0, MAX_FIELD_LENGTH)}…`
+      : value;
+  }
+  return result;
+}
+
+/**
+ * 审计日志类（追加写入，超过大小时轮转）
+ */
+export class AuditLog {
+  /**
+   * @param {Object} options - 配置选项
+   * @param {string} options.file - 日志文件路径
+   * @param {boolean} options.enabled - 是否启用
+   * @param {number} options.maxBytes - 单个文件的大小上限（字节）
+   * @param {number} options.maxFiles - 保留的轮转文件数
+   */
+  constructor(options = {}) {
+    this.file = options.file || getDefaultAuditFile();
+    this.enabled = options.enabled ?? true;
+    this.maxBytes = options.maxBytes || 10 * 1024 * 1024;
+    this.maxFiles = Math.max(1, options.maxFiles || 5);
+    this.size = null;
+  }
+
+  /**
+   * 轮转日志文件：audit.jsonl -> audit.jsonl.1 -> … -> audit.jsonl.N（最旧的删除）
+   * @private
+   */
+  rotate() {
+    try {
+      fs.rmSync(`${this.file}.${this.maxFiles}`, { force: true });
+      for (let i = this.maxFiles - 1; i >= 1; i--) {
+        if (fs.existsSync(`${this.file}.${i}`)) {
+          fs.renameSync(`${this.file}.${i}`, `${this.file}.${i + 1}`);
+        }
+      }
+      fs.renameSync(this.file, `${this.file}.1`);
+      Logger.info(`审计日志已轮转: ${this.file}`);
+    } catch (error) {
+      Logger.error(`审计日志轮转失败: ${error.message}`);
+    }
+    this.size = 0;
+  }
+
+  /**
+   * 追加一条记录
+   * @param {string} type - 记录类型（AuditType）
+   * @param {Object} details - 记录内容（session 等），platform / sender 缺省时使用当前操作人
+   * @returns {Object|null} - 写入的记录，未启用或写入失败时返回 null
+   */
+  record(type, details = {}) {
+    if (!this.enabled) {
+      return null;
+    }
+
+    const actor = getCurrentActor();
+    const { platform = actor.platform, sender = actor.sender, ...rest } = details;
+    const entry = {
+      time: new Date().toISOString(),
+      type,
+      platform,
+      sender: { id: sender.id || 'unknown', ...(sender.name ? { name: sender.name } : {}) },
+      ...truncateFields(rest),
+    };
+    const line = JSON.stringify(entry) + '\n';
+
+    try {
+      if (this.size === null) {
+        fs.mkdirSync(path.dirname(this.file), { recursive: true });
+        this.size = fs.existsSync(this.file) ? fs.statSync(this.file).size : 0;
+      }
+      if (this.size > 0 && this.size + Buffer.byteLength(line) > this.maxBytes) {
+        this.rotate();
+      }
+      fs.appendFileSync(this.file, line, { mode: 0o600, encoding: 'utf-8' });
+      this.size += Buffer.byteLength(line);
+      return entry;
+    } catch (error) {
+      Logger.error(`写入审计日志失败: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * 查询最近的记录（从当前文件开始，不够时继续读取轮转文件）
+   * @param {Object} options - 查询条件
+   * @param {number} options.limit - 最多返回多少条
+   * @param {string} options.session - 只返回该会话的记录
+   * @returns {Object[]} - 按时间正序排列
+   */
+  query(options = {}) {
+    const { limit = 20, session = '' } = options;
+    const records = [];
+
+    for (let i = 0; i <= this.maxFiles && records.length < limit; i++) {
+      const file = i === 0 ? this.file : `${this.file}.${i}`;
+      let lines;
+      try {
+        lines = fs.readFileSync(file, 'utf-8').split('\n');
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          continue;
+        }
+        Logger.warn(`读取审计日志失败 (${file}): ${error.message}`);
+        continue;
+      }
+
+      for (let j = lines.length - 1; j >= 0 && records.length < limit; j--) {
+        if (!lines[j].trim()) {
+          continue;
+        }
+        try {
+          const record = JSON.parse(lines[j]);
+          if (!session || record.session === session) {
+            records.push(record);
+          }
+        } catch (e) {
+          // 跳过损坏的行（如写入中断）
+        }
+      }
+    }
+
+    return records.reverse();
+  }
+}
+
+/**
+ * 格式化一条记录（用于 /audit）
+ * @param {Object} record - 审计记录
+ * @returns {string}
+ */
+export function formatAuditRecord(record) {
+  const time = new Date(record.time);
+  const pad = n => String(n).padStart(2, '0');
+  const stamp = `${pad(time.getMonth() + 1)}-${pad(time.getDate())} ${pad(time.getHours())}:${pad(time.getMinutes())}:${pad(time.getSeconds())}`;
+  const who = record.sender?.name || record.sender?.id || 'unknown';
+  const session = record.session ? ` → ${record.session}` : '';
+
+  let detail;
+  switch (record.type) {
+    case AuditType.MESSAGE:
+      detail = record.text || (record.attachments ? `${record.attachments} 个附件` : '');
+      break;
+    case AuditType.HANDLER:
+      detail = record.args ? `${record.handler} ${record.args}` : record.handler;
+      break;
+    case AuditType.KEYS:
+      if (record.keys) {
+        detail = record.keys.join(' ');
+      } else {
+        detail = record.textLength !== undefined ? `文本 (${record.textLength} 字符)` : `文本: ${record.text}`;
+      }
+      break;
+    case AuditType.SHELL:
+      detail = `$ ${record.command} → ${record.timedOut ? '超时' : `退出码 ${record.exitCode ?? record.error}`}`;
+      break;
+    case AuditType.APPROVAL:
+      detail = `${DecisionLabels[record.decision] || record.decision} ${record.action}`;
+      break;
+    case AuditType.DENIED:
+      detail = `${record.action}（需要 ${record.permission}）`;
+      break;
+    default:
+      detail = '';
+  }
+
+  return `\`${stamp}\` [${record.platform}] ${who}${session} · ${AuditTypeLabels[record.type] || record.type}: ${detail}`;
+}
+
+let globalAuditLog = null;
+
+/**
+ * 获取全局审计日志（按 AUDIT_* 配置创建）
+ * @returns {AuditLog}
+ */
+export function getAuditLog() {
+  if (!globalAuditLog) {
+    globalAuditLog = new AuditLog({
+      file: config.audit.file,
+      enabled: config.audit.enabled,
+      maxBytes: config.audit.maxSizeMB * 1024 * 1024,
+      maxFiles: config.audit.maxFiles,
+    });
+  }
+  return globalAuditLog;
+}
+
+/**
+ * 便捷函数：向全局审计日志追加记录
+ * @param {string} type - 记录类型（AuditType）
+ * @param {Object} details - 记录内容
+ * @returns {Object|null}
+ */
+export function recordAudit(type, details = {}) {
+  return getAuditLog().record(type, details);
+}
+
+export default {
+  AuditType,
+  AuditTypeLabels,
+  AuditLog,
+  getDefaultAuditFile,
+  runWithActor,
+  getCurrentActor,
+  formatAuditRecord,
+  getAuditLog,
+  recordAudit,
+};
@@ -0,0 +1,165 @@
+/**
+ * 命令历史存储
+ * 按 tmux 会话分别记录发送给 Claude 的提示词和 ! 命令，保存在 SESSION_FILE 同目录，重启后保留
+ * Author: CodePothunter
+ * Version: 1.0.0
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { config } from '../config/index.js';
+import Logger from './logger.js';
+
+/**
+ * 历史记录类型
+ */
+export const HistoryType = {
+  PROMPT: 'prompt',   // 发送给 Claude 的提示词
+  SHELL: 'shell',     // ! 命令
+};
+
+/**
+ * 获取默认历史文件路径（与 SESSION_FILE 同目录）
+ * @returns {string}
+ */
+export function getDefaultCommandHistoryFile() {
+  const sessionFile = config.session.file;
+  const baseName = path.basename(sessionFile, path.extname(sessionFile));
+  return path.join(path.dirname(sessionFile), `${baseName}-command-history.json`);
+}
+
+/**
+ * 命令历史存储类
+ */
+export class CommandHistoryStore {
+  /**
+   * @param {Object} options - 配置选项
+   * @param {string} options.storageFile - 持久化文件路径
+   * @param {number} options.maxEntries - 每个会话最多保留的记录数
+   */
+  constructor(options = {}) {
+    this.storageFile = options.storageFile || getDefaultCommandHistoryFile();
+    this.maxEntries = options.maxEntries || 200;
+    this.history = new Map(); // sessionName -> Array<entry>
+
+    this._loadFromFile();
+  }
+
+  /**
+   * 从文件加载历史
+   * @private
+   */
+  _loadFromFile() {
+    try {
+      const data = fs.readFileSync(this.storageFile, 'utf-8');
+      const parsed = JSON.parse(data);
+      for (const [sessionName, entries] of Object.entries(parsed)) {
+        if (Array.isArray(entries)) {
+          this.history.set(sessionName, entries);
+        }
+      }
+      Logger.debug(`已加载 ${this.history.size} 个会话的命令历史`);
+    } catch (e) {
+      if (e.code !== 'ENOENT') {
+        Logger.warn(`加载命令历史失败: ${e.message}`);
+      }
+      // 文件不存在是正常情况
+    }
+  }
+
+  /**
+   * 保存到文件（每次记录都由用户发送触发，频率很低，立即原子写入）
+   * @private
+   */
+  _saveToFile() {
+    try {
+      const dir = path.dirname(this.storageFile);
+      fs.mkdirSync(dir, { recursive: true });
+
+      const tmpFile = this.storageFile + '.tmp';
+      fs.writeFileSync(tmpFile, JSON.stringify(Object.fromEntries(this.history)), {
+        mode: 0o600,
+        encoding: 'utf-8'
+      });
+      fs.renameSync(tmpFile, this.storageFile);
+    } catch (e) {
+      Logger.error(`保存命令历史失败: ${e.message}`);
+    }
+  }
+
+  /**
+   * 记录一条历史
+   * @param {string} sessionName - tmux 会话名称
+   * @param {string} type - 记录类型（HistoryType）
+   * @param {string} text - 提示词或命令内容
+   * @returns {number|null} - 记录编号（每个会话从 1 开始递增，不因淘汰旧记录而改变），内容为空时返回 null
+   */
+  add(sessionName, type, text) {
+    if (!sessionName || !text?.trim()) {
+      return null;
+    }
+
+    const entries = this.history.get(sessionName) || [];
+    const last = entries[entries.length - 1];
+    const entry = {
+      id: last ? last.id + 1 : 1,
+      time: Date.now(),
+      type,
+      text,
+    };
+
+    entries.push(entry);
+    if (entries.length > this.maxEntries) {
+      entries.splice(0, entries.length - this.maxEntries);
+    }
+
+    this.history.set(sessionName, entries);
+    this._saveToFile();
+    return entry.id;
+  }
+
+  /**
+   * 获取会话的历史（按时间顺序）
+   * @param {string} sessionName - tmux 会话名称
+   * @param {string|null} type - 只返回该类型的记录，为空时返回全部
+   * @returns {Array<{id: number, time: number, type: string, text: string}>}
+   */
+  list(sessionName, type = null) {
+    const entries = this.history.get(sessionName) || [];
+    return type ? entries.filter(entry => entry.type === type) : entries;
+  }
+
+  /**
+   * 获取指定编号的记录
+   * @param {string} sessionName - tmux 会话名称
+   * @param {number} id - 记录编号
+   * @returns {Object|null}
+   */
+  get(sessionName, id) {
+    return this.list(sessionName).find(entry => entry.id === id) || null;
+  }
+
+  /**
+   * 搜索会话的历史（不区分大小写，按时间顺序）
+   * @param {string} sessionName - tmux 会话名称
+   * @param {string} term - 搜索词
+   * @param {string|null} type - 只搜索该类型的记录
+   * @returns {Array<Object>}
+   */
+  search(sessionName, term, type = null) {
+    const needle = term.toLowerCase();
+    return this.list(sessionName, type).filter(entry => entry.text.toLowerCase().includes(needle));
+  }
+
+  /**
+   * 清空会话的历史
+   * @param {string} sessionName - tmux 会话名称
+   */
+  clear(sessionName) {
+    if (this.history.delete(sessionName)) {
+      this._saveToFile();
+    }
+  }
+}
+
+export default CommandHistoryStore;
@@ -0,0 +1,97 @@
+/**
+ * 危险操作确认
+ * 暂存待确认的操作（/kill、/reset、危险的 ! 命令），只有带确认码的 /confirm 或按钮才能执行
+ * Author: CodePothunter
+ * Version: 1.0.0
+ */
+
+import { randomBytes } from 'crypto';
+
+/**
+ * 待确认操作表
+ */
+export class ConfirmationGate {
+  /**
+   * @param {Object} options - 配置选项
+   * @param {number} options.ttl - 确认码有效期（毫秒），默认 120000
+   * @param {number} options.maxPending - 最多保留的待确认操作数，默认 20
+   */
+  constructor(options = {}) {
+    this.ttl = options.ttl || 120000;
+    this.maxPending = options.maxPending || 20;
+    this.pending = new Map();
+  }
+
+  /**
+   * 生成未被占用的确认码（6 位十六进制）
+   * @private
+   * @returns {string}
+   */
+  generateNonce() {
+    let nonce;
+    do {
+      nonce = randomBytes(3).toString('hex');
+    } while (this.pending.has(nonce));
+    return nonce;
+  }
+
+  /**
+   * 清除已过期的操作
+   * @private
+   */
+  prune() {
+    const now = Date.now();
+    for (const [nonce, entry] of this.pending) {
+      if (entry.expiresAt <= now) {
+        this.pending.delete(nonce);
+      }
+    }
+  }
+
+  /**
+   * 暂存待确认的操作
+   * @param {Object} action - 操作
+   * @param {string} action.label - 操作描述（如 `/kill`）
+   * @param {string} action.permission - 确认时所需的权限
+   * @param {Function} action.execute - 确认后执行的函数
+   * @returns {{nonce: string, expiresAt: number}}
+   */
+  create(action) {
+    this.prune();
+
+    // 超过上限时丢弃最早的操作
+    while (this.pending.size >= this.maxPending) {
+      this.pending.delete(this.pending.keys().next().value);
+    }
+
+    const nonce = this.generateNonce();
+    const expiresAt = Date.now() + this.ttl;
+    this.pending.set(nonce, { ...action, nonce, expiresAt });
+    return { nonce, expiresAt };
+  }
+
+  /**
+   * 查看待确认的操作（不移除）
+   * @param {string} nonce - 确认码
+   * @returns {Object|null} - 不存在或已过期时返回 null
+   */
+  get(nonce) {
+    this.prune();
+    return this.pending.get(String(nonce || '').toLowerCase()) || null;
+  }
+
+  /**
+   * 取出待确认的操作（确认或取消后确认码失效）
+   * @param {string} nonce - 确认码
+   * @returns {Object|null} - 不存在或已过期时返回 null
+   */
+  take(nonce) {
+    const entry = this.get(nonce);
+    if (entry) {
+      this.pending.delete(entry.nonce);
+    }
+    return entry;
+  }
+}
+
+export default ConfirmationGate;
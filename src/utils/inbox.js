@@ -0,0 +1,146 @@
+/**
+ * 附件收件箱
+ * 把聊天中发送的图片和文件保存到会话工作目录下的收件箱目录（按 tmux 会话分子目录），供 Claude Code 读取
+ * Author: CodePothunter
+ * Version: 1.0.0
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { config } from '../config/index.js';
+
+// 常见图片格式的文件头（飞书图片消息没有文件名，按内容补全扩展名）
+const IMAGE_SIGNATURES = [
+  { ext: 'png', test: buf => buf.length > 4 && buf[0] === 0x89 && buf.toString('ascii', 1, 4) === 'PNG' },
+  { ext: 'jpg', test: buf => buf.length > 3 && buf[0] === 0xff && buf[1] === 0xd8 && buf[2] === 0xff },
+  { ext: 'gif', test: buf => buf.length > 6 && buf.toString('ascii', 0, 4) === 'GIF8' },
+  { ext: 'webp', test: buf => buf.length > 12 && buf.toString('ascii', 0, 4) === 'RIFF' && buf.toString('ascii', 8, 12) === 'WEBP' },
+];
+
+/**
+ * 格式化文件大小
+ * @param {number} bytes - 字节数
+ * @returns {string}
+ */
+export function formatSize(bytes) {
+  if (bytes >= 1024 * 1024) {
+    return `${(bytes / 1024 / 1024).toFixed(1)}MB`;
+  }
+  if (bytes >= 1024) {
+    return `${(bytes / 1024).toFixed(1)}KB`;
+  }
+  return `${bytes}B`;
+}
+
+/**
+ * 根据文件头识别图片扩展名
+ * @param {Buffer} data - 文件内容
+ * @returns {string|null}
+ */
+export function detectImageExtension(data) {
+  const signature = IMAGE_SIGNATURES.find(s => s.test(data));
+  return signature ? signature.ext : null;
+}
+
+/**
+ * 检查附件是否允许保存（扩展名和大小）
+ * @param {string} fileName - 文件名
+ * @param {number} size - 文件大小（字节），未知时传 0
+ * @returns {{success: boolean, error?: string}}
+ */
+export function checkAttachment(fileName, size = 0) {
+  const { maxBytes, extensions } = config.inbox;
+
+  if (size > maxBytes) {
+    return { success: false, error: `文件过大（${formatSize(size)}，上限 ${formatSize(maxBytes)}）` };
+  }
+
+  if (!extensions.includes('*')) {
+    const ext = path.extname(fileName).slice(1).toLowerCase();
+    if (!ext || !extensions.includes(ext)) {
+      return { success: false, error: `不允许的文件类型（.${ext || '无扩展名'}），允许: ${extensions.join(', ')}` };
+    }
+  }
+
+  return { success: true };
+}
+
+/**
+ * 读取流内容，超过大小上限时中止
+ * @param {AsyncIterable<Uint8Array>} stream - Node.js Readable 或 Web ReadableStream
+ * @param {number} maxBytes - 大小上限
+ * @returns {Promise<{success: boolean, data?: Buffer, error?: string}>}
+ */
+export async function readStreamWithLimit(stream, maxBytes = config.inbox.maxBytes) {
+  const chunks = [];
+  let total = 0;
+
+  for await (const chunk of stream) {
+    total += chunk.length;
+    if (total > maxBytes) {
+      // 提前返回时 for await 会关闭流，不再继续下载
+      return { success: false, error: `文件过大（超过 ${formatSize(maxBytes)}）` };
+    }
+    chunks.push(Buffer.from(chunk));
+  }
+
+  return { success: true, data: Buffer.concat(chunks) };
+}
+
+/**
+ * 获取会话的收件箱目录
+ * @param {string} workingDir - tmux 会话工作目录
+ * @param {string} sessionName - tmux 会话名称
+ * @returns {string}
+ */
+export function getInboxDir(workingDir, sessionName) {
+  return path.join(workingDir, config.inbox.dir, sessionName.replace(/[^\w.-]/g, '_'));
+}
+
+/**
+ * 保存附件到会话收件箱（文件名加时间前缀，避免覆盖）
+ * @param {Object} options - 保存选项
+ * @param {string} options.workingDir - tmux 会话工作目录
+ * @param {string} options.sessionName - tmux 会话名称
+ * @param {string} options.fileName - 原始文件名
+ * @param {Buffer} options.data - 文件内容
+ * @returns {{success: boolean, path?: string, error?: string}}
+ */
+export function saveToInbox({ workingDir, sessionName, fileName, data }) {
+  try {
+    const inboxRoot = path.join(workingDir, config.inbox.dir);
+    const dir = getInboxDir(workingDir, sessionName);
+    fs.mkdirSync(dir, { recursive: true, mode: 0o700 });
+
+    // 收件箱不纳入项目的 git 仓库
+    const gitignore = path.join(inboxRoot, '.gitignore');
+    if (!fs.existsSync(gitignore)) {
+      fs.writeFileSync(gitignore, '*\n');
+    }
+
+    const pad = n => String(n).padStart(2, '0');
+    const now = new Date();
+    const stamp = `${now.getFullYear()}${pad(now.getMonth() + 1)}${pad(now.getDate())}-` +
+      `${pad(now.getHours())}${pad(now.getMinutes())}${pad(now.getSeconds())}`;
+    const safeName = path.basename(fileName).replace(/[^\w.\-\u4e00-\u9fa5]/g, '_') || 'file';
+
+    let filePath = path.join(dir, `${stamp}-${safeName}`);
+    for (let i = 2; fs.existsSync(filePath); i++) {
+      filePath = path.join(dir, `${stamp}-${i}-${safeName}`);
+    }
+
+    fs.writeFileSync(filePath, data, { mode: 0o600 });
+    return { success: true, path: filePath };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+export default {
+  formatSize,
+  detectImageExtension,
+  checkAttachment,
+  readStreamWithLimit,
+  getInboxDir,
+  saveToInbox,
+};
@@ -0,0 +1,195 @@
+/**
+ * 计划文件工具
+ * 读取、分页和修改 Plan Mode 生成的计划文件（Claude Code 在确认执行时重新读取该文件）
+ * Author: CodePothunter
+ * Version: 1.0.0
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+// 聊天中提交的修订要求写入计划文件的章节标题
+const REVISION_HEADING = '## 修订要求（来自聊天）';
+
+/**
+ * 展开计划文件路径中的波浪号
+ * @param {string} planFilePath - 计划文件路径（可能以 ~/ 开头）
+ * @returns {string}
+ */
+export function resolvePlanPath(planFilePath) {
+  if (planFilePath && planFilePath.startsWith('~/')) {
+    const homeDir = process.env.HOME || '/home/ubuntu';
+    return path.join(homeDir, planFilePath.substring(2));
+  }
+  return planFilePath;
+}
+
+/**
+ * 读取计划文件
+ * @param {string} planFilePath - 计划文件路径
+ * @returns {{success: boolean, content?: string, fullPath?: string, error?: string}}
+ */
+export function readPlanFile(planFilePath) {
+  if (!planFilePath) {
+    return { success: false, error: '未找到计划文件路径' };
+  }
+
+  const fullPath = resolvePlanPath(planFilePath);
+  try {
+    return { success: true, content: fs.readFileSync(fullPath, 'utf-8'), fullPath };
+  } catch (error) {
+    return { success: false, fullPath, error: error.code === 'ENOENT' ? `计划文件不存在: ${fullPath}` : error.message };
+  }
+}
+
+/**
+ * 写入计划文件（原子写入，保留原文件权限）
+ * @param {string} fullPath - 计划文件完整路径
+ * @param {string} content - 新内容
+ * @returns {{success: boolean, error?: string}}
+ */
+export function writePlanFile(fullPath, content) {
+  try {
+    let mode = 0o644;
+    try {
+      mode = fs.statSync(fullPath).mode & 0o777;
+    } catch (e) {
+      // 文件不存在时使用默认权限
+    }
+
+    const tmpFile = fullPath + '.tmp';
+    fs.writeFileSync(tmpFile, content, { mode, encoding: 'utf-8' });
+    fs.renameSync(tmpFile, fullPath);
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * 按行把计划分页（单行超过页大小时强制切分）
+ * @param {string} content - 计划内容
+ * @param {number} pageSize - 每页最大字符数
+ * @returns {string[]}
+ */
+export function paginatePlan(content, pageSize) {
+  const pages = [];
+  let current = '';
+
+  for (const line of (content || '').split('\n')) {
+    let rest = line;
+    while (rest.length > pageSize) {
+      if (current) {
+        pages.push(current);
+        current = '';
+      }
+      pages.push(rest.slice(0, pageSize));
+      rest = rest.slice(pageSize);
+    }
+
+    const candidate = current ? `${current}\n${rest}` : rest;
+    if (candidate.length > pageSize) {
+      pages.push(current);
+      current = rest;
+    } else {
+      current = candidate;
+    }
+  }
+
+  if (current.trim() || pages.length === 0) {
+    pages.push(current);
+  }
+  return pages;
+}
+
+/**
+ * 是否为计划修改内容：`revise: …` 修订要求，或以 Markdown 标题开头的替换章节
+ * @param {string} input - 用户输入
+ * @returns {boolean}
+ */
+export function isPlanEdit(input) {
+  const text = (input || '').trim();
+  return /^(revise|修改)\s*[:：]/i.test(text) || /^#{1,6}\s+\S/.test(text);
+}
+
+/**
+ * 获取 Markdown 标题级别
+ * @param {string} line - 行内容
+ * @returns {number} - 标题级别，非标题返回 0
+ */
+function headingLevel(line) {
+  const match = line.match(/^(#{1,6})\s+\S/);
+  return match ? match[1].length : 0;
+}
+
+/**
+ * 用替换章节更新计划：替换同名标题的整个章节（到下一个同级或更高级标题为止），找不到时追加到末尾
+ * @param {string} content - 原计划内容
+ * @param {string} section - 以标题开头的新章节
+ * @returns {{content: string, replaced: boolean, heading: string}}
+ */
+export function replacePlanSection(content, section) {
+  const sectionText = section.trim();
+  const heading = sectionText.split('\n')[0].trim();
+  const level = headingLevel(heading);
+  const lines = content.split('\n');
+
+  const start = lines.findIndex(line => line.trim() === heading);
+  if (start === -1) {
+    return { content: `${content.trimEnd()}\n\n${sectionText}\n`, replaced: false, heading };
+  }
+
+  let end = lines.length;
+  for (let i = start + 1; i < lines.length; i++) {
+    const lineLevel = headingLevel(lines[i]);
+    if (lineLevel > 0 && lineLevel <= level) {
+      end = i;
+      break;
+    }
+  }
+
+  // 保留章节之间的空行
+  const after = lines.slice(end);
+  const updated = [...lines.slice(0, start), ...sectionText.split('\n'), ...(after.length > 0 ? ['', ...after] : [])];
+  return { content: updated.join('\n').replace(/\n{3,}/g, '\n\n'), replaced: true, heading };
+}
+
+/**
+ * 把修订要求写入计划（追加到「修订要求」章节，不存在时新建）
+ * @param {string} content - 原计划内容
+ * @param {string} instruction - 修订要求
+ * @returns {string}
+ */
+export function appendPlanRevision(content, instruction) {
+  const item = `- ${instruction.trim().replace(/\n+/g, '\n  ')}`;
+
+  if (content.includes(REVISION_HEADING)) {
+    const index = content.indexOf(REVISION_HEADING) + REVISION_HEADING.length;
+    const nextHeading = content.slice(index).search(/\n#{1,2}\s/);
+    const insertAt = nextHeading === -1 ? content.length : index + nextHeading;
+    return `${content.slice(0, insertAt).trimEnd()}\n${item}\n${content.slice(insertAt)}`.trimEnd() + '\n';
+  }
+
+  return `${content.trimEnd()}\n\n${REVISION_HEADING}\n\n执行计划时请同时满足以下修订要求：\n\n${item}\n`;
+}
+
+/**
+ * 解析修订要求内容（去掉 `revise:` 前缀）
+ * @param {string} input - 用户输入
+ * @returns {string|null} - 修订要求，不是 `revise:` 格式时返回 null
+ */
+export function parseRevision(input) {
+  const match = (input || '').trim().match(/^(?:revise|修改)\s*[:：]\s*([\s\S]+)$/i);
+  return match ? match[1].trim() : null;
+}
+
+export default {
+  resolvePlanPath,
+  readPlanFile,
+  writePlanFile,
+  paginatePlan,
+  isPlanEdit,
+  replacePlanSection,
+  appendPlanRevision,
+  parseRevision,
+};
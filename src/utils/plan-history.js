@@ -0,0 +1,143 @@
+/**
+ * 计划修订历史存储
+ * 按 tmux 会话记录每次生成和修改后的计划内容，保存在 SESSION_FILE 同目录
+ * Author: CodePothunter
+ * Version: 1.0.0
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { config } from '../config/index.js';
+import Logger from './logger.js';
+
+/**
+ * 获取默认历史文件路径（与 SESSION_FILE 同目录）
+ * @returns {string}
+ */
+export function getDefaultPlanHistoryFile() {
+  const sessionFile = config.session.file;
+  const baseName = path.basename(sessionFile, path.extname(sessionFile));
+  return path.join(path.dirname(sessionFile), `${baseName}-plan-history.json`);
+}
+
+/**
+ * 计划修订历史存储类
+ */
+export class PlanHistoryStore {
+  /**
+   * @param {Object} options - 配置选项
+   * @param {string} options.storageFile - 持久化文件路径
+   * @param {number} options.maxRevisions - 每个会话最多保留的修订数
+   */
+  constructor(options = {}) {
+    this.storageFile = options.storageFile || getDefaultPlanHistoryFile();
+    this.maxRevisions = options.maxRevisions || 20;
+    this.history = new Map(); // sessionName -> Array<revision>
+
+    this._loadFromFile();
+  }
+
+  /**
+   * 从文件加载历史
+   * @private
+   */
+  _loadFromFile() {
+    try {
+      const data = fs.readFileSync(this.storageFile, 'utf-8');
+      const parsed = JSON.parse(data);
+      for (const [sessionName, revisions] of Object.entries(parsed)) {
+        if (Array.isArray(revisions)) {
+          this.history.set(sessionName, revisions);
+        }
+      }
+      Logger.debug(`已加载 ${this.history.size} 个会话的计划修订历史`);
+    } catch (e) {
+      if (e.code !== 'ENOENT') {
+        Logger.warn(`加载计划修订历史失败: ${e.message}`);
+      }
+      // 文件不存在是正常情况
+    }
+  }
+
+  /**
+   * 保存到文件（修订很少发生，每次修改立即原子写入）
+   * @private
+   */
+  _saveToFile() {
+    try {
+      const dir = path.dirname(this.storageFile);
+      fs.mkdirSync(dir, { recursive: true });
+
+      const tmpFile = this.storageFile + '.tmp';
+      fs.writeFileSync(tmpFile, JSON.stringify(Object.fromEntries(this.history)), {
+        mode: 0o600,
+        encoding: 'utf-8'
+      });
+      fs.renameSync(tmpFile, this.storageFile);
+    } catch (e) {
+      Logger.error(`保存计划修订历史失败: ${e.message}`);
+    }
+  }
+
+  /**
+   * 记录一次修订（内容与上一修订相同时跳过）
+   * @param {string} sessionName - tmux 会话名称
+   * @param {Object} revision - 修订内容
+   * @param {string} revision.source - 来源（claude | revise | section）
+   * @param {string} revision.planFilePath - 计划文件路径
+   * @param {string} revision.content - 计划内容
+   * @param {string} revision.note - 说明（修订要求或替换的章节标题）
+   * @returns {number} - 修订编号（从 1 开始），跳过时返回上一修订的编号
+   */
+  add(sessionName, revision) {
+    const revisions = this.history.get(sessionName) || [];
+    const last = revisions[revisions.length - 1];
+
+    if (last && last.content === revision.content && last.planFilePath === revision.planFilePath) {
+      return last.id;
+    }
+
+    const entry = {
+      id: last ? last.id + 1 : 1,
+      time: Date.now(),
+      source: revision.source,
+      planFilePath: revision.planFilePath || '',
+      note: revision.note || '',
+      content: revision.content,
+    };
+
+    revisions.push(entry);
+    if (revisions.length > this.maxRevisions) {
+      revisions.splice(0, revisions.length - this.maxRevisions);
+    }
+
+    this.history.set(sessionName, revisions);
+    this._saveToFile();
+    return entry.id;
+  }
+
+  /**
+   * 获取会话的全部修订（按时间顺序）
+   * @param {string} sessionName - tmux 会话名称
+   * @returns {Array<Object>}
+   */
+  list(sessionName) {
+    return this.history.get(sessionName) || [];
+  }
+
+  /**
+   * 获取指定修订，未指定编号时返回最新修订
+   * @param {string} sessionName - tmux 会话名称
+   * @param {number} id - 修订编号
+   * @returns {Object|null}
+   */
+  get(sessionName, id = null) {
+    const revisions = this.list(sessionName);
+    if (id === null) {
+      return revisions[revisions.length - 1] || null;
+    }
+    return revisions.find(r => r.id === id) || null;
+  }
+}
+
+export default PlanHistoryStore;
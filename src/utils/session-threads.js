@@ -0,0 +1,129 @@
+/**
+ * 会话线程映射存储
+ * 记录 tmux 会话与消息平台线程（飞书话题根消息 / Discord 子区）的对应关系
+ * 保存在 SESSION_FILE 同目录，服务重启后继续使用原线程
+ * Author: CodePothunter
+ * Version: 1.0.0
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { config } from '../config/index.js';
+import Logger from './logger.js';
+
+/**
+ * 获取指定平台的默认映射文件路径（与 SESSION_FILE 同目录）
+ * @param {string} platform - 平台名称（feishu | discord）
+ * @returns {string}
+ */
+export function getDefaultThreadsFile(platform) {
+  const sessionFile = config.session.file;
+  const baseName = path.basename(sessionFile, path.extname(sessionFile));
+  return path.join(path.dirname(sessionFile), `${baseName}-${platform}-threads.json`);
+}
+
+/**
+ * 会话线程映射存储类
+ */
+export class SessionThreadStore {
+  /**
+   * @param {Object} options - 配置选项
+   * @param {string} options.storageFile - 持久化文件路径
+   */
+  constructor(options = {}) {
+    this.storageFile = options.storageFile;
+    this.threads = new Map(); // sessionName -> threadId
+
+    this._loadFromFile();
+  }
+
+  /**
+   * 从文件加载映射
+   * @private
+   */
+  _loadFromFile() {
+    try {
+      const data = fs.readFileSync(this.storageFile, 'utf-8');
+      const parsed = JSON.parse(data);
+      for (const [sessionName, threadId] of Object.entries(parsed)) {
+        if (threadId) {
+          this.threads.set(sessionName, threadId);
+        }
+      }
+      Logger.debug(`已加载 ${this.threads.size} 个会话线程映射`);
+    } catch (e) {
+      if (e.code !== 'ENOENT') {
+        Logger.warn(`加载会话线程映射失败: ${e.message}`);
+      }
+      // 文件不存在是正常情况
+    }
+  }
+
+  /**
+   * 保存到文件（映射很少变化，每次修改立即原子写入）
+   * @private
+   */
+  _saveToFile() {
+    try {
+      const dir = path.dirname(this.storageFile);
+      fs.mkdirSync(dir, { recursive: true });
+
+      const tmpFile = this.storageFile + '.tmp';
+      fs.writeFileSync(tmpFile, JSON.stringify(Object.fromEntries(this.threads)), {
+        mode: 0o600,
+        encoding: 'utf-8'
+      });
+      fs.renameSync(tmpFile, this.storageFile);
+    } catch (e) {
+      Logger.error(`保存会话线程映射失败: ${e.message}`);
+    }
+  }
+
+  /**
+   * 获取会话对应的线程 ID
+   * @param {string} sessionName - tmux 会话名称
+   * @returns {string|null}
+   */
+  get(sessionName) {
+    return this.threads.get(sessionName) || null;
+  }
+
+  /**
+   * 根据线程 ID 反查会话名称
+   * @param {string} threadId - 线程 ID
+   * @returns {string|null}
+   */
+  getSession(threadId) {
+    if (!threadId) {
+      return null;
+    }
+    for (const [sessionName, id] of this.threads.entries()) {
+      if (id === threadId) {
+        return sessionName;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * 记录会话对应的线程
+   * @param {string} sessionName - tmux 会话名称
+   * @param {string} threadId - 线程 ID
+   */
+  set(sessionName, threadId) {
+    this.threads.set(sessionName, threadId);
+    this._saveToFile();
+  }
+
+  /**
+   * 删除会话的线程映射（线程失效时重新创建）
+   * @param {string} sessionName - tmux 会话名称
+   */
+  delete(sessionName) {
+    if (this.threads.delete(sessionName)) {
+      this._saveToFile();
+    }
+  }
+}
+
+export default SessionThreadStore;
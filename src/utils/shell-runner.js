@@ -0,0 +1,166 @@
+/**
+ * Shell 命令执行
+ * 在独立子进程（bash -c）中执行 ! 命令，不经过 Claude Code 所在的 tmux 窗格：
+ * 指定工作目录、真实退出码、流式输出、超时终止整个进程组、输出上限
+ * Author: CodePothunter
+ * Version: 1.0.0
+ */
+
+import { getGlobalProcessManager } from './process-manager.js';
+import Logger from './logger.js';
+
+// 不传给子进程的桥接服务凭证
+const SECRET_ENV_KEYS = ['FEISHU_APP_ID', 'FEISHU_APP_SECRET', 'DISCORD_BOT_TOKEN'];
+
+// SIGTERM 后等待多久改用 SIGKILL（毫秒）
+const KILL_GRACE_MS = 3000;
+
+// 运行中的命令（进程组组长），服务关闭时由 stopRunningCommands 终止
+const runningCommands = new Set();
+
+/**
+ * 向子进程所在的进程组发送信号（命令启动的后台进程一起终止）
+ * @param {ChildProcess} child - 子进程
+ * @param {string} signal - 信号
+ */
+function killProcessGroup(child, signal) {
+  try {
+    process.kill(-child.pid, signal);
+  } catch (error) {
+    // 进程组已退出
+    Logger.debug(`终止进程组 ${child.pid} 失败: ${error.message}`);
+  }
+}
+
+/**
+ * 执行 shell 命令
+ * @param {string} command - 命令内容
+ * @param {Object} options - 执行选项
+ * @param {string} options.cwd - 工作目录
+ * @param {number} options.timeoutMs - 超时（毫秒），默认 60000
+ * @param {number} options.maxOutput - 保留的输出上限（字符），超过时只保留最后的部分，默认 20000
+ * @param {Function} options.onOutput - 输出更新回调 (output) => void，stdout 和 stderr 按到达顺序合并
+ * @returns {Promise<{success: boolean, exitCode: number|null, signal: string|null, output: string, truncated: boolean, timedOut: boolean, durationMs: number, error?: string}>}
+ */
+export function runShellCommand(command, options = {}) {
+  const {
+    cwd,
+    timeoutMs = 60000,
+    maxOutput = 20000,
+    onOutput = null,
+  } = options;
+
+  return new Promise((resolve) => {
+    const startTime = Date.now();
+    let output = '';
+    let truncated = false;
+    let timedOut = false;
+    let settled = false;
+    let timeoutTimer = null;
+    let killTimer = null;
+
+    const finish = (result) => {
+      if (settled) {
+        return;
+      }
+      settled = true;
+      clearTimeout(timeoutTimer);
+      clearTimeout(killTimer);
+      resolve({ ...result, output, truncated, timedOut, durationMs: Date.now() - startTime });
+    };
+
+    const env = { ...process.env };
+    for (const key of SECRET_ENV_KEYS) {
+      delete env[key];
+    }
+
+    let child;
+    try {
+      // 超时由本模块处理（终止整个进程组），进程管理器只负责跟踪和退出时清理
+      child = getGlobalProcessManager().spawn('bash', ['-c', command], {
+        cwd,
+        env,
+        stdio: ['ignore', 'pipe', 'pipe'],
+        detached: true,
+        timeout: 0,
+      });
+    } catch (error) {
+      finish({ success: false, exitCode: null, signal: null, error: error.message });
+      return;
+    }
+
+    runningCommands.add(child);
+
+    const append = (chunk) => {
+      output += chunk;
+      if (output.length > maxOutput) {
+        output = output.slice(-maxOutput);
+        truncated = true;
+      }
+      if (onOutput) {
+        try {
+          onOutput(output);
+        } catch (error) {
+          Logger.error(`命令输出回调失败: ${error.message}`);
+        }
+      }
+    };
+
+    child.stdout.setEncoding('utf8');
+    child.stderr.setEncoding('utf8');
+    child.stdout.on('data', append);
+    child.stderr.on('data', append);
+
+    // close 在输出读取完之后触发，exit 可能早于最后的输出
+    child.on('close', (code, signal) => {
+      runningCommands.delete(child);
+      finish({ success: code === 0, exitCode: code, signal });
+    });
+    child.on('error', (error) => {
+      runningCommands.delete(child);
+      finish({ success: false, exitCode: null, signal: null, error: error.message });
+    });
+
+    if (timeoutMs > 0) {
+      timeoutTimer = setTimeout(() => {
+        Logger.warn(`命令超时 (${timeoutMs}ms)，终止进程组: ${command}`);
+        timedOut = true;
+        killProcessGroup(child, 'SIGTERM');
+        killTimer = setTimeout(() => killProcessGroup(child, 'SIGKILL'), KILL_GRACE_MS);
+      }, timeoutMs);
+    }
+  });
+}
+
+/**
+ * 终止所有运行中的命令及其进程组（服务关闭时调用）
+ * 命令以 detached 方式启动，进程管理器只能终止 bash 本身，命令启动的子进程需要按进程组终止
+ * @returns {Promise<number>} - 终止的命令数量
+ */
+export async function stopRunningCommands() {
+  const children = [...runningCommands];
+  if (children.length === 0) {
+    return 0;
+  }
+
+  Logger.info(`正在终止 ${children.length} 个运行中的命令`);
+  const closed = Promise.all(children.map(child => new Promise(resolve => child.once('close', resolve))));
+  for (const child of children) {
+    killProcessGroup(child, 'SIGTERM');
+  }
+
+  let graceTimer = null;
+  await Promise.race([closed, new Promise(resolve => { graceTimer = setTimeout(resolve, KILL_GRACE_MS); })]);
+  clearTimeout(graceTimer);
+
+  // 宽限期后仍未退出的进程组强制终止
+  for (const child of runningCommands) {
+    killProcessGroup(child, 'SIGKILL');
+  }
+  return children.length;
+}
+
+export default {
+  runShellCommand,
+  stopRunningCommands,
+};
@@ -0,0 +1,92 @@
+/**
+ * 文件上传准备
+ * /get 和自动附加图片使用：限制路径在会话工作目录内，读取文件或把目录打包为 ZIP
+ * Author: CodePothunter
+ * Version: 1.0.0
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { config } from '../config/index.js';
+import { zipDirectory } from './zip.js';
+import { formatSize } from './inbox.js';
+
+// 作为图片消息发送的扩展名
+export const IMAGE_EXTENSIONS = ['png', 'jpg', 'jpeg', 'gif', 'webp'];
+
+/**
+ * 是否为图片文件（按扩展名）
+ * @param {string} filePath - 文件路径
+ * @returns {boolean}
+ */
+export function isImageFile(filePath) {
+  return IMAGE_EXTENSIONS.includes(path.extname(filePath).slice(1).toLowerCase());
+}
+
+/**
+ * 解析路径并限制在工作目录内（解析符号链接，防止 ../ 或链接跳出项目目录）
+ * @param {string} workingDir - 会话工作目录
+ * @param {string} target - 相对或绝对路径
+ * @returns {{success: boolean, path?: string, error?: string}}
+ */
+export function resolveProjectPath(workingDir, target) {
+  try {
+    const root = fs.realpathSync(workingDir);
+    const fullPath = fs.realpathSync(path.resolve(root, target));
+    const relative = path.relative(root, fullPath);
+
+    if (relative.startsWith('..') || path.isAbsolute(relative)) {
+      return { success: false, error: `只能获取项目目录 ${root} 内的文件` };
+    }
+    return { success: true, path: fullPath };
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return { success: false, error: `文件不存在: ${target}` };
+    }
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * 读取要上传的文件，目录打包为 ZIP
+ * @param {string} fullPath - 已限制在工作目录内的路径
+ * @returns {{success: boolean, fileName?: string, data?: Buffer, isImage?: boolean, count?: number, error?: string}}
+ */
+export function prepareUpload(fullPath) {
+  const { maxBytes, zipExclude } = config.upload;
+
+  try {
+    const stat = fs.statSync(fullPath);
+
+    if (stat.isDirectory()) {
+      const zip = zipDirectory(fullPath, { maxBytes, exclude: zipExclude });
+      if (!zip.success) {
+        return { success: false, error: `打包目录失败: ${zip.error}（上限 ${formatSize(maxBytes)}）` };
+      }
+      return { success: true, fileName: `${path.basename(fullPath)}.zip`, data: zip.data, isImage: false, count: zip.count };
+    }
+
+    if (!stat.isFile()) {
+      return { success: false, error: '不是普通文件' };
+    }
+    if (stat.size > maxBytes) {
+      return { success: false, error: `文件过大（${formatSize(stat.size)}，上限 ${formatSize(maxBytes)}）` };
+    }
+
+    return {
+      success: true,
+      fileName: path.basename(fullPath),
+      data: fs.readFileSync(fullPath),
+      isImage: isImageFile(fullPath),
+    };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+export default {
+  IMAGE_EXTENSIONS,
+  isImageFile,
+  resolveProjectPath,
+  prepareUpload,
+};
@@ -0,0 +1,360 @@
+/**
+ * Token 用量统计
+ * 从 transcript.jsonl 的 message.usage 按会话、按天、按模型累计输入 / 输出 / 缓存 token，并按价格表估算费用
+ * Author: CodePothunter
+ * Version: 1.0.0
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { config } from '../config/index.js';
+import { USAGE_PRICING } from '../config/constants.js';
+import Logger from './logger.js';
+
+// 用量数据保留天数
+const RETENTION_DAYS = 90;
+
+/**
+ * 获取默认用量文件路径（与 SESSION_FILE 同目录）
+ * @returns {string}
+ */
+export function getDefaultUsageFile() {
+  const sessionFile = config.session.file;
+  const baseName = path.basename(sessionFile, path.extname(sessionFile));
+  return path.join(path.dirname(sessionFile), `${baseName}-usage.json`);
+}
+
+/**
+ * 格式化本地日期（YYYY-MM-DD）
+ * @param {Date} date - 日期
+ * @returns {string}
+ */
+export function formatDay(date = new Date()) {
+  const pad = n => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * 格式化 token 数（1.2K / 3.4M）
+ * @param {number} count - token 数
+ * @returns {string}
+ */
+export function formatTokens(count) {
+  if (count >= 1000000) {
+    return `${(count / 1000000).toFixed(2)}M`;
+  }
+  if (count >= 1000) {
+    return `${(count / 1000).toFixed(1)}K`;
+  }
+  return String(count);
+}
+
+/**
+ * 创建空的用量记录
+ * @returns {{input: number, output: number, cacheWrite: number, cacheRead: number, messages: number}}
+ */
+function emptyUsage() {
+  return { input: 0, output: 0, cacheWrite: 0, cacheRead: 0, messages: 0 };
+}
+
+/**
+ * 累加用量
+ * @param {Object} target - 累加目标
+ * @param {Object} usage - 用量
+ */
+function addUsage(target, usage) {
+  target.input += usage.input || 0;
+  target.output += usage.output || 0;
+  target.cacheWrite += usage.cacheWrite || 0;
+  target.cacheRead += usage.cacheRead || 0;
+  target.messages += usage.messages || 0;
+}
+
+/**
+ * 加载价格表（内置价格表，USAGE_PRICING_FILE 中的条目覆盖同名条目）
+ * @returns {Object<string, {input: number, output: number, cacheWrite: number, cacheRead: number}>}
+ */
+function loadPricing() {
+  const pricing = { ...USAGE_PRICING };
+  const file = config.usage.pricingFile;
+  if (!file) {
+    return pricing;
+  }
+
+  try {
+    Object.assign(pricing, JSON.parse(fs.readFileSync(file, 'utf-8')));
+    Logger.info(`已加载价格表: ${file}`);
+  } catch (error) {
+    Logger.warn(`加载价格表失败 (${file})，使用内置价格: ${error.message}`);
+  }
+  return pricing;
+}
+
+/**
+ * Token 用量存储类
+ */
+export class UsageStore {
+  /**
+   * @param {Object} options - 配置选项
+   * @param {string} options.storageFile - 持久化文件路径
+   */
+  constructor(options = {}) {
+    this.storageFile = options.storageFile || getDefaultUsageFile();
+    this.pricing = options.pricing || loadPricing();
+
+    // session -> day -> model -> usage
+    this.usage = {};
+    // 上次推送每日汇总的日期，避免重启后重复推送
+    this.lastSummaryDay = null;
+
+    // 同一条 API 响应在 transcript 中会拆成多行（每个 content 块一行），按 message.id 去重
+    this.countedMessageIds = new Set();
+
+    this.dirty = false;
+    this._loadFromFile();
+    this.flushTimer = setInterval(() => this._saveToFile(), 60000); // 每分钟保存一次
+  }
+
+  /**
+   * 从文件加载用量
+   * @private
+   */
+  _loadFromFile() {
+    try {
+      const parsed = JSON.parse(fs.readFileSync(this.storageFile, 'utf-8'));
+      this.usage = parsed.usage || {};
+      this.lastSummaryDay = parsed.lastSummaryDay || null;
+      Logger.debug(`已加载 ${Object.keys(this.usage).length} 个会话的 token 用量`);
+    } catch (e) {
+      if (e.code !== 'ENOENT') {
+        Logger.warn(`加载 token 用量失败: ${e.message}`);
+      }
+      // 文件不存在是正常情况
+    }
+  }
+
+  /**
+   * 保存到文件（清理超过保留天数的数据）
+   * @private
+   */
+  _saveToFile() {
+    if (!this.dirty) return;
+
+    try {
+      const cutoff = formatDay(new Date(Date.now() - RETENTION_DAYS * 86400000));
+      for (const [session, days] of Object.entries(this.usage)) {
+        for (const day of Object.keys(days)) {
+          if (day < cutoff) {
+            delete days[day];
+          }
+        }
+        if (Object.keys(days).length === 0) {
+          delete this.usage[session];
+        }
+      }
+
+      const dir = path.dirname(this.storageFile);
+      fs.mkdirSync(dir, { recursive: true });
+
+      const tmpFile = this.storageFile + '.tmp';
+      fs.writeFileSync(tmpFile, JSON.stringify({
+        version: 1,
+        lastSummaryDay: this.lastSummaryDay,
+        usage: this.usage,
+      }), {
+        mode: 0o600,
+        encoding: 'utf-8'
+      });
+      fs.renameSync(tmpFile, this.storageFile);
+      this.dirty = false;
+    } catch (e) {
+      Logger.error(`保存 token 用量失败: ${e.message}`);
+    }
+  }
+
+  /**
+   * 记录一条 transcript assistant 消息的用量
+   * @param {string} sessionName - tmux 会话名称
+   * @param {Object} data - jsonl 消息数据
+   * @returns {boolean} - 是否记录
+   */
+  record(sessionName, data) {
+    const message = data?.message;
+    const usage = message?.usage;
+    if (!usage || !message.model || message.model === '<synthetic>') {
+      return false;
+    }
+
+    if (message.id) {
+      if (this.countedMessageIds.has(message.id)) {
+        return false;
+      }
+      this.countedMessageIds.add(message.id);
+      if (this.countedMessageIds.size > 5000) {
+        this.countedMessageIds.delete(this.countedMessageIds.values().next().value);
+      }
+    }
+
+    const day = formatDay(data.timestamp ? new Date(data.timestamp) : new Date());
+    const session = sessionName || 'unknown';
+    const days = this.usage[session] || (this.usage[session] = {});
+    const models = days[day] || (days[day] = {});
+    const target = models[message.model] || (models[message.model] = emptyUsage());
+
+    addUsage(target, {
+      input: usage.input_tokens,
+      output: usage.output_tokens,
+      cacheWrite: usage.cache_creation_input_tokens,
+      cacheRead: usage.cache_read_input_tokens,
+      messages: 1,
+    });
+    this.dirty = true;
+    return true;
+  }
+
+  /**
+   * 查找模型价格（价格表键为模型名子串，较长的键优先，如 opus-4-5 优先于 opus）
+   * @param {string} model - 模型名称
+   * @returns {Object|null} - 每百万 token 的美元价格
+   */
+  getPrice(model) {
+    const key = Object.keys(this.pricing)
+      .sort((a, b) => b.length - a.length)
+      .find(k => model.includes(k));
+    return key ? this.pricing[key] : null;
+  }
+
+  /**
+   * 估算费用（美元）
+   * @param {string} model - 模型名称
+   * @param {Object} usage - 用量
+   * @returns {number|null} - 模型不在价格表中时返回 null
+   */
+  estimateCost(model, usage) {
+    const price = this.getPrice(model);
+    if (!price) {
+      return null;
+    }
+    return (
+      usage.input * (price.input || 0) +
+      usage.output * (price.output || 0) +
+      usage.cacheWrite * (price.cacheWrite || 0) +
+      usage.cacheRead * (price.cacheRead || 0)
+    ) / 1000000;
+  }
+
+  /**
+   * 获取会话列表（有用量记录的会话）
+   * @returns {string[]}
+   */
+  getSessions() {
+    return Object.keys(this.usage);
+  }
+
+  /**
+   * 汇总用量
+   * @param {Object} options - 汇总范围
+   * @param {string} options.session - 会话名称，为空时汇总全部会话
+   * @param {number} options.days - 天数（1 为今天，7 为最近 7 天）
+   * @param {Date} options.now - 当前时间
+   * @returns {{sessions: Object, models: Object, total: Object, cost: number, unpricedModels: string[], from: string, to: string}}
+   */
+  summarize(options = {}) {
+    const { session = '', days = 1, now = new Date() } = options;
+    const to = formatDay(now);
+    const from = formatDay(new Date(now.getTime() - (days - 1) * 86400000));
+
+    const result = { sessions: {}, models: {}, total: emptyUsage(), cost: 0, unpricedModels: [], from, to };
+    const sessionNames = session ? [session] : Object.keys(this.usage);
+
+    for (const name of sessionNames) {
+      for (const [day, models] of Object.entries(this.usage[name] || {})) {
+        if (day < from || day > to) {
+          continue;
+        }
+
+        for (const [model, usage] of Object.entries(models)) {
+          const sessionTotal = result.sessions[name] || (result.sessions[name] = { ...emptyUsage(), cost: 0 });
+          const modelTotal = result.models[model] || (result.models[model] = emptyUsage());
+          addUsage(sessionTotal, usage);
+          addUsage(modelTotal, usage);
+          addUsage(result.total, usage);
+
+          const cost = this.estimateCost(model, usage);
+          if (cost === null) {
+            if (!result.unpricedModels.includes(model)) {
+              result.unpricedModels.push(model);
+            }
+          } else {
+            sessionTotal.cost += cost;
+            result.cost += cost;
+          }
+        }
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * 生成用量报告
+   * @param {Object} options - 同 summarize
+   * @param {string} title - 报告标题
+   * @returns {string}
+   */
+  formatReport(options = {}, title = '📊 Token 用量') {
+    const summary = this.summarize(options);
+    const range = summary.from === summary.to ? summary.to : `${summary.from} ~ ${summary.to}`;
+    const line = usage => `输入 ${formatTokens(usage.input)} · 输出 ${formatTokens(usage.output)} · ` +
+      `缓存写 ${formatTokens(usage.cacheWrite)} · 缓存读 ${formatTokens(usage.cacheRead)}`;
+
+    let message = `${title}（${range}${options.session ? `，会话 ${options.session}` : ''}）\n\n`;
+
+    const sessions = Object.entries(summary.sessions).sort((a, b) => b[1].cost - a[1].cost);
+    if (sessions.length === 0) {
+      return message + '📭 没有用量记录';
+    }
+
+    if (!options.session) {
+      for (const [name, usage] of sessions) {
+        message += `**[${name}]** ${line(usage)} · 约 $${usage.cost.toFixed(2)}\n`;
+      }
+      message += '\n';
+    }
+
+    message += '**按模型**\n';
+    for (const [model, usage] of Object.entries(summary.models)) {
+      const cost = this.estimateCost(model, usage);
+      message += `${model}: ${line(usage)} · ${cost === null ? '未定价' : `约 $${cost.toFixed(2)}`} (${usage.messages} 次请求)\n`;
+    }
+
+    message += `\n**合计**: ${line(summary.total)} · 约 $${summary.cost.toFixed(2)}`;
+    if (summary.unpricedModels.length > 0) {
+      message += `\n⚠️ 未定价模型不计入费用: ${summary.unpricedModels.join(', ')}（可在 USAGE_PRICING_FILE 中配置）`;
+    }
+    return message;
+  }
+
+  /**
+   * 记录已推送每日汇总的日期
+   * @param {string} day - 日期（YYYY-MM-DD）
+   */
+  markSummarySent(day) {
+    this.lastSummaryDay = day;
+    this.dirty = true;
+    this._saveToFile();
+  }
+
+  /**
+   * 停止定时保存并写入文件
+   */
+  destroy() {
+    if (this.flushTimer) {
+      clearInterval(this.flushTimer);
+      this.flushTimer = null;
+    }
+    this._saveToFile();
+  }
+}
+
+export default UsageStore;
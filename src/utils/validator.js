@@ -5,14 +5,17 @@
  */
 
 import { SESSION_NAME_PATTERN, CONFIRMATION_WORDS } from '../config/constants.js';
+import { config } from '../config/index.js';
 
 /**
  * 验证结果类
  */
 export class ValidationResult {
-  constructor(isValid, error = '') {
+  constructor(isValid, error = '', requiresConfirmation = false) {
     this.isValid = isValid;
     this.error = error;
+    // 不直接执行，但确认后可以执行（危险的 ! 命令）
+    this.requiresConfirmation = requiresConfirmation;
   }
 
   static ok() {
@@ -22,6 +25,10 @@ export class ValidationResult {
   static fail(error) {
     return new ValidationResult(false, error);
   }
+
+  static confirm(reason) {
+    return new ValidationResult(false, reason, true);
+  }
 }
 
 /**
@@ -47,16 +54,219 @@ export function validateSessionName(name) {
   return ValidationResult.ok();
 }
 
+// 执行其他命令的前缀命令，策略同时检查前缀命令和被执行的命令
+const COMMAND_WRAPPERS = ['sudo', 'env', 'nohup', 'time', 'nice', 'timeout', 'xargs', 'command', 'exec', 'busybox'];
+
+// 前缀命令中带参数值的选项（sudo -u root rm 中的 root 不是程序）
+const WRAPPER_VALUE_OPTIONS = {
+  sudo: ['-u', '-g', '-C', '-D', '-h', '-p', '-r', '-t', '-T', '-U', '--user', '--group', '--chdir', '--host', '--prompt', '--role', '--type', '--other-user', '--close-from', '--command-timeout'],
+  env: ['-u', '-C', '--unset', '--chdir'],
+  timeout: ['-s', '-k', '--signal', '--kill-after'],
+  nice: ['-n', '--adjustment'],
+  xargs: ['-a', '-d', '-E', '-I', '-L', '-n', '-P', '-s', '--arg-file', '--delimiter', '--max-args', '--max-procs', '--max-chars', '--max-lines'],
+  time: ['-f', '-o', '--format', '--output'],
+  exec: ['-a'],
+};
+
+// 子命令前带参数值的全局选项（git -C . push 中的 . 不是子命令）
+const SUBCOMMAND_VALUE_OPTIONS = {
+  git: ['-C', '-c', '--git-dir', '--work-tree', '--namespace', '--exec-path', '--config-env'],
+  docker: ['-H', '-c', '-l', '--host', '--context', '--config', '--log-level'],
+  kubectl: ['-n', '-s', '--namespace', '--context', '--kubeconfig', '--server', '--cluster', '--user'],
+  npm: ['-C', '-w', '--prefix', '--workspace'],
+};
+
+// 把参数字符串当作命令执行的程序，无法按策略检查其中的命令
+const SHELL_INTERPRETERS = ['sh', 'bash', 'zsh', 'dash', 'ksh', 'fish', 'eval', 'source', '.', 'busybox', 'xargs'];
+
+// find 中执行命令或删除文件的动作
+const FIND_EXEC_ACTIONS = ['-exec', '-execdir', '-ok', '-okdir', '-delete'];
+
+// 通过选项执行内联代码的解释器：[程序名, 内联代码选项]
+const INLINE_CODE_INTERPRETERS = [
+  [/^python[\d.]*$/, /^-[A-Za-z]*c/],
+  [/^(node|nodejs)$/, /^(-[A-Za-z]*[ep]|--eval|--print)/],
+  [/^perl[\d.]*$/, /^-[A-Za-z]*[eE]/],
+];
+
+// 程序位置上的 shell 关键字和分组符号，跳过后才是真正的程序
+const SHELL_KEYWORDS = ['{', '}', '!', 'if', 'then', 'else', 'elif', 'fi', 'do', 'done', 'while', 'until', 'case', 'esac', '[[', ']]'];
+
+// 整段都不是程序调用的复合命令开头（for x in ...、case x in ...）
+const SHELL_HEADER_KEYWORDS = ['for', 'select', 'case', 'function'];
+
+// 输出重定向：> file、>> file、2> file、&> file、>| file、2>&1
+const REDIRECTION_PATTERN = /(?:\d+|&)?>>?\|?\s*(&\d+|&-|[^\s;&|()<>]+)?/g;
+
+// 不写入文件的重定向目标
+const SAFE_REDIRECTION_TARGETS = ['/dev/null', '/dev/stdout', '/dev/stderr'];
+
+/**
+ * 去掉单词中的反斜杠转义和引号（\rm、r''m、'r'm -> rm）
+ * @param {string} word - 单词
+ * @returns {string}
+ */
+function normalizeWord(word) {
+  return word.replace(/\\(.)/g, '$1').replace(/['"]/g, '');
+}
+
+/**
+ * 获取命令中写入文件的输出重定向目标
+ * @param {string} command - 命令内容
+ * @returns {string[]}
+ */
+function getRedirectionTargets(command) {
+  return [...command.matchAll(REDIRECTION_PATTERN)]
+    .map(match => normalizeWord(match[1] || ''))
+    .filter(target => !/^&(\d+|-)$/.test(target) && !SAFE_REDIRECTION_TARGETS.includes(target));
+}
+
+/**
+ * 拆分命令中的各个程序调用（按 ; && || | & 换行和命令替换拆分，忽略输出重定向）
+ * 每个调用返回从各程序位置开始的单词列表：`sudo git push` -> [[sudo, git, push], [git, push]]
+ * 单词已去掉转义和引号；程序名原文包含 $、引号或反斜杠时 literal 为 false
+ * @param {string} command - 命令内容
+ * @returns {Array<{words: string[], literal: boolean}>}
+ */
+function parseCommandPrograms(command) {
+  const programs = [];
+
+  for (const segment of command.replace(REDIRECTION_PATTERN, ' ').split(/\|\||&&|[;|&\n()`]|\$\(/)) {
+    const rawWords = segment.trim().split(/\s+/).filter(Boolean);
+    const words = rawWords.map(normalizeWord);
+    let wrapper = null;
+    let i = 0;
+    while (i < words.length) {
+      const word = words[i];
+      if (!wrapper && SHELL_HEADER_KEYWORDS.includes(word)) {
+        break;
+      }
+      // 跳过 shell 关键字、分组符号和环境变量赋值
+      if ((!wrapper && SHELL_KEYWORDS.includes(word)) || /^[A-Za-z_][A-Za-z0-9_]*=/.test(word)) {
+        i++;
+        continue;
+      }
+      // 跳过前缀命令的选项（及其参数值）和数字参数（timeout 5）
+      if (wrapper && word.startsWith('-')) {
+        i += (WRAPPER_VALUE_OPTIONS[wrapper] || []).includes(word) ? 2 : 1;
+        continue;
+      }
+      if (wrapper && /^\d/.test(word)) {
+        i++;
+        continue;
+      }
+      // 程序名取文件名（/usr/bin/rm -> rm）
+      const program = {
+        words: [word.replace(/^.*\//, ''), ...words.slice(i + 1)],
+        literal: !/[$'"\\]/.test(rawWords[i]),
+      };
+      programs.push(program);
+      if (!COMMAND_WRAPPERS.includes(program.words[0])) {
+        break;
+      }
+      wrapper = program.words[0];
+      i++;
+    }
+  }
+
+  return programs;
+}
+
+/**
+ * 获取程序调用中除选项外的参数（git -C . push -f origin -> [push, origin]）
+ * @param {string[]} words - 程序调用的单词列表
+ * @returns {string[]}
+ */
+function getCommandArgs(words) {
+  const valueOptions = SUBCOMMAND_VALUE_OPTIONS[words[0]] || [];
+  const args = [];
+  for (let i = 1; i < words.length; i++) {
+    if (words[i].startsWith('-')) {
+      if (valueOptions.includes(words[i])) {
+        i++;
+      }
+      continue;
+    }
+    args.push(words[i]);
+  }
+  return args;
+}
+
+/**
+ * 程序调用是否匹配策略规则（规则可带子命令，按单词前缀匹配：`git push` 匹配 `git push origin`、`git -C . push`）
+ * @param {{words: string[]}} program - 程序调用
+ * @param {string} rule - 策略规则
+ * @returns {boolean}
+ */
+function matchesCommandRule(program, rule) {
+  const [name, ...subcommands] = rule.split(/\s+/);
+  if (program.words[0] !== name) {
+    return false;
+  }
+  const args = getCommandArgs(program.words);
+  return subcommands.every((word, i) => args[i] === word);
+}
+
+/**
+ * 获取程序调用中无法按策略检查的命令执行方式
+ * （sh -c、eval、busybox、xargs、find -exec / -delete、python -c、node -e、perl -e）
+ * @param {{words: string[]}} program - 程序调用
+ * @returns {string|null} - 执行方式描述，可以检查时返回 null
+ */
+function getUncheckedExecution(program) {
+  const [name, ...args] = program.words;
+  if (SHELL_INTERPRETERS.includes(name)) {
+    return name;
+  }
+  if (name === 'find') {
+    const action = args.find(arg => FIND_EXEC_ACTIONS.includes(arg));
+    return action ? `find ${action}` : null;
+  }
+  const interpreter = INLINE_CODE_INTERPRETERS.find(([pattern]) => pattern.test(name));
+  const option = interpreter && args.find(arg => interpreter[1].test(arg));
+  return option ? `${name} ${option}` : null;
+}
+
 /**
  * 验证命令内容（防止命令注入）
+ * 先按 SHELL_DENY / SHELL_ALLOW 策略检查每个程序调用，被禁止时直接拒绝；
+ * 包含危险操作（链式 rm -rf、命令替换等）或在允许列表下重定向到文件时需要确认后才能执行
  * @param {string} command - 命令内容
- * @returns {ValidationResult}
+ * @param {{allow: string[], deny: string[]}} policy - 允许 / 禁止策略（默认 config.shell）
+ * @returns {ValidationResult} - requiresConfirmation 为 true 时确认后可以执行
  */
-export function validateCommand(command) {
+export function validateCommand(command, policy = config.shell) {
   if (!command || typeof command !== 'string') {
     return ValidationResult.fail('命令不能为空');
   }
 
+  const { allow = [], deny = [] } = policy || {};
+  for (const program of parseCommandPrograms(command)) {
+    const denied = deny.find(rule => matchesCommandRule(program, rule));
+    if (denied) {
+      return ValidationResult.fail(`命令被策略禁止: ${denied}`);
+    }
+    const allowed = allow.some(rule => matchesCommandRule(program, rule));
+    // 程序名来自变量或经过转义、引号拼接时，无法确定实际执行的程序
+    if (deny.length > 0 && !program.literal && !allowed) {
+      return ValidationResult.fail(`程序名包含 $、引号或反斜杠，无法按禁止列表检查: ${program.words[0]}`);
+    }
+    // sh -c、eval、find -exec 等执行的命令无法检查，设置了禁止列表时只有明确允许才能使用
+    const unchecked = deny.length > 0 && !allowed ? getUncheckedExecution(program) : null;
+    if (unchecked) {
+      return ValidationResult.fail(`命令通过 ${unchecked} 执行，无法按禁止列表检查（需要时将 ${program.words[0]} 加入 SHELL_ALLOW）`);
+    }
+    if (allow.length > 0 && !allowed) {
+      return ValidationResult.fail(`命令不在允许列表中: ${program.words.slice(0, 2).join(' ')}`);
+    }
+  }
+
+  // 允许列表只检查程序，重定向仍可能覆盖任意文件
+  const redirections = allow.length > 0 ? getRedirectionTargets(command) : [];
+  if (redirections.length > 0) {
+    return ValidationResult.confirm(`命令将输出重定向到文件: ${redirections.join(', ')}`);
+  }
+
   // 检测潜在的命令注入模式
   const dangerousPatterns = [
     /;\s*rm\s+-rf/,      // 删除命令
@@ -71,7 +281,7 @@ export function validateCommand(command) {
 
   for (const pattern of dangerousPatterns) {
     if (pattern.test(command)) {
-      return ValidationResult.fail('命令包含危险操作，已被阻止');
+      return ValidationResult.confirm('命令包含危险操作（链式 rm -rf / dd、命令替换、管道到 rm 等）');
     }
   }
 
@@ -168,6 +378,70 @@ export function validateTabArgs(args) {
   return { isValid: true, tabs };
 }
 
+/**
+ * 是否为多问题回答语法（`1:2 2:1,3`），支持全角冒号
+ * @param {string} input - 用户输入
+ * @returns {boolean}
+ */
+export function isQuestionAnswerSyntax(input) {
+  return /^\d+\s*[:：]\s*\S/.test((input || '').trim());
+}
+
+/**
+ * 解析多问题回答：`1:2 2:1,3 3:自定义文本`
+ * 选项为逗号分隔的编号，非编号内容视为「其他」的自由文本
+ * @param {string} input - 用户输入
+ * @param {Array<{options: Array, multiSelect: boolean}>} questions - 待回答的问题
+ * @returns {ValidationResult|{isValid: true, answers: Array<{choices: number[], text: string}>}} - answers 按问题顺序排列
+ */
+export function parseQuestionAnswers(input, questions) {
+  const text = (input || '').trim();
+  if (!isQuestionAnswerSyntax(text)) {
+    return ValidationResult.fail('格式应为 `题号:选项`');
+  }
+
+  const answers = new Array(questions.length).fill(null);
+
+  // 按「空白 + 题号:」切分，自由文本中可以包含空格
+  for (const part of text.split(/\s+(?=\d+\s*[:：])/)) {
+    const [, indexText, rawValue] = part.match(/^(\d+)\s*[:：]\s*([\s\S]*)$/);
+    const index = parseInt(indexText);
+    const value = rawValue.trim();
+
+    if (index < 1 || index > questions.length) {
+      return ValidationResult.fail(`题号 ${index} 不存在（共 ${questions.length} 个问题）`);
+    }
+    if (answers[index - 1]) {
+      return ValidationResult.fail(`第 ${index} 题重复回答`);
+    }
+    if (!value) {
+      return ValidationResult.fail(`第 ${index} 题缺少答案`);
+    }
+
+    const question = questions[index - 1];
+    if (/^\d+(\s*[,，]\s*\d+)*$/.test(value)) {
+      const choices = [...new Set(value.split(/[,，]/).map(n => parseInt(n.trim())))].sort((a, b) => a - b);
+      if (choices.some(c => c < 1 || c > question.options.length)) {
+        return ValidationResult.fail(`第 ${index} 题选项必须在 1-${question.options.length} 之间`);
+      }
+      if (!question.multiSelect && choices.length > 1) {
+        return ValidationResult.fail(`第 ${index} 题为单选，只能选择一个选项`);
+      }
+      answers[index - 1] = { choices, text: '' };
+    } else {
+      // 终端输入框为单行，换行替换为空格
+      answers[index - 1] = { choices: [], text: value.replace(/\s*\n\s*/g, ' ') };
+    }
+  }
+
+  const missing = answers.map((answer, i) => (answer ? null : i + 1)).filter(Boolean);
+  if (missing.length > 0) {
+    return ValidationResult.fail(`请回答全部问题，缺少第 ${missing.join('、')} 题`);
+  }
+
+  return { isValid: true, answers };
+}
+
 /**
  * 清理和验证用户输入
  * @param {string} input - 用户输入
@@ -201,6 +475,8 @@ export default {
   isCancellationWord,
   getConfirmationKeyType,
   validateTabArgs,
+  isQuestionAnswerSyntax,
+  parseQuestionAnswers,
   sanitizeInput,
   isNumericSelection,
   ValidationResult,
@@ -0,0 +1,137 @@
+/**
+ * ZIP 打包
+ * 用 zlib 生成标准 ZIP（deflate），用于 /get 下载目录，无需系统安装 zip
+ * Author: CodePothunter
+ * Version: 1.0.0
+ */
+
+import fs from 'fs';
+import path from 'path';
+import zlib from 'zlib';
+
+/**
+ * 转换为 DOS 日期和时间
+ * @param {Date} date - 日期
+ * @returns {{time: number, date: number}}
+ */
+function toDosTime(date) {
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+  };
+}
+
+/**
+ * 生成 ZIP 文件
+ * @param {Array<{name: string, data: Buffer, mtime?: Date}>} entries - 文件列表（name 为 ZIP 内的相对路径）
+ * @returns {Buffer}
+ */
+export function createZip(entries) {
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  for (const entry of entries) {
+    const name = Buffer.from(entry.name.split(path.sep).join('/'), 'utf-8');
+    const compressed = zlib.deflateRawSync(entry.data);
+    // 压缩后更大时直接存储
+    const useDeflate = compressed.length < entry.data.length;
+    const body = useDeflate ? compressed : entry.data;
+    const crc = zlib.crc32(entry.data);
+    const { time, date } = toDosTime(entry.mtime || new Date());
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);  // 本地文件头标识
+    local.writeUInt16LE(20, 4);          // 解压所需版本
+    local.writeUInt16LE(0x0800, 6);      // 文件名使用 UTF-8
+    local.writeUInt16LE(useDeflate ? 8 : 0, 8);
+    local.writeUInt16LE(time, 10);
+    local.writeUInt16LE(date, 12);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(body.length, 18);
+    local.writeUInt32LE(entry.data.length, 22);
+    local.writeUInt16LE(name.length, 26);
+    local.writeUInt16LE(0, 28);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);  // 中央目录标识
+    central.writeUInt16LE(20, 4);          // 创建版本
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(0x0800, 8);
+    central.writeUInt16LE(useDeflate ? 8 : 0, 10);
+    central.writeUInt16LE(time, 12);
+    central.writeUInt16LE(date, 14);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(body.length, 20);
+    central.writeUInt32LE(entry.data.length, 24);
+    central.writeUInt16LE(name.length, 28);
+    central.writeUInt32LE(offset, 42);     // 本地文件头偏移
+
+    localParts.push(local, name, body);
+    centralParts.push(central, name);
+    offset += local.length + name.length + body.length;
+  }
+
+  const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);  // 中央目录结束标识
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(centralSize, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...localParts, ...centralParts, end]);
+}
+
+/**
+ * 打包目录（跳过符号链接和排除的目录名）
+ * @param {string} dir - 目录路径
+ * @param {Object} options - 选项
+ * @param {number} options.maxBytes - 原始文件总大小上限
+ * @param {string[]} options.exclude - 排除的文件或目录名（如 node_modules、.git）
+ * @returns {{success: boolean, data?: Buffer, count?: number, error?: string}}
+ */
+export function zipDirectory(dir, options = {}) {
+  const { maxBytes = Infinity, exclude = [] } = options;
+  const entries = [];
+  let total = 0;
+
+  const walk = (current) => {
+    for (const dirent of fs.readdirSync(current, { withFileTypes: true })) {
+      if (exclude.includes(dirent.name)) {
+        continue;
+      }
+
+      const fullPath = path.join(current, dirent.name);
+      if (dirent.isDirectory()) {
+        walk(fullPath);
+      } else if (dirent.isFile()) {
+        const stat = fs.statSync(fullPath);
+        total += stat.size;
+        if (total > maxBytes) {
+          throw new Error('目录过大');
+        }
+        entries.push({
+          name: path.join(path.basename(dir), path.relative(dir, fullPath)),
+          data: fs.readFileSync(fullPath),
+          mtime: stat.mtime,
+        });
+      }
+    }
+  };
+
+  try {
+    walk(dir);
+    if (entries.length === 0) {
+      return { success: false, error: '目录为空' };
+    }
+    return { success: true, data: createZip(entries), count: entries.length };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+export default {
+  createZip,
+  zipDirectory,
+};
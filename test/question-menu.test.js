@@ -0,0 +1,68 @@
+/**
+ * 多选问题菜单回答测试：菜单选择应按问题界面的按键提交，而不是 /tab
+ * Author: CodePothunter
+ * Version: 1.0.0
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.AUDIT_LOG = 'false';
+
+const { MessageRouter } = await import('../src/handlers/router.js');
+const { TmuxCommander } = await import('../src/tmux/commander.js');
+
+/**
+ * 创建路由器，记录发送到 tmux 的按键
+ * @param {Object|null} pendingQuestions - 会话待回答的问题
+ */
+function createRouter(pendingQuestions) {
+  const keys = [];
+  const replies = [];
+  TmuxCommander.prototype.sendKey = async function (key) {
+    keys.push(key);
+  };
+  TmuxCommander.prototype.sendText = async function (text) {
+    keys.push(`text:${text}`);
+  };
+
+  const monitor = { pendingQuestions };
+  let resolveReply;
+  const replied = new Promise(resolve => (resolveReply = resolve));
+  const context = {
+    currentSession: { value: 'other' },
+    commander: new TmuxCommander('other'),
+    monitorPool: { has: session => session === 'work', get: session => (session === 'work' ? monitor : null) },
+    sendText: async (text) => {
+      replies.push(text);
+      resolveReply();
+    },
+  };
+
+  return { router: new MessageRouter(context), keys, replies, replied, monitor };
+}
+
+test('多选问题菜单选择 1,3 时逐项移动并勾选，再按 Tab 提交', async () => {
+  const { router, keys, replies, replied, monitor } = createRouter({
+    toolUseId: 'toolu_1',
+    questions: [{ text: '选择功能', multiSelect: true, options: [{ label: 'A' }, { label: 'B' }, { label: 'C' }] }],
+  });
+
+  const accepted = await router.routeAction({ kind: 'question', choice: '1,3', session: 'work', sender: { id: 'u' } });
+  await replied;
+
+  assert.equal(accepted, true);
+  assert.deepEqual(keys, ['Space', 'Down', 'Down', 'Space', 'Tab']);
+  assert.ok(!keys.includes('Escape'));
+  assert.equal(monitor.pendingQuestions, null);
+  assert.match(replies[0], /已提交回答/);
+});
+
+test('没有待回答的问题时忽略问题菜单，不发送任何按键', async () => {
+  const { router, keys } = createRouter(null);
+
+  const accepted = await router.routeAction({ kind: 'question', choice: '2', session: 'work', sender: { id: 'u' } });
+
+  assert.equal(accepted, false);
+  assert.deepEqual(keys, []);
+});